@@ -0,0 +1,90 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+
+/**
+ * @dev 累计金额空投分发合约：叶子为 (account, cumulativeAmount)，记录每个地址累计已领取的金额
+ * 每期奖励更新时所有者发布新的Merkle根，用户只领取累计金额与已领取金额的差额，无需索引和领取位图
+ */
+contract CumulativeMerkleDistributor is Ownable {
+    address public immutable token;
+
+    // 当前一期的顶层Merkle树根
+    bytes32 public merkleRoot;
+
+    // 已发布的期数（第一次发布根后为1）
+    uint256 public epoch;
+
+    // 各地址累计已领取的金额
+    mapping(address => uint256) public cumulativeClaimed;
+
+    // 所有地址累计已领取金额之和
+    uint256 public totalClaimed;
+
+    event MerkleRootUpdated(uint256 epoch, bytes32 merkleRoot);
+    event Claimed(address account, uint256 amount, uint256 cumulativeAmount);
+
+    constructor(address token_) Ownable(msg.sender) {
+        token = token_;
+    }
+
+    /**
+     * @dev 发布新一期的Merkle根，新根中每个地址的累计金额不应小于上一期
+     */
+    function setMerkleRoot(bytes32 merkleRoot_) external onlyOwner {
+        require(merkleRoot_ != bytes32(0), "CumulativeMerkleDistributor: Invalid merkle root");
+        merkleRoot = merkleRoot_;
+        epoch++;
+        emit MerkleRootUpdated(epoch, merkleRoot_);
+    }
+
+    /**
+     * @dev 领取累计金额与已领取金额的差额，merkleProof为组合证明（combinedProof）
+     */
+    function claim(address account, uint256 cumulativeAmount, bytes32[] calldata merkleProof) external {
+        bytes32 node = keccak256(abi.encodePacked(account, cumulativeAmount));
+        require(MerkleProof.verify(merkleProof, merkleRoot, node), "CumulativeMerkleDistributor: Invalid proof");
+
+        _payout(account, cumulativeAmount);
+    }
+
+    /**
+     * @dev 两层Merkle树的组合证明领取方法：叶子→批次根（batchProof），批次根→顶层根（rootProof）
+     */
+    function claimWithBatchProof(
+        address account,
+        uint256 cumulativeAmount,
+        bytes32[] calldata batchProof,
+        bytes32[] calldata rootProof
+    ) external {
+        bytes32 node = keccak256(abi.encodePacked(account, cumulativeAmount));
+        bytes32 batchRoot = MerkleProof.processProofCalldata(batchProof, node);
+        require(MerkleProof.verifyCalldata(rootProof, merkleRoot, batchRoot), "CumulativeMerkleDistributor: Invalid proof");
+
+        _payout(account, cumulativeAmount);
+    }
+
+    /**
+     * @dev 记录累计领取金额并转出差额
+     */
+    function _payout(address account, uint256 cumulativeAmount) private {
+        uint256 alreadyClaimed = cumulativeClaimed[account];
+        require(cumulativeAmount > alreadyClaimed, "CumulativeMerkleDistributor: Nothing to claim");
+
+        uint256 amount = cumulativeAmount - alreadyClaimed;
+        cumulativeClaimed[account] = cumulativeAmount;
+        totalClaimed += amount;
+        require(IERC20(token).transfer(account, amount), "CumulativeMerkleDistributor: Transfer failed");
+        emit Claimed(account, amount, cumulativeAmount);
+    }
+
+    /**
+     * @dev 提取合约中的代币（仅所有者可调用）
+     */
+    function rescueTokens(address to, uint256 amount) external onlyOwner {
+        require(IERC20(token).transfer(to, amount), "CumulativeMerkleDistributor: Transfer failed");
+    }
+}
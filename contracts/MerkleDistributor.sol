@@ -4,13 +4,36 @@ pragma solidity ^0.8.20;
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol";
+import "@openzeppelin/contracts/utils/Nonces.sol";
+import "@openzeppelin/contracts/utils/Multicall.sol";
 
-contract MerkleDistributor is Ownable {
+/**
+ * @dev Merkle空投分发合约：token为零地址时为原生ETH模式，持有并分发ETH
+ */
+contract MerkleDistributor is Ownable, EIP712, Nonces, Multicall {
+    // 分发的代币，零地址表示原生ETH
     address public immutable token;
     
+    // EIP-712签名领取的结构类型
+    bytes32 public constant CLAIM_TYPEHASH =
+        keccak256("Claim(uint256 index,address account,uint256 amount,uint256 nonce,uint256 deadline)");
+    
+    // EIP-712签名指定接收地址领取的结构类型
+    bytes32 public constant CLAIM_TO_TYPEHASH =
+        keccak256("ClaimTo(uint256 index,address account,uint256 amount,address recipient,uint256 nonce,uint256 deadline)");
+    
     // 顶层Merkle树根
     bytes32 public merkleRoot;
     
+    // 叶子编码版本：1为 keccak256(abi.encodePacked(index, account, amount))，
+    // 2为 keccak256(keccak256(abi.encode(chainId, 本合约地址, index, account, amount)))，证明不能在其他链或其他部署上重放
+    uint8 public leafVersion = 1;
+    
+    // 是否已有领取（与leafVersion共用存储槽，领取时无需额外读取冷存储槽）
+    bool public hasClaims;
+    
     // 批次根映射
     mapping(uint256 => bytes32) public batchRoots;
     
@@ -20,14 +43,65 @@ contract MerkleDistributor is Ownable {
     // 已领取的记录
     mapping(uint256 => uint256) private claimedBitMap;
     
+    // 领取窗口 [claimStart, claimEnd)，claimEnd为0表示不设截止时间
+    uint256 public claimStart;
+    uint256 public claimEnd;
+    
+    // 截止后剩余代币的接收地址
+    address public treasury;
+    
+    // 线性释放配置：金额不低于vestingThreshold的叶子领取后按计划释放，vestingDuration为0表示不启用
+    uint256 public vestingThreshold;
+    uint256 public vestingStart;
+    uint256 public vestingCliff;
+    uint256 public vestingDuration;
+    
+    // 各地址登记的释放总额与已释放金额
+    mapping(address => uint256) public vestingTotal;
+    mapping(address => uint256) public released;
+    
+    // 所有地址登记的释放总额与已释放金额之和
+    uint256 public totalVesting;
+    uint256 public totalReleased;
+    
+    // 原生ETH模式下转账被接收方拒绝（如合约不接受ETH）时暂存的待提取金额
+    mapping(address => uint256) public pendingWithdrawals;
+    uint256 public totalPendingWithdrawals;
+    
     event Claimed(uint256 index, address account, uint256 amount);
+    event ClaimedTo(uint256 index, address account, address recipient, uint256 amount);
     event BatchRootAdded(uint256 batchIndex, bytes32 batchRoot);
+    event ClaimWindowUpdated(uint256 claimStart, uint256 claimEnd);
+    event TreasuryUpdated(address treasury);
+    event Swept(address treasury, uint256 amount);
+    event VestingScheduleUpdated(uint256 threshold, uint256 start, uint256 cliff, uint256 duration);
+    event VestingRegistered(address account, uint256 amount);
+    event Released(address account, uint256 amount);
+    event LeafVersionUpdated(uint8 leafVersion);
+    event PaymentDeferred(address account, uint256 amount);
+    event Withdrawn(address account, address to, uint256 amount);
 
-    constructor(address token_, bytes32 merkleRoot_) Ownable(msg.sender) {
+    constructor(address token_, bytes32 merkleRoot_) Ownable(msg.sender) EIP712("MerkleDistributor", "1") {
         token = token_;
         merkleRoot = merkleRoot_;
     }
 
+    /**
+     * @dev 原生ETH模式下接收注资，ERC20模式下拒绝ETH以免资金锁死
+     */
+    receive() external payable {
+        require(token == address(0), "MerkleDistributor: Not native mode");
+    }
+
+    /**
+     * @dev 仅在领取窗口内允许领取
+     */
+    modifier whenClaimActive() {
+        require(block.timestamp >= claimStart, "MerkleDistributor: Claim not started");
+        require(claimEnd == 0 || block.timestamp < claimEnd, "MerkleDistributor: Claim ended");
+        _;
+    }
+
     /**
      * @dev 判断指定索引是否已领取
      */
@@ -45,6 +119,9 @@ contract MerkleDistributor is Ownable {
         uint256 wordIndex = index >> 8;
         uint256 bitIndex = index & 0xff;
         claimedBitMap[wordIndex] |= (1 << bitIndex);
+        if (!hasClaims) {
+            hasClaims = true;
+        }
     }
 
     /**
@@ -54,6 +131,74 @@ contract MerkleDistributor is Ownable {
         merkleRoot = _merkleRoot;
     }
     
+    /**
+     * @dev 设置叶子编码版本，需与Merkle根的生成方式一致
+     * 已有领取后不能修改，否则所有未领取的证明都会失效
+     */
+    function setLeafVersion(uint8 version) external onlyOwner {
+        require(version == 1 || version == 2, "MerkleDistributor: Invalid leaf version");
+        require(!hasClaims, "MerkleDistributor: Leaf version locked after claims");
+        leafVersion = version;
+        emit LeafVersionUpdated(version);
+    }
+    
+    /**
+     * @dev 按当前叶子编码版本计算叶子哈希
+     */
+    function leafHash(uint256 index, address account, uint256 amount) public view returns (bytes32) {
+        if (leafVersion == 2) {
+            return keccak256(bytes.concat(keccak256(abi.encode(block.chainid, address(this), index, account, amount))));
+        }
+        return keccak256(abi.encodePacked(index, account, amount));
+    }
+    
+    /**
+     * @dev 设置领取窗口
+     * 未设置窗口时领取自部署起即已开放：首次设置时若已有领取，开始时间不能晚于当前时间；
+     * 之后领取开始后不能推迟开始时间，截止时间只能延后，截止后不能再修改
+     */
+    function setClaimWindow(uint256 start, uint256 end) external onlyOwner {
+        require(end == 0 || end > start, "MerkleDistributor: Invalid claim window");
+        require(end == 0 || end > block.timestamp, "MerkleDistributor: End in the past");
+
+        if (claimStart != 0 || claimEnd != 0) {
+            require(claimEnd == 0 || block.timestamp < claimEnd, "MerkleDistributor: Claim ended");
+            require(block.timestamp < claimStart || start <= claimStart, "MerkleDistributor: Claim already started");
+            require(claimEnd == 0 || end == 0 || end >= claimEnd, "MerkleDistributor: Cannot shorten claim window");
+        } else if (hasClaims) {
+            require(start <= block.timestamp, "MerkleDistributor: Claim already started");
+        }
+
+        claimStart = start;
+        claimEnd = end;
+        emit ClaimWindowUpdated(start, end);
+    }
+
+    /**
+     * @dev 设置剩余代币的接收地址
+     */
+    function setTreasury(address treasury_) external onlyOwner {
+        require(treasury_ != address(0), "MerkleDistributor: Invalid treasury");
+        treasury = treasury_;
+        emit TreasuryUpdated(treasury_);
+    }
+    
+    /**
+     * @dev 设置线性释放计划：从start开始经过duration线性释放，cliff之前不释放
+     * 已有领取登记为线性释放后不能再修改
+     */
+    function setVestingSchedule(uint256 threshold, uint256 start, uint256 cliff, uint256 duration) external onlyOwner {
+        require(totalVesting == 0, "MerkleDistributor: Vesting already in use");
+        require(duration == 0 || start != 0, "MerkleDistributor: Invalid vesting start");
+        require(cliff <= duration, "MerkleDistributor: Cliff exceeds duration");
+
+        vestingThreshold = threshold;
+        vestingStart = start;
+        vestingCliff = cliff;
+        vestingDuration = duration;
+        emit VestingScheduleUpdated(threshold, start, cliff, duration);
+    }
+
     /**
      * @dev 添加批次根
      */
@@ -84,26 +229,114 @@ contract MerkleDistributor is Ownable {
 
     /**
      * @dev 标准索引领取方法 - 与原始实现兼容
+     * 两层Merkle树下，merkleProof为批次内证明与顶层证明的拼接（即combinedProof）
      */
     function claim(
         uint256 index,
         address account,
         uint256 amount,
         bytes32[] calldata merkleProof
-    ) external {
+    ) external whenClaimActive {
         require(!isClaimed(index), "MerkleDistributor: Drop already claimed");
         
         // 验证顶层Merkle树证明
-        bytes32 node = keccak256(abi.encodePacked(index, account, amount));
+        bytes32 node = leafHash(index, account, amount);
         require(MerkleProof.verify(merkleProof, merkleRoot, node), "MerkleDistributor: Invalid proof");
         
         _setClaimed(index);
-        require(IERC20(token).transfer(account, amount), "MerkleDistributor: Transfer failed");
+        _payout(account, _allocate(account, amount));
         emit Claimed(index, account, amount);
     }
     
     /**
-     * @dev 支持两层Merkle树的领取方法
+     * @dev 两层Merkle树的组合证明领取方法：叶子→批次根（batchProof），批次根→顶层根（rootProof）
+     * 只需设置顶层根，任何批次都可直接领取，无需逐个添加批次根
+     */
+    function claimWithBatchProof(
+        uint256 index,
+        address account,
+        uint256 amount,
+        bytes32[] calldata batchProof,
+        bytes32[] calldata rootProof
+    ) external whenClaimActive {
+        require(!isClaimed(index), "MerkleDistributor: Drop already claimed");
+
+        // 由批次内证明计算批次根，再验证批次根属于顶层Merkle树
+        bytes32 node = leafHash(index, account, amount);
+        bytes32 batchRoot = MerkleProof.processProofCalldata(batchProof, node);
+        require(MerkleProof.verifyCalldata(rootProof, merkleRoot, batchRoot), "MerkleDistributor: Invalid proof");
+
+        _setClaimed(index);
+        _payout(account, _allocate(account, amount));
+        emit Claimed(index, account, amount);
+    }
+
+    /**
+     * @dev 凭账户的EIP-712签名领取，由中继者代为提交并支付gas
+     * merkleProof同claim（两层Merkle树下为combinedProof），代币始终转给account
+     * 合约钱包通过ERC-1271验证签名
+     */
+    function claimBySig(
+        uint256 index,
+        address account,
+        uint256 amount,
+        bytes32[] calldata merkleProof,
+        uint256 deadline,
+        bytes calldata signature
+    ) external whenClaimActive {
+        require(block.timestamp <= deadline, "MerkleDistributor: Signature expired");
+        require(!isClaimed(index), "MerkleDistributor: Drop already claimed");
+
+        bytes32 structHash = keccak256(abi.encode(CLAIM_TYPEHASH, index, account, amount, _useNonce(account), deadline));
+        require(
+            SignatureChecker.isValidSignatureNow(account, _hashTypedDataV4(structHash), signature),
+            "MerkleDistributor: Invalid signature"
+        );
+
+        bytes32 node = leafHash(index, account, amount);
+        require(MerkleProof.verify(merkleProof, merkleRoot, node), "MerkleDistributor: Invalid proof");
+
+        _setClaimed(index);
+        _payout(account, _allocate(account, amount));
+        emit Claimed(index, account, amount);
+    }
+
+    /**
+     * @dev 凭账户的签名授权把代币领取到另一个接收地址（冷钱包、智能账户等），任何人都可以提交
+     * 账户为合约钱包时通过ERC-1271验证签名；线性释放金额登记在接收地址名下
+     */
+    function claimTo(
+        uint256 index,
+        address account,
+        uint256 amount,
+        address recipient,
+        bytes32[] calldata merkleProof,
+        uint256 deadline,
+        bytes calldata signature
+    ) external whenClaimActive {
+        require(recipient != address(0), "MerkleDistributor: Invalid recipient");
+        require(block.timestamp <= deadline, "MerkleDistributor: Signature expired");
+        require(!isClaimed(index), "MerkleDistributor: Drop already claimed");
+
+        bytes32 structHash = keccak256(
+            abi.encode(CLAIM_TO_TYPEHASH, index, account, amount, recipient, _useNonce(account), deadline)
+        );
+        require(
+            SignatureChecker.isValidSignatureNow(account, _hashTypedDataV4(structHash), signature),
+            "MerkleDistributor: Invalid signature"
+        );
+
+        bytes32 node = leafHash(index, account, amount);
+        require(MerkleProof.verify(merkleProof, merkleRoot, node), "MerkleDistributor: Invalid proof");
+
+        _setClaimed(index);
+        _payout(recipient, _allocate(recipient, amount));
+        emit Claimed(index, account, amount);
+        emit ClaimedTo(index, account, recipient, amount);
+    }
+
+    /**
+     * @dev 支持两层Merkle树的领取方法（需要所有者预先添加批次根）
      */
     function claimFromBatch(
         uint256 index,
@@ -111,16 +344,16 @@ contract MerkleDistributor is Ownable {
         address account,
         uint256 amount,
         bytes32[] calldata merkleProof
-    ) external {
+    ) external whenClaimActive {
         require(!isClaimed(index), "MerkleDistributor: Drop already claimed");
         require(batchRoots[batchIndex] != bytes32(0), "MerkleDistributor: Batch root not verified");
         
         // 验证批次内的Merkle证明
-        bytes32 node = keccak256(abi.encodePacked(index, account, amount));
+        bytes32 node = leafHash(index, account, amount);
         require(MerkleProof.verify(merkleProof, batchRoots[batchIndex], node), "MerkleDistributor: Invalid proof");
         
         _setClaimed(index);
-        require(IERC20(token).transfer(account, amount), "MerkleDistributor: Transfer failed");
+        _payout(account, _allocate(account, amount));
         emit Claimed(index, account, amount);
     }
     
@@ -133,7 +366,7 @@ contract MerkleDistributor is Ownable {
         address account,
         uint256[] calldata amounts,
         bytes32[][] calldata merkleProofs
-    ) external {
+    ) external whenClaimActive {
         require(
             indices.length == batchIndices.length && 
             indices.length == amounts.length && 
@@ -153,22 +386,143 @@ contract MerkleDistributor is Ownable {
             require(batchRoots[batchIndex] != bytes32(0), "MerkleDistributor: Batch root not verified");
             
             // 验证批次内的Merkle证明
-            bytes32 node = keccak256(abi.encodePacked(index, account, amount));
+            bytes32 node = leafHash(index, account, amount);
             require(MerkleProof.verify(proof, batchRoots[batchIndex], node), "MerkleDistributor: Invalid proof");
             
             _setClaimed(index);
-            totalAmount += amount;
+            totalAmount += _allocate(account, amount);
             
             emit Claimed(index, account, amount);
         }
         
-        require(IERC20(token).transfer(account, totalAmount), "MerkleDistributor: Transfer failed");
+        _payout(account, totalAmount);
+    }
+    
+    /**
+     * @dev 登记领取金额：达到阈值的金额计入线性释放，返回需立即转账的金额
+     */
+    function _allocate(address account, uint256 amount) private returns (uint256) {
+        if (vestingDuration == 0 || amount < vestingThreshold) {
+            return amount;
+        }
+        vestingTotal[account] += amount;
+        totalVesting += amount;
+        emit VestingRegistered(account, amount);
+        return 0;
+    }
+    
+    /**
+     * @dev 截至当前时间已释放（含已提取）的金额
+     */
+    function vestedAmount(address account) public view returns (uint256) {
+        uint256 total = vestingTotal[account];
+        if (total == 0 || block.timestamp < vestingStart + vestingCliff) {
+            return 0;
+        }
+        if (block.timestamp >= vestingStart + vestingDuration) {
+            return total;
+        }
+        return (total * (block.timestamp - vestingStart)) / vestingDuration;
+    }
+    
+    /**
+     * @dev 当前可提取的金额
+     */
+    function releasableAmount(address account) public view returns (uint256) {
+        return vestedAmount(account) - released[account];
+    }
+    
+    /**
+     * @dev 提取已释放的代币，任何人都可以为指定地址调用，代币始终转给该地址
+     * 不受领取窗口限制
+     */
+    function release(address account) external {
+        uint256 amount = releasableAmount(account);
+        require(amount > 0, "MerkleDistributor: Nothing to release");
+
+        released[account] += amount;
+        totalReleased += amount;
+        _payout(account, amount);
+        emit Released(account, amount);
+    }
+    
+    /**
+     * @dev 提取转账失败时暂存的ETH，可转到调用者指定的地址（不受领取窗口限制）
+     */
+    function withdraw(address to) external {
+        uint256 amount = pendingWithdrawals[msg.sender];
+        require(amount > 0, "MerkleDistributor: Nothing to withdraw");
+
+        pendingWithdrawals[msg.sender] = 0;
+        totalPendingWithdrawals -= amount;
+        _transferOut(to, amount);
+        emit Withdrawn(msg.sender, to, amount);
+    }
+    
+    /**
+     * @dev 向领取者付款：原生ETH模式下接收方拒绝时改为记入pendingWithdrawals，由其自行withdraw
+     */
+    function _payout(address to, uint256 amount) private {
+        if (amount == 0) {
+            return;
+        }
+        if (token != address(0)) {
+            require(IERC20(token).transfer(to, amount), "MerkleDistributor: Transfer failed");
+            return;
+        }
+        (bool success, ) = to.call{value: amount}("");
+        if (!success) {
+            pendingWithdrawals[to] += amount;
+            totalPendingWithdrawals += amount;
+            emit PaymentDeferred(to, amount);
+        }
     }
     
+    /**
+     * @dev 转出代币或ETH，失败时回滚（用于sweep、rescue和withdraw）
+     */
+    function _transferOut(address to, uint256 amount) private {
+        if (token == address(0)) {
+            (bool success, ) = to.call{value: amount}("");
+            require(success, "MerkleDistributor: Transfer failed");
+        } else {
+            require(IERC20(token).transfer(to, amount), "MerkleDistributor: Transfer failed");
+        }
+    }
+    
+    /**
+     * @dev 可提走的余额：合约余额扣除已登记但尚未提取的线性释放金额和待提取的ETH
+     */
+    function _withdrawableBalance() private view returns (uint256) {
+        uint256 balance = token == address(0) ? address(this).balance : IERC20(token).balanceOf(address(this));
+        uint256 locked = totalVesting - totalReleased + totalPendingWithdrawals;
+        return balance > locked ? balance - locked : 0;
+    }
+    
+    /**
+     * @dev 领取截止后将剩余代币转入treasury
+     * 未设置截止时间（包括从未设置领取窗口）时不可调用
+     */
+    function sweep() external onlyOwner {
+        require(claimEnd != 0 && block.timestamp >= claimEnd, "MerkleDistributor: Claim not ended");
+        require(treasury != address(0), "MerkleDistributor: Invalid treasury");
+
+        uint256 amount = _withdrawableBalance();
+        _transferOut(treasury, amount);
+        emit Swept(treasury, amount);
+    }
+
     /**
      * @dev 紧急提取合约中的代币（仅所有者可调用）
+     * 领取窗口内不可调用，只能在领取开始前或截止后使用；未设置领取窗口时领取始终开放，因此不可调用
+     * 不能提走尚未提取的线性释放金额和原生ETH模式下待提取的ETH
      */
     function rescueTokens(address to, uint256 amount) external onlyOwner {
-        require(IERC20(token).transfer(to, amount), "MerkleDistributor: Transfer failed");
+        require(
+            block.timestamp < claimStart || (claimEnd != 0 && block.timestamp >= claimEnd),
+            "MerkleDistributor: Claim window active"
+        );
+        require(amount <= _withdrawableBalance(), "MerkleDistributor: Amount locked for vesting or withdrawals");
+        _transferOut(to, amount);
     }
 }
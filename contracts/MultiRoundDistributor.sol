@@ -0,0 +1,198 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+
+/**
+ * @dev 多轮空投分发合约：每一轮有独立的Merkle根、资金、领取窗口和领取记录
+ * 各轮叶子索引互不影响，新一轮空投无需重新部署合约或覆盖旧的Merkle根
+ */
+contract MultiRoundDistributor is Ownable {
+    address public immutable token;
+
+    struct Round {
+        // 该轮的顶层Merkle树根
+        bytes32 merkleRoot;
+        // 开启时注入的资金，该轮领取总额不能超过
+        uint256 funding;
+        // 该轮已领取总额
+        uint256 claimed;
+        // 领取窗口 [start, end)，end为0表示不设截止时间
+        uint256 start;
+        uint256 end;
+        // 剩余资金是否已回收
+        bool swept;
+    }
+
+    // 轮次ID从0开始递增
+    mapping(uint256 => Round) public rounds;
+    uint256 public roundCount;
+
+    // 各轮的领取记录：roundId => wordIndex => bitmap
+    mapping(uint256 => mapping(uint256 => uint256)) private claimedBitMap;
+
+    // 截止后剩余资金的接收地址
+    address public treasury;
+
+    event RoundOpened(uint256 roundId, bytes32 merkleRoot, uint256 funding, uint256 start, uint256 end);
+    event RoundExtended(uint256 roundId, uint256 end);
+    event Claimed(uint256 roundId, uint256 index, address account, uint256 amount);
+    event RoundSwept(uint256 roundId, address treasury, uint256 amount);
+    event TreasuryUpdated(address treasury);
+
+    constructor(address token_) Ownable(msg.sender) {
+        token = token_;
+    }
+
+    /**
+     * @dev 仅在该轮领取窗口内允许领取
+     */
+    modifier whenRoundActive(uint256 roundId) {
+        require(roundId < roundCount, "MultiRoundDistributor: Round not found");
+        Round storage round = rounds[roundId];
+        require(block.timestamp >= round.start, "MultiRoundDistributor: Round not started");
+        require(round.end == 0 || block.timestamp < round.end, "MultiRoundDistributor: Round ended");
+        _;
+    }
+
+    /**
+     * @dev 开启新一轮空投，从调用者转入funding作为该轮资金（需事先approve）
+     * @return roundId 新一轮的ID
+     */
+    function openRound(bytes32 merkleRoot, uint256 funding, uint256 start, uint256 end)
+        external
+        onlyOwner
+        returns (uint256 roundId)
+    {
+        require(merkleRoot != bytes32(0), "MultiRoundDistributor: Invalid merkle root");
+        require(end == 0 || end > start, "MultiRoundDistributor: Invalid round window");
+        require(end == 0 || end > block.timestamp, "MultiRoundDistributor: End in the past");
+
+        roundId = roundCount++;
+        rounds[roundId] = Round({
+            merkleRoot: merkleRoot,
+            funding: funding,
+            claimed: 0,
+            start: start,
+            end: end,
+            swept: false
+        });
+
+        require(IERC20(token).transferFrom(msg.sender, address(this), funding), "MultiRoundDistributor: Transfer failed");
+        emit RoundOpened(roundId, merkleRoot, funding, start, end);
+    }
+
+    /**
+     * @dev 延长某一轮的截止时间（截止后不能再修改）
+     */
+    function extendRound(uint256 roundId, uint256 end) external onlyOwner {
+        require(roundId < roundCount, "MultiRoundDistributor: Round not found");
+        Round storage round = rounds[roundId];
+        require(round.end != 0, "MultiRoundDistributor: Round has no end");
+        require(block.timestamp < round.end, "MultiRoundDistributor: Round ended");
+        require(end == 0 || end > round.end, "MultiRoundDistributor: Cannot shorten round");
+
+        round.end = end;
+        emit RoundExtended(roundId, end);
+    }
+
+    /**
+     * @dev 设置剩余资金的接收地址
+     */
+    function setTreasury(address treasury_) external onlyOwner {
+        require(treasury_ != address(0), "MultiRoundDistributor: Invalid treasury");
+        treasury = treasury_;
+        emit TreasuryUpdated(treasury_);
+    }
+
+    /**
+     * @dev 判断某一轮的指定索引是否已领取
+     */
+    function isClaimed(uint256 roundId, uint256 index) public view returns (bool) {
+        uint256 wordIndex = index >> 8;
+        uint256 bitIndex = index & 0xff;
+        uint256 word = claimedBitMap[roundId][wordIndex];
+        return (word >> bitIndex) & 1 == 1;
+    }
+
+    /**
+     * @dev 标记某一轮的指定索引为已领取
+     */
+    function _setClaimed(uint256 roundId, uint256 index) private {
+        uint256 wordIndex = index >> 8;
+        uint256 bitIndex = index & 0xff;
+        claimedBitMap[roundId][wordIndex] |= (1 << bitIndex);
+    }
+
+    /**
+     * @dev 领取某一轮的空投，merkleProof为组合证明（combinedProof）
+     */
+    function claim(
+        uint256 roundId,
+        uint256 index,
+        address account,
+        uint256 amount,
+        bytes32[] calldata merkleProof
+    ) external whenRoundActive(roundId) {
+        require(!isClaimed(roundId, index), "MultiRoundDistributor: Drop already claimed");
+
+        bytes32 node = keccak256(abi.encodePacked(index, account, amount));
+        require(MerkleProof.verify(merkleProof, rounds[roundId].merkleRoot, node), "MultiRoundDistributor: Invalid proof");
+
+        _payout(roundId, index, account, amount);
+    }
+
+    /**
+     * @dev 两层Merkle树的组合证明领取方法：叶子→批次根（batchProof），批次根→该轮顶层根（rootProof）
+     */
+    function claimWithBatchProof(
+        uint256 roundId,
+        uint256 index,
+        address account,
+        uint256 amount,
+        bytes32[] calldata batchProof,
+        bytes32[] calldata rootProof
+    ) external whenRoundActive(roundId) {
+        require(!isClaimed(roundId, index), "MultiRoundDistributor: Drop already claimed");
+
+        // 参数较多，直接计算根而不保存中间变量，避免stack too deep
+        bytes32 batchRoot = MerkleProof.processProofCalldata(batchProof, keccak256(abi.encodePacked(index, account, amount)));
+        require(
+            MerkleProof.processProofCalldata(rootProof, batchRoot) == rounds[roundId].merkleRoot,
+            "MultiRoundDistributor: Invalid proof"
+        );
+
+        _payout(roundId, index, account, amount);
+    }
+
+    /**
+     * @dev 记录领取并从该轮资金中转账
+     */
+    function _payout(uint256 roundId, uint256 index, address account, uint256 amount) private {
+        Round storage round = rounds[roundId];
+        require(round.claimed + amount <= round.funding, "MultiRoundDistributor: Round funding exceeded");
+
+        _setClaimed(roundId, index);
+        round.claimed += amount;
+        require(IERC20(token).transfer(account, amount), "MultiRoundDistributor: Transfer failed");
+        emit Claimed(roundId, index, account, amount);
+    }
+
+    /**
+     * @dev 某一轮截止后将该轮剩余资金转入treasury，不影响其他轮次
+     */
+    function sweepRound(uint256 roundId) external onlyOwner {
+        require(roundId < roundCount, "MultiRoundDistributor: Round not found");
+        Round storage round = rounds[roundId];
+        require(round.end != 0 && block.timestamp >= round.end, "MultiRoundDistributor: Round not ended");
+        require(!round.swept, "MultiRoundDistributor: Round already swept");
+        require(treasury != address(0), "MultiRoundDistributor: Invalid treasury");
+
+        round.swept = true;
+        uint256 amount = round.funding - round.claimed;
+        require(IERC20(token).transfer(treasury, amount), "MultiRoundDistributor: Transfer failed");
+        emit RoundSwept(roundId, treasury, amount);
+    }
+}
@@ -0,0 +1,194 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+
+/**
+ * @dev 多代币空投分发合约：叶子为 (index, account, token, amount)，一个Merkle根可同时分发多种代币
+ * 每种代币单独记账，rescue/sweep只能动用该代币自身的余额，不会占用其他代币的分配
+ */
+contract MultiTokenDistributor is Ownable {
+    // 合作方代币不一定遵循返回bool的ERC20约定，统一使用SafeERC20转账
+    using SafeERC20 for IERC20;
+
+    // 顶层Merkle树根（与代币分配总额一起在部署时确定）
+    bytes32 public immutable merkleRoot;
+
+    // 已领取的记录
+    mapping(uint256 => uint256) private claimedBitMap;
+
+    // 每种代币的分配总额与已领取金额
+    mapping(address => uint256) public allocated;
+    mapping(address => uint256) public claimed;
+    address[] private tokenList;
+
+    // 领取截止时间，0表示不设截止时间
+    uint256 public claimEnd;
+
+    // 截止后剩余代币的接收地址
+    address public treasury;
+
+    event Claimed(uint256 index, address account, address token, uint256 amount);
+    event ClaimEndUpdated(uint256 claimEnd);
+    event TreasuryUpdated(address treasury);
+    event Swept(address token, address treasury, uint256 amount);
+
+    constructor(bytes32 merkleRoot_, address[] memory tokens_, uint256[] memory allocations_) Ownable(msg.sender) {
+        require(tokens_.length == allocations_.length, "MultiTokenDistributor: Array lengths mismatch");
+        merkleRoot = merkleRoot_;
+
+        for (uint256 i = 0; i < tokens_.length; i++) {
+            require(tokens_[i] != address(0), "MultiTokenDistributor: Invalid token");
+            require(allocated[tokens_[i]] == 0, "MultiTokenDistributor: Duplicate token");
+            allocated[tokens_[i]] = allocations_[i];
+            tokenList.push(tokens_[i]);
+        }
+    }
+
+    /**
+     * @dev 截止前允许领取
+     */
+    modifier whenClaimActive() {
+        require(claimEnd == 0 || block.timestamp < claimEnd, "MultiTokenDistributor: Claim ended");
+        _;
+    }
+
+    /**
+     * @dev 本合约分发的所有代币
+     */
+    function tokens() external view returns (address[] memory) {
+        return tokenList;
+    }
+
+    /**
+     * @dev 某种代币尚未领取的分配金额
+     */
+    function outstanding(address token) public view returns (uint256) {
+        return allocated[token] - claimed[token];
+    }
+
+    /**
+     * @dev 判断指定索引是否已领取
+     */
+    function isClaimed(uint256 index) public view returns (bool) {
+        uint256 wordIndex = index >> 8;
+        uint256 bitIndex = index & 0xff;
+        uint256 word = claimedBitMap[wordIndex];
+        return (word >> bitIndex) & 1 == 1;
+    }
+
+    /**
+     * @dev 标记指定索引为已领取
+     */
+    function _setClaimed(uint256 index) private {
+        uint256 wordIndex = index >> 8;
+        uint256 bitIndex = index & 0xff;
+        claimedBitMap[wordIndex] |= (1 << bitIndex);
+    }
+
+    /**
+     * @dev 设置领取截止时间：首次设置不受限制，之后只能延后，截止后不能再修改
+     */
+    function setClaimEnd(uint256 end) external onlyOwner {
+        require(end == 0 || end > block.timestamp, "MultiTokenDistributor: End in the past");
+        if (claimEnd != 0) {
+            require(block.timestamp < claimEnd, "MultiTokenDistributor: Claim ended");
+            require(end == 0 || end >= claimEnd, "MultiTokenDistributor: Cannot shorten claim window");
+        }
+
+        claimEnd = end;
+        emit ClaimEndUpdated(end);
+    }
+
+    /**
+     * @dev 设置剩余代币的接收地址
+     */
+    function setTreasury(address treasury_) external onlyOwner {
+        require(treasury_ != address(0), "MultiTokenDistributor: Invalid treasury");
+        treasury = treasury_;
+        emit TreasuryUpdated(treasury_);
+    }
+
+    /**
+     * @dev 领取一笔空投，merkleProof为组合证明（combinedProof）
+     */
+    function claim(
+        uint256 index,
+        address account,
+        address token,
+        uint256 amount,
+        bytes32[] calldata merkleProof
+    ) external whenClaimActive {
+        _claim(index, account, token, amount, merkleProof);
+    }
+
+    /**
+     * @dev 在一笔交易中领取同一地址的多笔空投（可以是不同代币）
+     */
+    function claimMultiple(
+        uint256[] calldata indices,
+        address account,
+        address[] calldata tokens_,
+        uint256[] calldata amounts,
+        bytes32[][] calldata merkleProofs
+    ) external whenClaimActive {
+        require(
+            indices.length == tokens_.length &&
+            indices.length == amounts.length &&
+            indices.length == merkleProofs.length,
+            "MultiTokenDistributor: Array lengths mismatch"
+        );
+
+        for (uint256 i = 0; i < indices.length; i++) {
+            _claim(indices[i], account, tokens_[i], amounts[i], merkleProofs[i]);
+        }
+    }
+
+    /**
+     * @dev 验证证明、按代币记账并转账
+     */
+    function _claim(
+        uint256 index,
+        address account,
+        address token,
+        uint256 amount,
+        bytes32[] calldata merkleProof
+    ) private {
+        require(!isClaimed(index), "MultiTokenDistributor: Drop already claimed");
+
+        bytes32 node = keccak256(abi.encodePacked(index, account, token, amount));
+        require(MerkleProof.verify(merkleProof, merkleRoot, node), "MultiTokenDistributor: Invalid proof");
+        require(claimed[token] + amount <= allocated[token], "MultiTokenDistributor: Allocation exceeded");
+
+        _setClaimed(index);
+        claimed[token] += amount;
+        IERC20(token).safeTransfer(account, amount);
+        emit Claimed(index, account, token, amount);
+    }
+
+    /**
+     * @dev 截止后将某种代币的全部余额转入treasury
+     */
+    function sweep(address token) external onlyOwner {
+        require(claimEnd != 0 && block.timestamp >= claimEnd, "MultiTokenDistributor: Claim not ended");
+        require(treasury != address(0), "MultiTokenDistributor: Invalid treasury");
+
+        uint256 amount = IERC20(token).balanceOf(address(this));
+        IERC20(token).safeTransfer(treasury, amount);
+        emit Swept(token, treasury, amount);
+    }
+
+    /**
+     * @dev 提取误转入或超出分配的代币（仅所有者可调用）
+     * 截止前只能提取超出该代币未领取分配的部分
+     */
+    function rescueTokens(address token, address to, uint256 amount) external onlyOwner {
+        uint256 balance = IERC20(token).balanceOf(address(this));
+        uint256 locked = (claimEnd != 0 && block.timestamp >= claimEnd) ? 0 : outstanding(token);
+        require(balance >= locked && amount <= balance - locked, "MultiTokenDistributor: Amount exceeds surplus");
+        IERC20(token).safeTransfer(to, amount);
+    }
+}
@@ -0,0 +1,25 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.20;
+
+interface IWithdrawable {
+    function withdraw(address to) external;
+}
+
+/**
+ * @dev 测试用合约：默认拒绝接收ETH，用于测试原生ETH模式下的待提取回退
+ */
+contract MockEtherRejecter {
+    bool public accepting;
+
+    function setAccepting(bool accepting_) external {
+        accepting = accepting_;
+    }
+
+    function withdrawFrom(address distributor, address to) external {
+        IWithdrawable(distributor).withdraw(to);
+    }
+
+    receive() external payable {
+        require(accepting, "MockEtherRejecter: Rejected");
+    }
+}
@@ -7,7 +7,13 @@ const PRIVATE_KEY = process.env.PRIVATE_KEY;
 // npx hardhat run scripts/deploy.js --network arbitrumTestnet
 
 module.exports = {
-  solidity: "0.8.28",
+  solidity: {
+    version: "0.8.28",
+    // MerkleDistributor接近24KB合约大小上限，需要开启优化器
+    settings: {
+      optimizer: { enabled: true, runs: 200 },
+    },
+  },
   networks: {
     arbitrum: {
       url: `https://arb-mainnet.g.alchemy.com/v2/${ALCHEMY_KEY}`,
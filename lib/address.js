@@ -0,0 +1,164 @@
+// 地址规范化 - 所有读取地址的脚本共用的规范形式与EIP-55校验，同一钱包不会因大小写或空白不同被当作两个地址
+const fs = require('fs');
+const { ethers } = require('ethers');
+
+// 0x开头的40位十六进制地址
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+
+// 拒绝原因及说明
+const REJECT_REASONS = {
+  empty: '地址为空',
+  format: '不是0x开头的40位十六进制地址',
+  checksum: '大小写混合但EIP-55校验和不正确'
+};
+
+// 报告中每种原因在日志里最多列出的地址数，完整列表见报告文件
+const MAX_LOGGED_REJECTIONS = 5;
+
+/**
+ * 校验并规范化地址
+ * 规范形式为小写（与address_map.json的键一致）；全小写或全大写的地址不含校验和，大小写混合时必须通过EIP-55校验
+ * 会去掉首尾空白、引号和UTF-8 BOM
+ * @param {*} value 原始值
+ * @returns {Object} { address, reason }，有效时address为规范形式、reason为null；无效时address为null
+ */
+function parseAddress(value) {
+  const text = value === undefined || value === null ? '' : String(value).replace(/^\uFEFF/, '').trim().replace(/^"(.*)"$/, '$1').trim();
+  if (!text) {
+    return { address: null, reason: 'empty' };
+  }
+  if (!ADDRESS_PATTERN.test(text)) {
+    return { address: null, reason: 'format' };
+  }
+  const hex = text.slice(2);
+  if (hex !== hex.toLowerCase() && hex !== hex.toUpperCase()) {
+    try {
+      ethers.getAddress(text);
+    } catch (error) {
+      return { address: null, reason: 'checksum' };
+    }
+  }
+  return { address: `0x${hex.toLowerCase()}`, reason: null };
+}
+
+/**
+ * 规范化地址
+ * @param {*} value 原始值
+ * @returns {string|null} 规范形式（小写），无效时为null
+ */
+function normalizeAddress(value) {
+  return parseAddress(value).address;
+}
+
+/**
+ * 地址的EIP-55校验和形式，用于写入叶子记录和返回给前端
+ * @param {*} value 原始值
+ * @returns {string} 校验和形式
+ */
+function toChecksumAddress(value) {
+  const { address, reason } = parseAddress(value);
+  if (!address) {
+    throw new Error(`无效地址 ${value}: ${REJECT_REASONS[reason]}`);
+  }
+  return ethers.getAddress(address);
+}
+
+/**
+ * 比较两个地址是否为同一钱包
+ * @returns {boolean} 均有效且规范形式相同时为true
+ */
+function isSameAddress(a, b) {
+  const left = normalizeAddress(a);
+  return left !== null && left === normalizeAddress(b);
+}
+
+/**
+ * 创建被拒绝地址的报告
+ * @param {string} source 读取地址的脚本或阶段名称
+ * @returns {Object} { source, rejected, reject(value, reason, location), normalize(value, location), summary(), log(), write(filePath) }
+ */
+function createRejectionReport(source) {
+  const rejected = [];
+
+  /**
+   * 记录一个被拒绝的地址
+   * @param {*} value 原始值
+   * @param {string} reason 拒绝原因（REJECT_REASONS的键）
+   * @param {Object} location 位置信息，如 { file, line, column }
+   */
+  const reject = (value, reason, location = {}) => {
+    rejected.push({
+      value: value === undefined || value === null ? '' : String(value),
+      reason,
+      message: REJECT_REASONS[reason],
+      ...location
+    });
+  };
+
+  /**
+   * 规范化地址，无效时记录到报告
+   * @returns {string|null} 规范形式，无效时为null
+   */
+  const normalize = (value, location = {}) => {
+    const { address, reason } = parseAddress(value);
+    if (!address) {
+      reject(value, reason, location);
+    }
+    return address;
+  };
+
+  /**
+   * 按原因统计被拒绝的地址
+   * @returns {Object} { source, total, byReason }
+   */
+  const summary = () => {
+    const byReason = {};
+    for (const entry of rejected) {
+      byReason[entry.reason] = (byReason[entry.reason] || 0) + 1;
+    }
+    return { source, total: rejected.length, byReason };
+  };
+
+  /**
+   * 输出被拒绝地址的统计及每种原因的前几个地址
+   */
+  const log = () => {
+    if (rejected.length === 0) {
+      return;
+    }
+    const { byReason } = summary();
+    console.warn(`${source}: 拒绝 ${rejected.length} 个地址`);
+    for (const [reason, total] of Object.entries(byReason)) {
+      const examples = rejected
+        .filter(entry => entry.reason === reason)
+        .slice(0, MAX_LOGGED_REJECTIONS)
+        .map(entry => `${entry.value || '(空)'}${entry.file ? ` (${entry.file}${entry.line ? `:${entry.line}` : ''})` : ''}`);
+      console.warn(`  - ${REJECT_REASONS[reason]}: ${total} 个，例如 ${examples.join(', ')}`);
+    }
+  };
+
+  /**
+   * 写入报告文件；没有被拒绝的地址时删除旧报告
+   * @param {string} filePath 报告文件路径
+   * @returns {boolean} 是否写入了报告
+   */
+  const write = (filePath) => {
+    if (rejected.length === 0) {
+      fs.rmSync(filePath, { force: true });
+      return false;
+    }
+    fs.writeFileSync(filePath, JSON.stringify({ ...summary(), rejected }, null, 2));
+    return true;
+  };
+
+  return { source, rejected, reject, normalize, summary, log, write };
+}
+
+module.exports = {
+  REJECT_REASONS,
+  parseAddress,
+  normalizeAddress,
+  toChecksumAddress,
+  isSameAddress,
+  createRejectionReport
+};
@@ -0,0 +1,135 @@
+// 空投金额分配 - 积分到金额的换算公式注册表，以及固定总预算下的按比例分配
+const { ethers } = require('ethers');
+
+// 未配置allocation.decimals时代币精度为18位
+const DEFAULT_DECIMALS = 18;
+
+/**
+ * 换算公式注册表：每个公式接收用户得分和积分策略的allocation配置，返回以代币为单位的金额
+ * 得分小于等于0的用户统一得到0，不进入公式计算
+ */
+const FORMULAS = {
+  // base^(score-offset)，默认1.3^(score-1)
+  exponential: (score, { base = 1.3, offset = 1 }) => Math.pow(base, score - offset),
+
+  // multiplier*score + intercept
+  linear: (score, { multiplier = 1, intercept = 0 }) => multiplier * score + intercept,
+
+  // multiplier*ln(1+score)
+  logarithmic: (score, { multiplier = 1 }) => multiplier * Math.log1p(score),
+
+  // multiplier*sqrt(score)，降低高分地址的权重
+  sqrt: (score, { multiplier = 1 }) => multiplier * Math.sqrt(score),
+
+  // 分级表：取minScore不超过得分的最高一档的金额
+  tiered: (score, { tiers }) => {
+    let amount = 0;
+    for (const tier of tiers) {
+      if (score >= tier.minScore) {
+        amount = tier.amount;
+      }
+    }
+    return amount;
+  }
+};
+
+/**
+ * 注册自定义换算公式
+ * @param {string} name 公式名称
+ * @param {Function} formula (score, allocation) => 代币数量
+ */
+function registerFormula(name, formula) {
+  if (typeof formula !== 'function') {
+    throw new Error(`公式 ${name} 必须是函数`);
+  }
+  FORMULAS[name] = formula;
+}
+
+/**
+ * 根据得分计算空投金额（未应用预算缩放）
+ * @param {number} totalScore 用户得分
+ * @param {Object} allocation 积分策略的allocation配置
+ * @returns {BigInt} 代币数量（最小单位）
+ */
+function calculateAmount(totalScore, allocation) {
+  const { formula = 'exponential', precision = 6, decimals = DEFAULT_DECIMALS } = allocation;
+  const compute = FORMULAS[formula];
+  if (!compute) {
+    throw new Error(`未知的分配公式: ${formula}，可用公式: ${Object.keys(FORMULAS).join(', ')}`);
+  }
+
+  // 确保totalScore是数字
+  const score = parseFloat(totalScore);
+  if (!(score > 0)) return 0n;
+
+  const amount = compute(score, allocation);
+  if (!Number.isFinite(amount)) {
+    throw new Error(`公式 ${formula} 对得分 ${score} 的计算结果无效: ${amount}`);
+  }
+  if (amount <= 0) return 0n;
+
+  // 按精度截断后转换为最小单位，并确保是整数
+  return ethers.parseUnits(amount.toFixed(precision), decimals);
+}
+
+/**
+ * 获取预算总额（最小单位），未配置预算时返回null
+ * @param {Object} allocation 积分策略的allocation配置
+ * @returns {BigInt|null} 预算总额
+ */
+function getBudget(allocation) {
+  if (allocation.budget === undefined || allocation.budget === null) {
+    return null;
+  }
+  return ethers.parseUnits(String(allocation.budget), allocation.decimals ?? DEFAULT_DECIMALS);
+}
+
+/**
+ * 将权重按比例缩放到固定预算，全程使用BigInt整数运算
+ * 向下取整后剩余的零头按最大余数法分配：余数大的优先，余数相同按索引从小到大，每个地址最多多得1个最小单位
+ * @param {Array<BigInt>} weights 各地址的权重（按全局索引排列）
+ * @param {BigInt} budget 预算总额（最小单位）
+ * @returns {Array<BigInt>} 缩放后的金额，总和恰好等于budget
+ */
+function scaleToBudget(weights, budget) {
+  const totalWeight = weights.reduce((sum, w) => sum + w, 0n);
+  if (totalWeight === 0n) {
+    throw new Error('所有地址的权重均为0，无法按预算分配');
+  }
+
+  const amounts = new Array(weights.length);
+  const remainders = [];
+  let allocated = 0n;
+
+  for (let i = 0; i < weights.length; i++) {
+    const scaled = budget * weights[i];
+    amounts[i] = scaled / totalWeight;
+    allocated += amounts[i];
+
+    const remainder = scaled % totalWeight;
+    if (remainder > 0n) {
+      remainders.push({ index: i, remainder });
+    }
+  }
+
+  // 零头一定小于有余数的地址数量，因此权重为0的地址不会分到零头
+  const dust = Number(budget - allocated);
+  remainders.sort((a, b) => {
+    if (a.remainder !== b.remainder) return a.remainder > b.remainder ? -1 : 1;
+    return a.index - b.index;
+  });
+  for (let i = 0; i < dust; i++) {
+    amounts[remainders[i].index] += 1n;
+  }
+
+  return amounts;
+}
+
+module.exports = {
+  DEFAULT_DECIMALS,
+  FORMULAS,
+  registerFormula,
+  calculateAmount,
+  getBudget,
+  scaleToBudget
+};
@@ -0,0 +1,103 @@
+// 签名领取的EIP-712类型定义 - 与MerkleDistributor中的CLAIM_TYPEHASH/CLAIM_TO_TYPEHASH保持一致
+const { ethers } = require('ethers');
+
+// 与合约构造函数中EIP712(name, version)一致
+const DOMAIN_NAME = 'MerkleDistributor';
+const DOMAIN_VERSION = '1';
+
+// claimBySig：代币转给签名账户
+const CLAIM_TYPES = {
+  Claim: [
+    { name: 'index', type: 'uint256' },
+    { name: 'account', type: 'address' },
+    { name: 'amount', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+
+// claimTo：代币转给签名中指定的接收地址
+const CLAIM_TO_TYPES = {
+  ClaimTo: [
+    { name: 'index', type: 'uint256' },
+    { name: 'account', type: 'address' },
+    { name: 'amount', type: 'uint256' },
+    { name: 'recipient', type: 'address' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+
+/**
+ * 构造分发合约的EIP-712 domain
+ * @param {number|string|BigInt} chainId 链ID
+ * @param {string} verifyingContract 分发合约地址
+ * @returns {Object} domain
+ */
+function buildDomain(chainId, verifyingContract) {
+  if (!ethers.isAddress(verifyingContract)) {
+    throw new Error(`无效的分发合约地址: ${verifyingContract}`);
+  }
+  return {
+    name: DOMAIN_NAME,
+    version: DOMAIN_VERSION,
+    chainId: chainId.toString(),
+    verifyingContract: ethers.getAddress(verifyingContract)
+  };
+}
+
+/**
+ * 构造claimBySig需要签名的数据
+ * @param {Object} domain buildDomain的结果
+ * @param {Object} claim { index, account, amount, nonce, deadline }
+ * @returns {Object} { domain, types, primaryType, message }
+ */
+function buildClaimTypedData(domain, { index, account, amount, nonce, deadline }) {
+  return {
+    domain,
+    types: CLAIM_TYPES,
+    primaryType: 'Claim',
+    message: {
+      index: index.toString(),
+      account: ethers.getAddress(account),
+      amount: amount.toString(),
+      nonce: nonce.toString(),
+      deadline: deadline.toString()
+    }
+  };
+}
+
+/**
+ * 构造claimTo需要签名的数据
+ * @param {Object} domain buildDomain的结果
+ * @param {Object} claim { index, account, amount, recipient, nonce, deadline }
+ * @returns {Object} { domain, types, primaryType, message }
+ */
+function buildClaimToTypedData(domain, { index, account, amount, recipient, nonce, deadline }) {
+  if (!ethers.isAddress(recipient) || recipient === ethers.ZeroAddress) {
+    throw new Error(`无效的接收地址: ${recipient}`);
+  }
+  return {
+    domain,
+    types: CLAIM_TO_TYPES,
+    primaryType: 'ClaimTo',
+    message: {
+      index: index.toString(),
+      account: ethers.getAddress(account),
+      amount: amount.toString(),
+      recipient: ethers.getAddress(recipient),
+      nonce: nonce.toString(),
+      deadline: deadline.toString()
+    }
+  };
+}
+
+module.exports = {
+  DOMAIN_NAME,
+  DOMAIN_VERSION,
+  CLAIM_TYPES,
+  CLAIM_TO_TYPES,
+  buildDomain,
+  buildClaimTypedData,
+  buildClaimToTypedData
+};
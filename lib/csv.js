@@ -0,0 +1,321 @@
+// CSV读取 - 基于csv-parse的流式读取，按表头名称解析列并校验各阶段声明的列schema，自动识别分隔符，
+// 引号中的逗号（如ENS名称、标签）不会被拆分；无法解析或缺少必需值的行作为带文件名和行号的行错误报告
+// 同一schema也可用于读取NDJSON（每行一个JSON对象，字段名即表头）
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { parse } = require('csv-parse');
+
+// 可识别的分隔符，按优先级排列
+const DELIMITERS = [',', '\t', ';'];
+
+// 识别分隔符时读取的文件开头字节数
+const SNIFF_BYTES = 64 * 1024;
+
+/**
+ * 各阶段输入的列schema
+ * 键为读取后使用的列名；names为可接受的表头名（不区分大小写，按顺序取第一个存在的），
+ * required为必需列，type为number时值解析为数字；fallbackIndex仅用于表头不规范的旧快照文件，表头中没有names时按位置读取
+ */
+const SCHEMAS = {
+  // generate_merkle_tree.js：空投用户CSV
+  merkleInput: {
+    stage: 'generate_merkle_tree',
+    columns: {
+      address: { names: ['address'], required: true },
+      score: { names: ['total_score', 'score'], required: true, type: 'number' },
+      token: { names: ['token'] }
+    }
+  },
+  // cross_check_addresses.js：csv-merged中的1-9.csv
+  crossCheckInput: {
+    stage: 'cross_check_addresses',
+    columns: {
+      address: { names: ['address'], required: true }
+    }
+  },
+  // cross_check_addresses.js：孤岛地址快照
+  islandSnapshot: {
+    stage: 'cross_check_addresses',
+    columns: {
+      address: { names: ['address'], required: true, fallbackIndex: 0 }
+    }
+  },
+  // cross_check_addresses.js：连续周低gas地址快照
+  lowGasSnapshot: {
+    stage: 'cross_check_addresses',
+    columns: {
+      address: { names: ['address'], required: true, fallbackIndex: 0 },
+      weeks: { names: ['weeks_with_low_gas_behavior'], required: true, type: 'number' }
+    }
+  },
+  // cross_check_addresses.js：Arbitrum ENS活跃地址
+  ensAddresses: {
+    stage: 'cross_check_addresses',
+    columns: {
+      address: { names: ['address'], required: true, fallbackIndex: 0 },
+      ensName: { names: ['ens_name'] }
+    }
+  },
+  // detect_sybil_clusters.js：空投用户CSV（merge_with_cleaned_results.js的输出）
+  sybilInput: {
+    stage: 'detect_sybil_clusters',
+    columns: {
+      address: { names: ['address'], required: true },
+      score: { names: ['total_score', 'score'], required: true, type: 'number' }
+    }
+  },
+  // detect_sybil_clusters.js：本地导出的转账记录（CSV或NDJSON），时间为Unix时间戳或ISO时间
+  transfers: {
+    stage: 'detect_sybil_clusters',
+    columns: {
+      from: { names: ['from', 'from_address'], required: true },
+      to: { names: ['to', 'to_address'], required: true },
+      timestamp: { names: ['timestamp', 'block_timestamp', 'time'], required: true },
+      value: { names: ['value', 'amount'] },
+      hash: { names: ['hash', 'tx_hash', 'transaction_hash'] }
+    }
+  }
+};
+
+/**
+ * 根据表头行识别分隔符：引号外出现次数最多的候选分隔符，都没有出现时为逗号
+ * @param {string} line 表头行
+ * @returns {string} 分隔符
+ */
+function detectDelimiter(line) {
+  const counts = new Map(DELIMITERS.map(delimiter => [delimiter, 0]));
+  let quoted = false;
+  for (const char of line) {
+    if (char === '"') {
+      quoted = !quoted;
+    } else if (!quoted && counts.has(char)) {
+      counts.set(char, counts.get(char) + 1);
+    }
+  }
+  let best = DELIMITERS[0];
+  for (const [delimiter, count] of counts) {
+    if (count > counts.get(best)) {
+      best = delimiter;
+    }
+  }
+  return best;
+}
+
+/**
+ * 读取文件的第一行非空行（去掉BOM）
+ * @param {string} filePath 文件路径
+ * @returns {string} 第一行，空文件为空字符串
+ */
+function readFirstLine(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(SNIFF_BYTES);
+    const bytesRead = fs.readSync(fd, buffer, 0, SNIFF_BYTES, 0);
+    const text = buffer.toString('utf8', 0, bytesRead).replace(/^\uFEFF/, '');
+    return text.split(/\r?\n/).find(line => line.trim()) || '';
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * 按schema查找各列在表头中的位置
+ * @returns {Object} { columns: 列名 => 列位置（可选列不存在时不包含该列）, missing: 缺少的必需列 }
+ */
+function findColumns(headers, schema) {
+  const normalized = headers.map(header => header.trim().toLowerCase());
+  const columns = {};
+  const missing = [];
+  for (const [key, spec] of Object.entries(schema.columns)) {
+    const index = spec.names.map(name => normalized.indexOf(name.toLowerCase())).find(i => i !== -1);
+    if (index !== undefined) {
+      columns[key] = index;
+    } else if (spec.fallbackIndex !== undefined && spec.fallbackIndex < headers.length) {
+      columns[key] = spec.fallbackIndex;
+    } else if (spec.required) {
+      missing.push(spec.names.join('或'));
+    }
+  }
+  return { columns, missing };
+}
+
+/**
+ * 按schema从表头解析各列的位置
+ * @param {Array<string>} headers 表头
+ * @param {Object} schema 列schema
+ * @param {string} file 文件名（用于错误信息）
+ * @returns {Object} 列名 => 列位置，可选列不存在时不包含该列
+ */
+function resolveColumns(headers, schema, file) {
+  const { columns, missing } = findColumns(headers, schema);
+  if (missing.length > 0) {
+    throw new Error(`CSV文件 ${file} 缺少${schema.stage}阶段的必需列: ${missing.join(', ')}（表头: ${headers.join(', ')}）`);
+  }
+  return columns;
+}
+
+/**
+ * 按schema解析一行的值
+ * @returns {Object} { values, error }，error为 { column, message } 或null
+ */
+function parseValues(record, columns, schema) {
+  const values = {};
+  for (const [key, index] of Object.entries(columns)) {
+    const spec = schema.columns[key];
+    const value = index < record.length ? record[index] : undefined;
+    if (value === undefined || value === '') {
+      if (spec.required) {
+        return { values, error: { column: spec.names[0], message: value === undefined ? '缺少该列' : '值为空' } };
+      }
+      values[key] = spec.type === 'number' ? null : '';
+      continue;
+    }
+    if (spec.type === 'number') {
+      const number = Number(value);
+      if (!Number.isFinite(number)) {
+        return { values, error: { column: spec.names[0], message: `不是数字: ${value}` } };
+      }
+      values[key] = number;
+    } else {
+      values[key] = value;
+    }
+  }
+  return { values, error: null };
+}
+
+/**
+ * 流式读取CSV文件，第一行为表头
+ * @param {string} filePath 文件路径
+ * @param {Object} schema 列schema（SCHEMAS中的一项），缺少必需列时抛出错误
+ * @param {Object} options 选项
+ * @param {string} options.delimiter 分隔符（默认根据表头识别）
+ * @param {Function} options.onHeader 解析表头后调用 ({ headers, columns, delimiter })
+ * @param {Function} options.onRowError 行错误回调 ({ file, line, column?, message })，默认输出警告
+ * @returns {AsyncGenerator<Object>} { values, row, file, line }：values为schema中的列，row为 表头 => 值，
+ *   line为该行在文件中的行号（表头为第1行，引号内跨行的记录为其最后一行）
+ */
+async function* readCsv(filePath, schema, options = {}) {
+  const file = path.basename(filePath);
+  const onRowError = options.onRowError || (error => console.warn(formatRowError(error)));
+  const delimiter = options.delimiter || detectDelimiter(readFirstLine(filePath));
+
+  // 引号不匹配等无法解析的行被跳过，作为行错误报告
+  const skipped = [];
+  const parser = fs.createReadStream(filePath).pipe(parse({
+    delimiter,
+    bom: true,
+    trim: true,
+    info: true,
+    skip_empty_lines: true,
+    relax_column_count: true,
+    skip_records_with_error: true,
+    on_skip: (error) => {
+      skipped.push({ file, line: error.lines, message: `无法解析: ${error.message}` });
+    }
+  }));
+
+  let headers = null;
+  let columns = null;
+  for await (const { record, info } of parser) {
+    // 解析器可能先于已缓冲的记录报告错误，按行号顺序输出
+    while (skipped.length > 0 && skipped[0].line < info.lines) {
+      onRowError(skipped.shift());
+    }
+    if (!headers) {
+      headers = record;
+      columns = resolveColumns(headers, schema, file);
+      if (options.onHeader) {
+        options.onHeader({ headers, columns, delimiter });
+      }
+      continue;
+    }
+
+    const line = info.lines;
+    const { values, error } = parseValues(record, columns, schema);
+    if (error) {
+      onRowError({ file, line, ...error });
+      continue;
+    }
+    const row = {};
+    headers.forEach((header, i) => {
+      row[header] = i < record.length ? record[i] : '';
+    });
+    yield { values, row, file, line };
+  }
+  for (const error of skipped) {
+    onRowError(error);
+  }
+  if (!headers) {
+    throw new Error(`CSV文件 ${file} 没有表头`);
+  }
+}
+
+/**
+ * 流式读取NDJSON文件（每行一个JSON对象），字段名按schema的表头名匹配
+ * 无法解析、不是对象或缺少必需字段的行作为行错误报告
+ * @param {string} filePath 文件路径
+ * @param {Object} schema 列schema（SCHEMAS中的一项）
+ * @param {Object} options 选项
+ * @param {Function} options.onRowError 行错误回调，同readCsv
+ * @returns {AsyncGenerator<Object>} { values, row, file, line }，同readCsv
+ */
+async function* readNdjson(filePath, schema, options = {}) {
+  const file = path.basename(filePath);
+  const onRowError = options.onRowError || (error => console.warn(formatRowError(error)));
+  const rl = readline.createInterface({
+    input: fs.createReadStream(filePath),
+    crlfDelay: Infinity
+  });
+
+  let line = 0;
+  for await (const text of rl) {
+    line++;
+    const content = line === 1 ? text.replace(/^\uFEFF/, '') : text;
+    if (!content.trim()) continue;
+
+    let object;
+    try {
+      object = JSON.parse(content);
+    } catch (error) {
+      onRowError({ file, line, message: `无法解析: ${error.message}` });
+      continue;
+    }
+    if (!object || typeof object !== 'object' || Array.isArray(object)) {
+      onRowError({ file, line, message: '不是JSON对象' });
+      continue;
+    }
+
+    const headers = Object.keys(object);
+    const { columns, missing } = findColumns(headers, schema);
+    if (missing.length > 0) {
+      onRowError({ file, line, column: missing[0], message: '缺少该字段' });
+      continue;
+    }
+    const record = headers.map(key => (object[key] === null || object[key] === undefined ? '' : String(object[key]).trim()));
+    const { values, error } = parseValues(record, columns, schema);
+    if (error) {
+      onRowError({ file, line, ...error });
+      continue;
+    }
+    yield { values, row: object, file, line };
+  }
+}
+
+/**
+ * 行错误的文字描述
+ * @param {Object} error { file, line, column?, message }
+ * @returns {string} 如 "a.csv:12 total_score: 不是数字: abc"
+ */
+function formatRowError({ file, line, column, message }) {
+  return `${file}:${line} ${column ? `${column}: ` : ''}${message}`;
+}
+
+module.exports = {
+  SCHEMAS,
+  detectDelimiter,
+  resolveColumns,
+  readCsv,
+  readNdjson,
+  formatRowError
+};
@@ -0,0 +1,275 @@
+// 重复地址合并 - 生成Merkle树前把同一地址（多代币模式下为同一地址和代币）的多条记录合并为一个叶子
+
+const fs = require('fs');
+
+/**
+ * 合并策略注册表：每个策略接收已合并的出现记录和新的出现记录，返回合并后保留的金额
+ * 出现记录为 { file, line, score, amount }，file为CSV文件名，line为文件中的行号（表头为第1行）
+ */
+const DUPLICATE_POLICIES = {
+  // 金额相加
+  sum: (merged, occurrence) => merged.amount + occurrence.amount,
+
+  // 取金额最大的一条
+  max: (merged, occurrence) => (occurrence.amount > merged.amount ? occurrence.amount : merged.amount),
+
+  // 取文件名排序后最先出现的一条，与记录的排序方式无关
+  first: (merged, occurrence) => (compareOccurrences(occurrence, merged.first) < 0 ? occurrence.amount : merged.amount),
+
+  // 出现重复即报错，由consolidateRecords在读取完所有记录后统一报告
+  error: (merged) => merged.amount
+};
+
+// 默认策略：与累计模式对同一地址本期多次出现时的处理一致
+const DEFAULT_DUPLICATE_POLICY = 'sum';
+
+// 报错时最多列出的重复地址数
+const MAX_REPORTED_DUPLICATES = 10;
+
+/**
+ * 按文件名和行号比较两条出现记录
+ * @param {Object} a 出现记录
+ * @param {Object} b 出现记录
+ * @returns {number} 负数表示a先出现
+ */
+function compareOccurrences(a, b) {
+  if (a.file !== b.file) {
+    return a.file < b.file ? -1 : 1;
+  }
+  return a.line - b.line;
+}
+
+/**
+ * 记录的去重键：小写地址，多代币模式下为 小写地址:小写代币（与address_map.json的键一致）
+ * @param {Object} record { address, token? }
+ * @returns {string} 去重键
+ */
+function duplicateKey(record) {
+  const address = record.address.toLowerCase();
+  return record.token ? `${address}:${record.token.toLowerCase()}` : address;
+}
+
+/**
+ * 校验合并策略名称
+ * @param {string} policy 策略名称
+ * @returns {string} 策略名称
+ */
+function resolveDuplicatePolicy(policy = DEFAULT_DUPLICATE_POLICY) {
+  if (!Object.prototype.hasOwnProperty.call(DUPLICATE_POLICIES, policy)) {
+    throw new Error(`未知的重复地址策略: ${policy}，可用策略: ${Object.keys(DUPLICATE_POLICIES).join(', ')}`);
+  }
+  return policy;
+}
+
+/**
+ * 以第一次出现的记录开始一组合并
+ * @returns {Object} { key, entry, amount, first, initial, occurrences }，只有出现重复时才保存所有出现记录
+ */
+function startGroup(key, record, occurrence) {
+  const entry = { address: record.address, amount: occurrence.amount };
+  if (record.token) {
+    entry.token = record.token;
+  }
+  return { key, entry, amount: occurrence.amount, first: occurrence, initial: occurrence, occurrences: null };
+}
+
+/**
+ * 把重复出现的记录按策略合并到组中
+ */
+function addOccurrence(group, occurrence, merge) {
+  group.amount = merge(group, occurrence);
+  if (compareOccurrences(occurrence, group.first) < 0) {
+    group.first = occurrence;
+  }
+  group.occurrences = group.occurrences || [group.initial];
+  group.occurrences.push(occurrence);
+  group.entry.amount = group.amount;
+}
+
+/**
+ * 出现重复的组转换为报告条目，没有重复时返回null
+ */
+function toDuplicate(group) {
+  if (!group.occurrences) {
+    return null;
+  }
+  const occurrences = group.occurrences.sort(compareOccurrences);
+  return {
+    key: group.key,
+    address: group.entry.address,
+    ...(group.entry.token ? { token: group.entry.token } : {}),
+    amount: group.amount,
+    conflict: occurrences.some(o => o.amount !== occurrences[0].amount),
+    occurrences
+  };
+}
+
+/**
+ * error策略下存在重复时报错，列出前MAX_REPORTED_DUPLICATES个重复地址及其位置
+ * @param {string} policy 合并策略
+ * @param {number} count 重复地址数
+ * @param {Array} duplicates 重复地址，只使用前MAX_REPORTED_DUPLICATES个
+ */
+function assertNoDuplicates(policy, count, duplicates) {
+  if (policy !== 'error' || count === 0) {
+    return;
+  }
+  const listed = duplicates.slice(0, MAX_REPORTED_DUPLICATES)
+    .map(d => `${d.key} (${d.occurrences.map(o => `${o.file}:${o.line}`).join(', ')})`);
+  throw new Error(
+    `发现 ${count} 个重复地址（重复地址策略为error）: ${listed.join('; ')}` +
+    (count > MAX_REPORTED_DUPLICATES ? ' 等' : '')
+  );
+}
+
+/**
+ * 重复地址转换为报告条目，金额转换为字符串
+ */
+function serializeDuplicate(duplicate) {
+  return {
+    ...duplicate,
+    amount: duplicate.amount.toString(),
+    occurrences: duplicate.occurrences.map(o => ({ ...o, amount: o.amount.toString() }))
+  };
+}
+
+/**
+ * 流式重复地址报告：每个重复地址写入NDJSON文件的一行，内存中只保留计数和报错时列出的前几个重复地址
+ * @param {string} policy 合并策略
+ * @param {string|null} filePath NDJSON报告路径，第一次出现重复地址时创建；为null时只计数
+ * @returns {Object} { add, close, summary, examples }，summary()返回 { policy, duplicateKeys, mergedRows, conflicts }
+ */
+function createDuplicateStream(policy, filePath = null) {
+  const counts = { duplicateKeys: 0, mergedRows: 0, conflicts: 0 };
+  const examples = [];
+  let fd = null;
+
+  return {
+    examples,
+    add(duplicate) {
+      counts.duplicateKeys++;
+      counts.mergedRows += duplicate.occurrences.length - 1;
+      if (duplicate.conflict) {
+        counts.conflicts++;
+      }
+      if (examples.length < MAX_REPORTED_DUPLICATES) {
+        examples.push(duplicate);
+      }
+      if (filePath !== null) {
+        fd = fd === null ? fs.openSync(filePath, 'w') : fd;
+        fs.writeSync(fd, JSON.stringify(serializeDuplicate(duplicate)) + '\n');
+      }
+    },
+    close() {
+      if (fd !== null) {
+        fs.closeSync(fd);
+        fd = null;
+      }
+    },
+    summary() {
+      return { policy, ...counts };
+    }
+  };
+}
+
+const toOccurrence = (record, amountOf) => ({ file: record.file, line: record.line, score: record.score, amount: amountOf(record) });
+
+/**
+ * 合并所有输入中的重复记录
+ * 合并后的条目按去重键第一次出现的顺序排列，因此全局索引仍由记录的排序方式决定
+ * @param {Iterable|AsyncIterable} records 记录 { address, score, token?, file, line }
+ * @param {string} policy 合并策略：sum、max、first或error
+ * @param {Function} amountOf (record) => BigInt，单条记录的金额（预算模式下为缩放前的权重）
+ * @returns {Promise<Object>} { entries, duplicates }
+ *   entries为 { address, token?, amount }；duplicates为重复的键及其所有出现记录，conflict表示各条金额不同
+ */
+async function consolidateRecords(records, policy, amountOf) {
+  const merge = DUPLICATE_POLICIES[resolveDuplicatePolicy(policy)];
+  const entries = [];
+  const groups = new Map();
+
+  for await (const record of records) {
+    const occurrence = toOccurrence(record, amountOf);
+    const key = duplicateKey(record);
+    const group = groups.get(key);
+    if (group) {
+      addOccurrence(group, occurrence, merge);
+    } else {
+      const created = startGroup(key, record, occurrence);
+      groups.set(key, created);
+      entries.push(created.entry);
+    }
+  }
+
+  const duplicates = [...groups.values()].map(toDuplicate).filter(Boolean);
+  assertNoDuplicates(policy, duplicates.length, duplicates);
+  return { entries, duplicates };
+}
+
+/**
+ * 流式合并已按去重键排序的记录：同一键的记录相邻，只在内存中保留当前一组
+ * 重复地址交给report（见createDuplicateStream）；error策略在所有记录读取完成后报错
+ * @param {AsyncIterable} records 按去重键排序的记录 { address, score, token?, file, line }
+ * @param {string} policy 合并策略
+ * @param {Function} amountOf (record) => BigInt
+ * @param {Object} report 流式重复地址报告
+ * @returns {AsyncGenerator<Object>} 合并后的条目 { address, token?, amount }
+ */
+async function* consolidateSortedRecords(records, policy, amountOf, report = createDuplicateStream(policy)) {
+  const merge = DUPLICATE_POLICIES[resolveDuplicatePolicy(policy)];
+  let group = null;
+  const finish = () => {
+    const duplicate = toDuplicate(group);
+    if (duplicate) {
+      report.add(duplicate);
+    }
+    return group.entry;
+  };
+
+  for await (const record of records) {
+    const occurrence = toOccurrence(record, amountOf);
+    const key = duplicateKey(record);
+    if (group && group.key === key) {
+      addOccurrence(group, occurrence, merge);
+      continue;
+    }
+    if (group) {
+      yield finish();
+    }
+    group = startGroup(key, record, occurrence);
+  }
+  if (group) {
+    yield finish();
+  }
+  assertNoDuplicates(policy, report.summary().duplicateKeys, report.examples);
+}
+
+/**
+ * 生成重复地址报告（json存储的duplicates.json的内容），金额转换为字符串
+ * @param {string} policy 合并策略
+ * @param {Array} duplicates consolidateRecords返回的duplicates
+ * @returns {Object} { policy, duplicateKeys, mergedRows, conflicts, duplicates }
+ */
+function buildDuplicateReport(policy, duplicates) {
+  return {
+    policy,
+    // 出现重复的地址数
+    duplicateKeys: duplicates.length,
+    // 被合并掉的记录数（每个重复地址的出现次数减1）
+    mergedRows: duplicates.reduce((sum, d) => sum + d.occurrences.length - 1, 0),
+    // 各条金额不一致的重复地址数
+    conflicts: duplicates.filter(d => d.conflict).length,
+    duplicates: duplicates.map(serializeDuplicate)
+  };
+}
+
+module.exports = {
+  DUPLICATE_POLICIES,
+  DEFAULT_DUPLICATE_POLICY,
+  resolveDuplicatePolicy,
+  duplicateKey,
+  consolidateRecords,
+  consolidateSortedRecords,
+  createDuplicateStream,
+  buildDuplicateReport
+};
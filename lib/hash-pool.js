@@ -0,0 +1,164 @@
+// 批次哈希线程池 - 在worker_threads中计算叶子哈希并构建批次Merkle树，主线程只负责读取输入和写入结果
+const os = require('os');
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+const merkle = require('./merkle');
+
+// 每个线程同时排队的批次数，超出时等待最早提交的批次完成，限制待处理批次占用的内存
+const BATCHES_PER_THREAD = 2;
+
+/**
+ * 默认线程数：可用的CPU核数
+ * @returns {number} 线程数
+ */
+function defaultThreadCount() {
+  return typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length;
+}
+
+/**
+ * 校验线程数
+ * @param {number|string} threads 线程数
+ * @returns {number} 线程数
+ */
+function resolveThreadCount(threads = defaultThreadCount()) {
+  const count = Number(threads);
+  if (!Number.isInteger(count) || count < 1) {
+    throw new Error(`无效的线程数: ${threads}`);
+  }
+  return count;
+}
+
+/**
+ * 创建批次哈希线程池
+ * 线程数为1时不创建worker，直接在主线程中构建，结果与多线程完全一致
+ * @param {number} threads 线程数
+ * @param {Object|null} leafEncoding v2叶子编码，为null时使用v1编码
+ * @returns {Object} { threads, buildBatchRoot(records) => Promise<string>, schedule(task), drain(), close() }
+ */
+function createHashPool(threads = 1, leafEncoding = null) {
+  threads = resolveThreadCount(threads);
+  const workers = [];
+  const idle = [];
+  const queue = [];
+  const callbacks = new Map();
+  const inFlight = [];
+  let nextId = 0;
+  let failure = null;
+
+  const dispatch = () => {
+    while (idle.length > 0 && queue.length > 0) {
+      const worker = idle.pop();
+      const task = queue.shift();
+      worker.postMessage({ id: task.id, records: task.records });
+    }
+  };
+
+  if (threads > 1) {
+    for (let i = 0; i < threads; i++) {
+      const worker = new Worker(__filename, { workerData: { hashPool: true, leafEncoding } });
+      worker.on('message', ({ id, root, error }) => {
+        const callback = callbacks.get(id);
+        callbacks.delete(id);
+        idle.push(worker);
+        if (error) {
+          callback.reject(new Error(error));
+        } else {
+          callback.resolve(root);
+        }
+        dispatch();
+      });
+      // worker异常退出时，其正在处理和之后提交的批次都以该错误失败
+      worker.on('error', (error) => {
+        failure = failure || error;
+        for (const [id, callback] of callbacks) {
+          callbacks.delete(id);
+          callback.reject(error);
+        }
+        queue.length = 0;
+      });
+      workers.push(worker);
+      idle.push(worker);
+    }
+  }
+
+  /**
+   * 构建批次Merkle树，返回批次根
+   * @param {Array<Object>} records 批次记录
+   * @returns {Promise<string>} 批次根
+   */
+  const buildBatchRoot = (records) => {
+    if (threads === 1) {
+      return Promise.resolve(merkle.buildBatchTree(records, leafEncoding).getHexRoot());
+    }
+    if (failure) {
+      return Promise.reject(failure);
+    }
+    return new Promise((resolve, reject) => {
+      const id = nextId++;
+      callbacks.set(id, { resolve, reject });
+      queue.push({ id, records });
+      dispatch();
+    });
+  };
+
+  /**
+   * 等待最早提交的任务完成；出错时清空队列并抛出错误
+   */
+  const settleOldest = async () => {
+    try {
+      await inFlight.shift();
+    } catch (error) {
+      inFlight.length = 0;
+      throw error;
+    }
+  };
+
+  /**
+   * 提交一个批次任务（返回Promise的函数），同时处理的任务数达到上限时先等待最早提交的任务完成
+   * @param {Function} task () => Promise
+   */
+  const schedule = async (task) => {
+    const promise = task();
+    // 等待之前失败的任务会在drain或后续schedule中抛出，这里避免未处理的rejection
+    promise.catch(() => {});
+    inFlight.push(promise);
+    while (inFlight.length >= threads * BATCHES_PER_THREAD) {
+      await settleOldest();
+    }
+  };
+
+  /**
+   * 等待所有已提交的任务完成
+   */
+  const drain = async () => {
+    while (inFlight.length > 0) {
+      await settleOldest();
+    }
+  };
+
+  /**
+   * 关闭所有worker
+   */
+  const close = async () => {
+    await Promise.all(workers.map(worker => worker.terminate()));
+    workers.length = 0;
+  };
+
+  return { threads, buildBatchRoot, schedule, drain, close };
+}
+
+// worker入口：接收批次记录，返回批次根
+if (!isMainThread && workerData && workerData.hashPool) {
+  parentPort.on('message', ({ id, records }) => {
+    try {
+      parentPort.postMessage({ id, root: merkle.buildBatchTree(records, workerData.leafEncoding).getHexRoot() });
+    } catch (error) {
+      parentPort.postMessage({ id, error: error.message });
+    }
+  });
+}
+
+module.exports = {
+  defaultThreadCount,
+  resolveThreadCount,
+  createHashPool
+};
@@ -0,0 +1,52 @@
+// HTTP工具 - 中继服务和证明服务共用的JSON请求体解析与响应
+
+// 默认请求体大小上限（字节）
+const DEFAULT_MAX_BODY_SIZE = 64 * 1024;
+
+/**
+ * 读取JSON请求体
+ * @param {Object} req HTTP请求
+ * @param {number} maxBodySize 请求体大小上限（字节）
+ * @returns {Promise<Object>} 解析后的请求体
+ */
+function readJsonBody(req, maxBodySize = DEFAULT_MAX_BODY_SIZE) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > maxBodySize) {
+        reject(new Error('请求体过大'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+      } catch (error) {
+        reject(new Error('请求体不是有效的JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * 发送JSON响应
+ * @param {Object} res HTTP响应
+ * @param {number} statusCode 状态码
+ * @param {Object} data 响应数据
+ * @param {Object} headers 额外的响应头
+ */
+function sendJson(res, statusCode, data, headers = {}) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(data));
+}
+
+module.exports = {
+  DEFAULT_MAX_BODY_SIZE,
+  readJsonBody,
+  sendJson
+};
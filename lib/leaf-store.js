@@ -0,0 +1,418 @@
+// 二进制叶子存储 - 超大Merkle树的流式构建与查询：外部排序、定长叶子文件（兼作按地址排序的证明索引）、从磁盘逐层构建顶层树
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const keccak256 = require('keccak256');
+const { ethers } = require('ethers');
+
+// 存储目录中的文件：按 (地址, 代币) 排序的定长叶子记录，以及批次根及其上各层节点
+const LEAF_STORE_FILE = 'leaves.bin';
+const TOP_LAYERS_FILE = 'top_layers.bin';
+
+// 叶子记录布局：地址(20字节) + 代币(20字节，仅多代币模式) + 金额(32字节，大端)
+const ADDRESS_SIZE = 20;
+const AMOUNT_SIZE = 32;
+const HASH_SIZE = 32;
+
+// 外部排序时每个有序段在内存中排序的记录数，决定构建时的内存上限
+const DEFAULT_SORT_CHUNK_SIZE = 200000;
+
+// 逐层构建顶层树时每次读取的节点数（偶数）
+const LAYER_CHUNK_SIZE = 65536;
+
+/**
+ * 单条叶子记录的字节数
+ * @param {boolean} multiToken 是否为多代币模式
+ * @returns {number} 字节数
+ */
+function recordSize(multiToken) {
+  return ADDRESS_SIZE + (multiToken ? ADDRESS_SIZE : 0) + AMOUNT_SIZE;
+}
+
+/**
+ * 记录的排序键：小写地址，多代币模式下附带小写代币，与address_map.json的键一致
+ * @param {string} address 地址
+ * @param {string|null} token 代币地址
+ * @returns {Buffer} 地址（及代币）的字节
+ */
+function keyBytes(address, token = null) {
+  const bytes = [Buffer.from(address.slice(2), 'hex')];
+  if (token) {
+    bytes.push(Buffer.from(token.slice(2), 'hex'));
+  }
+  return Buffer.concat(bytes);
+}
+
+/**
+ * 编码叶子记录
+ * @param {Object} record { address, token?, amount }
+ * @param {boolean} multiToken 是否为多代币模式
+ * @returns {Buffer} 定长记录
+ */
+function encodeRecord(record, multiToken) {
+  const buffer = Buffer.alloc(recordSize(multiToken));
+  keyBytes(record.address, multiToken ? record.token : null).copy(buffer, 0);
+  Buffer.from(BigInt(record.amount).toString(16).padStart(AMOUNT_SIZE * 2, '0'), 'hex')
+    .copy(buffer, buffer.length - AMOUNT_SIZE);
+  return buffer;
+}
+
+/**
+ * 解码叶子记录，格式与批次文件中的记录一致
+ * @param {Buffer} buffer 数据
+ * @param {number} offset 记录在buffer中的偏移
+ * @param {boolean} multiToken 是否为多代币模式
+ * @param {number} index 全局索引（即记录在叶子文件中的位置）
+ * @returns {Object} { index, address, token?, amount }
+ */
+function decodeRecord(buffer, offset, multiToken, index) {
+  const toAddress = (start) => ethers.getAddress('0x' + buffer.toString('hex', start, start + ADDRESS_SIZE));
+  const record = { index, address: toAddress(offset) };
+  if (multiToken) {
+    record.token = toAddress(offset + ADDRESS_SIZE);
+  }
+  const amountOffset = offset + recordSize(multiToken) - AMOUNT_SIZE;
+  record.amount = BigInt('0x' + buffer.toString('hex', amountOffset, amountOffset + AMOUNT_SIZE)).toString();
+  return record;
+}
+
+/**
+ * 有序段记录 [地址, 代币, 文件名, 分数, 行号] 的比较：依次按地址、代币、文件名和行号
+ * 同一地址（及代币）的记录相邻，并按在输入中出现的先后排列
+ */
+function compareSortEntries(a, b) {
+  for (let i = 0; i < 3; i++) {
+    if (a[i] !== b[i]) {
+      return a[i] < b[i] ? -1 : 1;
+    }
+  }
+  return a[4] - b[4];
+}
+
+/**
+ * 外部排序：每chunkSize条记录在内存中排序后写入临时的有序段，再多路归并
+ * 所有输入读取完成后才开始输出，输出的记录地址和代币为小写
+ * @param {AsyncIterable<Object>} records 记录 { address, score, token?, file, line }
+ * @param {string} tmpDir 有序段的临时目录
+ * @param {number} chunkSize 每个有序段的记录数
+ * @param {Function} onMerge (runCount) => void，需要多路归并时在归并开始前调用
+ * @returns {AsyncGenerator<Object>} 按 (地址, 代币) 排序的记录
+ */
+async function* sortRecords(records, tmpDir, chunkSize = DEFAULT_SORT_CHUNK_SIZE, onMerge = () => {}) {
+  const toEntry = (record) => [
+    record.address.toLowerCase(),
+    record.token ? record.token.toLowerCase() : '',
+    record.file,
+    record.score,
+    record.line
+  ];
+  const toRecord = ([address, token, file, score, line]) => ({
+    address,
+    ...(token ? { token } : {}),
+    score,
+    file,
+    line
+  });
+
+  const runs = [];
+  let chunk = [];
+  const writeRun = () => {
+    chunk.sort(compareSortEntries);
+    const runPath = path.join(tmpDir, `run_${runs.length}.ndjson`);
+    fs.writeFileSync(runPath, chunk.map(entry => JSON.stringify(entry)).join('\n') + '\n');
+    runs.push(runPath);
+    chunk = [];
+  };
+
+  for await (const record of records) {
+    chunk.push(toEntry(record));
+    if (chunk.length >= chunkSize) {
+      writeRun();
+    }
+  }
+
+  // 只有一个有序段时不需要写入临时文件
+  if (runs.length === 0) {
+    chunk.sort(compareSortEntries);
+    for (const entry of chunk) {
+      yield toRecord(entry);
+    }
+    return;
+  }
+  if (chunk.length > 0) {
+    writeRun();
+  }
+  onMerge(runs.length);
+
+  // 多路归并：小顶堆中保存每个有序段的当前记录
+  const readers = runs.map(runPath => readline.createInterface({
+    input: fs.createReadStream(runPath),
+    crlfDelay: Infinity
+  })[Symbol.asyncIterator]());
+  const heap = [];
+  const push = (item) => {
+    heap.push(item);
+    for (let i = heap.length - 1; i > 0;) {
+      const parent = (i - 1) >> 1;
+      if (compareSortEntries(heap[parent].entry, heap[i].entry) <= 0) break;
+      [heap[parent], heap[i]] = [heap[i], heap[parent]];
+      i = parent;
+    }
+  };
+  const pop = () => {
+    const top = heap[0];
+    const last = heap.pop();
+    if (heap.length > 0) {
+      heap[0] = last;
+      for (let i = 0; ;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < heap.length && compareSortEntries(heap[left].entry, heap[smallest].entry) < 0) smallest = left;
+        if (right < heap.length && compareSortEntries(heap[right].entry, heap[smallest].entry) < 0) smallest = right;
+        if (smallest === i) break;
+        [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+        i = smallest;
+      }
+    }
+    return top;
+  };
+  const advance = async (reader) => {
+    const { value, done } = await reader.next();
+    if (!done && value) {
+      push({ entry: JSON.parse(value), reader });
+    }
+  };
+
+  for (const reader of readers) {
+    await advance(reader);
+  }
+  while (heap.length > 0) {
+    const { entry, reader } = pop();
+    yield toRecord(entry);
+    await advance(reader);
+  }
+  for (const runPath of runs) {
+    fs.rmSync(runPath, { force: true });
+  }
+}
+
+/**
+ * 对两个节点做排序配对哈希，与merkletreejs的sortPairs及合约的MerkleProof一致
+ */
+function hashPair(a, b) {
+  return keccak256(Buffer.compare(a, b) <= 0 ? Buffer.concat([a, b]) : Buffer.concat([b, a]));
+}
+
+/**
+ * 从磁盘逐层构建顶层树：文件开头为批次根（第0层），依次在文件末尾追加上一层
+ * 每次只读取LAYER_CHUNK_SIZE个节点，奇数个节点时最后一个直接提升到上一层（与merkletreejs一致）
+ * @param {string} filePath 顶层节点文件，写入时已包含所有批次根
+ * @param {number} count 批次根数量
+ * @returns {Object} { root, layers }，layers为各层 { offset, count }（以节点为单位）
+ */
+function buildTopLayers(filePath, count) {
+  const fd = fs.openSync(filePath, 'r+');
+  try {
+    const layers = [{ offset: 0, count }];
+    let { offset } = layers[0];
+    while (count > 1) {
+      const nextOffset = offset + count;
+      let written = 0;
+      for (let start = 0; start < count; start += LAYER_CHUNK_SIZE) {
+        const nodes = Math.min(LAYER_CHUNK_SIZE, count - start);
+        const buffer = Buffer.alloc(nodes * HASH_SIZE);
+        fs.readSync(fd, buffer, 0, buffer.length, (offset + start) * HASH_SIZE);
+
+        const parents = [];
+        for (let i = 0; i < nodes; i += 2) {
+          const left = buffer.subarray(i * HASH_SIZE, (i + 1) * HASH_SIZE);
+          parents.push(i + 1 < nodes ? hashPair(left, buffer.subarray((i + 1) * HASH_SIZE, (i + 2) * HASH_SIZE)) : left);
+        }
+        const output = Buffer.concat(parents);
+        fs.writeSync(fd, output, 0, output.length, (nextOffset + written) * HASH_SIZE);
+        written += parents.length;
+      }
+      layers.push({ offset: nextOffset, count: written });
+      offset = nextOffset;
+      count = written;
+    }
+
+    const root = Buffer.alloc(HASH_SIZE);
+    fs.readSync(fd, root, 0, HASH_SIZE, offset * HASH_SIZE);
+    return { root: '0x' + root.toString('hex'), layers };
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * 打开存储目录中的文件执行读取，完成后关闭
+ */
+function withFile(merkleDir, file, fn) {
+  const fd = fs.openSync(path.join(merkleDir, file), 'r');
+  try {
+    return fn(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * 读取顶层树的一个节点
+ */
+function readNode(fd, position) {
+  const buffer = Buffer.alloc(HASH_SIZE);
+  fs.readSync(fd, buffer, 0, HASH_SIZE, position * HASH_SIZE);
+  return '0x' + buffer.toString('hex');
+}
+
+/**
+ * 读取顶层树的根（最上层的唯一节点）
+ * @param {string} merkleDir Merkle数据目录
+ * @param {Object} store merkle_data.json中的store字段
+ * @returns {string} 根
+ */
+function readTopRoot(merkleDir, store) {
+  const top = store.layers[store.layers.length - 1];
+  return withFile(merkleDir, store.layersFile, fd => readNode(fd, top.offset));
+}
+
+/**
+ * 读取所有批次根
+ * @returns {Array<string>} 按批次索引排列的批次根
+ */
+function readBatchRoots(merkleDir, store) {
+  const { count } = store.layers[0];
+  return withFile(merkleDir, store.layersFile, fd => {
+    const buffer = Buffer.alloc(count * HASH_SIZE);
+    fs.readSync(fd, buffer, 0, buffer.length, 0);
+    return Array.from({ length: count }, (_, i) => '0x' + buffer.toString('hex', i * HASH_SIZE, (i + 1) * HASH_SIZE));
+  });
+}
+
+/**
+ * 读取单个批次根
+ * @returns {string} 批次根
+ */
+function readBatchRoot(merkleDir, store, batchIndex) {
+  return withFile(merkleDir, store.layersFile, fd => readNode(fd, batchIndex));
+}
+
+/**
+ * 读取批次根到顶层根的证明，每层只读取一个兄弟节点
+ * @param {string} merkleDir Merkle数据目录
+ * @param {Object} store merkle_data.json中的store字段
+ * @param {number} batchIndex 批次索引
+ * @returns {Object} { root, proof }，root为批次根
+ */
+function readRootProof(merkleDir, store, batchIndex) {
+  return withFile(merkleDir, store.layersFile, fd => {
+    const proof = [];
+    let position = batchIndex;
+    for (const layer of store.layers.slice(0, -1)) {
+      const sibling = position ^ 1;
+      if (sibling < layer.count) {
+        proof.push(readNode(fd, layer.offset + sibling));
+      }
+      position >>= 1;
+    }
+    return { root: readNode(fd, batchIndex), proof };
+  });
+}
+
+/**
+ * 读取一段连续的叶子记录
+ * @param {string} merkleDir Merkle数据目录
+ * @param {Object} store merkle_data.json中的store字段
+ * @param {number} start 起始全局索引
+ * @param {number} count 记录数
+ * @returns {Array<Object>} 记录 { index, address, token?, amount }
+ */
+function readRecords(merkleDir, store, start, count) {
+  count = Math.max(0, Math.min(count, store.leafCount - start));
+  const size = store.recordSize;
+  return withFile(merkleDir, store.leafFile, fd => {
+    const buffer = Buffer.alloc(count * size);
+    fs.readSync(fd, buffer, 0, buffer.length, start * size);
+    return Array.from({ length: count }, (_, i) => decodeRecord(buffer, i * size, store.multiToken, start + i));
+  });
+}
+
+/**
+ * 二分查找第一个键不小于key的记录位置（比较记录开头key.length个字节）
+ */
+function lowerBound(fd, store, key) {
+  const buffer = Buffer.alloc(key.length);
+  let low = 0;
+  let high = store.leafCount;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    fs.readSync(fd, buffer, 0, key.length, mid * store.recordSize);
+    if (Buffer.compare(buffer, key) < 0) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+}
+
+/**
+ * 按地址（多代币模式下为地址和代币）查找叶子的全局索引，O(log n)次读取
+ * @param {string} merkleDir Merkle数据目录
+ * @param {Object} store merkle_data.json中的store字段
+ * @param {string} address 地址
+ * @param {string|null} token 代币地址（仅多代币模式）
+ * @returns {number} 全局索引，不存在时为-1
+ */
+function findIndex(merkleDir, store, address, token = null) {
+  if (!!token !== store.multiToken) {
+    return -1;
+  }
+  const key = keyBytes(address, token);
+  return withFile(merkleDir, store.leafFile, fd => {
+    const index = lowerBound(fd, store, key);
+    if (index >= store.leafCount) {
+      return -1;
+    }
+    const buffer = Buffer.alloc(key.length);
+    fs.readSync(fd, buffer, 0, key.length, index * store.recordSize);
+    return buffer.equals(key) ? index : -1;
+  });
+}
+
+/**
+ * 多代币模式下查找地址的所有叶子（记录按地址排序，同一地址的叶子相邻）
+ * @returns {Array<Object>} 该地址的记录
+ */
+function findAddressRecords(merkleDir, store, address) {
+  const key = keyBytes(address);
+  const start = withFile(merkleDir, store.leafFile, fd => lowerBound(fd, store, key));
+  let end = start;
+  while (end < store.leafCount) {
+    const [record] = readRecords(merkleDir, store, end, 1);
+    if (record.address.toLowerCase() !== address.toLowerCase()) break;
+    end++;
+  }
+  return readRecords(merkleDir, store, start, end - start);
+}
+
+module.exports = {
+  LEAF_STORE_FILE,
+  TOP_LAYERS_FILE,
+  HASH_SIZE,
+  DEFAULT_SORT_CHUNK_SIZE,
+  recordSize,
+  encodeRecord,
+  decodeRecord,
+  sortRecords,
+  buildTopLayers,
+  readTopRoot,
+  readBatchRoots,
+  readBatchRoot,
+  readRootProof,
+  readRecords,
+  findIndex,
+  findAddressRecords
+};
@@ -0,0 +1,455 @@
+// Merkle树工具 - 叶子哈希、树构建、证明生成与验证、批次文件格式，供树生成脚本、证明脚本和后端服务共用
+const fs = require('fs');
+const path = require('path');
+const { MerkleTree } = require('merkletreejs');
+const keccak256 = require('keccak256');
+const { ethers } = require('ethers');
+const leafStore = require('./leaf-store');
+const { DEFAULT_DECIMALS } = require('./allocation');
+
+// merkle_data.json中leafFormat字段的取值，未设置时为DEFAULT
+const LEAF_FORMATS = {
+  DEFAULT: 'index,account,amount',
+  MULTI_TOKEN: 'index,account,token,amount',
+  CUMULATIVE: 'account,cumulativeAmount'
+};
+
+// Merkle数据目录中的文件
+const MERKLE_DATA_FILE = 'merkle_data.json';
+const ADDRESS_MAP_FILE = 'address_map.json';
+const BATCH_DIR = 'batches';
+
+// 批次树缓存的最大批次数，超出时淘汰最早加载的批次
+const BATCH_CACHE_SIZE = 256;
+
+// 顶层树缓存、地址映射缓存（按目录）与批次树缓存（按批次文件路径）
+const topTreeCache = new Map();
+const addressMapCache = new Map();
+const batchTreeCache = new Map();
+
+const toBuffer = (hash) => Buffer.from(hash.slice(2), 'hex');
+
+/**
+ * v1叶子：keccak256(abi.encodePacked(index, account, amount))，对应MerkleDistributor/MultiRoundDistributor
+ * @param {number|string} index 空投索引
+ * @param {string} account 账户地址
+ * @param {string|BigInt} amount 金额（以wei为单位）
+ * @returns {Buffer} 叶节点哈希
+ */
+function hashLeaf(index, account, amount) {
+  return toBuffer(ethers.solidityPackedKeccak256(['uint256', 'address', 'uint256'], [index, account, amount]));
+}
+
+/**
+ * v2叶子：keccak256(keccak256(abi.encode(chainId, distributor, index, account, amount)))
+ * 与MerkleDistributor.leafHash在leafVersion为2时一致，叶子绑定链ID和分发合约地址
+ * @param {number|string} index 空投索引
+ * @param {string} account 账户地址
+ * @param {string|BigInt} amount 金额（以wei为单位）
+ * @param {Object} leafEncoding { chainId, distributor }
+ * @returns {Buffer} 叶节点哈希
+ */
+function hashLeafV2(index, account, amount, { chainId, distributor }) {
+  const encoded = ethers.AbiCoder.defaultAbiCoder().encode(
+    ['uint256', 'address', 'uint256', 'address', 'uint256'],
+    [chainId, distributor, index, account, amount]
+  );
+  return toBuffer(ethers.keccak256(ethers.keccak256(encoded)));
+}
+
+/**
+ * 多代币叶子：keccak256(abi.encodePacked(index, account, token, amount))，对应MultiTokenDistributor
+ * @returns {Buffer} 叶节点哈希
+ */
+function hashTokenLeaf(index, account, token, amount) {
+  return toBuffer(ethers.solidityPackedKeccak256(
+    ['uint256', 'address', 'address', 'uint256'],
+    [index, account, token, amount]
+  ));
+}
+
+/**
+ * 累计模式叶子：keccak256(abi.encodePacked(account, cumulativeAmount))，对应CumulativeMerkleDistributor
+ * @returns {Buffer} 叶节点哈希
+ */
+function hashCumulativeLeaf(account, cumulativeAmount) {
+  return toBuffer(ethers.solidityPackedKeccak256(['address', 'uint256'], [account, cumulativeAmount]));
+}
+
+/**
+ * 计算批次记录的叶节点哈希：带token字段为多代币叶子，没有index为累计模式叶子，其余为v1或v2叶子
+ * @param {Object} record { index?, address, amount, token? }
+ * @param {Object|null} leafEncoding v2叶子编码 { version: 2, chainId, distributor }，为null时使用v1编码
+ * @returns {Buffer} 叶节点哈希
+ */
+function hashRecord(record, leafEncoding = null) {
+  if (leafEncoding && leafEncoding.version === 2) {
+    if (record.index === undefined || record.token) {
+      throw new Error('v2叶子编码只支持MerkleDistributor的 (index, account, amount) 叶子');
+    }
+    return hashLeafV2(record.index, record.address, record.amount, leafEncoding);
+  }
+  if (record.index === undefined) {
+    return hashCumulativeLeaf(record.address, record.amount);
+  }
+  if (record.token) {
+    return hashTokenLeaf(record.index, record.address, record.token, record.amount);
+  }
+  return hashLeaf(record.index, record.address, record.amount);
+}
+
+/**
+ * 由叶子（或批次根）构建Merkle树，与合约的MerkleProof一致使用排序配对
+ * @param {Array<Buffer|string>} leaves 叶节点哈希
+ * @returns {MerkleTree} Merkle树
+ */
+function buildTree(leaves) {
+  return new MerkleTree(leaves, keccak256, { sortPairs: true });
+}
+
+/**
+ * 由批次记录构建批次Merkle树
+ * @param {Array<Object>} records 批次记录
+ * @param {Object|null} leafEncoding v2叶子编码，为null时使用v1编码
+ * @returns {MerkleTree} 批次Merkle树
+ */
+function buildBatchTree(records, leafEncoding = null) {
+  return buildTree(records.map(record => hashRecord(record, leafEncoding)));
+}
+
+/**
+ * 生成叶子的证明
+ * @param {MerkleTree} tree Merkle树
+ * @param {Buffer|string} leaf 叶节点哈希
+ * @returns {Array<string>} 十六进制证明
+ */
+function getProof(tree, leaf) {
+  return tree.getHexProof(leaf);
+}
+
+/**
+ * 验证证明能否从叶子计算出根
+ * @param {Array<string>} proof 证明（组合证明即批次内证明与顶层证明的拼接）
+ * @param {Buffer|string} leaf 叶节点哈希
+ * @param {string} root Merkle根
+ * @returns {boolean} 验证结果
+ */
+function verifyProof(proof, leaf, root) {
+  return MerkleTree.verify(proof, leaf, root, keccak256, { sortPairs: true });
+}
+
+/**
+ * 批次文件路径：<merkleDir>/batches/batch_<batchIndex>.json
+ */
+function batchFilePath(merkleDir, batchIndex) {
+  return path.join(merkleDir, BATCH_DIR, `batch_${batchIndex}.json`);
+}
+
+/**
+ * 写入批次文件
+ * @param {string} batchDir 批次目录（<merkleDir>/batches）
+ * @param {number} batchIndex 批次索引
+ * @param {Array<Object>} records 批次记录
+ * @param {string} root 批次根
+ */
+function writeBatch(batchDir, batchIndex, records, root) {
+  const batchData = {
+    batchIndex,
+    root,
+    recordCount: records.length,
+    records
+  };
+  fs.writeFileSync(path.join(batchDir, `batch_${batchIndex}.json`), JSON.stringify(batchData, null, 2));
+}
+
+/**
+ * 读取批次文件；二进制存储从leaves.bin读取该批次的记录，从top_layers.bin读取批次根
+ * @param {string} merkleDir Merkle数据目录
+ * @param {number} batchIndex 批次索引
+ * @param {Object|null} store merkle_data.json中的store字段，json存储为null
+ * @returns {Object} { batchIndex, root, recordCount, records }
+ */
+function readBatch(merkleDir, batchIndex, store = null) {
+  if (isBinaryStore(store)) {
+    const records = leafStore.readRecords(merkleDir, store, batchIndex * store.batchSize, store.batchSize);
+    const root = leafStore.readBatchRoot(merkleDir, store, batchIndex);
+    return { batchIndex, root, recordCount: records.length, records };
+  }
+  return JSON.parse(fs.readFileSync(batchFilePath(merkleDir, batchIndex), 'utf8'));
+}
+
+/**
+ * 是否为流式构建的二进制存储（leaves.bin和top_layers.bin）
+ * @param {Object|null} store merkle_data.json中的store字段
+ */
+function isBinaryStore(store) {
+  return !!store && store.format === 'binary';
+}
+
+/**
+ * 读取merkle_data.json
+ */
+function readMerkleData(merkleDir) {
+  return JSON.parse(fs.readFileSync(path.join(merkleDir, MERKLE_DATA_FILE), 'utf8'));
+}
+
+/**
+ * 读取address_map.json（小写地址，多代币模式为 地址:代币 => { batchIndex, localIndex, index? }）
+ */
+function readAddressMap(merkleDir) {
+  return JSON.parse(fs.readFileSync(path.join(merkleDir, ADDRESS_MAP_FILE), 'utf8'));
+}
+
+/**
+ * merkle_data.json中记录的叶子编码，旧版本的数据均为v1
+ * @returns {Object|null} v2时为 { version: 2, chainId, distributor }，v1时为null
+ */
+function leafEncodingOf(merkleData) {
+  return merkleData.leafVersion === 2
+    ? { version: 2, chainId: merkleData.chainId, distributor: merkleData.distributor }
+    : null;
+}
+
+/**
+ * merkle_data.json中记录的代币精度，旧版本的数据没有decimals字段，按18位处理
+ * @returns {number} 代币精度
+ */
+function decimalsOf(merkleData) {
+  return merkleData.decimals ?? DEFAULT_DECIMALS;
+}
+
+/**
+ * 加载顶层Merkle树（由所有批次根构建）
+ * merkle_data.json未修改时直接使用缓存，修改后根变化时重新构建
+ * 二进制存储的顶层树已逐层写入top_layers.bin，只核对其中的根，tree为null
+ * @param {string} merkleDir Merkle数据目录
+ * @returns {Object} { root, tree, store, asset, leafEncoding, merkleData }
+ */
+function loadTopTree(merkleDir) {
+  const { mtimeMs, size } = fs.statSync(path.join(merkleDir, MERKLE_DATA_FILE));
+  const cached = topTreeCache.get(merkleDir);
+  if (cached && cached.mtimeMs === mtimeMs && cached.size === size) {
+    return cached;
+  }
+
+  const merkleData = readMerkleData(merkleDir);
+  if (cached && cached.root === merkleData.root) {
+    Object.assign(cached, { mtimeMs, size, merkleData });
+    return cached;
+  }
+
+  const store = isBinaryStore(merkleData.store) ? merkleData.store : null;
+  let tree = null;
+  if (store) {
+    const root = leafStore.readTopRoot(merkleDir, store);
+    if (root !== merkleData.root) {
+      throw new Error(`${store.layersFile}中的顶层根 ${root} 与merkle_data.json中的根 ${merkleData.root} 不一致`);
+    }
+  } else {
+    // 旧版本的merkle_data.json没有batchRoots字段，按批次索引读取批次文件
+    let batchRoots = merkleData.batchRoots;
+    if (!batchRoots) {
+      batchRoots = [];
+      for (let i = 0; i < merkleData.batchCount; i++) {
+        batchRoots.push(readBatch(merkleDir, i).root);
+      }
+    }
+
+    tree = buildTree(batchRoots);
+    if (tree.getHexRoot() !== merkleData.root) {
+      throw new Error(`批次根重建的顶层根 ${tree.getHexRoot()} 与merkle_data.json中的根 ${merkleData.root} 不一致`);
+    }
+  }
+
+  // 旧版本的merkle_data.json没有asset字段，均为ERC20
+  const topTree = {
+    root: merkleData.root,
+    tree,
+    store,
+    asset: merkleData.asset || 'erc20',
+    leafEncoding: leafEncodingOf(merkleData),
+    decimals: decimalsOf(merkleData),
+    merkleData,
+    mtimeMs,
+    size
+  };
+  topTreeCache.set(merkleDir, topTree);
+  return topTree;
+}
+
+/**
+ * 加载地址映射及按地址索引的代币列表，同一顶层根下只读取一次address_map.json
+ * @param {string} merkleDir Merkle数据目录
+ * @returns {Object} { topRoot, addressMap, tokenIndex }，tokenIndex为 小写地址 => 小写代币地址列表
+ */
+function loadAddressMapEntry(merkleDir) {
+  const { root } = loadTopTree(merkleDir);
+  const cached = addressMapCache.get(merkleDir);
+  if (cached && cached.topRoot === root) {
+    return cached;
+  }
+
+  const addressMap = readAddressMap(merkleDir);
+  const tokenIndex = new Map();
+  for (const key of Object.keys(addressMap)) {
+    const [address, token] = key.split(':');
+    if (token !== undefined) {
+      if (!tokenIndex.has(address)) {
+        tokenIndex.set(address, []);
+      }
+      tokenIndex.get(address).push(token);
+    }
+  }
+
+  const entry = { topRoot: root, addressMap, tokenIndex };
+  addressMapCache.set(merkleDir, entry);
+  return entry;
+}
+
+/**
+ * 加载地址映射，同一顶层根下只读取一次address_map.json（二进制存储没有地址映射，使用findLeaf查询）
+ * @param {string} merkleDir Merkle数据目录
+ * @returns {Object} 地址映射
+ */
+function loadAddressMap(merkleDir) {
+  return loadAddressMapEntry(merkleDir).addressMap;
+}
+
+/**
+ * 加载批次数据及批次Merkle树，同一顶层根下重复查询同一批次时不再读取文件和重建树
+ * @param {string} merkleDir Merkle数据目录
+ * @param {number} batchIndex 批次索引
+ * @returns {Object} { batchData, tree, leafEncoding }
+ */
+function loadBatchTree(merkleDir, batchIndex) {
+  const { root, leafEncoding, store } = loadTopTree(merkleDir);
+  const filePath = store ? `${path.join(merkleDir, store.leafFile)}#${batchIndex}` : batchFilePath(merkleDir, batchIndex);
+
+  const cached = batchTreeCache.get(filePath);
+  if (cached && cached.topRoot === root) {
+    return cached;
+  }
+
+  const batchData = readBatch(merkleDir, batchIndex, store);
+  const tree = buildBatchTree(batchData.records, leafEncoding);
+  if (tree.getHexRoot() !== batchData.root) {
+    throw new Error(`批次 ${batchIndex} 的记录重建的根 ${tree.getHexRoot()} 与批次文件中的根 ${batchData.root} 不一致`);
+  }
+
+  const entry = { topRoot: root, batchData, tree, leafEncoding };
+  batchTreeCache.delete(filePath);
+  batchTreeCache.set(filePath, entry);
+  if (batchTreeCache.size > BATCH_CACHE_SIZE) {
+    batchTreeCache.delete(batchTreeCache.keys().next().value);
+  }
+  return entry;
+}
+
+/**
+ * 批次根到顶层根的证明：json存储由内存中的顶层树生成，二进制存储从top_layers.bin逐层读取兄弟节点
+ * @param {string} merkleDir Merkle数据目录
+ * @param {number} batchIndex 批次索引
+ * @returns {Array<string>} 十六进制证明
+ */
+function getRootProof(merkleDir, batchIndex) {
+  const { tree, store } = loadTopTree(merkleDir);
+  if (store) {
+    return leafStore.readRootProof(merkleDir, store, batchIndex).proof;
+  }
+  return tree.getHexProof(tree.getLeaf(batchIndex), batchIndex);
+}
+
+/**
+ * 按地址映射的键（小写地址，多代币模式为 地址:代币）查找叶子位置
+ * json存储查询address_map.json，二进制存储在按地址排序的leaves.bin中二分查找
+ * @param {string} merkleDir Merkle数据目录
+ * @param {string} key 地址映射的键
+ * @returns {Object|null} { batchIndex, localIndex, index? }，不存在时为null
+ */
+function findLeaf(merkleDir, key) {
+  const { store } = loadTopTree(merkleDir);
+  if (!store) {
+    return loadAddressMap(merkleDir)[key] || null;
+  }
+  const [address, token] = key.split(':');
+  if (!ethers.isAddress(address) || (token !== undefined && !ethers.isAddress(token))) {
+    return null;
+  }
+  const index = leafStore.findIndex(merkleDir, store, address, token || null);
+  if (index === -1) {
+    return null;
+  }
+  return { batchIndex: Math.floor(index / store.batchSize), localIndex: index % store.batchSize, index };
+}
+
+/**
+ * 多代币Merkle树中地址的所有代币
+ * @param {string} merkleDir Merkle数据目录
+ * @param {string} address 地址
+ * @returns {Array<string>} 小写代币地址
+ */
+function findTokens(merkleDir, address) {
+  const { store } = loadTopTree(merkleDir);
+  const normalizedAddress = address.toLowerCase();
+  if (!store) {
+    return [...(loadAddressMapEntry(merkleDir).tokenIndex.get(normalizedAddress) || [])];
+  }
+  if (!store.multiToken || !ethers.isAddress(address)) {
+    return [];
+  }
+  return leafStore.findAddressRecords(merkleDir, store, address).map(record => record.token.toLowerCase());
+}
+
+/**
+ * 缓存的顶层树、地址映射和批次树数量
+ * @returns {Object} { topTrees, addressMaps, batchTrees, batchTreeLimit }
+ */
+function cacheStats() {
+  return {
+    topTrees: topTreeCache.size,
+    addressMaps: addressMapCache.size,
+    batchTrees: batchTreeCache.size,
+    batchTreeLimit: BATCH_CACHE_SIZE
+  };
+}
+
+/**
+ * 清空所有缓存
+ */
+function clearCache() {
+  topTreeCache.clear();
+  addressMapCache.clear();
+  batchTreeCache.clear();
+}
+
+module.exports = {
+  LEAF_FORMATS,
+  MERKLE_DATA_FILE,
+  ADDRESS_MAP_FILE,
+  BATCH_DIR,
+  BATCH_CACHE_SIZE,
+  hashLeaf,
+  hashLeafV2,
+  hashTokenLeaf,
+  hashCumulativeLeaf,
+  hashRecord,
+  buildTree,
+  buildBatchTree,
+  getProof,
+  verifyProof,
+  batchFilePath,
+  writeBatch,
+  readBatch,
+  readMerkleData,
+  readAddressMap,
+  leafEncodingOf,
+  decimalsOf,
+  loadTopTree,
+  loadAddressMap,
+  loadBatchTree,
+  getRootProof,
+  findLeaf,
+  findTokens,
+  cacheStats,
+  clearCache
+};
@@ -0,0 +1,528 @@
+// 空投流水线 - 阶段定义、文件哈希与运行清单（manifest）
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const { loadScoringPolicy } = require('./scoring-policy');
+
+// 项目根目录
+const ROOT_DIR = path.join(__dirname, '..');
+
+// 默认配置（与各脚本原有的默认目录保持一致）
+const DEFAULT_CONFIG = {
+  // 运行清单保存路径
+  manifest: 'pipeline-runs/manifest.json',
+  paths: {
+    // 积分策略文件，所有评分相关阶段共用
+    scoringPolicy: 'config/scoring-policy.json',
+    tokenList: 'token/arb-alltoken.csv',
+    tokenHoldersDir: 'token/token-holders',
+    tokenOwnersDir: 'token/token-owners',
+    mergeOwnersDir: 'token/merge-owners',
+    csvMergedDir: 'csv-merged',
+    cleanedDir: 'cleaned-results',
+    finalDir: 'final-results',
+    sybilDir: 'sybil-results',
+    merkleDir: 'merkle-data'
+  },
+  sybil: {
+    // 转账记录导出（CSV/NDJSON文件或目录），未配置时跳过女巫集群检测，直接用finalDir生成Merkle树
+    transfers: null
+  },
+  tree: {
+    batchSize: 100
+  },
+  deploy: {
+    // 未配置网络时跳过部署阶段
+    network: null
+  }
+};
+
+/**
+ * 从文件名获取文件标识符（与各脚本的getFileIdentifier一致）
+ * @param {string} filePath 文件路径
+ * @returns {string} 文件标识符
+ */
+function getFileIdentifier(filePath) {
+  return path.basename(filePath, path.extname(filePath));
+}
+
+// 各阶段之间传递的中间文件路径
+const holdersFilteredPath = (p) =>
+  path.join(p.tokenHoldersDir, `token_holders_filtered_${getFileIdentifier(p.tokenList)}.csv`);
+const liquidityQualifiedPath = (p) =>
+  path.join(p.tokenHoldersDir, `liquidity_qualified_${getFileIdentifier(p.tokenList)}.csv`);
+const tokenOwnersPath = (p) =>
+  path.join(p.tokenOwnersDir, getFileIdentifier(liquidityQualifiedPath(p)));
+const merkleDataPath = (p) => path.join(p.merkleDir, 'merkle_data.json');
+// 生成Merkle树的输入：启用女巫集群检测时为其调整后的结果
+const treeInputDir = ({ paths, sybil }) => (sybil.transfers ? paths.sybilDir : paths.finalDir);
+
+/**
+ * 流水线阶段定义（按执行顺序排列）
+ * - args: 传给脚本的命令行参数
+ * - inputs/outputs: 参与哈希记录的文件或目录
+ */
+const STAGES = [
+  {
+    name: 'holders',
+    description: '获取代币持有者人数并按阈值筛选',
+    script: 'scripts/fetch_token_holders.js',
+    args: ({ paths }) => [paths.tokenList, paths.tokenHoldersDir],
+    inputs: ({ paths }) => [paths.tokenList],
+    outputs: ({ paths }) => [holdersFilteredPath(paths)]
+  },
+  {
+    name: 'liquidity',
+    description: '筛选符合底池流动性要求的代币',
+    script: 'scripts/filter_liquidity_pools.js',
+    args: ({ paths }) => [holdersFilteredPath(paths), paths.tokenHoldersDir],
+    inputs: ({ paths }) => [holdersFilteredPath(paths)],
+    outputs: ({ paths }) => [liquidityQualifiedPath(paths)]
+  },
+  {
+    name: 'owners',
+    description: '获取代币持有者详细信息及价值分级',
+    script: 'scripts/fetch_token_owners.js',
+    args: ({ paths }) => [liquidityQualifiedPath(paths), paths.tokenOwnersDir],
+    inputs: ({ paths }) => [liquidityQualifiedPath(paths), paths.scoringPolicy],
+    outputs: ({ paths }) => [tokenOwnersPath(paths)]
+  },
+  {
+    name: 'merge-owners',
+    description: '合并代币持有者并聚合积分',
+    script: 'scripts/merge_token_holders.js',
+    args: ({ paths }) => [tokenOwnersPath(paths), path.join(paths.mergeOwnersDir, 'merged_token_holders.csv')],
+    inputs: ({ paths }) => [tokenOwnersPath(paths), paths.scoringPolicy],
+    outputs: ({ paths }) => [paths.mergeOwnersDir]
+  },
+  {
+    name: 'cross-check',
+    description: '排除孤岛/低gas地址并补充ENS地址',
+    script: 'scripts/cross_check_addresses.js',
+    args: ({ paths }) => [paths.csvMergedDir, paths.cleanedDir],
+    inputs: ({ paths }) => [paths.csvMergedDir],
+    outputs: ({ paths }) => [paths.cleanedDir]
+  },
+  {
+    name: 'merge-cleaned',
+    description: '将持有者积分合并到清理结果中',
+    script: 'scripts/merge_with_cleaned_results.js',
+    args: ({ paths }) => [paths.cleanedDir, paths.mergeOwnersDir, paths.finalDir],
+    inputs: ({ paths }) => [paths.cleanedDir, paths.mergeOwnersDir, paths.scoringPolicy],
+    outputs: ({ paths }) => [paths.finalDir]
+  },
+  {
+    name: 'sybil',
+    description: '按资金来源和同步转账检测女巫集群并降分或排除',
+    script: 'scripts/detect_sybil_clusters.js',
+    skip: ({ sybil }) => !sybil.transfers && '未配置sybil.transfers',
+    args: ({ paths, sybil }) => [paths.finalDir, sybil.transfers, paths.sybilDir],
+    inputs: ({ paths, sybil }) => [paths.finalDir, sybil.transfers, paths.scoringPolicy],
+    outputs: ({ paths }) => [paths.sybilDir]
+  },
+  {
+    name: 'tree',
+    description: '生成Merkle树',
+    script: 'scripts/generate_merkle_tree.js',
+    args: (config) => [String(config.tree.batchSize), treeInputDir(config), config.paths.merkleDir],
+    inputs: (config) => [treeInputDir(config), config.paths.scoringPolicy],
+    outputs: ({ paths }) => [merkleDataPath(paths), path.join(paths.merkleDir, 'batches')]
+  },
+  {
+    name: 'deploy',
+    description: '部署空投分发合约',
+    script: 'scripts/deploy.js',
+    hardhat: true,
+    skip: ({ deploy }) => !deploy.network && '未配置deploy.network',
+    args: () => [],
+    env: ({ paths }) => ({ MERKLE_ROOT: readMerkleRoot(paths.merkleDir), MERKLE_DIR: paths.merkleDir }),
+    inputs: ({ paths }) => [merkleDataPath(paths), path.join(paths.merkleDir, 'batches')],
+    outputs: () => []
+  }
+];
+
+/**
+ * 读取merkle_data.json中的根哈希
+ * @param {string} merkleDir Merkle数据目录
+ * @returns {string} Merkle根
+ */
+function readMerkleRoot(merkleDir) {
+  const dataPath = path.join(merkleDir, 'merkle_data.json');
+  if (!fs.existsSync(dataPath)) {
+    throw new Error(`Merkle数据文件不存在: ${dataPath}`);
+  }
+  return JSON.parse(fs.readFileSync(dataPath, 'utf8')).root;
+}
+
+/**
+ * 根据名称查找阶段
+ * @param {string} name 阶段名称
+ * @param {Array<Object>} definitions 阶段定义列表（默认: STAGES）
+ * @returns {Object} 阶段定义
+ */
+function getStage(name, definitions = STAGES) {
+  const stage = definitions.find(s => s.name === name);
+  if (!stage) {
+    throw new Error(`未知阶段: ${name}，可用阶段: ${definitions.map(s => s.name).join(', ')}`);
+  }
+  return stage;
+}
+
+/**
+ * 加载流水线配置，相对路径以配置文件所在目录为基准
+ * @param {string} configPath 配置文件路径（不存在时使用默认配置）
+ * @returns {Object} 合并默认值后的配置
+ */
+function loadPipelineConfig(configPath) {
+  let userConfig = {};
+  let baseDir = ROOT_DIR;
+
+  if (configPath && fs.existsSync(configPath)) {
+    userConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    baseDir = path.dirname(path.resolve(configPath));
+  } else if (configPath) {
+    console.warn(`未找到流水线配置文件 ${configPath}，使用默认配置`);
+  }
+
+  const config = {
+    ...DEFAULT_CONFIG,
+    ...userConfig,
+    paths: { ...DEFAULT_CONFIG.paths, ...userConfig.paths },
+    sybil: { ...DEFAULT_CONFIG.sybil, ...userConfig.sybil },
+    tree: { ...DEFAULT_CONFIG.tree, ...userConfig.tree },
+    deploy: { ...DEFAULT_CONFIG.deploy, ...userConfig.deploy }
+  };
+
+  config.configPath = configPath ? path.resolve(configPath) : null;
+  config.manifest = path.resolve(baseDir, config.manifest);
+  for (const key of Object.keys(config.paths)) {
+    config.paths[key] = path.resolve(baseDir, config.paths[key]);
+  }
+  if (config.sybil.transfers) {
+    config.sybil.transfers = path.resolve(baseDir, config.sybil.transfers);
+  }
+
+  return config;
+}
+
+/**
+ * 计算单个文件的sha256
+ * @param {string} filePath 文件路径
+ * @returns {Promise<string>} 十六进制哈希
+ */
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('error', reject)
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+/**
+ * 递归列出目录中的所有文件（按相对路径排序，保证哈希稳定）
+ * @param {string} dirPath 目录路径
+ * @returns {Array<string>} 相对路径列表
+ */
+function listFilesRecursive(dirPath, prefix = '') {
+  const files = [];
+  const entries = fs.readdirSync(path.join(dirPath, prefix), { withFileTypes: true })
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  for (const entry of entries) {
+    const relPath = path.join(prefix, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...listFilesRecursive(dirPath, relPath));
+    } else if (entry.isFile()) {
+      files.push(relPath);
+    }
+  }
+
+  return files;
+}
+
+/**
+ * 描述一个文件或目录：存在性、逐文件哈希以及汇总哈希
+ * @param {string} targetPath 文件或目录路径
+ * @returns {Promise<Object>} { path, exists, hash, files }
+ */
+async function describePath(targetPath) {
+  if (!fs.existsSync(targetPath)) {
+    return { path: targetPath, exists: false, hash: null, files: [] };
+  }
+
+  const stat = fs.statSync(targetPath);
+  const files = [];
+
+  if (stat.isDirectory()) {
+    for (const relPath of listFilesRecursive(targetPath)) {
+      const fullPath = path.join(targetPath, relPath);
+      files.push({
+        file: relPath,
+        size: fs.statSync(fullPath).size,
+        sha256: await hashFile(fullPath)
+      });
+    }
+  } else {
+    files.push({ file: path.basename(targetPath), size: stat.size, sha256: await hashFile(targetPath) });
+  }
+
+  const combined = crypto.createHash('sha256');
+  for (const f of files) {
+    combined.update(`${f.file}:${f.sha256}\n`);
+  }
+
+  return { path: targetPath, exists: true, hash: combined.digest('hex'), files };
+}
+
+/**
+ * 计算阶段输入指纹（输入文件哈希 + 命令参数）
+ * @param {Array} inputs describePath的结果列表
+ * @param {Array} command 执行命令
+ * @param {Object} env 额外环境变量
+ * @returns {string} 十六进制哈希
+ */
+function computeInputHash(inputs, command, env = {}) {
+  const hash = crypto.createHash('sha256');
+  for (const input of inputs) {
+    hash.update(`${input.path}:${input.hash}\n`);
+  }
+  hash.update(JSON.stringify({ command, env }));
+  return hash.digest('hex');
+}
+
+/**
+ * 读取运行清单
+ * @param {string} manifestPath 清单路径
+ * @returns {Object} 清单内容
+ */
+function loadManifest(manifestPath) {
+  if (fs.existsSync(manifestPath)) {
+    return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  }
+  return { version: 1, stages: {}, runs: [] };
+}
+
+/**
+ * 保存运行清单（每个阶段结束后立即保存，便于中断后恢复）
+ * @param {string} manifestPath 清单路径
+ * @param {Object} manifest 清单内容
+ */
+function saveManifest(manifestPath, manifest) {
+  const dir = path.dirname(manifestPath);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  manifest.updatedAt = new Date().toISOString();
+  fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
+}
+
+/**
+ * 构建阶段的执行命令
+ * @param {Object} stage 阶段定义
+ * @param {Object} config 流水线配置
+ * @returns {Array<string>} 命令及参数
+ */
+function buildCommand(stage, config) {
+  const scriptPath = path.resolve(ROOT_DIR, stage.script);
+  if (stage.hardhat) {
+    return ['npx', 'hardhat', 'run', scriptPath, '--network', config.deploy.network];
+  }
+  return [process.execPath, scriptPath, ...stage.args(config)];
+}
+
+/**
+ * 构建阶段的环境变量：所有阶段都通过SCORING_POLICY读取同一份积分策略
+ * @param {Object} stage 阶段定义
+ * @param {Object} config 流水线配置
+ * @returns {Object} 环境变量
+ */
+function buildEnv(stage, config) {
+  return {
+    SCORING_POLICY: config.paths.scoringPolicy,
+    ...(stage.env ? stage.env(config) : {})
+  };
+}
+
+/**
+ * 执行子进程，继承标准输出
+ * @param {Array<string>} command 命令及参数
+ * @param {Object} env 额外环境变量
+ * @returns {Promise<number>} 退出码
+ */
+function runCommand(command, env) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command[0], command.slice(1), {
+      cwd: ROOT_DIR,
+      stdio: 'inherit',
+      env: { ...process.env, ...env },
+      shell: process.platform === 'win32'
+    });
+    child.on('error', reject);
+    child.on('close', code => resolve(code));
+  });
+}
+
+/**
+ * 检查上次记录的输出是否仍然存在且未被修改
+ * @param {Array} recordedOutputs 清单中记录的输出
+ * @returns {Promise<boolean>} 是否未变化
+ */
+async function outputsUnchanged(recordedOutputs) {
+  for (const output of recordedOutputs) {
+    const current = await describePath(output.path);
+    if (!current.exists || current.hash !== output.hash) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * 执行单个阶段并将结果写入清单
+ * @param {Object} stage 阶段定义
+ * @param {Object} config 流水线配置
+ * @param {Object} manifest 运行清单
+ * @returns {Promise<Object>} 阶段记录
+ */
+async function executeStage(stage, config, manifest) {
+  const command = buildCommand(stage, config);
+  const env = buildEnv(stage, config);
+  const inputs = await Promise.all(stage.inputs(config).map(describePath));
+
+  const missing = inputs.filter(i => !i.exists);
+  if (missing.length > 0) {
+    throw new Error(`阶段 ${stage.name} 缺少输入: ${missing.map(i => i.path).join(', ')}`);
+  }
+
+  const record = {
+    status: 'running',
+    description: stage.description,
+    command,
+    env,
+    scoringPolicy: { version: config.policy.version, hash: config.policy.hash },
+    startedAt: new Date().toISOString(),
+    inputHash: computeInputHash(inputs, command, env),
+    inputs,
+    outputs: []
+  };
+  manifest.stages[stage.name] = record;
+  saveManifest(config.manifest, manifest);
+
+  console.log(`\n▶ 阶段 ${stage.name}: ${stage.description}`);
+  console.log(`  命令: ${command.join(' ')}`);
+
+  const startTime = Date.now();
+  const exitCode = await runCommand(command, env);
+  record.finishedAt = new Date().toISOString();
+  record.durationMs = Date.now() - startTime;
+  record.exitCode = exitCode;
+  record.outputs = await Promise.all(stage.outputs(config).map(describePath));
+
+  // 部分脚本出错时只打印日志不设置退出码，因此同时检查输出是否生成
+  const missingOutputs = record.outputs.filter(o => !o.exists);
+  if (exitCode !== 0 || missingOutputs.length > 0) {
+    record.status = 'failed';
+    saveManifest(config.manifest, manifest);
+    const reason = exitCode !== 0
+      ? `退出码 ${exitCode}`
+      : `未生成输出 ${missingOutputs.map(o => o.path).join(', ')}`;
+    throw new Error(`阶段 ${stage.name} 执行失败: ${reason}`);
+  }
+
+  record.status = 'completed';
+  saveManifest(config.manifest, manifest);
+  console.log(`✓ 阶段 ${stage.name} 完成，耗时 ${(record.durationMs / 1000).toFixed(2)} 秒`);
+
+  return record;
+}
+
+/**
+ * 按顺序执行流水线
+ * @param {Object} config 流水线配置
+ * @param {Object} options 选项
+ * @param {Array<string>} options.stages 要执行的阶段名称（默认全部）
+ * @param {boolean} options.resume 是否跳过输入未变化且输出完好的阶段
+ * @param {Array<Object>} options.definitions 阶段定义列表（默认: STAGES）
+ * @returns {Promise<Object>} 本次运行记录
+ */
+async function runPipeline(config, options = {}) {
+  const definitions = options.definitions || STAGES;
+  const stageNames = options.stages || definitions.map(s => s.name);
+  const stages = stageNames.map(name => getStage(name, definitions));
+  const manifest = loadManifest(config.manifest);
+
+  // 开始前先校验积分策略，避免执行到中途才发现策略文件有误
+  config.policy = loadScoringPolicy(config.paths.scoringPolicy);
+
+  const run = {
+    runId: new Date().toISOString().replace(/[:.]/g, '-'),
+    config: config.configPath,
+    scoringPolicy: { path: config.policy.path, version: config.policy.version, hash: config.policy.hash },
+    resume: !!options.resume,
+    startedAt: new Date().toISOString(),
+    stages: {}
+  };
+  manifest.runs.push(run);
+
+  // 一旦有阶段重新执行，其下游阶段都必须重新执行
+  let upstreamChanged = false;
+
+  try {
+    for (const stage of stages) {
+      const skipReason = stage.skip && stage.skip(config);
+      if (skipReason) {
+        console.log(`\n- 跳过阶段 ${stage.name}: ${skipReason}`);
+        run.stages[stage.name] = 'skipped';
+        continue;
+      }
+
+      if (options.resume && !upstreamChanged) {
+        const previous = manifest.stages[stage.name];
+        if (previous && previous.status === 'completed') {
+          const inputs = await Promise.all(stage.inputs(config).map(describePath));
+          const command = buildCommand(stage, config);
+          const env = buildEnv(stage, config);
+
+          if (previous.inputHash === computeInputHash(inputs, command, env) &&
+              await outputsUnchanged(previous.outputs)) {
+            console.log(`\n= 阶段 ${stage.name} 输入未变化，沿用上次结果 (${previous.finishedAt})`);
+            run.stages[stage.name] = 'reused';
+            continue;
+          }
+        }
+        console.log(`\n从阶段 ${stage.name} 开始重新执行（输入已变化或无可复用记录）`);
+      }
+
+      upstreamChanged = true;
+      await executeStage(stage, config, manifest);
+      run.stages[stage.name] = 'completed';
+    }
+
+    run.status = 'completed';
+  } catch (error) {
+    run.status = 'failed';
+    run.error = error.message;
+    throw error;
+  } finally {
+    run.finishedAt = new Date().toISOString();
+    saveManifest(config.manifest, manifest);
+  }
+
+  return run;
+}
+
+module.exports = {
+  STAGES,
+  DEFAULT_CONFIG,
+  getStage,
+  loadPipelineConfig,
+  hashFile,
+  describePath,
+  computeInputHash,
+  loadManifest,
+  saveManifest,
+  runPipeline
+};
@@ -0,0 +1,126 @@
+// 积分策略加载与校验 - 各阶段共用同一份版本化的积分策略文件
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Ajv = require('ajv');
+
+// 默认策略文件，可通过环境变量SCORING_POLICY覆盖
+const DEFAULT_POLICY_PATH = path.join(__dirname, '../config/scoring-policy.json');
+const SCHEMA_PATH = path.join(__dirname, '../config/scoring-policy.schema.json');
+
+// 已加载策略的缓存（按绝对路径）
+const policyCache = new Map();
+
+let validateSchema = null;
+
+/**
+ * 获取编译后的schema校验函数
+ * @returns {Function} ajv校验函数
+ */
+function getSchemaValidator() {
+  if (!validateSchema) {
+    const schema = JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf8'));
+    validateSchema = new Ajv({ allErrors: true }).compile(schema);
+  }
+  return validateSchema;
+}
+
+/**
+ * 校验策略内容：先按schema校验结构，再检查分级之间的一致性
+ * @param {Object} policy 策略内容
+ * @returns {Array<string>} 错误信息列表（为空表示通过）
+ */
+function validateScoringPolicy(policy) {
+  const validate = getSchemaValidator();
+  if (!validate(policy)) {
+    return validate.errors.map(e => `${e.instancePath || '/'} ${e.message}`);
+  }
+
+  const errors = [];
+
+  // DeFi持仓分级按threshold从高到低依次匹配，必须严格递减
+  const defiTiers = policy.defiPositions.tiers;
+  for (let i = 1; i < defiTiers.length; i++) {
+    if (defiTiers[i].threshold >= defiTiers[i - 1].threshold) {
+      errors.push(`/defiPositions/tiers/${i} threshold必须小于上一档 (${defiTiers[i - 1].threshold})`);
+    }
+  }
+
+  // 代币价值分级必须按min递增且区间不重叠，只有最后一档可以无上限
+  const valueTiers = policy.tokenValueTiers;
+  for (let i = 0; i < valueTiers.length; i++) {
+    const tier = valueTiers[i];
+    const isLast = i === valueTiers.length - 1;
+    if (tier.max === null && !isLast) {
+      errors.push(`/tokenValueTiers/${i} 只有最后一档的max可以为null`);
+    }
+    if (tier.max !== null && tier.max < tier.min) {
+      errors.push(`/tokenValueTiers/${i} max不能小于min`);
+    }
+    if (i > 0 && valueTiers[i - 1].max !== null && tier.min <= valueTiers[i - 1].max) {
+      errors.push(`/tokenValueTiers/${i} 与上一档区间重叠`);
+    }
+  }
+
+  // 分级分配表必须按minScore严格递增
+  const allocationTiers = policy.allocation.tiers || [];
+  for (let i = 1; i < allocationTiers.length; i++) {
+    if (allocationTiers[i].minScore <= allocationTiers[i - 1].minScore) {
+      errors.push(`/allocation/tiers/${i} minScore必须大于上一档 (${allocationTiers[i - 1].minScore})`);
+    }
+  }
+
+  // 女巫集群的处理方式按集群规模匹配，minSize必须严格递增
+  const sybilActions = (policy.sybil && policy.sybil.actions) || [];
+  for (let i = 1; i < sybilActions.length; i++) {
+    if (sybilActions[i].minSize <= sybilActions[i - 1].minSize) {
+      errors.push(`/sybil/actions/${i} minSize必须大于上一档 (${sybilActions[i - 1].minSize})`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * 加载并校验积分策略
+ * @param {string} policyPath 策略文件路径（默认: SCORING_POLICY环境变量或config/scoring-policy.json）
+ * @returns {Object} 策略内容（附带path与hash字段）
+ */
+function loadScoringPolicy(policyPath = process.env.SCORING_POLICY || DEFAULT_POLICY_PATH) {
+  const resolvedPath = path.resolve(policyPath);
+  if (policyCache.has(resolvedPath)) {
+    return policyCache.get(resolvedPath);
+  }
+
+  if (!fs.existsSync(resolvedPath)) {
+    throw new Error(`积分策略文件不存在: ${resolvedPath}`);
+  }
+
+  const content = fs.readFileSync(resolvedPath, 'utf8');
+  const policy = JSON.parse(content);
+
+  const errors = validateScoringPolicy(policy);
+  if (errors.length > 0) {
+    throw new Error(`积分策略 ${resolvedPath} 校验失败:\n  ${errors.join('\n  ')}`);
+  }
+
+  // 转换为运行时结构：无上限的档位使用Infinity
+  const loaded = {
+    ...policy,
+    tokenValueTiers: policy.tokenValueTiers.map(tier => ({
+      ...tier,
+      max: tier.max === null ? Infinity : tier.max
+    })),
+    path: resolvedPath,
+    hash: crypto.createHash('sha256').update(content).digest('hex')
+  };
+
+  policyCache.set(resolvedPath, loaded);
+  return loaded;
+}
+
+module.exports = {
+  DEFAULT_POLICY_PATH,
+  loadScoringPolicy,
+  validateScoringPolicy
+};
@@ -0,0 +1,375 @@
+// 女巫集群检测 - 从本地导出的转账记录构建资金图，将共同首个资金来源或同步转账的候选地址聚类，
+// 按集群规模选择处理方式（flag只记录、penalty降分、exclude排除），并为每个集群保留可解释的证据
+const fs = require('fs');
+const path = require('path');
+const csv = require('./csv');
+const { normalizeAddress } = require('./address');
+
+const ZERO_ADDRESS = `0x${'0'.repeat(40)}`;
+
+// 积分策略未配置sybil时使用的默认值
+const DEFAULT_SYBIL_POLICY = {
+  ignoredAddresses: [],
+  lockstepWindowSeconds: 600,
+  minLockstepEvents: 3,
+  maxLockstepGroup: 50,
+  actions: [
+    { minSize: 3, action: 'penalty', multiplier: 0.5 },
+    { minSize: 10, action: 'exclude' }
+  ]
+};
+
+// 可读取的转账记录文件扩展名（.ndjson与.jsonl为每行一个JSON对象）
+const TRANSFER_EXTENSIONS = ['.csv', '.ndjson', '.jsonl'];
+
+// 报告中每条证据列出的示例数
+const MAX_EVIDENCE_EXAMPLES = 5;
+
+// 报告中每个集群列出的同步地址对数
+const MAX_LOCKSTEP_PAIRS = 100;
+
+// 大于该值的数字时间戳视为毫秒
+const MILLISECOND_THRESHOLD = 1e12;
+
+/**
+ * 合并积分策略中的sybil配置与默认值
+ * @param {Object} policy 积分策略的sybil部分（可为空）
+ * @returns {Object} 完整的检测参数
+ */
+function resolveSybilPolicy(policy = {}) {
+  return { ...DEFAULT_SYBIL_POLICY, ...policy };
+}
+
+/**
+ * 按集群规模选择处理方式：minSize不超过规模的最高一档
+ * @param {Array<Object>} actions 处理方式（minSize递增）
+ * @param {number} size 集群规模
+ * @returns {Object|null} 处理方式，规模不足最低一档时为null
+ */
+function selectAction(actions, size) {
+  let selected = null;
+  for (const action of actions) {
+    if (size >= action.minSize) {
+      selected = action;
+    }
+  }
+  return selected;
+}
+
+/**
+ * 解析转账时间：Unix时间戳（秒或毫秒）或ISO时间
+ * @param {string|number} value 时间
+ * @returns {number|null} Unix时间戳（秒），无法解析时为null
+ */
+function parseTimestamp(value) {
+  const text = String(value).trim();
+  let seconds;
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    seconds = Number(text);
+    if (seconds > MILLISECOND_THRESHOLD) {
+      seconds /= 1000;
+    }
+  } else {
+    seconds = Date.parse(text) / 1000;
+  }
+  return Number.isFinite(seconds) ? Math.floor(seconds) : null;
+}
+
+/**
+ * 列出转账记录文件：单个文件，或目录下所有CSV/NDJSON文件（按文件名排序）
+ * @param {string} transfersPath 文件或目录路径
+ * @returns {Array<string>} 文件路径
+ */
+function listTransferFiles(transfersPath) {
+  if (!fs.existsSync(transfersPath)) {
+    throw new Error(`转账记录不存在: ${transfersPath}`);
+  }
+  if (!fs.statSync(transfersPath).isDirectory()) {
+    return [transfersPath];
+  }
+  const files = fs.readdirSync(transfersPath)
+    .filter(file => TRANSFER_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+    .sort()
+    .map(file => path.join(transfersPath, file));
+  if (files.length === 0) {
+    throw new Error(`目录 ${transfersPath} 中没有转账记录文件（${TRANSFER_EXTENSIONS.join(', ')}）`);
+  }
+  return files;
+}
+
+/**
+ * 流式读取一个转账记录文件，按扩展名识别CSV或NDJSON
+ * 无效地址记录到rejections；时间无法解析的行作为行错误报告；零金额转账（多为垃圾转账）不返回
+ * @param {string} filePath 文件路径
+ * @param {Object} options 选项
+ * @param {Object} options.rejections 被拒绝地址报告（lib/address.js的createRejectionReport）
+ * @param {Function} options.onRowError 行错误回调 ({ file, line, column?, message })
+ * @returns {AsyncGenerator<Object>} { from, to, timestamp, hash, file, line }，地址为规范形式
+ */
+async function* readTransfers(filePath, options = {}) {
+  const { rejections, onRowError } = options;
+  const normalize = (value, location) => (rejections ? rejections.normalize(value, location) : normalizeAddress(value));
+  const reader = path.extname(filePath).toLowerCase() === '.csv' ? csv.readCsv : csv.readNdjson;
+
+  for await (const { values, file, line } of reader(filePath, csv.SCHEMAS.transfers, { onRowError })) {
+    const from = normalize(values.from, { file, line, column: 'from' });
+    const to = normalize(values.to, { file, line, column: 'to' });
+    if (!from || !to) continue;
+
+    const timestamp = parseTimestamp(values.timestamp);
+    if (timestamp === null) {
+      if (onRowError) {
+        onRowError({ file, line, column: 'timestamp', message: `无法解析时间: ${values.timestamp}` });
+      }
+      continue;
+    }
+    if (values.value !== '' && Number(values.value) === 0) continue;
+
+    yield { from, to, timestamp, hash: values.hash || null, file, line };
+  }
+}
+
+/**
+ * 并查集：按地址合并集群，根节点取字典序最小的地址，结果与合并顺序无关
+ */
+function createUnionFind() {
+  const parent = new Map();
+
+  const find = (address) => {
+    let root = address;
+    while (parent.has(root) && parent.get(root) !== root) {
+      root = parent.get(root);
+    }
+    // 路径压缩
+    let node = address;
+    while (node !== root) {
+      const next = parent.get(node);
+      parent.set(node, root);
+      node = next;
+    }
+    return root;
+  };
+
+  const union = (a, b) => {
+    const rootA = find(a);
+    const rootB = find(b);
+    if (rootA === rootB) return;
+    if (rootA < rootB) {
+      parent.set(rootB, rootA);
+    } else {
+      parent.set(rootA, rootB);
+    }
+  };
+
+  return { find, union };
+}
+
+/**
+ * 创建资金图
+ * 只记录与候选地址相关的边：每个候选地址的首个资金来源（最早的转入，时间相同时取先读到的），
+ * 以及同步事件——同一时间窗口内与同一对手方同向转账的候选地址
+ * @param {Iterable<string>} candidates 候选地址（规范形式）
+ * @param {Object} policy 检测参数（resolveSybilPolicy的结果）
+ * @returns {Object} { addTransfer(transfer), clusters() }
+ */
+function createFundingGraph(candidates, policy = DEFAULT_SYBIL_POLICY) {
+  const candidateSet = candidates instanceof Set ? candidates : new Set(candidates);
+  const ignored = new Set([ZERO_ADDRESS]);
+  for (const address of policy.ignoredAddresses) {
+    ignored.add(normalizeAddress(address));
+  }
+
+  // 候选地址 => { funder, timestamp, hash }
+  const firstFunding = new Map();
+  // 同步事件键（方向:对手方:时间窗口） => Set<候选地址>
+  const lockstepEvents = new Map();
+  let transfers = 0;
+
+  const addEvent = (key, address) => {
+    if (!lockstepEvents.has(key)) {
+      lockstepEvents.set(key, new Set());
+    }
+    lockstepEvents.get(key).add(address);
+  };
+
+  /**
+   * 添加一笔转账
+   * @param {Object} transfer { from, to, timestamp, hash }，地址为规范形式
+   */
+  const addTransfer = ({ from, to, timestamp, hash }) => {
+    if (from === to) return;
+    transfers++;
+
+    // 首个资金来源包括公共地址（如交易所提现），聚类时再忽略，避免之后的转入被误认为首个资金来源
+    if (candidateSet.has(to)) {
+      const current = firstFunding.get(to);
+      if (!current || timestamp < current.timestamp) {
+        firstFunding.set(to, { funder: from, timestamp, hash });
+      }
+    }
+
+    const window = Math.floor(timestamp / policy.lockstepWindowSeconds);
+    if (candidateSet.has(from) && !ignored.has(to)) {
+      addEvent(`out:${to}:${window}`, from);
+    }
+    if (candidateSet.has(to) && !ignored.has(from)) {
+      addEvent(`in:${from}:${window}`, to);
+    }
+  };
+
+  // 共同首个资金来源：资金来源 => 候选地址（按地址排序）
+  const sharedFunderGroups = () => {
+    const groups = new Map();
+    for (const [address, { funder }] of firstFunding) {
+      if (ignored.has(funder)) continue;
+      if (!groups.has(funder)) {
+        groups.set(funder, []);
+      }
+      groups.get(funder).push(address);
+    }
+    for (const [funder, members] of groups) {
+      if (members.length < 2) {
+        groups.delete(funder);
+      } else {
+        members.sort();
+      }
+    }
+    return groups;
+  };
+
+  // 同步地址对：统计两个地址共同出现的同步事件数，超过maxLockstepGroup的事件视为热门合约跳过
+  const lockstepPairs = () => {
+    const pairs = new Map();
+    let crowdedEvents = 0;
+    for (const [key, addresses] of lockstepEvents) {
+      if (addresses.size < 2) continue;
+      if (addresses.size > policy.maxLockstepGroup) {
+        crowdedEvents++;
+        continue;
+      }
+      const [direction, counterparty, window] = key.split(':');
+      const event = { direction, counterparty, windowStart: Number(window) * policy.lockstepWindowSeconds };
+      const members = [...addresses].sort();
+      for (let i = 0; i < members.length; i++) {
+        for (let j = i + 1; j < members.length; j++) {
+          const pairKey = `${members[i]}:${members[j]}`;
+          if (!pairs.has(pairKey)) {
+            pairs.set(pairKey, { addresses: [members[i], members[j]], events: 0, examples: [] });
+          }
+          const pair = pairs.get(pairKey);
+          pair.events++;
+          if (pair.examples.length < MAX_EVIDENCE_EXAMPLES) {
+            pair.examples.push(event);
+          }
+        }
+      }
+    }
+    for (const [pairKey, pair] of pairs) {
+      if (pair.events < policy.minLockstepEvents) {
+        pairs.delete(pairKey);
+      }
+    }
+    return { pairs, crowdedEvents };
+  };
+
+  /**
+   * 计算集群：共同首个资金来源和同步地址对作为边合并地址，规模达到最低一档处理方式的连通分量为集群
+   * 集群按规模从大到小、再按第一个成员地址排序，编号为 cluster-1, cluster-2, ...
+   * @returns {Object} { stats, clusters }
+   */
+  const clusters = () => {
+    const unionFind = createUnionFind();
+    const funderGroups = sharedFunderGroups();
+    const { pairs, crowdedEvents } = lockstepPairs();
+
+    // 资金来源本身也是候选地址时（如农场的主钱包）一并归入集群
+    for (const [funder, members] of funderGroups) {
+      members.slice(1).forEach(address => unionFind.union(members[0], address));
+      if (candidateSet.has(funder)) {
+        unionFind.union(members[0], funder);
+      }
+    }
+    for (const { addresses } of pairs.values()) {
+      unionFind.union(addresses[0], addresses[1]);
+    }
+
+    // 根节点 => { members, sharedFunders, pairs }
+    const components = new Map();
+    const componentOf = (address) => {
+      const root = unionFind.find(address);
+      if (!components.has(root)) {
+        components.set(root, { members: new Set(), sharedFunders: [], pairs: [] });
+      }
+      return components.get(root);
+    };
+    for (const [funder, members] of funderGroups) {
+      const component = componentOf(members[0]);
+      members.forEach(address => component.members.add(address));
+      if (candidateSet.has(funder)) {
+        component.members.add(funder);
+      }
+      component.sharedFunders.push({
+        funder,
+        funderIsCandidate: candidateSet.has(funder),
+        members,
+        examples: members.slice(0, MAX_EVIDENCE_EXAMPLES).map(address => ({ address, ...firstFunding.get(address) }))
+      });
+    }
+    for (const pair of pairs.values()) {
+      const component = componentOf(pair.addresses[0]);
+      pair.addresses.forEach(address => component.members.add(address));
+      component.pairs.push(pair);
+    }
+
+    const result = [];
+    for (const { members: memberSet, sharedFunders, pairs: clusterPairs } of components.values()) {
+      const action = selectAction(policy.actions, memberSet.size);
+      if (!action) continue;
+
+      clusterPairs.sort((a, b) => b.events - a.events || a.addresses[0].localeCompare(b.addresses[0]) || a.addresses[1].localeCompare(b.addresses[1]));
+
+      result.push({
+        size: memberSet.size,
+        action: action.action,
+        ...(action.action === 'penalty' ? { multiplier: action.multiplier } : {}),
+        members: [...memberSet].sort(),
+        evidence: {
+          sharedFunders: sharedFunders.sort((a, b) => b.members.length - a.members.length || a.funder.localeCompare(b.funder)),
+          lockstep: {
+            pairs: clusterPairs.length,
+            examples: clusterPairs.slice(0, MAX_LOCKSTEP_PAIRS)
+          }
+        }
+      });
+    }
+
+    result.sort((a, b) => b.size - a.size || a.members[0].localeCompare(b.members[0]));
+    result.forEach((cluster, i) => {
+      cluster.id = `cluster-${i + 1}`;
+    });
+
+    return {
+      stats: {
+        transfers,
+        candidates: candidateSet.size,
+        funded: firstFunding.size,
+        sharedFunders: funderGroups.size,
+        lockstepPairs: pairs.size,
+        crowdedEvents
+      },
+      clusters: result.map(({ id, ...cluster }) => ({ id, ...cluster }))
+    };
+  };
+
+  return { addTransfer, clusters };
+}
+
+module.exports = {
+  DEFAULT_SYBIL_POLICY,
+  resolveSybilPolicy,
+  selectAction,
+  parseTimestamp,
+  listTransferFiles,
+  readTransfers,
+  createFundingGraph
+};
@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+// 空投流水线命令行工具 - 按阶段执行各脚本，或通过run命令串联整条流水线
+const path = require('path');
+const { parseArgs } = require('util');
+const {
+  STAGES,
+  getStage,
+  loadPipelineConfig,
+  loadManifest,
+  runPipeline
+} = require('../lib/pipeline');
+
+// 默认流水线配置文件
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '../pipeline.config.json');
+
+/**
+ * 打印使用说明
+ */
+function printUsage() {
+  console.log(`
+使用说明:
+  airdrop run [--config <path>] [--resume] [--from <stage>] [--to <stage>]
+  airdrop <stage> [--config <path>]
+  airdrop status [--config <path>]
+
+命令:
+  run       按顺序执行整条流水线，并在运行清单中记录每个阶段的输入、输出及文件哈希
+  status    查看运行清单中各阶段的最近状态
+${STAGES.map(s => `  ${s.name.padEnd(14)}${s.description}`).join('\n')}
+
+选项:
+  --config  流水线配置文件 (默认: pipeline.config.json，不存在时使用默认目录)
+  --resume  跳过输入未变化且输出完好的阶段，从第一个输入发生变化的阶段开始执行
+  --from    从指定阶段开始执行（强制重新执行该阶段及其下游阶段）
+  --to      执行到指定阶段为止
+
+示例:
+  airdrop run --config pipeline.config.json
+  airdrop run --resume
+  airdrop tree
+  `);
+}
+
+/**
+ * 计算run命令要执行的阶段列表
+ * @param {string} from 起始阶段
+ * @param {string} to 结束阶段
+ * @returns {Array<string>} 阶段名称列表
+ */
+function selectStages(from, to) {
+  const names = STAGES.map(s => s.name);
+  const start = from ? names.indexOf(getStage(from).name) : 0;
+  const end = to ? names.indexOf(getStage(to).name) : names.length - 1;
+
+  if (start > end) {
+    throw new Error(`起始阶段 ${from} 位于结束阶段 ${to} 之后`);
+  }
+
+  return names.slice(start, end + 1);
+}
+
+/**
+ * 输出运行清单中的阶段状态
+ * @param {Object} config 流水线配置
+ */
+function printStatus(config) {
+  const manifest = loadManifest(config.manifest);
+  console.log(`运行清单: ${config.manifest}`);
+
+  for (const stage of STAGES) {
+    const record = manifest.stages[stage.name];
+    if (!record) {
+      console.log(`  ${stage.name.padEnd(14)}未执行`);
+      continue;
+    }
+    const fileCount = record.outputs.reduce((sum, o) => sum + o.files.length, 0);
+    console.log(`  ${stage.name.padEnd(14)}${record.status}  ${record.finishedAt || record.startedAt}  输出文件: ${fileCount}`);
+  }
+
+  const lastRun = manifest.runs[manifest.runs.length - 1];
+  if (lastRun) {
+    console.log(`最近一次运行: ${lastRun.runId} (${lastRun.status})`);
+  }
+}
+
+/**
+ * 主函数
+ */
+async function main() {
+  const { values, positionals } = parseArgs({
+    args: process.argv.slice(2),
+    allowPositionals: true,
+    options: {
+      config: { type: 'string', default: DEFAULT_CONFIG_PATH },
+      resume: { type: 'boolean', default: false },
+      from: { type: 'string' },
+      to: { type: 'string' },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  const command = positionals[0];
+  if (!command || values.help) {
+    printUsage();
+    return;
+  }
+
+  const config = loadPipelineConfig(values.config);
+
+  switch (command) {
+    case 'run': {
+      const stages = selectStages(values.from, values.to);
+      // 指定--from时该阶段必须重新执行，因此不做复用判断
+      const run = await runPipeline(config, { stages, resume: values.resume && !values.from });
+      console.log(`\n🎉 流水线运行完成: ${run.runId}`);
+      console.log(`运行清单已保存到: ${config.manifest}`);
+      break;
+    }
+
+    case 'status':
+      printStatus(config);
+      break;
+
+    default: {
+      const stage = getStage(command);
+      await runPipeline(config, { stages: [stage.name] });
+      break;
+    }
+  }
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('❌ 流水线执行出错:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  selectStages
+};
@@ -3,8 +3,9 @@ const fs = require('fs');
 const path = require('path');
 const { parse } = require('csv-parse');
 const { stringify } = require('csv-stringify/sync');
-const readline = require('readline');
 const { performance } = require('perf_hooks');
+const { normalizeAddress, createRejectionReport } = require('../lib/address');
+const { SCHEMAS, readCsv, formatRowError } = require('../lib/csv');
 
 /**
  * 交叉对比csv-merged目录中的1-9.csv文件与两个过滤条件：
@@ -26,9 +27,10 @@ const CONFIG = {
 /**
  * 读取170w个孤岛地址快照.csv文件，构建地址集合
  * @param {string} snapshotPath 快照文件路径
- * @returns {Promise<Set>} 地址集合
+ * @param {Object} rejections 被拒绝地址报告（lib/address的createRejectionReport）
+ * @returns {Promise<Set>} 规范化地址集合
  */
-async function loadSnapshotAddresses(snapshotPath) {
+async function loadSnapshotAddresses(snapshotPath, rejections = createRejectionReport('cross_check_addresses')) {
   console.log(`正在读取快照文件: ${snapshotPath}`);
   const startTime = performance.now();
   
@@ -40,38 +42,14 @@ async function loadSnapshotAddresses(snapshotPath) {
       return addresses;
     }
     
-    const fileStream = fs.createReadStream(snapshotPath);
-    const rl = readline.createInterface({
-      input: fileStream,
-      crlfDelay: Infinity
-    });
-    
-    let isFirstLine = true;
     let lineCount = 0;
     
-    for await (const line of rl) {
-      // 跳过CSV头行
-      if (isFirstLine) {
-        isFirstLine = false;
-        continue;
-      }
-      
-      // 跳过空行
-      if (!line.trim()) continue;
-      
+    // 按表头读取地址列（表头中没有address列时取第一列），无法解析的行由lib/csv报告
+    for await (const { values, file, line } of readCsv(snapshotPath, SCHEMAS.islandSnapshot)) {
       lineCount++;
-      
-      // 解析行数据 - 根据逗号分隔
-      const columns = line.split(',');
-      
-      // 确保有地址列
-      if (columns.length > 0) {
-        const address = columns[0].trim().toLowerCase();
-        
-        // 检查地址是否有效（以0x开头且长度为42）
-        if (address.startsWith('0x') && address.length === 42) {
-          addresses.add(address);
-        }
+      const address = rejections.normalize(values.address, { file, line });
+      if (address) {
+        addresses.add(address);
       }
       
       // 每处理一定数量行报告进度
@@ -93,9 +71,10 @@ async function loadSnapshotAddresses(snapshotPath) {
 /**
  * 读取1w6个Arbitrum_ENS活跃真人地址.csv文件，构建地址集合
  * @param {string} ensPath ENS地址文件路径
- * @returns {Promise<Object>} 包含地址集合和详细数据的对象
+ * @param {Object} rejections 被拒绝地址报告（lib/address的createRejectionReport）
+ * @returns {Promise<Object>} 包含规范化地址集合和详细数据的对象
  */
-async function loadArbitrumENSAddresses(ensPath) {
+async function loadArbitrumENSAddresses(ensPath, rejections = createRejectionReport('cross_check_addresses')) {
   console.log(`正在读取Arbitrum ENS地址文件: ${ensPath}`);
   const startTime = performance.now();
   
@@ -108,47 +87,16 @@ async function loadArbitrumENSAddresses(ensPath) {
       return { addresses, addressData };
     }
     
-    const fileStream = fs.createReadStream(ensPath);
-    const rl = readline.createInterface({
-      input: fileStream,
-      crlfDelay: Infinity
-    });
-    
-    let isFirstLine = true;
-    let headers = [];
     let lineCount = 0;
     
-    for await (const line of rl) {
-      // 处理CSV头行
-      if (isFirstLine) {
-        isFirstLine = false;
-        headers = line.split(',').map(h => h.trim());
-        continue;
-      }
-      
-      // 跳过空行
-      if (!line.trim()) continue;
-      
+    // 引号中含逗号的字段（如ENS名称）不会被拆分
+    for await (const { values, row, file, line } of readCsv(ensPath, SCHEMAS.ensAddresses)) {
       lineCount++;
-      
-      // 解析行数据
-      const columns = line.split(',').map(c => c.trim());
-      
-      // 确保有地址列
-      if (columns.length > 0) {
-        const address = columns[0].trim().toLowerCase();
-        
-        // 检查地址是否有效（以0x开头且长度为42）
-        if (address.startsWith('0x') && address.length === 42) {
-          addresses.add(address);
-          
-          // 存储地址的详细信息
-          const addressInfo = {};
-          for (let i = 0; i < Math.min(headers.length, columns.length); i++) {
-            addressInfo[headers[i]] = columns[i];
-          }
-          addressData.set(address, addressInfo);
-        }
+      const address = rejections.normalize(values.address, { file, line });
+      if (address) {
+        addresses.add(address);
+        // 存储地址的详细信息（表头 => 值）
+        addressData.set(address, row);
       }
       
       // 每处理一定数量行报告进度
@@ -170,9 +118,10 @@ async function loadArbitrumENSAddresses(ensPath) {
 /**
  * 读取100w个连续周低gas地址快照.csv文件，构建周数大于等于阈值的地址集合
  * @param {string} lowGasPath 低gas地址快照文件路径
- * @returns {Promise<Set>} 应该被过滤的地址集合
+ * @param {Object} rejections 被拒绝地址报告（lib/address的createRejectionReport）
+ * @returns {Promise<Set>} 应该被过滤的规范化地址集合
  */
-async function loadLowGasAddresses(lowGasPath) {
+async function loadLowGasAddresses(lowGasPath, rejections = createRejectionReport('cross_check_addresses')) {
   console.log(`正在读取低gas地址快照文件: ${lowGasPath}`);
   const startTime = performance.now();
   
@@ -184,53 +133,16 @@ async function loadLowGasAddresses(lowGasPath) {
       return filterAddresses;
     }
     
-    const fileStream = fs.createReadStream(lowGasPath);
-    const rl = readline.createInterface({
-      input: fileStream,
-      crlfDelay: Infinity
-    });
-    
-    let isFirstLine = true;
-    let headers = [];
-    let weeksColumnIndex = -1;
-    let addressColumnIndex = 0;
     let lineCount = 0;
     
-    for await (const line of rl) {
-      // 处理CSV头行
-      if (isFirstLine) {
-        isFirstLine = false;
-        headers = line.split(',').map(h => h.trim());
-        
-        // 查找 weeks_with_low_gas_behavior 列的索引
-        weeksColumnIndex = headers.findIndex(h => h === 'weeks_with_low_gas_behavior');
-        
-        if (weeksColumnIndex === -1) {
-          console.error(`错误: 在低gas地址快照文件中找不到 'weeks_with_low_gas_behavior' 列`);
-          return filterAddresses;
-        }
-        
-        continue;
-      }
-      
-      // 跳过空行
-      if (!line.trim()) continue;
-      
+    // 表头中缺少weeks_with_low_gas_behavior列时lib/csv抛出错误
+    for await (const { values, file, line } of readCsv(lowGasPath, SCHEMAS.lowGasSnapshot)) {
       lineCount++;
+      const address = rejections.normalize(values.address, { file, line });
       
-      // 解析行数据
-      const columns = line.split(',').map(c => c.trim());
-      
-      // 检查有效性
-      if (columns.length > Math.max(addressColumnIndex, weeksColumnIndex)) {
-        const address = columns[addressColumnIndex].toLowerCase();
-        const weeksWithLowGas = parseInt(columns[weeksColumnIndex], 10);
-        
-        // 检查地址格式及周数条件
-        if (address.startsWith('0x') && address.length === 42 && 
-            !isNaN(weeksWithLowGas) && weeksWithLowGas >= CONFIG.LOW_GAS_WEEKS_THRESHOLD) {
-          filterAddresses.add(address);
-        }
+      // 检查地址格式及周数条件
+      if (address && values.weeks >= CONFIG.LOW_GAS_WEEKS_THRESHOLD) {
+        filterAddresses.add(address);
       }
       
       // 每处理一定数量行报告进度
@@ -256,9 +168,10 @@ async function loadLowGasAddresses(lowGasPath) {
  * @param {string} csvPath CSV文件路径
  * @param {Set} snapshotAddresses 孤岛地址快照集合
  * @param {Set} lowGasAddresses 低gas行为地址集合
- * @returns {Promise<Object>} 处理结果
+ * @param {Object} rejections 被拒绝地址报告（lib/address的createRejectionReport），无效地址的记录不保留
+ * @returns {Promise<Object>} 处理结果，保留记录的地址列为规范化地址
  */
-async function processCsvFile(csvPath, snapshotAddresses, lowGasAddresses) {
+async function processCsvFile(csvPath, snapshotAddresses, lowGasAddresses, rejections = createRejectionReport('cross_check_addresses')) {
   const fileName = path.basename(csvPath);
   console.log(`\n处理文件: ${fileName}`);
   const startTime = performance.now();
@@ -267,6 +180,7 @@ async function processCsvFile(csvPath, snapshotAddresses, lowGasAddresses) {
     fileName,
     totalRecords: 0,
     excludedRecords: 0,
+    rejectedRecords: 0,
     keptRecords: 0,
     excludedAddresses: [],
     keptData: []
@@ -278,55 +192,39 @@ async function processCsvFile(csvPath, snapshotAddresses, lowGasAddresses) {
       return results;
     }
     
-    const fileStream = fs.createReadStream(csvPath);
-    const rl = readline.createInterface({
-      input: fileStream,
-      crlfDelay: Infinity
-    });
-    
-    let isFirstLine = true;
-    let headers = [];
     let lineCount = 0;
+    let addressHeader = null;
     
-    for await (const line of rl) {
-      // 处理CSV头行
-      if (isFirstLine) {
-        isFirstLine = false;
-        // 解析头行 - 根据逗号或制表符分隔
-        headers = line.includes('\t') ? line.split('\t') : line.split(',');
-        continue;
-      }
-      
-      // 跳过空行
-      if (!line.trim()) continue;
-      
+    // 按表头中的address列读取地址，引号中含逗号的字段（如标签、ENS名称）不会被拆分
+    const onHeader = ({ headers, columns }) => {
+      addressHeader = headers[columns.address];
+    };
+    // 无法解析的行计入总记录数和无效记录数，不保留
+    const onRowError = (error) => {
+      lineCount++;
+      results.totalRecords++;
+      results.rejectedRecords++;
+      console.warn(`  跳过格式不正确的行: ${formatRowError(error)}`);
+    };
+    
+    for await (const { values, row, file, line } of readCsv(csvPath, SCHEMAS.crossCheckInput, { onHeader, onRowError })) {
       lineCount++;
       results.totalRecords++;
       
-      // 解析行数据 - 根据逗号或制表符分隔
-      const columns = line.includes('\t') ? line.split('\t') : line.split(',');
+      const address = rejections.normalize(values.address, { file, line });
       
-      // 确保列数足够，并找到address列（第二列，索引为1）
-      if (columns.length > 1) {
-        const address = columns[1].trim().toLowerCase();
-        
+      if (!address) {
+        // 无效地址记录到报告，不保留
+        results.rejectedRecords++;
+      } else if (snapshotAddresses.has(address) || lowGasAddresses.has(address)) {
         // 检查地址是否在快照中或低gas行为地址集合中
-        if (address.startsWith('0x') && address.length === 42 && 
-            (snapshotAddresses.has(address) || lowGasAddresses.has(address))) {
-          // 如果地址在任一排除集合中，则排除这条记录
-          results.excludedRecords++;
-          results.excludedAddresses.push(address);
-        } else {
-          // 如果地址不在任一排除集合中，则保留这条记录
-          results.keptRecords++;
-          
-          // 构建保留记录的数据对象
-          const recordData = {};
-          for (let i = 0; i < Math.min(headers.length, columns.length); i++) {
-            recordData[headers[i]] = columns[i].trim();
-          }
-          results.keptData.push(recordData);
-        }
+        // 如果地址在任一排除集合中，则排除这条记录
+        results.excludedRecords++;
+        results.excludedAddresses.push(address);
+      } else {
+        // 如果地址不在任一排除集合中，则保留这条记录（地址列写入规范化地址）
+        results.keptRecords++;
+        results.keptData.push({ ...row, [addressHeader]: address });
       }
       
       // 每处理一定数量行报告进度
@@ -339,6 +237,7 @@ async function processCsvFile(csvPath, snapshotAddresses, lowGasAddresses) {
     console.log(`✓ 文件 ${fileName} 处理完成`);
     console.log(`  总记录数: ${results.totalRecords}`);
     console.log(`  排除地址数: ${results.excludedRecords}`);
+    console.log(`  无效地址数: ${results.rejectedRecords}`);
     console.log(`  保留地址数: ${results.keptRecords}`);
     console.log(`  排除率: ${(results.excludedRecords / results.totalRecords * 100).toFixed(2)}%`);
     console.log(`  保留率: ${(results.keptRecords / results.totalRecords * 100).toFixed(2)}%`);
@@ -385,13 +284,10 @@ function mergeENSAddresses(allResults, ensAddressData, snapshotAddresses, lowGas
       // 查找address字段，可能在不同的列中
       const addressValue = record.address || 
                           record[Object.keys(record)[1]] || // 假设第二列是地址
-                          Object.values(record).find(val => 
-                            typeof val === 'string' && 
-                            val.toLowerCase().startsWith('0x') && 
-                            val.length === 42);
+                          Object.values(record).find(val => normalizeAddress(val) !== null);
+      const normalizedAddress = normalizeAddress(addressValue);
       
-      if (addressValue) {
-        const normalizedAddress = addressValue.toLowerCase();
+      if (normalizedAddress) {
         globalExistingAddresses.add(normalizedAddress);
         
         // 如果这个地址在ENS数据中存在，添加ens_name
@@ -470,7 +366,7 @@ function mergeENSAddresses(allResults, ensAddressData, snapshotAddresses, lowGas
       if (hasAddressColumn) {
         // 如果结果文件有address列，直接使用ENS数据
         Object.assign(ensRecord, ensData);
-        ensRecord.address = ensData.address; // 确保address字段存在
+        ensRecord.address = address; // 确保address字段存在（规范化地址）
         ensRecord.ens_name = ensData.ens_name || ''; // 确保ens_name字段存在
         
         // 填充其他可能缺失的列
@@ -483,7 +379,7 @@ function mergeENSAddresses(allResults, ensAddressData, snapshotAddresses, lowGas
         // 如果结果文件没有address列，需要适配列结构
         // 假设第一列是序号，第二列是地址
         ensRecord[headers[0]] = ''; // 序号留空，后续可以重新编号
-        ensRecord[headers[1]] = ensData.address; // 地址
+        ensRecord[headers[1]] = address; // 地址
         
         // 确保ens_name字段存在
         let ensNameSet = false;
@@ -620,6 +516,7 @@ function generateCleanupReport(allResults, outputDir, mergeStats = null) {
 文件: ${result.fileName}
   总记录数: ${result.totalRecords}
   排除地址数: ${result.excludedRecords}
+  无效地址数: ${result.rejectedRecords || 0}
   保留地址数: ${result.keptRecords}
   排除率: ${(result.excludedRecords / result.totalRecords * 100).toFixed(2)}%
   保留率: ${(result.keptRecords / result.totalRecords * 100).toFixed(2)}%
@@ -660,7 +557,8 @@ Arbitrum ENS地址添加统计:
 
 说明: 
 - 排除次数可能大于唯一地址数，因为同一地址可能在多个文件中出现
-- 排除基于address列的完全匹配（不区分大小写）
+- 排除基于address列的规范化地址匹配（不区分大小写，大小写混合的地址须通过EIP-55校验）
+- 无效地址（含所有快照文件中的）不保留，明细见rejected_addresses.json
 - ENS地址在添加前会检查是否已被孤岛或低gas过滤条件排除
 - 每个ENS地址只会被添加一次，按文件顺序分配到各个清洗后的文件中
 - 对于已存在的地址，如果在ENS文件中有对应记录，会添加其ens_name到结果中
@@ -705,8 +603,13 @@ function logMemoryUsage() {
 
 /**
  * 主函数 - 执行地址清理
+ * @param {string} csvMergedDir 输入目录（包含1-9.csv及快照文件，默认: ../csv-merged）
+ * @param {string} outputDir 输出目录（默认: ../cleaned-results）
  */
-async function cleanAddresses() {
+async function cleanAddresses(
+  csvMergedDir = path.join(__dirname, '../csv-merged'),
+  outputDir = path.join(__dirname, '../cleaned-results')
+) {
   console.log('===============================================');
   console.log('开始执行地址清理任务');
   console.log('===============================================\n');
@@ -714,11 +617,9 @@ async function cleanAddresses() {
   
   try {
     // 定义路径
-    const csvMergedDir = path.join(__dirname, '../csv-merged');
     const snapshotPath = path.join(csvMergedDir, '170w个孤岛地址快照.csv');
     const lowGasPath = path.join(csvMergedDir, '100w个连续周低gas地址快照.csv');
     const ensPath = path.join(csvMergedDir, '1w6个Arbitrum_ENS活跃真人地址.csv');
-    const outputDir = path.join(__dirname, '../cleaned-results');
     
     // 确保输出目录存在
     if (!fs.existsSync(outputDir)) {
@@ -726,7 +627,9 @@ async function cleanAddresses() {
     }
     
     // 步骤1: 读取孤岛地址快照文件
-    const snapshotAddresses = await loadSnapshotAddresses(snapshotPath);
+    // 所有输入文件中的无效地址记录到同一个报告
+    const rejections = createRejectionReport('cross_check_addresses');
+    const snapshotAddresses = await loadSnapshotAddresses(snapshotPath, rejections);
     
     if (snapshotAddresses.size === 0) {
       console.error('错误: 未能读取到有效的孤岛地址快照，程序退出');
@@ -734,14 +637,14 @@ async function cleanAddresses() {
     }
     
     // 步骤2: 读取低gas地址快照文件
-    const lowGasAddresses = await loadLowGasAddresses(lowGasPath);
+    const lowGasAddresses = await loadLowGasAddresses(lowGasPath, rejections);
     
     if (lowGasAddresses.size === 0) {
       console.warn('警告: 未能读取到有效的低gas地址快照数据，将只进行孤岛地址的过滤');
     }
     
     // 步骤2.5: 读取Arbitrum ENS地址文件
-    const ensResult = await loadArbitrumENSAddresses(ensPath);
+    const ensResult = await loadArbitrumENSAddresses(ensPath, rejections);
     const { addresses: ensAddresses, addressData: ensAddressData } = ensResult;
     
     if (ensAddresses.size === 0) {
@@ -782,7 +685,7 @@ async function cleanAddresses() {
       console.log(`\n[${i + 1}/${csvFiles.length}] 开始处理文件: ${fileName}.csv`);
       
       // 处理文件
-      const result = await processCsvFile(csvFile, snapshotAddresses, lowGasAddresses);
+      const result = await processCsvFile(csvFile, snapshotAddresses, lowGasAddresses, rejections);
       allResults.push(result);
       
       // 保存清理后的数据到单独的文件
@@ -824,6 +727,8 @@ async function cleanAddresses() {
     console.log('===============================================');
     
     const summary = generateCleanupReport(allResults, outputDir, mergeStats);
+    rejections.log();
+    rejections.write(path.join(outputDir, 'rejected_addresses.json'));
     
     if (summary) {
       console.log('\n🎉 地址清理任务完成!');
@@ -862,7 +767,11 @@ async function main() {
   if (args.length > 0 && (args[0] === '--help' || args[0] === '-h')) {
     console.log(`
 使用说明:
-  node cross_check_addresses.js
+  node cross_check_addresses.js [input_dir] [output_dir]
+
+参数:
+  input_dir    - 包含1-9.csv及快照文件的目录 (默认: ../csv-merged)
+  output_dir   - 清理结果输出目录 (默认: ../cleaned-results)
 
 功能:
   从csv-merged目录中的1-9.csv文件中执行三步处理：
@@ -882,7 +791,7 @@ async function main() {
   }
 
   try {
-    await cleanAddresses();
+    await cleanAddresses(args[0], args[1]);
   } catch (error) {
     console.error('程序执行出错:', error);
     process.exit(1);
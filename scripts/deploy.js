@@ -1,47 +1,411 @@
+const fs = require("fs");
+const path = require("path");
 const { ethers } = require("hardhat");
+const merkle = require("../lib/merkle");
+const { DEFAULT_DECIMALS } = require("../lib/allocation");
 require("dotenv").config();
 
+// 配置参数（通过环境变量传入）
+const CONFIG = {
+  // 代币合约地址（merkle_data.json的asset为native时为原生ETH模式，无需设置）
+  AIRDROP_TOKEN: process.env.AIRDROP_TOKEN,
+  // 原生ETH模式下为部署者保留的gas费用（ETH），不计入可注资余额
+  ETH_GAS_RESERVE: process.env.ETH_GAS_RESERVE || "0.01",
+  // Merkle根（默认使用merkle_data.json中的根）
+  MERKLE_ROOT: process.env.MERKLE_ROOT,
+  // Merkle数据目录
+  MERKLE_DIR: process.env.MERKLE_DIR || path.join(__dirname, "../merkle-data"),
+  // 已部署的分发合约地址（设置后只补足资金，不重新部署）
+  DISTRIBUTOR_ADDRESS: process.env.DISTRIBUTOR_ADDRESS,
+  // 资金或Merkle根不一致时仍继续执行
+  ALLOW_FUNDING_MISMATCH: process.env.ALLOW_FUNDING_MISMATCH === "true",
+  // 领取窗口（unix时间戳，秒），CLAIM_END未设置时不设截止时间
+  CLAIM_START: process.env.CLAIM_START,
+  CLAIM_END: process.env.CLAIM_END,
+  // 截止后剩余代币的接收地址
+  TREASURY: process.env.TREASURY,
+  // 线性释放：达到阈值（代币数量）的分配从VESTING_START起经过VESTING_DURATION秒线性释放，VESTING_CLIFF秒内不释放
+  VESTING_THRESHOLD: process.env.VESTING_THRESHOLD,
+  VESTING_START: process.env.VESTING_START,
+  VESTING_CLIFF: process.env.VESTING_CLIFF || "0",
+  VESTING_DURATION: process.env.VESTING_DURATION
+};
+
+/**
+ * 读取Merkle树分配总额（所有批次叶子金额之和）
+ * @param {string} merkleDir Merkle数据目录
+ * @param {Object} options 选项
+ * @param {boolean} options.cumulative 是否为累计模式Merkle树（此时总额为所有地址的累计金额之和）
+ * @returns {Object} { root, total, asset, decimals, leafEncoding }，leafEncoding为v2叶子编码的 { chainId, distributor }，v1时为null
+ */
+function readAllocationTotal(merkleDir, { cumulative = false } = {}) {
+  const merkleDataPath = path.join(merkleDir, "merkle_data.json");
+  if (!fs.existsSync(merkleDataPath)) {
+    throw new Error(`Merkle数据文件不存在: ${merkleDataPath}，请先运行 generate_merkle_tree.js`);
+  }
+  const merkleData = JSON.parse(fs.readFileSync(merkleDataPath, "utf8"));
+  if (merkleData.tokenTotals) {
+    throw new Error(`${merkleDataPath} 是多代币Merkle树，叶子包含token字段，只能用于MultiTokenDistributor`);
+  }
+  if (cumulative !== (merkleData.leafFormat === merkle.LEAF_FORMATS.CUMULATIVE)) {
+    throw new Error(cumulative
+      ? `${merkleDataPath} 不是累计模式Merkle树，请使用 generate_merkle_tree.js --cumulative 生成`
+      : `${merkleDataPath} 是累计模式Merkle树，只能用于CumulativeMerkleDistributor`);
+  }
+
+  let total = 0n;
+  for (let i = 0; i < merkleData.batchCount; i++) {
+    // 二进制存储（--store binary）从leaves.bin按批次读取记录
+    const batchData = merkle.readBatch(merkleDir, i, merkleData.store || null);
+    for (const record of batchData.records) {
+      total += BigInt(record.amount);
+    }
+  }
+
+  // merkle_data.json中记录的总额必须与批次文件一致
+  if (merkleData.totalAmount !== undefined && BigInt(merkleData.totalAmount) !== total) {
+    throw new Error(`批次文件金额之和 ${total} 与merkle_data.json的totalAmount ${merkleData.totalAmount} 不一致`);
+  }
+
+  // 旧版本的merkle_data.json没有asset字段，均为ERC20
+  return {
+    root: merkleData.root,
+    total,
+    asset: merkleData.asset || "erc20",
+    decimals: merkle.decimalsOf(merkleData),
+    leafEncoding: merkleData.leafVersion === 2 ? { chainId: merkleData.chainId, distributor: merkleData.distributor } : null
+  };
+}
+
+/**
+ * 检查v2叶子编码绑定的链ID和分发合约地址是否与本次部署一致
+ * @param {Object} leafEncoding readAllocationTotal返回的 { chainId, distributor }
+ * @param {BigInt|number} chainId 当前网络的链ID
+ * @param {string} distributorAddress 已部署或预测的分发合约地址
+ * @returns {Array<string>} 问题列表
+ */
+function checkLeafEncoding(leafEncoding, chainId, distributorAddress) {
+  const problems = [];
+  if (BigInt(leafEncoding.chainId) !== BigInt(chainId)) {
+    problems.push(`v2叶子绑定的链ID ${leafEncoding.chainId} 与当前网络 ${chainId} 不一致`);
+  }
+  if (leafEncoding.distributor.toLowerCase() !== distributorAddress.toLowerCase()) {
+    problems.push(`v2叶子绑定的分发合约 ${leafEncoding.distributor} 与 ${distributorAddress} 不一致，请使用该地址重新生成Merkle树`);
+  }
+  return problems;
+}
+
+/**
+ * 计算分发合约需要补足的资金：优先从部署者余额转账，不足部分在持有MINTER_ROLE时铸造（不超过上限）
+ * @param {Object} state 当前状态
+ * @param {BigInt} state.required 分配总额
+ * @param {BigInt} state.distributorBalance 分发合约当前余额
+ * @param {BigInt} state.deployerBalance 部署者余额
+ * @param {boolean} state.canMint 部署者是否持有MINTER_ROLE
+ * @param {BigInt} state.mintable 距离代币上限的剩余额度
+ * @returns {Object} { shortfall, transfer, mint, problems }
+ */
+function planFunding({ required, distributorBalance, deployerBalance, canMint, mintable }) {
+  const problems = [];
+
+  if (distributorBalance > required) {
+    problems.push(`分发合约余额 ${distributorBalance} 超出分配总额 ${required}`);
+  }
+
+  const shortfall = required > distributorBalance ? required - distributorBalance : 0n;
+  const transfer = shortfall < deployerBalance ? shortfall : deployerBalance;
+  let remaining = shortfall - transfer;
+
+  let mint = 0n;
+  if (remaining > 0n && canMint) {
+    mint = remaining < mintable ? remaining : mintable;
+    remaining -= mint;
+  }
+
+  if (remaining > 0n) {
+    problems.push(`资金不足: 还差 ${remaining}（部署者余额 ${deployerBalance}${canMint ? `，可铸造 ${mintable}` : "，无MINTER_ROLE"}）`);
+  }
+
+  return { shortfall, transfer, mint, problems };
+}
+
+/**
+ * 读取代币和分发合约的当前状态并计算补足方案
+ * @param {Object} token 代币合约
+ * @param {string} deployerAddress 部署者地址
+ * @param {string|null} distributorAddress 分发合约地址（尚未部署时为null）
+ * @param {BigInt} required 分配总额
+ * @returns {Promise<Object>} planFunding的结果
+ */
+async function inspectFunding(token, deployerAddress, distributorAddress, required) {
+  const [deployerBalance, distributorBalance, minterRole, cap, totalSupply] = await Promise.all([
+    token.balanceOf(deployerAddress),
+    distributorAddress ? token.balanceOf(distributorAddress) : 0n,
+    token.MINTER_ROLE(),
+    token.cap(),
+    token.totalSupply()
+  ]);
+  const canMint = await token.hasRole(minterRole, deployerAddress);
+
+  return planFunding({
+    required,
+    distributorBalance,
+    deployerBalance,
+    canMint,
+    mintable: cap - totalSupply
+  });
+}
+
+/**
+ * 原生ETH模式：读取部署者和分发合约的ETH余额并计算补足方案（ETH无法铸造，保留gasReserve用于支付gas）
+ * @param {Object} provider 网络provider
+ * @param {string} deployerAddress 部署者地址
+ * @param {string|null} distributorAddress 分发合约地址（尚未部署时为null）
+ * @param {BigInt} required 分配总额
+ * @param {BigInt} gasReserve 部署者保留的ETH
+ * @returns {Promise<Object>} planFunding的结果
+ */
+async function inspectNativeFunding(provider, deployerAddress, distributorAddress, required, gasReserve = 0n) {
+  const [balance, distributorBalance] = await Promise.all([
+    provider.getBalance(deployerAddress),
+    distributorAddress ? provider.getBalance(distributorAddress) : 0n
+  ]);
+
+  return planFunding({
+    required,
+    distributorBalance,
+    deployerBalance: balance > gasReserve ? balance - gasReserve : 0n,
+    canMint: false,
+    mintable: 0n
+  });
+}
+
+/**
+ * 检查已部署的分发合约：链上的Merkle根和叶子编码版本须与merkle_data.json一致
+ * 已有领取时余额已被领走一部分，按分配总额补足会重复注资，因此不再补足（方案中的转账和铸造清零）
+ * @param {Object} distributor 已部署的分发合约
+ * @param {Object} allocation readAllocationTotal的返回值
+ * @param {Object} plan 补足方案（会被修改）
+ * @returns {Promise<Array<string>>} 问题列表
+ */
+async function checkExistingDistributor(distributor, allocation, plan) {
+  const [root, leafVersion, hasClaims] = await Promise.all([
+    distributor.merkleRoot(),
+    distributor.leafVersion(),
+    distributor.hasClaims()
+  ]);
+  const problems = [];
+  if (root !== allocation.root) {
+    problems.push(`分发合约的Merkle根 ${root} 与merkle_data.json中的根 ${allocation.root} 不一致`);
+  }
+  // 没有领取时叶子编码版本会在部署流程中更新，已有领取后无法修改
+  const expectedLeafVersion = allocation.leafEncoding ? 2n : 1n;
+  if (hasClaims && leafVersion !== expectedLeafVersion) {
+    problems.push(`分发合约的叶子编码版本 ${leafVersion} 与merkle_data.json (v${expectedLeafVersion}) 不一致`);
+  }
+  if (hasClaims) {
+    if (plan.shortfall > 0n) {
+      problems.push(`分发合约已有领取，不再按分配总额补足资金（差额 ${plan.shortfall} 可能是已领取的金额）`);
+    }
+    Object.assign(plan, { shortfall: 0n, transfer: 0n, mint: 0n });
+  }
+  return problems;
+}
+
+/**
+ * 按补足方案向分发合约转账和铸造
+ * @param {Object} token 代币合约（已连接部署者）
+ * @param {string} distributorAddress 分发合约地址
+ * @param {Object} plan planFunding的结果
+ * @param {number} decimals 代币精度，用于输出金额
+ */
+async function executeFunding(token, distributorAddress, plan, decimals = DEFAULT_DECIMALS) {
+  if (plan.transfer > 0n) {
+    const tx = await token.transfer(distributorAddress, plan.transfer);
+    await tx.wait();
+    console.log(`已转入 ${ethers.formatUnits(plan.transfer, decimals)} 代币`);
+  }
+  if (plan.mint > 0n) {
+    const tx = await token.mint(distributorAddress, plan.mint);
+    await tx.wait();
+    console.log(`已铸造 ${ethers.formatUnits(plan.mint, decimals)} 代币到分发合约`);
+  }
+}
+
+/**
+ * 原生ETH模式：按补足方案从部署者向分发合约转入ETH
+ * @param {Object} deployer 部署者signer
+ * @param {string} distributorAddress 分发合约地址
+ * @param {Object} plan planFunding的结果
+ */
+async function executeNativeFunding(deployer, distributorAddress, plan) {
+  if (plan.transfer > 0n) {
+    const tx = await deployer.sendTransaction({ to: distributorAddress, value: plan.transfer });
+    await tx.wait();
+    console.log(`已转入 ${ethers.formatEther(plan.transfer)} ETH`);
+  }
+}
+
+/**
+ * 解析线性释放计划，部署前校验以免部署后setVestingSchedule回滚
+ * VESTING_START未设置时使用CLAIM_START，两者都未设置时从当前区块时间开始
+ * @param {Object} config 配置（CONFIG）
+ * @param {number|BigInt} now 当前区块时间（unix时间戳，秒）
+ * @param {number} decimals 代币精度，VESTING_THRESHOLD按此换算为最小单位
+ * @returns {Object|null} { threshold, start, cliff, duration }，未设置VESTING_DURATION时为null
+ */
+function resolveVestingSchedule(config, now, decimals = DEFAULT_DECIMALS) {
+  if (!config.VESTING_DURATION) {
+    return null;
+  }
+  const duration = BigInt(config.VESTING_DURATION);
+  const cliff = BigInt(config.VESTING_CLIFF || "0");
+  const start = BigInt(config.VESTING_START || config.CLAIM_START || now);
+  if (start === 0n) {
+    throw new Error("线性释放开始时间不能为0");
+  }
+  if (cliff > duration) {
+    throw new Error(`VESTING_CLIFF ${cliff} 不能超过VESTING_DURATION ${duration}`);
+  }
+  return { threshold: ethers.parseUnits(config.VESTING_THRESHOLD || "0", decimals), start, cliff, duration };
+}
+
 async function main() {
-  const tokenAddr = process.env.AIRDROP_TOKEN;
-  const merkleRoot = process.env.MERKLE_ROOT;
   const [deployer] = await ethers.getSigners();
-
   console.log("部署者地址:", deployer.address);
 
-  // 部署 MerkleDistributor 合约
-  const Dist = await ethers.getContractFactory("MerkleDistributor");
-  const dist = await Dist.deploy(tokenAddr, merkleRoot);
-  await dist.waitForDeployment();
-  console.log("Distributor 已部署:", await dist.getAddress());
+  // 读取Merkle树分配总额，分发资产由merkle_data.json的asset决定
+  const allocation = readAllocationTotal(CONFIG.MERKLE_DIR);
+  const native = allocation.asset === "native";
+  const merkleRoot = CONFIG.MERKLE_ROOT || allocation.root;
+  const unit = native ? "ETH" : "代币";
+  console.log(`Merkle根: ${merkleRoot}`);
+  console.log(`分发资产: ${native ? "原生ETH" : "ERC20代币"}`);
+  console.log(`分配总额: ${ethers.formatUnits(allocation.total, allocation.decimals)} ${unit} (${allocation.total} wei)`);
+
+  let tokenAddr = CONFIG.AIRDROP_TOKEN;
+  let token = null;
+  if (native) {
+    if (tokenAddr) {
+      throw new Error("Merkle数据的分发资产为原生ETH，请不要设置AIRDROP_TOKEN");
+    }
+    tokenAddr = ethers.ZeroAddress;
+  } else {
+    if (!tokenAddr) {
+      throw new Error("请通过环境变量AIRDROP_TOKEN指定代币合约地址");
+    }
+    token = await ethers.getContractAt("AirdropToken", tokenAddr, deployer);
+  }
 
-  // 获取 ERC20 合约实例
-  const AirdropToken = await ethers.getContractFactory("AirdropToken");
-  const airdropToken = await AirdropToken.attach(tokenAddr);
+  // 部署前先检查资金，避免部署后才发现无法足额注资
+  const plan = native
+    ? await inspectNativeFunding(
+        ethers.provider,
+        deployer.address,
+        CONFIG.DISTRIBUTOR_ADDRESS || null,
+        allocation.total,
+        ethers.parseEther(CONFIG.ETH_GAS_RESERVE)
+      )
+    : await inspectFunding(token, deployer.address, CONFIG.DISTRIBUTOR_ADDRESS || null, allocation.total);
+  if (merkleRoot !== allocation.root) {
+    plan.problems.push(`MERKLE_ROOT ${merkleRoot} 与merkle_data.json中的根 ${allocation.root} 不一致`);
+  }
+  if (CONFIG.DISTRIBUTOR_ADDRESS) {
+    const existing = await ethers.getContractAt("MerkleDistributor", CONFIG.DISTRIBUTOR_ADDRESS, deployer);
+    plan.problems.push(...await checkExistingDistributor(existing, allocation, plan));
+  }
+  
+  // v2叶子绑定了链ID和分发合约地址：新部署时按部署者nonce预测合约地址
+  if (allocation.leafEncoding) {
+    const { chainId } = await ethers.provider.getNetwork();
+    const expectedAddress = CONFIG.DISTRIBUTOR_ADDRESS || ethers.getCreateAddress({
+      from: deployer.address,
+      nonce: await ethers.provider.getTransactionCount(deployer.address)
+    });
+    plan.problems.push(...checkLeafEncoding(allocation.leafEncoding, chainId, expectedAddress));
+  }
 
-  // 计算需转账总量（按 proof JSON 中的总量）
-  const total = await airdropToken.balanceOf(deployer.address);
-  console.log("部署者 airdropToken 余额:", total.toString());
+  // 线性释放计划在部署前解析，配置无效时不部署
+  const vesting = CONFIG.VESTING_DURATION
+    ? resolveVestingSchedule(CONFIG, (await ethers.provider.getBlock("latest")).timestamp, allocation.decimals)
+    : null;
 
-  // 你可替换为你预先计算的总分配量, 如：
-  // const amount = ethers.parseUnits("1000000", 18);
-  // 也可转全部余额, 但建议逐步转
-  const amount = total;
+  if (plan.problems.length > 0) {
+    plan.problems.forEach(problem => console.error(`❌ ${problem}`));
+    if (!CONFIG.ALLOW_FUNDING_MISMATCH) {
+      throw new Error("资金检查未通过，如确认无误请设置 ALLOW_FUNDING_MISMATCH=true 后重试");
+    }
+    console.warn("⚠️ 已设置ALLOW_FUNDING_MISMATCH，忽略以上问题继续执行");
+  }
 
-  // 批准 Distributor 合约转账权限
-  const distributorAddress = await dist.getAddress();
-  const allowanceTx = await airdropToken.approve(distributorAddress, amount);
-  await allowanceTx.wait();
-  console.log(`Approved ${amount} tokens to distributor`);
+  // 部署 MerkleDistributor 合约（已指定地址时直接使用）
+  let distributorAddress = CONFIG.DISTRIBUTOR_ADDRESS;
+  if (distributorAddress) {
+    console.log("使用已部署的 Distributor:", distributorAddress);
+  } else {
+    const Dist = await ethers.getContractFactory("MerkleDistributor");
+    const dist = await Dist.deploy(tokenAddr, merkleRoot);
+    await dist.waitForDeployment();
+    distributorAddress = await dist.getAddress();
+    console.log("Distributor 已部署:", distributorAddress);
+  }
 
-  // 将 token 转入 Distributor
-  const fundTx = await airdropToken.transfer(distributorAddress, amount);
-  await fundTx.wait();
-  console.log(`Transferred ${amount} tokens to distributor`);
+  // 配置领取窗口和treasury
+  const distributor = await ethers.getContractAt("MerkleDistributor", distributorAddress, deployer);
+  if (CONFIG.CLAIM_START || CONFIG.CLAIM_END) {
+    const start = BigInt(CONFIG.CLAIM_START || 0);
+    const end = BigInt(CONFIG.CLAIM_END || 0);
+    await (await distributor.setClaimWindow(start, end)).wait();
+    console.log(`领取窗口: ${start} - ${end || "不设截止"}`);
+  }
+  if (allocation.leafEncoding && (await distributor.leafVersion()) !== 2n) {
+    await (await distributor.setLeafVersion(2)).wait();
+    console.log("叶子编码: v2");
+  }
+  if (CONFIG.TREASURY) {
+    await (await distributor.setTreasury(CONFIG.TREASURY)).wait();
+    console.log("Treasury:", CONFIG.TREASURY);
+  }
+  if (vesting) {
+    const { threshold, start, cliff, duration } = vesting;
+    await (await distributor.setVestingSchedule(threshold, start, cliff, duration)).wait();
+    console.log(`线性释放: 阈值 ${ethers.formatUnits(threshold, allocation.decimals)}，开始 ${start}，cliff ${cliff}秒，时长 ${duration}秒`);
+  }
+
+  console.log(`需补足: ${ethers.formatUnits(plan.shortfall, allocation.decimals)}，转账: ${ethers.formatUnits(plan.transfer, allocation.decimals)}，铸造: ${ethers.formatUnits(plan.mint, allocation.decimals)}`);
+  if (native) {
+    await executeNativeFunding(deployer, distributorAddress, plan);
+  } else {
+    await executeFunding(token, distributorAddress, plan, allocation.decimals);
+  }
+
+  const finalBalance = native
+    ? await ethers.provider.getBalance(distributorAddress)
+    : await token.balanceOf(distributorAddress);
+  console.log(`Distributor 余额: ${ethers.formatUnits(finalBalance, allocation.decimals)} ${unit}`);
+
+  if (finalBalance === allocation.total) {
+    console.log("🎉 Distributor 已按分配总额完成资助，可供用户 claim");
+  } else {
+    console.warn(`⚠️ Distributor 余额与分配总额 ${ethers.formatUnits(allocation.total, allocation.decimals)} 不一致`);
+  }
+}
 
-  console.log("🎉 Distributor 已完成资助，可供用户 claim");
+if (require.main === module) {
+  main().catch(err => {
+    console.error(err);
+    process.exit(1);
+  });
 }
 
-main().catch(err => {
-  console.error(err);
-  process.exit(1);
-});
+module.exports = {
+  readAllocationTotal,
+  checkLeafEncoding,
+  planFunding,
+  resolveVestingSchedule,
+  inspectFunding,
+  inspectNativeFunding,
+  checkExistingDistributor,
+  executeFunding,
+  executeNativeFunding
+};
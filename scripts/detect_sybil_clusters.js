@@ -0,0 +1,275 @@
+// 女巫集群检测脚本
+// 功能：读取本地导出的转账记录构建资金图，将共同首个资金来源或同步转账的空投地址聚类，
+// 按积分策略对集群成员降分或排除，输出调整后的CSV及可解释的集群报告
+const fs = require('fs');
+const path = require('path');
+const { stringify } = require('csv-stringify/sync');
+const { loadScoringPolicy } = require('../lib/scoring-policy');
+const { normalizeAddress, createRejectionReport } = require('../lib/address');
+const { SCHEMAS, readCsv, formatRowError } = require('../lib/csv');
+const sybil = require('../lib/sybil');
+
+// 配置参数
+const CONFIG = {
+  // 集群报告文件名
+  REPORT_FILE: 'sybil_report.json',
+  // 被拒绝地址报告文件名
+  REJECTED_REPORT_FILE: 'rejected_addresses.json',
+  // 输出CSV中新增的集群编号列
+  CLUSTER_COLUMN: 'sybil_cluster',
+  // 报告中列出的行错误数
+  MAX_REPORTED_ROW_ERRORS: 100,
+  // 进度报告间隔
+  PROGRESS_INTERVAL: 500000
+};
+
+/**
+ * 列出目录中的空投用户CSV文件（按文件名排序）
+ * @param {string} inputDir 输入目录
+ * @returns {Array<string>} 文件路径
+ */
+function listInputFiles(inputDir) {
+  if (!fs.existsSync(inputDir)) {
+    throw new Error(`输入目录不存在: ${inputDir}`);
+  }
+  const files = fs.readdirSync(inputDir)
+    .filter(file => file.toLowerCase().endsWith('.csv'))
+    .sort()
+    .map(file => path.join(inputDir, file));
+  if (files.length === 0) {
+    throw new Error(`输入目录 ${inputDir} 中没有CSV文件`);
+  }
+  return files;
+}
+
+/**
+ * 读取所有空投用户CSV中的地址作为候选地址
+ * @param {Array<string>} csvFiles CSV文件路径
+ * @param {Object} rejections 被拒绝地址报告
+ * @param {Array} rowErrors 行错误列表
+ * @returns {Promise<Set<string>>} 候选地址（规范形式）
+ */
+async function loadCandidates(csvFiles, rejections, rowErrors) {
+  const candidates = new Set();
+  for (const csvFile of csvFiles) {
+    for await (const { values, file, line } of readCsv(csvFile, SCHEMAS.sybilInput, { onRowError: error => rowErrors.push(error) })) {
+      const address = rejections.normalize(values.address, { file, line });
+      if (address) {
+        candidates.add(address);
+      }
+    }
+  }
+  console.log(`从 ${csvFiles.length} 个文件中读取到 ${candidates.size} 个候选地址`);
+  return candidates;
+}
+
+/**
+ * 读取转账记录并构建资金图
+ * @param {string} transfersPath 转账记录文件或目录
+ * @param {Set<string>} candidates 候选地址
+ * @param {Object} policy 检测参数
+ * @param {Object} rejections 被拒绝地址报告
+ * @param {Array} rowErrors 行错误列表
+ * @returns {Promise<Object>} { files, result }，result为资金图的clusters()结果
+ */
+async function buildFundingGraph(transfersPath, candidates, policy, rejections, rowErrors) {
+  const files = sybil.listTransferFiles(transfersPath);
+  const graph = sybil.createFundingGraph(candidates, policy);
+  let count = 0;
+
+  for (const file of files) {
+    console.log(`读取转账记录: ${path.basename(file)}`);
+    for await (const transfer of sybil.readTransfers(file, { rejections, onRowError: error => rowErrors.push(error) })) {
+      graph.addTransfer(transfer);
+      count++;
+      if (count % CONFIG.PROGRESS_INTERVAL === 0) {
+        console.log(`  已读取 ${count} 笔转账`);
+      }
+    }
+  }
+
+  return { files: files.map(file => path.basename(file)), result: graph.clusters() };
+}
+
+/**
+ * 按集群处理方式调整一个CSV文件：penalty将分数乘以multiplier，exclude删除该行，所有集群成员标记集群编号
+ * 分数列沿用输入的表头（total_score或score），其余列原样保留；无效地址的行原样保留，由生成Merkle树时拒绝
+ * @param {string} csvFile 输入文件
+ * @param {string} outputFile 输出文件
+ * @param {Map<string, Object>} memberClusters 地址 => 集群
+ * @returns {Promise<Object>} { total, kept, flagged, penalized, excluded }
+ */
+async function applyClusterActions(csvFile, outputFile, memberClusters) {
+  const stats = { total: 0, kept: 0, flagged: 0, penalized: 0, excluded: 0 };
+  let headers = null;
+  let scoreHeader = null;
+  const rows = [];
+
+  const onHeader = ({ headers: fileHeaders, columns }) => {
+    headers = fileHeaders.includes(CONFIG.CLUSTER_COLUMN) ? fileHeaders : [...fileHeaders, CONFIG.CLUSTER_COLUMN];
+    scoreHeader = fileHeaders[columns.score];
+  };
+
+  // 行错误已在读取候选地址时记录
+  for await (const { values, row } of readCsv(csvFile, SCHEMAS.sybilInput, { onHeader, onRowError: () => {} })) {
+    stats.total++;
+    const cluster = memberClusters.get(normalizeAddress(values.address));
+    const output = { ...row, [CONFIG.CLUSTER_COLUMN]: cluster ? cluster.id : '' };
+
+    if (cluster && cluster.action === 'exclude') {
+      stats.excluded++;
+      continue;
+    }
+    if (cluster && cluster.action === 'penalty') {
+      output[scoreHeader] = String(Number((values.score * cluster.multiplier).toFixed(6)));
+      stats.penalized++;
+    } else if (cluster) {
+      stats.flagged++;
+    }
+    stats.kept++;
+    rows.push(headers.map(header => output[header]));
+  }
+
+  fs.writeFileSync(outputFile, stringify([headers, ...rows]), 'utf8');
+  return stats;
+}
+
+/**
+ * 检测女巫集群并输出调整后的空投用户CSV
+ * @param {string} inputDir 空投用户CSV目录（merge_with_cleaned_results.js的输出）
+ * @param {string} transfersPath 转账记录文件或目录（CSV或NDJSON）
+ * @param {string} outputDir 输出目录
+ * @param {Object} scoringPolicy 积分策略（默认: loadScoringPolicy()）
+ * @returns {Promise<Object>} 集群报告
+ */
+async function detectSybilClusters(
+  inputDir = path.join(__dirname, '../final-results'),
+  transfersPath,
+  outputDir = path.join(__dirname, '../sybil-results'),
+  scoringPolicy = loadScoringPolicy()
+) {
+  if (!transfersPath) {
+    throw new Error('未指定转账记录文件或目录');
+  }
+  console.time('女巫集群检测耗时');
+  const policy = sybil.resolveSybilPolicy(scoringPolicy.sybil);
+  const rejections = createRejectionReport('detect_sybil_clusters');
+  const inputRowErrors = [];
+  const transferRowErrors = [];
+
+  const csvFiles = listInputFiles(inputDir);
+  const candidates = await loadCandidates(csvFiles, rejections, inputRowErrors);
+  const { files: transferFiles, result } = await buildFundingGraph(transfersPath, candidates, policy, rejections, transferRowErrors);
+
+  const memberClusters = new Map();
+  for (const cluster of result.clusters) {
+    for (const address of cluster.members) {
+      memberClusters.set(address, cluster);
+    }
+  }
+
+  // 清除上次运行留下的CSV，避免已删除的输入文件残留在输出中
+  fs.mkdirSync(outputDir, { recursive: true });
+  for (const file of fs.readdirSync(outputDir)) {
+    if (file.toLowerCase().endsWith('.csv')) {
+      fs.rmSync(path.join(outputDir, file));
+    }
+  }
+
+  const files = {};
+  const summary = { total: 0, kept: 0, flagged: 0, penalized: 0, excluded: 0 };
+  for (const csvFile of csvFiles) {
+    const file = path.basename(csvFile);
+    const stats = await applyClusterActions(csvFile, path.join(outputDir, file), memberClusters);
+    files[file] = stats;
+    for (const key of Object.keys(summary)) {
+      summary[key] += stats[key];
+    }
+    console.log(`${file}: ${stats.total} 条记录，降分 ${stats.penalized}，排除 ${stats.excluded}，标记 ${stats.flagged}`);
+  }
+
+  const reportRowErrors = (errors) => ({
+    count: errors.length,
+    examples: errors.slice(0, CONFIG.MAX_REPORTED_ROW_ERRORS).map(formatRowError)
+  });
+  const report = {
+    scoringPolicy: { version: scoringPolicy.version, hash: scoringPolicy.hash },
+    params: policy,
+    inputs: { files: csvFiles.map(csvFile => path.basename(csvFile)), rowErrors: reportRowErrors(inputRowErrors) },
+    transfers: { files: transferFiles, rowErrors: reportRowErrors(transferRowErrors) },
+    graph: result.stats,
+    summary: {
+      clusters: result.clusters.length,
+      clusteredAddresses: memberClusters.size,
+      byAction: result.clusters.reduce((counts, { action }) => ({ ...counts, [action]: (counts[action] || 0) + 1 }), {}),
+      records: summary,
+      rejectedAddresses: rejections.rejected.length
+    },
+    files,
+    clusters: result.clusters
+  };
+  fs.writeFileSync(path.join(outputDir, CONFIG.REPORT_FILE), JSON.stringify(report, null, 2));
+  rejections.log();
+  rejections.write(path.join(outputDir, CONFIG.REJECTED_REPORT_FILE));
+
+  for (const [label, errors] of [['输入文件', inputRowErrors], ['转账记录', transferRowErrors]]) {
+    if (errors.length > 0) {
+      console.warn(`${label}中跳过 ${errors.length} 行，例如 ${errors.slice(0, 3).map(formatRowError).join('; ')}`);
+    }
+  }
+  console.log(`\n检测到 ${result.clusters.length} 个集群，共 ${memberClusters.size} 个地址`);
+  console.log(`降分 ${summary.penalized} 条，排除 ${summary.excluded} 条，标记 ${summary.flagged} 条`);
+  console.log(`集群报告: ${path.join(outputDir, CONFIG.REPORT_FILE)}`);
+  console.timeEnd('女巫集群检测耗时');
+
+  return report;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.length < 2 || args[0] === '--help' || args[0] === '-h') {
+    console.log(`
+使用说明:
+  node detect_sybil_clusters.js <input_dir> <transfers> [output_dir]
+
+参数:
+  input_dir    - 空投用户CSV目录 (通常为final-results)
+  transfers    - 转账记录CSV/NDJSON文件，或包含这些文件的目录
+                 需包含from、to、timestamp列，可选value、hash列
+  output_dir   - 输出目录 (默认: ../sybil-results)
+
+功能:
+  1. 以输入CSV中的地址为候选地址，从转账记录中找出每个地址的首个资金来源及同步转账
+  2. 共同首个资金来源或在多个时间窗口内与同一对手方同向转账的地址归为一个集群
+  3. 按积分策略sybil.actions中的集群规模档位降分(penalty)、排除(exclude)或只标记(flag)
+
+输出:
+  - 与输入同名的CSV文件（新增sybil_cluster列）
+  - sybil_report.json（检测参数、每个集群的成员、处理方式与证据）
+  - rejected_addresses.json（无效地址，没有时不生成）
+
+示例:
+  node scripts/detect_sybil_clusters.js final-results token/transfers sybil-results
+    `);
+    return;
+  }
+
+  try {
+    await detectSybilClusters(args[0], args[1], args[2]);
+  } catch (error) {
+    console.error('程序执行出错:', error);
+    process.exit(1);
+  }
+}
+
+// 如果直接运行此脚本
+if (require.main === module) {
+  main().catch(console.error);
+}
+
+module.exports = {
+  detectSybilClusters,
+  loadCandidates,
+  applyClusterActions
+};
@@ -5,6 +5,7 @@ const axios = require('axios');
 const readline = require('readline');
 const { parse } = require('csv-parse');
 const { stringify } = require('csv-stringify/sync');
+const { createRejectionReport } = require('../lib/address');
 require('dotenv').config();
 
 // API密钥配置
@@ -63,12 +64,13 @@ function getFileIdentifier(filePath) {
 }
 
 /**
- * 读取CSV文件中的地址
+ * 读取CSV文件中的地址，无效地址被跳过并在读取完成后输出统计
  * @param {string} csvPath CSV文件路径
- * @returns {Promise<string[]>} 地址列表
+ * @returns {Promise<string[]>} 规范化（小写）地址列表
  */
 async function readAddressesFromCSV(csvPath) {
   const addresses = new Set(); // 使用集合去重
+  const rejections = createRejectionReport(path.basename(csvPath));
   
   try {
     if (!fs.existsSync(csvPath)) {
@@ -85,15 +87,18 @@ async function readAddressesFromCSV(csvPath) {
         from_line: 2 // 跳过标题行
       }));
     
+    let line = 1;
     for await (const record of parser) {
+      line++;
       // 地址在第二列（索引1）
-      if (record.length > 1 && record[1]) {
-        const address = record[1].trim();
-        if (address.startsWith('0x') && address.length === 42) {
-          addresses.add(address.toLowerCase());
+      if (record.length > 1) {
+        const address = rejections.normalize(record[1], { line });
+        if (address) {
+          addresses.add(address);
         }
       }
     }
+    rejections.log();
     
     console.log(`共找到 ${addresses.size} 个唯一地址`);
     return Array.from(addresses);
@@ -340,9 +340,10 @@ function cleanupIntermediateFiles(fileIdentifier) {
 /**
  * 处理CSV文件
  * @param {string} csvPath CSV文件路径
+ * @param {string} outputDir 输出目录（默认: ../token/token-holders）
  * @returns {Promise<boolean>} 处理结果，成功返回true，失败返回false
  */
-async function processCSVFile(csvPath) {
+async function processCSVFile(csvPath, outputDir = path.join(__dirname, '../token/token-holders')) {
   const fileIdentifier = getFileIdentifier(csvPath);
   console.log(`\n============================================================`);
   console.log(`开始处理CSV文件: ${csvPath}, 标识符: ${fileIdentifier}`);
@@ -350,7 +351,6 @@ async function processCSVFile(csvPath) {
   
   try {
     // 构建输出文件路径
-    const outputDir = path.join(__dirname, '../token/token-holders');
     const allResultsPath = path.join(outputDir, `token_holders_all_${fileIdentifier}.csv`);
     const filteredResultsPath = path.join(outputDir, `token_holders_filtered_${fileIdentifier}.csv`);
     
@@ -459,8 +459,9 @@ async function main() {
       await processCSVFile(defaultPath);
     } else {
       // 处理指定文件
+      // 第二个参数为可选的输出目录
       console.log(`处理文件: ${args[0]}`);
-      await processCSVFile(args[0]);
+      await processCSVFile(args[0], args[1]);
     }
   } catch (error) {
     console.error('程序执行出错:', error);
@@ -4,6 +4,7 @@ const path = require('path');
 const axios = require('axios');
 const { parse } = require('csv-parse');
 const { stringify } = require('csv-stringify/sync');
+const { loadScoringPolicy } = require('../lib/scoring-policy');
 require('dotenv').config();
 
 // API密钥配置
@@ -13,16 +14,8 @@ if (!API_KEY) {
   process.exit(1);
 }
 
-// 价值分级标准（美元）
-const VALUE_TIERS = [
-  { min: 100, max: 499, score: 1 },
-  { min: 500, max: 999, score: 2 },
-  { min: 1000, max: 4999, score: 3 },
-  { min: 5000, max: 9999, score: 4 },
-  { min: 10000, max: 49999, score: 5 },
-  { min: 50000, max: 999999, score: 6 },
-  { min: 1000000, max: Infinity, score: 7 }
-];
+// 价值分级标准（美元），来自积分策略文件的tokenValueTiers
+const VALUE_TIERS = loadScoringPolicy().tokenValueTiers;
 
 // 特殊代币配置
 const SPECIAL_TOKENS = {
@@ -155,7 +148,7 @@ function meetsMinValueThreshold(contractAddress, balanceFormatted, originalUsdVa
 /**
  * 根据USD价值计算分数
  * @param {number} usdValue USD价值
- * @returns {number} 分数 (1-7)
+ * @returns {number} 分数（按积分策略的tokenValueTiers分级）
  */
 function calculateValueScore(usdValue) {
   for (const tier of VALUE_TIERS) {
@@ -501,9 +494,10 @@ function cleanupIntermediateFiles(fileIdentifier) {
 /**
  * 处理CSV文件
  * @param {string} csvPath CSV文件路径
+ * @param {string} outputRoot 输出根目录，结果写入其下以文件标识符命名的子目录（默认: ../token/token-owners）
  * @returns {Promise<boolean>} 处理结果，成功返回true，失败返回false
  */
-async function processCSVFile(csvPath) {
+async function processCSVFile(csvPath, outputRoot = path.join(__dirname, '../token/token-owners')) {
   const fileIdentifier = getFileIdentifier(csvPath);
   console.log(`\n============================================================`);
   console.log(`开始处理CSV文件: ${csvPath}, 标识符: ${fileIdentifier}`);
@@ -511,7 +505,7 @@ async function processCSVFile(csvPath) {
   
   try {
     // 构建输出目录
-    const outputDir = path.join(__dirname, `../token/token-owners/${fileIdentifier}`);
+    const outputDir = path.join(outputRoot, fileIdentifier);
     
     // 读取代币信息
     const allTokens = await readTokensFromCSV(csvPath);
@@ -607,8 +601,9 @@ async function main() {
       await processCSVFile(defaultPath);
     } else {
       // 处理指定文件
+      // 第二个参数为可选的输出根目录
       console.log(`处理文件: ${args[0]}`);
-      await processCSVFile(args[0]);
+      await processCSVFile(args[0], args[1]);
     }
   } catch (error) {
     console.error('程序执行出错:', error);
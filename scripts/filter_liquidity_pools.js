@@ -605,8 +605,10 @@ async function main() {
     // 4. 保存结果
     console.log('\n4. 保存结果...');
     const fileIdentifier = getFileIdentifier(inputPath);
+    // 第二个参数为可选的输出目录，默认与输入文件同目录
+    const outputDir = args[1] || path.dirname(inputPath);
     const outputPath = path.join(
-      path.dirname(inputPath), 
+      outputDir, 
       `liquidity_qualified_${fileIdentifier}.csv`
     );
     
@@ -1,100 +1,142 @@
 const fs = require('fs');
 const path = require('path');
-const { MerkleTree } = require('merkletreejs');
-const keccak256 = require('keccak256');
-const { ethers } = require('hardhat');
+const { ethers } = require('ethers');
+const { buildDomain, buildClaimTypedData, buildClaimToTypedData } = require('../lib/claim-typed-data');
+const merkle = require('../lib/merkle');
+const addressLib = require('../lib/address');
 
-/**
- * 将地址和金额转换为叶节点哈希
- * @param {number} index 空投索引
- * @param {string} account 账户地址
- * @param {string} amount 金额（以wei为单位）
- * @returns {Buffer} 叶节点哈希
- */
-function hashToken(index, account, amount) {
-  return Buffer.from(
-    ethers.solidityPackedKeccak256(
-      ["uint256", "address", "uint256"],
-      [index, account, amount]
-    ).slice(2),
-    'hex'
-  );
-}
+// 默认Merkle数据目录
+const DEFAULT_MERKLE_DIR = path.join(__dirname, '../merkle-data');
+
+// 生成领取交易call data所需的合约接口
+const DISTRIBUTOR_INTERFACE = new ethers.Interface([
+  'function claim(uint256 index, address account, uint256 amount, bytes32[] merkleProof)',
+  'function claimWithBatchProof(uint256 index, address account, uint256 amount, bytes32[] batchProof, bytes32[] rootProof)'
+]);
+
+// 多代币Merkle树（叶子包含token）对应MultiTokenDistributor
+const MULTI_TOKEN_INTERFACE = new ethers.Interface([
+  'function claim(uint256 index, address account, address token, uint256 amount, bytes32[] merkleProof)',
+  'function claimMultiple(uint256[] indices, address account, address[] tokens, uint256[] amounts, bytes32[][] merkleProofs)'
+]);
+
+// 累计模式Merkle树（叶子为 (account, cumulativeAmount)）对应CumulativeMerkleDistributor
+const CUMULATIVE_INTERFACE = new ethers.Interface([
+  'function claim(address account, uint256 cumulativeAmount, bytes32[] merkleProof)',
+  'function claimWithBatchProof(address account, uint256 cumulativeAmount, bytes32[] batchProof, bytes32[] rootProof)'
+]);
+
+// 签名数据默认有效期（秒）
+const DEFAULT_SIGNATURE_TTL = 7 * 24 * 60 * 60;
+
+// 分片导出：索引文件、分片目录、默认地址前缀长度及临时文件的追加阈值（行数）
+const SHARD_INDEX_FILE = 'index.json';
+const SHARD_DIR = 'proofs';
+const DEFAULT_SHARD_PREFIX_LENGTH = 2;
+const SHARD_FLUSH_SIZE = 10000;
 
 /**
  * 验证Merkle证明
  * @param {string} merkleRoot Merkle根
  * @param {object} proofData 证明数据
+ * @param {object|null} leafEncoding v2叶子编码，为null时使用v1编码
  * @returns {boolean} 验证结果
  */
-function verifyProof(merkleRoot, proofData) {
-  const { index, address, amount, proof } = proofData;
-  
-  const leaf = hashToken(index, address, amount);
-  const isValid = MerkleTree.verify(proof, leaf, merkleRoot, keccak256, { sortPairs: true });
-  
-  return isValid;
+function verifyProof(merkleRoot, proofData, leafEncoding = null) {
+  return merkle.verifyProof(proofData.proof, merkle.hashRecord(proofData, leafEncoding), merkleRoot);
+}
+
+/**
+ * 检查Merkle数据是否已生成：json存储需要merkle_data.json和address_map.json，二进制存储需要merkle_data.json
+ * @param {string} merkleDir Merkle数据目录
+ * @returns {boolean} 是否已生成
+ */
+function hasMerkleData(merkleDir) {
+  const merkleDataPath = path.join(merkleDir, merkle.MERKLE_DATA_FILE);
+  const binaryStore = fs.existsSync(merkleDataPath) && !!merkle.loadTopTree(merkleDir).store;
+  if (!binaryStore && !fs.existsSync(path.join(merkleDir, merkle.ADDRESS_MAP_FILE))) {
+    console.error(`错误: 地址映射文件不存在，请先运行 generate_merkle_tree.js 生成Merkle树`);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * 规范化查询的地址（lib/address）
+ * 大小写混合但校验和错误的地址可能是输错的，不按其小写形式查询，避免把证明发给另一个钱包
+ * @param {string} value 地址
+ * @param {boolean} quiet 不输出无效原因
+ * @returns {string|null} 规范形式，无效时为null
+ */
+function parseQueryAddress(value, quiet) {
+  const { address, reason } = addressLib.parseAddress(value);
+  if (!address && !quiet) {
+    console.warn(`无效地址 ${value}: ${addressLib.REJECT_REASONS[reason]}`);
+  }
+  return address;
 }
 
 /**
  * 获取地址的Merkle证明
+ * 返回批次内证明(proof)、批次根到顶层根的证明(rootProof)、二者拼接的组合证明(combinedProof)及领取交易的call data
  * @param {string} targetAddress 目标地址
+ * @param {string} merkleDir Merkle数据目录（默认: ../merkle-data）
+ * @param {string} token 代币地址（仅多代币Merkle树需要）
+ * @param {object} options 选项
+ * @param {boolean} options.quiet 不输出查询过程日志（HTTP服务等批量查询场景）
  * @returns {object|null} 证明数据或null（如果地址不在空投列表中）
  */
-async function getMerkleProof(targetAddress) {
-  const normalizedAddress = targetAddress.toLowerCase();
-  console.log(`为地址 ${normalizedAddress} 生成Merkle证明...`);
+async function getMerkleProof(targetAddress, merkleDir = DEFAULT_MERKLE_DIR, token = null, { quiet = false } = {}) {
+  const log = quiet ? () => {} : console.log;
+  const normalizedAddress = parseQueryAddress(targetAddress, quiet);
+  const normalizedToken = token ? parseQueryAddress(token, quiet) : null;
+  if (!normalizedAddress || (token && !normalizedToken)) {
+    return null;
+  }
+  const mapKey = token ? `${normalizedAddress}:${normalizedToken}` : normalizedAddress;
+  log(`为地址 ${normalizedAddress}${token ? ` (代币 ${token})` : ''} 生成Merkle证明...`);
   
   try {
-    // 输出目录
-    const merkleDir = path.join(__dirname, '../merkle-data');
-    
-    // 读取地址映射文件
-    const addressMapPath = path.join(merkleDir, 'address_map.json');
-    if (!fs.existsSync(addressMapPath)) {
-      console.error(`错误: 地址映射文件不存在，请先运行 generate_merkle_tree.js 生成Merkle树`);
+    if (!hasMerkleData(merkleDir)) {
       return null;
     }
     
-    // 解析地址映射
-    const addressMap = JSON.parse(fs.readFileSync(addressMapPath, 'utf8'));
+    // 读取merkle_data.json获取最终根、叶子编码和存储格式
+    const topTree = merkle.loadTopTree(merkleDir);
     
-    // 检查地址是否存在
-    if (!addressMap[normalizedAddress]) {
-      console.warn(`地址 ${normalizedAddress} 不在空投列表中`);
+    // 查找叶子位置：json存储查询地址映射（同一顶层根下只读取一次），二进制存储二分查找leaves.bin
+    const location = merkle.findLeaf(merkleDir, mapKey);
+    if (!location) {
+      if (!quiet) console.warn(`地址 ${normalizedAddress}${token ? ` (代币 ${token})` : ''} 不在空投列表中`);
       return null;
     }
     
     // 获取批次信息
-    const { batchIndex, index } = addressMap[normalizedAddress];
-    console.log(`找到地址 ${normalizedAddress} 在批次 ${batchIndex}，索引 ${index}`);
+    const { batchIndex, index, localIndex } = location;
+    log(`找到地址 ${normalizedAddress} 在批次 ${batchIndex}${index !== undefined ? `，索引 ${index}` : ''}`);
     
     // 读取批次数据
-    const batchDataPath = path.join(merkleDir, `batches/batch_${batchIndex}.json`);
-    if (!fs.existsSync(batchDataPath)) {
+    const batchDataPath = merkle.batchFilePath(merkleDir, batchIndex);
+    if (!topTree.store && !fs.existsSync(batchDataPath)) {
       console.error(`错误: 批次数据文件 ${batchDataPath} 不存在`);
       return null;
     }
     
-    const batchData = JSON.parse(fs.readFileSync(batchDataPath, 'utf8'));
+    // 批次树按顶层根缓存，批量导出时每个批次只重建一次
+    const { batchData, tree: batchTree, leafEncoding } = merkle.loadBatchTree(merkleDir, batchIndex);
     
-    // 找到记录
-    const record = batchData.records.find(r => r.address.toLowerCase() === normalizedAddress);
-    if (!record) {
+    // 找到记录（累计模式的记录没有index，按批次内位置查找）
+    const record = index === undefined
+      ? batchData.records[localIndex]
+      : batchData.records.find(r => r.index === index && r.address.toLowerCase() === normalizedAddress);
+    if (!record || record.address.toLowerCase() !== normalizedAddress) {
       console.error(`错误: 在批次 ${batchIndex} 中找不到地址 ${normalizedAddress} 的记录`);
       return null;
     }
     
-    // 重建批次的Merkle树
-    const leaves = batchData.records.map(r => 
-      hashToken(r.index, r.address, r.amount)
-    );
-    
-    const batchTree = new MerkleTree(leaves, keccak256, { sortPairs: true });
-    
     // 生成批次内的证明
-    const leaf = hashToken(record.index, record.address, record.amount);
-    const proof = batchTree.getHexProof(leaf);
+    const leaf = merkle.hashRecord(record, leafEncoding);
+    const proof = merkle.getProof(batchTree, leaf);
     
     // 验证证明是否与批次根匹配
     const batchRoot = batchData.root;
@@ -102,30 +144,82 @@ async function getMerkleProof(targetAddress) {
     const proofData = {
       index: record.index,
       address: record.address,
+      ...(record.token ? { token: record.token } : {}),
       amount: record.amount,
+      ...(record.epochAmount !== undefined ? { epochAmount: record.epochAmount } : {}),
       proof: proof,
-      amountInEther: ethers.formatUnits(record.amount, 18)
+      amountInEther: ethers.formatUnits(record.amount, topTree.decimals)
     };
     
     // 验证批次内的证明
-    const isBatchProofValid = verifyProof(batchRoot, proofData);
-    console.log(`批次内证明验证结果: ${isBatchProofValid ? '有效' : '无效'}`);
+    const isBatchProofValid = verifyProof(batchRoot, proofData, leafEncoding);
+    log(`批次内证明验证结果: ${isBatchProofValid ? '有效' : '无效'}`);
     
     if (!isBatchProofValid) {
       console.error(`错误: 批次内证明无效！`);
       return null;
     }
     
-    // 读取merkle_data.json获取最终根和所有批次根
-    const merkleDataPath = path.join(merkleDir, 'merkle_data.json');
-    const merkleData = JSON.parse(fs.readFileSync(merkleDataPath, 'utf8'));
-    const rootHash = merkleData.root;
+    // 生成批次根到顶层根的证明
+    const rootProof = merkle.getRootProof(merkleDir, batchIndex);
+    const combinedProof = [...proof, ...rootProof];
+    
+    // 验证组合证明能从叶子直接验证到顶层根
+    const isCombinedProofValid = merkle.verifyProof(combinedProof, leaf, topTree.root);
+    log(`组合证明验证结果: ${isCombinedProofValid ? '有效' : '无效'}`);
+    
+    if (!isCombinedProofValid) {
+      console.error(`错误: 批次根 ${batchRoot} 不在顶层Merkle树中！`);
+      return null;
+    }
     
-    // 对于智能合约验证，需要将批次内证明和批次索引一起传递
     proofData.batchIndex = batchIndex;
     proofData.batchRoot = batchRoot;
+    proofData.root = topTree.root;
+    proofData.asset = topTree.asset;
+    if (leafEncoding) {
+      // v2证明只能在该链上的该分发合约领取
+      proofData.leafVersion = 2;
+      proofData.chainId = leafEncoding.chainId;
+      proofData.distributor = leafEncoding.distributor;
+    }
+    proofData.rootProof = rootProof;
+    proofData.combinedProof = combinedProof;
+    
+    // 多代币Merkle树只有MultiTokenDistributor.claim一种领取方式
+    if (record.token) {
+      proofData.callData = {
+        claim: MULTI_TOKEN_INTERFACE.encodeFunctionData('claim', [
+          record.index, record.address, record.token, record.amount, combinedProof
+        ])
+      };
+      log(`证明已成功生成，批次索引: ${batchIndex}`);
+      return proofData;
+    }
     
-    console.log(`证明已成功生成，批次索引: ${batchIndex}`);
+    // 累计模式的amount为累计金额，实际到账为累计金额减去链上cumulativeClaimed
+    if (record.index === undefined) {
+      proofData.callData = {
+        claimWithBatchProof: CUMULATIVE_INTERFACE.encodeFunctionData('claimWithBatchProof', [
+          record.address, record.amount, proof, rootProof
+        ]),
+        claim: CUMULATIVE_INTERFACE.encodeFunctionData('claim', [record.address, record.amount, combinedProof])
+      };
+      log(`证明已成功生成，批次索引: ${batchIndex}`);
+      return proofData;
+    }
+    
+    // 领取交易的call data：claimWithBatchProof使用两段证明，claim使用组合证明
+    proofData.callData = {
+      claimWithBatchProof: DISTRIBUTOR_INTERFACE.encodeFunctionData('claimWithBatchProof', [
+        record.index, record.address, record.amount, proof, rootProof
+      ]),
+      claim: DISTRIBUTOR_INTERFACE.encodeFunctionData('claim', [
+        record.index, record.address, record.amount, combinedProof
+      ])
+    };
+    
+    log(`证明已成功生成，批次索引: ${batchIndex}`);
     return proofData;
   } catch (error) {
     console.error(`生成证明时出错:`, error);
@@ -133,49 +227,155 @@ async function getMerkleProof(targetAddress) {
   }
 }
 
+/**
+ * 获取地址在多代币Merkle树中所有代币的证明，以及一次领取全部代币的claimMultiple call data
+ * @param {string} targetAddress 目标地址
+ * @param {string} merkleDir Merkle数据目录（默认: ../merkle-data）
+ * @param {object} options 选项
+ * @param {boolean} options.quiet 不输出查询过程日志
+ * @returns {object|null} { address, proofs, callData } 或null（如果地址不在空投列表中）
+ */
+async function getTokenProofs(targetAddress, merkleDir = DEFAULT_MERKLE_DIR, { quiet = false } = {}) {
+  const normalizedAddress = parseQueryAddress(targetAddress, quiet);
+  if (!normalizedAddress) {
+    return null;
+  }
+  if (!hasMerkleData(merkleDir)) {
+    return null;
+  }
+  
+  // 多代币模式下地址映射的键为 地址:代币
+  const tokens = merkle.findTokens(merkleDir, normalizedAddress);
+  
+  if (tokens.length === 0) {
+    if (!quiet) console.warn(`地址 ${normalizedAddress} 不在多代币空投列表中`);
+    return null;
+  }
+  
+  const proofs = [];
+  for (const token of tokens) {
+    const proofData = await getMerkleProof(normalizedAddress, merkleDir, token, { quiet });
+    if (!proofData) return null;
+    proofs.push(proofData);
+  }
+  
+  return {
+    address: proofs[0].address,
+    proofs,
+    callData: {
+      claimMultiple: MULTI_TOKEN_INTERFACE.encodeFunctionData('claimMultiple', [
+        proofs.map(p => p.index),
+        proofs[0].address,
+        proofs.map(p => p.token),
+        proofs.map(p => p.amount),
+        proofs.map(p => p.combinedProof)
+      ])
+    }
+  };
+}
+
+/**
+ * 为已生成的证明构造签名领取的EIP-712数据
+ * 指定recipient时为claimTo（代币转给recipient），否则为claimBySig（代币转给账户本身）
+ * nonce必须与链上nonces(account)一致，每次签名领取后加1
+ * @param {object} proofData getMerkleProof的结果
+ * @param {object} options 选项
+ * @param {string} options.distributor 分发合约地址
+ * @param {number|string} options.chainId 链ID
+ * @param {string} options.recipient 接收地址（可选）
+ * @param {number|string} options.nonce 账户当前nonce（默认: 0）
+ * @param {number|string} options.deadline 签名截止时间（unix时间戳，秒，默认: 7天后）
+ * @returns {object} { typedData, method, args }，签名后把signature追加到args末尾即可调用method
+ */
+function buildSignaturePayload(proofData, { distributor, chainId, recipient, nonce = 0, deadline } = {}) {
+  if (proofData.index === undefined) {
+    throw new Error('累计模式的证明不支持签名领取，请直接调用CumulativeMerkleDistributor.claim');
+  }
+  // v2证明绑定了链ID和分发合约，签名数据必须与之一致
+  if (proofData.leafVersion === 2) {
+    distributor = distributor || proofData.distributor;
+    chainId = chainId || proofData.chainId;
+    if (distributor.toLowerCase() !== proofData.distributor.toLowerCase() || BigInt(chainId) !== BigInt(proofData.chainId)) {
+      throw new Error(`v2证明只能用于链 ${proofData.chainId} 上的分发合约 ${proofData.distributor}`);
+    }
+  }
+  const domain = buildDomain(chainId, distributor);
+  const claim = {
+    index: proofData.index,
+    account: proofData.address,
+    amount: proofData.amount,
+    nonce,
+    deadline: deadline || Math.floor(Date.now() / 1000) + DEFAULT_SIGNATURE_TTL
+  };
+  
+  if (recipient) {
+    const typedData = buildClaimToTypedData(domain, { ...claim, recipient });
+    return {
+      typedData,
+      method: 'claimTo',
+      args: [claim.index, typedData.message.account, claim.amount, typedData.message.recipient, proofData.combinedProof, typedData.message.deadline]
+    };
+  }
+  
+  const typedData = buildClaimTypedData(domain, claim);
+  return {
+    typedData,
+    method: 'claimBySig',
+    args: [claim.index, typedData.message.account, claim.amount, proofData.combinedProof, typedData.message.deadline]
+  };
+}
+
 /**
  * 批量获取证明
  * @param {Array} addresses 地址数组
+ * @param {string} merkleDir Merkle数据目录（默认: ../merkle-data）
+ * @param {object} options 选项
+ * @param {boolean} options.quiet 不输出查询过程日志
  * @returns {Object} 地址到证明的映射
  */
-async function getBatchProofs(addresses) {
+async function getBatchProofs(addresses, merkleDir = DEFAULT_MERKLE_DIR, { quiet = false } = {}) {
   const results = {};
   let successCount = 0;
   
   for (const address of addresses) {
-    const proof = await getMerkleProof(address);
+    // 多代币Merkle树的地址映射键为 地址:代币
+    const [account, token] = address.split(':');
+    const proof = await getMerkleProof(account, merkleDir, token, { quiet });
     if (proof) {
       results[address] = proof;
       successCount++;
     }
   }
   
-  console.log(`已为 ${successCount}/${addresses.length} 个地址生成证明`);
+  if (!quiet) console.log(`已为 ${successCount}/${addresses.length} 个地址生成证明`);
   return results;
 }
 
 /**
  * 导出所有证明到文件
  * @param {string} outputPath 输出文件路径
+ * @param {string} merkleDir Merkle数据目录（默认: ../merkle-data）
  */
-async function exportAllProofs(outputPath) {
+async function exportAllProofs(outputPath, merkleDir = DEFAULT_MERKLE_DIR) {
   console.time('导出完成');
   
   try {
-    const merkleDir = path.join(__dirname, '../merkle-data');
-    const addressMapPath = path.join(merkleDir, 'address_map.json');
-    
-    if (!fs.existsSync(addressMapPath)) {
-      console.error(`错误: 地址映射文件不存在，请先运行 generate_merkle_tree.js 生成Merkle树`);
+    if (!hasMerkleData(merkleDir)) {
       return;
     }
     
-    const addressMap = JSON.parse(fs.readFileSync(addressMapPath, 'utf8'));
-    const addresses = Object.keys(addressMap);
+    // 按批次顺序列出所有地址映射的键，二进制存储没有address_map.json
+    const { merkleData } = merkle.loadTopTree(merkleDir);
+    const addresses = [];
+    for (let batchIndex = 0; batchIndex < merkleData.batchCount; batchIndex++) {
+      for (const record of merkle.loadBatchTree(merkleDir, batchIndex).batchData.records) {
+        addresses.push(record.token ? `${record.address.toLowerCase()}:${record.token.toLowerCase()}` : record.address.toLowerCase());
+      }
+    }
     
     console.log(`开始为 ${addresses.length} 个地址生成证明...`);
     
-    const allProofs = await getBatchProofs(addresses);
+    const allProofs = await getBatchProofs(addresses, merkleDir);
     
     // 写入文件
     fs.writeFileSync(
@@ -191,6 +391,116 @@ async function exportAllProofs(outputPath) {
   console.timeEnd('导出完成');
 }
 
+/**
+ * 按地址前缀分片导出所有证明，供静态站点、CDN或IPFS直接托管
+ * <outputDir>/index.json记录Merkle根及各分片文件，<outputDir>/proofs/<前缀>.json为该前缀下地址的证明
+ * 按批次顺序生成证明并先追加到各分片的临时文件，不会把所有证明同时保存在内存中
+ * @param {string} outputDir 输出目录（默认: <merkleDir>/proof-shards）
+ * @param {string} merkleDir Merkle数据目录（默认: ../merkle-data）
+ * @param {object} options 选项
+ * @param {number} options.prefixLength 分片使用的地址前缀长度（十六进制字符数，1-4，默认2即256个分片）
+ * @returns {object} { outputDir, indexPath, shardCount, proofCount }
+ */
+async function exportShardedProofs(outputDir, merkleDir = DEFAULT_MERKLE_DIR, { prefixLength = DEFAULT_SHARD_PREFIX_LENGTH } = {}) {
+  outputDir = outputDir || path.join(merkleDir, 'proof-shards');
+  prefixLength = parseInt(prefixLength);
+  if (!(prefixLength >= 1 && prefixLength <= 4)) {
+    throw new Error(`无效的分片前缀长度: ${prefixLength}，应为1-4`);
+  }
+  console.time('分片导出完成');
+  
+  const { root, asset, leafEncoding, decimals, merkleData } = merkle.loadTopTree(merkleDir);
+  
+  // 清理上一次导出的分片，避免前缀长度变化后残留旧文件
+  const shardDir = path.join(outputDir, SHARD_DIR);
+  fs.rmSync(shardDir, { recursive: true, force: true });
+  fs.mkdirSync(shardDir, { recursive: true });
+  
+  const shardPrefix = (key) => key.slice(2, 2 + prefixLength);
+  const tempPath = (prefix) => path.join(shardDir, `${prefix}.ndjson`);
+  
+  // 各分片待写入的行，累计达到上限时追加到临时文件
+  const pending = new Map();
+  let pendingCount = 0;
+  const flushPending = () => {
+    for (const [prefix, lines] of pending) {
+      fs.appendFileSync(tempPath(prefix), lines.join('\n') + '\n');
+    }
+    pending.clear();
+    pendingCount = 0;
+  };
+  
+  let proofCount = 0;
+  for (let batchIndex = 0; batchIndex < merkleData.batchCount; batchIndex++) {
+    const { batchData } = merkle.loadBatchTree(merkleDir, batchIndex);
+    for (const record of batchData.records) {
+      const proofData = await getMerkleProof(record.address, merkleDir, record.token || null, { quiet: true });
+      if (!proofData) {
+        throw new Error(`无法为批次 ${batchIndex} 中的地址 ${record.address} 生成证明`);
+      }
+      
+      // 键与address_map.json一致：小写地址，多代币模式为 地址:代币
+      const key = record.token
+        ? `${record.address.toLowerCase()}:${record.token.toLowerCase()}`
+        : record.address.toLowerCase();
+      const prefix = shardPrefix(key);
+      if (!pending.has(prefix)) pending.set(prefix, []);
+      pending.get(prefix).push(JSON.stringify([key, proofData]));
+      proofCount++;
+      
+      if (++pendingCount >= SHARD_FLUSH_SIZE) flushPending();
+    }
+    
+    if ((batchIndex + 1) % 100 === 0) {
+      console.log(`已处理 ${batchIndex + 1}/${merkleData.batchCount} 个批次，${proofCount} 个证明`);
+    }
+  }
+  flushPending();
+  
+  // 临时文件转换为分片JSON，并记录到索引
+  const shards = {};
+  for (const file of fs.readdirSync(shardDir).filter(name => name.endsWith('.ndjson')).sort()) {
+    const prefix = path.basename(file, '.ndjson');
+    const proofs = {};
+    for (const line of fs.readFileSync(path.join(shardDir, file), 'utf8').split('\n')) {
+      if (!line) continue;
+      const [key, proofData] = JSON.parse(line);
+      proofs[key] = proofData;
+    }
+    
+    const shardFile = `${SHARD_DIR}/${prefix}.json`;
+    const content = JSON.stringify(proofs);
+    fs.writeFileSync(path.join(outputDir, shardFile), content);
+    fs.unlinkSync(path.join(shardDir, file));
+    shards[prefix] = { file: shardFile, count: Object.keys(proofs).length, bytes: Buffer.byteLength(content) };
+  }
+  
+  // 前端先读取index.json校验Merkle根，再按地址前缀（0x之后的prefixLength个字符，小写）读取分片
+  const index = {
+    root,
+    asset,
+    leafFormat: merkleData.leafFormat || merkle.LEAF_FORMATS.DEFAULT,
+    ...(merkleData.round !== undefined ? { round: merkleData.round } : {}),
+    ...(merkleData.epoch !== undefined ? { epoch: merkleData.epoch } : {}),
+    ...(leafEncoding ? { leafVersion: 2, chainId: leafEncoding.chainId, distributor: leafEncoding.distributor } : {}),
+    totalRecords: merkleData.totalRecords,
+    totalAmount: merkleData.totalAmount,
+    decimals,
+    keyFormat: merkleData.tokenTotals ? 'address:token' : 'address',
+    prefixLength,
+    shardCount: Object.keys(shards).length,
+    proofCount,
+    shards,
+    generatedAt: new Date().toISOString()
+  };
+  const indexPath = path.join(outputDir, SHARD_INDEX_FILE);
+  fs.writeFileSync(indexPath, JSON.stringify(index, null, 2));
+  
+  console.log(`已导出 ${proofCount} 个证明到 ${index.shardCount} 个分片: ${outputDir}`);
+  console.timeEnd('分片导出完成');
+  return { outputDir, indexPath, shardCount: index.shardCount, proofCount };
+}
+
 // 主函数 - 处理命令行参数
 async function main() {
   const args = process.argv.slice(2);
@@ -199,12 +509,27 @@ async function main() {
   if (!command) {
     console.log(`
 使用说明:
-  - 为单个地址生成证明: node generate_merkle_proof.js address 0x...
-  - 为所有地址生成证明: node generate_merkle_proof.js export [output_path]
+  - 为单个地址生成证明: node generate_merkle_proof.js address 0x... [merkle_dir] [token]
+  - 为所有地址生成证明: node generate_merkle_proof.js export [output_path] [merkle_dir]
+  - 按地址前缀分片导出: node generate_merkle_proof.js export-sharded [output_dir] [merkle_dir] [prefix_length]
+  - 生成签名领取的EIP-712数据: node generate_merkle_proof.js typed-data 0x... [recipient] [merkle_dir]
+  
+  merkle_dir默认为 ../merkle-data
+  多代币Merkle树不指定token时输出该地址所有代币的证明及claimMultiple的call data
+  typed-data通过环境变量DISTRIBUTOR_ADDRESS、CHAIN_ID（默认42161）、CLAIM_NONCE（默认0）、
+  CLAIM_DEADLINE（默认7天后）指定签名参数；指定recipient时生成claimTo数据，否则生成claimBySig数据
+  
+  export-sharded输出index.json（Merkle根及分片列表）和proofs/<地址前缀>.json，
+  output_dir默认为 <merkle_dir>/proof-shards，prefix_length默认为2（256个分片）
+  
+  输出包含批次内证明(proof)、顶层证明(rootProof)、组合证明(combinedProof)，
+  以及claimWithBatchProof/claim两种领取方式的call data；asset字段标明分发资产（erc20或native原生ETH）
   
 示例:
   - 生成单个证明: node generate_merkle_proof.js address 0x123...
   - 导出所有证明: node generate_merkle_proof.js export ./all_proofs.json
+  - 分片导出: node generate_merkle_proof.js export-sharded ./site/proofs ./merkle-data 3
+  - 领取到冷钱包: DISTRIBUTOR_ADDRESS=0x... node generate_merkle_proof.js typed-data 0x123... 0xabc...
     `);
     return;
   }
@@ -218,15 +543,50 @@ async function main() {
           return;
         }
         
-        const proof = await getMerkleProof(address);
+        // 多代币Merkle树的地址映射键为 地址:代币，未指定token时输出所有代币的证明
+        const merkleDataPath = path.join(args[2] || DEFAULT_MERKLE_DIR, merkle.MERKLE_DATA_FILE);
+        const multiToken = fs.existsSync(merkleDataPath) && !!JSON.parse(fs.readFileSync(merkleDataPath, 'utf8')).tokenTotals;
+        const proof = multiToken && !args[3]
+          ? await getTokenProofs(address, args[2])
+          : await getMerkleProof(address, args[2], args[3]);
         if (proof) {
           console.log('生成的证明:', JSON.stringify(proof, null, 2));
         }
         break;
         
+      case 'typed-data': {
+        const account = args[1];
+        if (!account) {
+          console.error('错误: 请提供地址');
+          return;
+        }
+        // 第三个参数为地址时视为recipient，否则视为merkle_dir
+        const recipient = args[2] && ethers.isAddress(args[2]) ? args[2] : undefined;
+        const merkleDir = recipient ? args[3] : args[2];
+        
+        const proofData = await getMerkleProof(account, merkleDir);
+        if (!proofData) {
+          return;
+        }
+        
+        const payload = buildSignaturePayload(proofData, {
+          distributor: process.env.DISTRIBUTOR_ADDRESS,
+          chainId: process.env.CHAIN_ID || proofData.chainId || 42161,
+          recipient,
+          nonce: process.env.CLAIM_NONCE || 0,
+          deadline: process.env.CLAIM_DEADLINE
+        });
+        console.log('待签名数据（eth_signTypedData_v4）:', JSON.stringify(payload, null, 2));
+        break;
+      }
+        
       case 'export':
         const outputPath = args[1];
-        await exportAllProofs(outputPath);
+        await exportAllProofs(outputPath, args[2]);
+        break;
+        
+      case 'export-sharded':
+        await exportShardedProofs(args[1], args[2], { prefixLength: args[3] || DEFAULT_SHARD_PREFIX_LENGTH });
         break;
       
       default:
@@ -244,7 +604,12 @@ if (require.main === module) {
 
 module.exports = {
   getMerkleProof,
+  getTokenProofs,
+  // 顶层树加载已移至lib/merkle，保留旧的导出名以兼容现有调用方
+  loadTopTree: merkle.loadTopTree,
+  buildSignaturePayload,
   getBatchProofs,
   verifyProof,
-  exportAllProofs
+  exportAllProofs,
+  exportShardedProofs
 }; 
\ No newline at end of file
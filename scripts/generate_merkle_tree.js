@@ -1,45 +1,56 @@
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
-const { MerkleTree } = require('merkletreejs');
-const keccak256 = require('keccak256');
+const crypto = require('crypto');
 const { ethers } = require('hardhat');
-const readline = require('readline');
 const { performance } = require('perf_hooks');
+const { loadScoringPolicy } = require('../lib/scoring-policy');
+const allocationLib = require('../lib/allocation');
+const merkle = require('../lib/merkle');
+const duplicatesLib = require('../lib/duplicates');
+const leafStore = require('../lib/leaf-store');
+const hashPool = require('../lib/hash-pool');
+const addressLib = require('../lib/address');
+const csv = require('../lib/csv');
+const { hashFile } = require('../lib/pipeline');
 
-/**
- * 将地址和金额转换为叶节点哈希
- * @param {number} index 空投索引
- * @param {string} account 账户地址
- * @param {string} amount 金额（以wei为单位）
- * @returns {Buffer} 叶节点哈希
- */
-function hashToken(index, account, amount) {
-  return Buffer.from(
-    ethers.solidityPackedKeccak256(
-      ["uint256", "address", "uint256"],
-      [index, account, amount]
-    ).slice(2),
-    'hex'
-  );
-}
+// 记录排序方式：address按地址（及代币）排序，input按文件名排序后的文件顺序和行顺序，其他值视为CSV列名
+const DEFAULT_ORDER = 'address';
+
+// 重复地址报告文件名
+const DUPLICATE_REPORT_FILE = 'duplicates.json';
+
+// 二进制存储的重复地址报告：构建时逐行写入，每行一个重复地址
+const DUPLICATE_STREAM_FILE = 'duplicates.ndjson';
+
+// 被拒绝地址（格式无效或EIP-55校验和错误）的报告文件名
+const REJECTED_REPORT_FILE = 'rejected_addresses.json';
+
+// 叶子存储格式：json为批次文件和address_map.json，binary为流式构建的定长叶子文件和顶层节点文件
+const STORE_FORMATS = ['json', 'binary'];
+
+// 影响Merkle树结果的源文件，其哈希作为构建指纹中的代码版本
+const BUILD_SOURCES = [
+  'scripts/generate_merkle_tree.js',
+  'lib/merkle.js',
+  'lib/allocation.js',
+  'lib/duplicates.js',
+  'lib/leaf-store.js',
+  'lib/hash-pool.js',
+  'lib/address.js',
+  'lib/csv.js',
+  'lib/scoring-policy.js'
+];
 
 /**
  * 根据得分计算空投金额
- * 公式：1.3的(total_score-1)次方
+ * 公式由积分策略文件的allocation.formula决定（默认exponential：1.3^(score-1)）
  * @param {number} totalScore 用户得分
- * @returns {BigInt} 代币数量（wei为单位）
+ * @param {Object} allocation 金额换算配置
+ * @returns {BigInt} 代币数量（wei为单位，未应用预算缩放）
  */
-function calculateAmount(totalScore) {
-  // 确保totalScore是数字
-  const score = parseFloat(totalScore);
-  
-  // 应用公式：1.3^(score-1)
-  if (score <= 0) return BigInt(0);
-  
-  const baseAmount = Math.pow(1.3, score - 1);
-  // 转换为wei (18位小数)，并确保是整数
-  const amountInEther = baseAmount.toFixed(6); // 保留6位小数精度
-  return ethers.parseUnits(amountInEther, 18);
+function calculateAmount(totalScore, allocation = loadScoringPolicy().allocation) {
+  return allocationLib.calculateAmount(totalScore, allocation);
 }
 
 /**
@@ -54,9 +65,11 @@ function getAllCsvFiles(csvDir) {
       return [];
     }
     
+    // 按文件名排序，不依赖文件系统返回的目录顺序
     const files = fs.readdirSync(csvDir);
     return files
       .filter(file => file.toLowerCase().endsWith('.csv'))
+      .sort()
       .map(file => path.join(csvDir, file));
   } catch (err) {
     console.error(`读取CSV目录时出错:`, err);
@@ -65,126 +78,501 @@ function getAllCsvFiles(csvDir) {
 }
 
 /**
- * 直接处理CSV文件并构建批次数据
+ * 流式读取CSV文件中的有效记录，地址和分数按表头中的address和total_score（或score）列读取（lib/csv）
+ * 表头中包含名为token的列时读取每行的代币地址（多代币模式），所有文件必须一致
+ * 地址经lib/address校验（大小写混合时必须通过EIP-55校验），无效的地址记录到stats.rejections后跳过该行
+ * 无法解析、缺少地址或分数不是数字的行记录到stats.rowErrors后跳过
  * @param {Array} csvFiles CSV文件列表
- * @param {number} batchSize 每个批次的记录数
- * @param {string} batchDir 批次数据保存目录
- * @returns {Object} 处理结果
+ * @param {Object} stats 统计信息，读取过程中累加totalRecords，记录是否为多代币模式（multiToken）、被拒绝的地址（rejections）及行错误（rowErrors）
+ * @param {boolean} quiet 是否不输出逐行警告和进度
+ * @param {string|null} keyColumn 排序列名，指定时每条记录附带该列的值（key）
+ * @returns {AsyncGenerator<Object>} { address, score, token?, key?, file, line }，地址和代币为EIP-55校验和形式，
+ *   file为文件名，line为行号（表头为第1行）
  */
-async function processCsvFilesIntoBatches(csvFiles, batchSize, batchDir) {
-  const batchRoots = [];
-  const addressMap = {};
-  
-  let totalRecords = 0;
-  let currentBatchIndex = 0;
-  let currentBatchRecords = [];
-  let globalIndex = 0;
-  
-  // 为每个CSV文件处理数据
+async function* readCsvRecords(csvFiles, stats = { totalRecords: 0 }, quiet = false, keyColumn = null) {
+  const rejections = stats.rejections || (stats.rejections = addressLib.createRejectionReport('generate_merkle_tree'));
+  const rowErrors = stats.rowErrors || (stats.rowErrors = []);
+  // 排序列为可选列，表头中不存在时报错
+  const schema = keyColumn
+    ? { ...csv.SCHEMAS.merkleInput, columns: { ...csv.SCHEMAS.merkleInput.columns, key: { names: [keyColumn] } } }
+    : csv.SCHEMAS.merkleInput;
+
   for (const csvFile of csvFiles) {
-    console.log(`处理CSV文件: ${csvFile}`);
+    if (!quiet) console.log(`处理CSV文件: ${csvFile}`);
     
-    const fileStream = fs.createReadStream(csvFile);
-    const rl = readline.createInterface({
-      input: fileStream,
-      crlfDelay: Infinity
-    });
-    
-    let isFirstLine = true;
     let lineCount = 0;
+    let multiToken = false;
     
-    // 处理CSV文件中的每一行
-    for await (const line of rl) {
-      // 跳过CSV头行
-      if (isFirstLine) {
-        isFirstLine = false;
-        continue;
+    // 从CSV表头中查找token列和排序列
+    const onHeader = ({ columns }) => {
+      if (keyColumn && columns.key === undefined) {
+        throw new Error(`CSV文件 ${csvFile} 缺少排序列 ${keyColumn}`);
       }
-      
-      // 跳过空行
-      if (!line.trim()) continue;
-      
-      lineCount++;
-      
-      // 解析行数据 - 根据制表符或逗号分隔
-      const columns = line.includes('\t') ? line.split('\t') : line.split(',');
-      
-      // 确保列数足够
-      if (columns.length < 9) {
-        console.warn(`跳过格式不正确的行: ${line}`);
-        continue;
-      }
-      
-      // 从第二列获取地址，从第九列获取分数
-      const address = columns[1].trim();
-      const score = columns[8].trim();
-      
-      // 检查地址是否有效
-      if (!ethers.isAddress(address)) {
-        console.warn(`跳过无效地址: ${address}, 行: ${lineCount}`);
-        continue;
+      multiToken = columns.token !== undefined;
+      if (stats.multiToken === undefined) {
+        stats.multiToken = multiToken;
+      } else if (stats.multiToken !== multiToken) {
+        throw new Error(`CSV文件 ${csvFile} ${multiToken ? '包含' : '缺少'}token列，与其他文件不一致`);
       }
+    };
+    const onRowError = (error) => {
+      lineCount++;
+      rowErrors.push(error);
+      if (!quiet) console.warn(`跳过格式不正确的行: ${csv.formatRowError(error)}`);
+    };
+    
+    for await (const { values, file, line } of csv.readCsv(csvFile, schema, { onHeader, onRowError })) {
+      lineCount++;
       
-      // 检查分数是否为数字
-      if (isNaN(parseFloat(score))) {
-        console.warn(`跳过非数字分数: ${score}, 地址: ${address}`);
+      // 无效地址记录到报告，读取完成后统一输出
+      const address = rejections.normalize(values.address, { file, line });
+      if (!address) {
         continue;
       }
       
-      // 计算代币数量
-      const amount = calculateAmount(parseFloat(score));
-      
-      // 将记录添加到当前批次
-      currentBatchRecords.push({
-        index: globalIndex,
-        address: address,
-        amount: amount.toString()
-      });
-      
-      // 记录地址映射信息
-      addressMap[address] = {
-        batchIndex: currentBatchIndex,
-        localIndex: currentBatchRecords.length - 1,
-        index: globalIndex
-      };
-      
-      globalIndex++;
-      
-      // 检查是否需要处理当前批次
-      if (currentBatchRecords.length >= batchSize) {
-        await processBatch(currentBatchRecords, currentBatchIndex, batchDir, batchRoots);
-        currentBatchIndex++;
-        currentBatchRecords = [];
-        
-        // 强制垃圾回收
-        if (global.gc) {
-          global.gc();
+      const record = { address: ethers.getAddress(address), score: values.score, file, line };
+      if (multiToken) {
+        const token = rejections.normalize(values.token, { file, line, column: 'token' });
+        if (!token) {
+          continue;
         }
+        record.token = ethers.getAddress(token);
+      }
+      if (keyColumn) {
+        record.key = values.key;
       }
+      yield record;
       
       // 每1万条记录报告一次进度
-      if (lineCount % 10000 === 0) {
+      if (!quiet && lineCount % 10000 === 0) {
         console.log(`已处理 ${lineCount} 条记录...`);
       }
     }
     
-    totalRecords += lineCount;
-    console.log(`CSV文件 ${csvFile} 处理完成，共 ${lineCount} 条记录`);
+    stats.totalRecords += lineCount;
+    if (!quiet) console.log(`CSV文件 ${csvFile} 处理完成，共 ${lineCount} 条记录`);
+  }
+}
+
+/**
+ * 按排序方式读取所有记录并排序
+ * 排序与文件名、文件顺序和行顺序无关：地址（或排序列）相同时依次按地址、代币和分数排序
+ * @param {Array} csvFiles CSV文件列表
+ * @param {string} order 排序方式（address或CSV列名）
+ * @param {Object} stats 统计信息，同readCsvRecords
+ * @returns {Promise<Array<Object>>} 排序后的记录
+ */
+async function readOrderedRecords(csvFiles, order, stats) {
+  const keyColumn = order === 'address' ? null : order;
+  const records = [];
+  for await (const record of readCsvRecords(csvFiles, stats, false, keyColumn)) {
+    records.push(record);
+  }
+  
+  // 排序列的值均为数字时按数值比较，否则按字符串比较（不使用本地化比较，保证各环境结果一致）
+  const numericKeys = keyColumn !== null && records.every(r => r.key !== '' && !isNaN(Number(r.key)));
+  const compareValues = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+  const compareKey = (a, b) => (numericKeys ? Number(a.key) - Number(b.key) : compareValues(a.key, b.key));
+  
+  records.sort((a, b) =>
+    (keyColumn !== null ? compareKey(a, b) : 0) ||
+    compareValues(a.address.toLowerCase(), b.address.toLowerCase()) ||
+    compareValues((a.token || '').toLowerCase(), (b.token || '').toLowerCase()) ||
+    a.score - b.score
+  );
+  console.log(`已按${keyColumn !== null ? `列 ${keyColumn}` : '地址'}排序 ${records.length} 条记录`);
+  return records;
+}
+
+/**
+ * 预算模式：按合并重复地址后的权重比例缩放到预算总额
+ * 零头按权重顺序分配，因此必须与生成叶子时的顺序一致
+ * @param {Array<BigInt>} weights 按全局索引排列的权重（缩放前的金额）
+ * @param {Object} allocation 金额换算配置
+ * @param {BigInt} budget 预算总额（wei为单位）
+ * @returns {Array<BigInt>} 按全局索引排列的金额
+ */
+function computeBudgetAmounts(weights, allocation, budget) {
+  console.log(`预算模式: 总额 ${ethers.formatUnits(budget, allocation.decimals ?? allocationLib.DEFAULT_DECIMALS)}，按 ${weights.length} 个地址的权重比例分配`);
+  return allocationLib.scaleToBudget(weights, budget);
+}
+
+/**
+ * 直接处理CSV文件并构建批次数据
+ * @param {Array} csvFiles CSV文件列表
+ * @param {number} batchSize 每个批次的记录数
+ * @param {string} batchDir 批次数据保存目录
+ * @param {Object} allocation 金额换算配置（默认: 积分策略文件的allocation）
+ * @param {Object|null} leafEncoding v2叶子编码，为null时使用v1编码
+ * @param {string} order 记录排序方式，决定全局索引（默认按地址排序）
+ * @param {string} duplicatePolicy 重复地址合并策略（sum、max、first或error）
+ * @param {Object} pool 批次哈希线程池（默认: 在主线程中构建）
+ * @returns {Object} 处理结果，duplicates为被合并的重复地址
+ */
+async function processCsvFilesIntoBatches(
+  csvFiles,
+  batchSize,
+  batchDir,
+  allocation = loadScoringPolicy().allocation,
+  leafEncoding = null,
+  order = DEFAULT_ORDER,
+  duplicatePolicy = duplicatesLib.DEFAULT_DUPLICATE_POLICY,
+  pool = hashPool.createHashPool(1, leafEncoding)
+) {
+  const batchRoots = [];
+  const addressMap = {};
+  const stats = { totalRecords: 0 };
+  
+  let currentBatchIndex = 0;
+  let currentBatchRecords = [];
+  let globalIndex = 0;
+  let totalAmount = 0n;
+  // 多代币模式下每种代币的分配总额
+  const tokenTotals = {};
+  
+  // 排序后的记录决定全局索引；input方式按文件名排序后的文件顺序和行顺序读取
+  const sorted = order === 'input' ? null : await readOrderedRecords(csvFiles, order, stats);
+  
+  // 同一地址（多代币模式下为同一地址和代币）只保留一个叶子，金额按策略合并
+  const { entries, duplicates } = await duplicatesLib.consolidateRecords(
+    sorted || readCsvRecords(csvFiles, stats),
+    duplicatePolicy,
+    record => calculateAmount(record.score, allocation)
+  );
+  
+  // 配置了预算时，按合并后的权重缩放；预算总额是单一代币的数量，不能跨代币按比例分配
+  const budget = allocationLib.getBudget(allocation);
+  if (stats.multiToken && budget !== null) {
+    throw new Error('多代币模式不支持allocation.budget，请将budget设置为null');
+  }
+  const budgetAmounts = budget === null ? null : computeBudgetAmounts(entries.map(entry => entry.amount), allocation, budget);
+  
+  // 为每个地址分配金额
+  for (const { address, token, amount: weight } of entries) {
+    const amount = budgetAmounts ? budgetAmounts[globalIndex] : weight;
+    totalAmount += amount;
+    
+    // 将记录添加到当前批次
+    const record = {
+      index: globalIndex,
+      address: address,
+      amount: amount.toString()
+    };
+    if (token) {
+      record.token = token;
+      tokenTotals[token] = ((BigInt(tokenTotals[token] || 0)) + amount).toString();
+    }
+    currentBatchRecords.push(record);
+    
+    // 记录地址映射信息（以小写地址为键，与generate_merkle_proof.js的查询方式一致；多代币模式下为 地址:代币）
+    addressMap[duplicatesLib.duplicateKey(record)] = {
+      batchIndex: currentBatchIndex,
+      localIndex: currentBatchRecords.length - 1,
+      index: globalIndex
+    };
+    
+    globalIndex++;
+    
+    // 检查是否需要处理当前批次
+    if (currentBatchRecords.length >= batchSize) {
+      await pool.schedule(() => processBatch(currentBatchRecords, currentBatchIndex, batchDir, batchRoots, pool));
+      currentBatchIndex++;
+      currentBatchRecords = [];
+      
+      // 强制垃圾回收
+      if (global.gc) {
+        global.gc();
+      }
+    }
   }
   
   // 处理剩余的记录（最后一个批次可能不满）
   if (currentBatchRecords.length > 0) {
-    await processBatch(currentBatchRecords, currentBatchIndex, batchDir, batchRoots);
+    await pool.schedule(() => processBatch(currentBatchRecords, currentBatchIndex, batchDir, batchRoots, pool));
     currentBatchIndex++;
   }
+  await pool.drain();
   
-  console.log(`所有CSV文件处理完成，共 ${totalRecords} 条记录，分为 ${currentBatchIndex} 个批次`);
+  // 预算模式下叶子金额之和必须恰好等于预算
+  if (budget !== null && totalAmount !== budget) {
+    throw new Error(`叶子金额总和 ${totalAmount} 与预算 ${budget} 不一致`);
+  }
+  
+  console.log(`所有CSV文件处理完成，共 ${stats.totalRecords} 条记录，${globalIndex} 个叶子，分为 ${currentBatchIndex} 个批次`);
   
   return {
-    totalRecords,
+    totalRecords: stats.totalRecords,
     batchCount: currentBatchIndex,
     batchRoots,
-    addressMap
+    addressMap,
+    totalAmount,
+    tokenTotals: stats.multiToken ? tokenTotals : null,
+    duplicates,
+    rejections: stats.rejections,
+    rowErrors: stats.rowErrors
+  };
+}
+
+/**
+ * 加载上一期的累计金额文件
+ * @param {string|null} previousPath 上一期的cumulative.json或其所在目录，未指定时从第1期开始
+ * @returns {Object} { epoch, totals, filePath }，totals为 小写地址 => 累计金额字符串
+ */
+function loadCumulativeFile(previousPath) {
+  if (!previousPath) {
+    return { epoch: 0, totals: {} };
+  }
+  const filePath = fs.existsSync(previousPath) && fs.statSync(previousPath).isDirectory()
+    ? path.join(previousPath, 'cumulative.json')
+    : previousPath;
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`上一期累计金额文件不存在: ${filePath}`);
+  }
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return { epoch: data.epoch, totals: data.totals, filePath };
+}
+
+/**
+ * 累计模式：把本期CSV的金额加到上一期的累计金额上，再按地址排序写入批次
+ * 同一地址在本期出现多次时按重复地址策略合并；本期没有出现的地址保留上一期的累计金额
+ * @param {Array} csvFiles CSV文件列表
+ * @param {number} batchSize 每个批次的记录数
+ * @param {string} batchDir 批次数据保存目录
+ * @param {Object} allocation 金额换算配置
+ * @param {Object} previous loadCumulativeFile的结果
+ * @param {string} order 记录排序方式，预算模式下决定零头的分配顺序
+ * @param {string} duplicatePolicy 重复地址合并策略（sum、max、first或error）
+ * @param {Object} pool 批次哈希线程池（默认: 在主线程中构建）
+ * @returns {Object} 处理结果，额外包含本期金额epochAmount和累计金额totals
+ */
+async function processCumulativeIntoBatches(
+  csvFiles,
+  batchSize,
+  batchDir,
+  allocation,
+  previous,
+  order = DEFAULT_ORDER,
+  duplicatePolicy = duplicatesLib.DEFAULT_DUPLICATE_POLICY,
+  pool = hashPool.createHashPool(1)
+) {
+  const stats = { totalRecords: 0 };
+  const totals = new Map(Object.entries(previous.totals).map(([address, amount]) => [address, BigInt(amount)]));
+  const epochAmounts = new Map();
+  let epochAmount = 0n;
+  let globalIndex = 0;
+  
+  const sorted = order === 'input' ? null : await readOrderedRecords(csvFiles, order, stats);
+  const { entries, duplicates } = await duplicatesLib.consolidateRecords(
+    sorted || readCsvRecords(csvFiles, stats),
+    duplicatePolicy,
+    record => calculateAmount(record.score, allocation)
+  );
+  if (stats.multiToken) {
+    throw new Error('累计模式不支持多代币CSV（token列）');
+  }
+  
+  // 预算模式下按本期金额缩放
+  const budget = allocationLib.getBudget(allocation);
+  const budgetAmounts = budget === null ? null : computeBudgetAmounts(entries.map(entry => entry.amount), allocation, budget);
+  
+  for (const { address, amount: weight } of entries) {
+    const amount = budgetAmounts ? budgetAmounts[globalIndex] : weight;
+    const key = address.toLowerCase();
+    totals.set(key, (totals.get(key) || 0n) + amount);
+    epochAmounts.set(key, amount);
+    epochAmount += amount;
+    globalIndex++;
+  }
+  
+  if (budget !== null && epochAmount !== budget) {
+    throw new Error(`本期金额总和 ${epochAmount} 与预算 ${budget} 不一致`);
+  }
+  
+  // 按地址排序，相同的累计金额总能得到相同的树
+  const addresses = [...totals.keys()].sort();
+  const batchRoots = [];
+  const addressMap = {};
+  let totalAmount = 0n;
+  let batchIndex = 0;
+  
+  for (let start = 0; start < addresses.length; start += batchSize) {
+    const records = [];
+    for (const key of addresses.slice(start, start + batchSize)) {
+      const amount = totals.get(key);
+      totalAmount += amount;
+      addressMap[key] = { batchIndex, localIndex: records.length };
+      records.push({
+        address: ethers.getAddress(key),
+        amount: amount.toString(),
+        epochAmount: (epochAmounts.get(key) || 0n).toString()
+      });
+    }
+    await pool.schedule(() => processBatch(records, batchIndex, batchDir, batchRoots, pool));
+    batchIndex++;
+  }
+  await pool.drain();
+  
+  console.log(`本期 ${epochAmounts.size} 个地址获得奖励，累计 ${addresses.length} 个地址，分为 ${batchIndex} 个批次`);
+  
+  return {
+    totalRecords: stats.totalRecords,
+    batchCount: batchIndex,
+    batchRoots,
+    addressMap,
+    totalAmount,
+    epochAmount,
+    totals,
+    tokenTotals: null,
+    duplicates,
+    rejections: stats.rejections,
+    rowErrors: stats.rowErrors
+  };
+}
+
+/**
+ * 流式构建二进制存储：记录经外部排序后按地址顺序合并重复地址、分配索引，逐批次构建批次树
+ * 叶子追加写入leaves.bin，批次根追加写入top_layers.bin，再从磁盘逐层构建顶层树
+ * 内存占用只与sortChunkSize和batchSize有关，不生成address_map.json和批次文件
+ * 重复地址逐行写入duplicates.ndjson，内存中只保留计数
+ * @param {Array} csvFiles CSV文件列表
+ * @param {number} batchSize 每个批次的记录数
+ * @param {string} outputDir 输出目录
+ * @param {Object} allocation 金额换算配置
+ * @param {Object|null} leafEncoding v2叶子编码，为null时使用v1编码
+ * @param {string} duplicatePolicy 重复地址合并策略（sum、max、first或error）
+ * @param {number} sortChunkSize 外部排序时每个有序段的记录数
+ * @param {Object} pool 批次哈希线程池（默认: 在主线程中构建）
+ * @returns {Object} 处理结果，store为写入merkle_data.json的存储描述，root为顶层根，duplicates为重复地址计数
+ */
+async function processCsvFilesIntoStore(
+  csvFiles,
+  batchSize,
+  outputDir,
+  allocation,
+  leafEncoding = null,
+  duplicatePolicy = duplicatesLib.DEFAULT_DUPLICATE_POLICY,
+  sortChunkSize = leafStore.DEFAULT_SORT_CHUNK_SIZE,
+  pool = hashPool.createHashPool(1, leafEncoding)
+) {
+  if (allocationLib.getBudget(allocation) !== null) {
+    throw new Error('二进制存储不支持allocation.budget（预算缩放需要先读取所有金额），请使用json存储');
+  }
+  
+  const stats = { totalRecords: 0 };
+  const tokenTotals = {};
+  let totalAmount = 0n;
+  let globalIndex = 0;
+  let batchCount = 0;
+  let multiToken = false;
+  let batchRecords = [];
+  
+  // 先写入输出目录下的临时目录，全部完成后再替换旧文件，构建失败时不影响已有数据
+  const tmpDir = fs.mkdtempSync(path.join(outputDir, '.build-'));
+  const leafPath = path.join(tmpDir, leafStore.LEAF_STORE_FILE);
+  const layersPath = path.join(tmpDir, leafStore.TOP_LAYERS_FILE);
+  const leafFd = fs.openSync(leafPath, 'w');
+  const layersFd = fs.openSync(layersPath, 'w');
+  const duplicatesPath = path.join(tmpDir, DUPLICATE_STREAM_FILE);
+  const duplicates = duplicatesLib.createDuplicateStream(duplicatePolicy, duplicatesPath);
+  
+  // 叶子按顺序立即追加；批次根在线程池中构建，完成后写入top_layers.bin中该批次的位置
+  const flushBatch = () => {
+    const records = batchRecords;
+    const batchIndex = batchCount;
+    fs.writeSync(leafFd, Buffer.concat(records.map(record => leafStore.encodeRecord(record, multiToken))));
+    batchCount++;
+    batchRecords = [];
+    if (batchCount % 1000 === 0) {
+      console.log(`已构建 ${batchCount} 个批次，${globalIndex} 个叶子`);
+    }
+    return pool.schedule(async () => {
+      const root = await pool.buildBatchRoot(records);
+      fs.writeSync(layersFd, Buffer.from(root.slice(2), 'hex'), 0, leafStore.HASH_SIZE, batchIndex * leafStore.HASH_SIZE);
+    });
+  };
+  
+  try {
+    const sorted = leafStore.sortRecords(
+      readCsvRecords(csvFiles, stats),
+      tmpDir,
+      sortChunkSize,
+      runCount => console.log(`外部排序: ${runCount} 个有序段，开始归并`)
+    );
+    const entries = duplicatesLib.consolidateSortedRecords(
+      sorted,
+      duplicatePolicy,
+      record => calculateAmount(record.score, allocation),
+      duplicates
+    );
+    
+    for await (const { address, token, amount } of entries) {
+      multiToken = !!token;
+      const record = { index: globalIndex, address: ethers.getAddress(address), amount: amount.toString() };
+      if (token) {
+        record.token = ethers.getAddress(token);
+        tokenTotals[record.token] = ((BigInt(tokenTotals[record.token] || 0)) + amount).toString();
+      }
+      totalAmount += amount;
+      batchRecords.push(record);
+      globalIndex++;
+      if (batchRecords.length >= batchSize) {
+        await flushBatch();
+      }
+    }
+    if (batchRecords.length > 0) {
+      await flushBatch();
+    }
+    await pool.drain();
+  } catch (error) {
+    // 等待已提交的批次结束后再关闭文件
+    await pool.drain().catch(() => {});
+    fs.closeSync(leafFd);
+    fs.closeSync(layersFd);
+    duplicates.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    throw error;
+  }
+  fs.closeSync(leafFd);
+  fs.closeSync(layersFd);
+  duplicates.close();
+  
+  if (globalIndex === 0) {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    throw new Error('没有有效记录，无法构建Merkle树');
+  }
+  
+  console.log(`逐层构建顶层树，共 ${batchCount} 个批次根...`);
+  const { root, layers } = leafStore.buildTopLayers(layersPath, batchCount);
+  fs.renameSync(leafPath, path.join(outputDir, leafStore.LEAF_STORE_FILE));
+  fs.renameSync(layersPath, path.join(outputDir, leafStore.TOP_LAYERS_FILE));
+  if (fs.existsSync(duplicatesPath)) {
+    fs.renameSync(duplicatesPath, path.join(outputDir, DUPLICATE_STREAM_FILE));
+  }
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  
+  console.log(`所有CSV文件处理完成，共 ${stats.totalRecords} 条记录，${globalIndex} 个叶子，分为 ${batchCount} 个批次`);
+  
+  return {
+    totalRecords: stats.totalRecords,
+    batchCount,
+    root,
+    // 二进制存储不生成地址映射，按地址查询时二分查找leaves.bin
+    addressMap: null,
+    store: {
+      format: 'binary',
+      leafFile: leafStore.LEAF_STORE_FILE,
+      layersFile: leafStore.TOP_LAYERS_FILE,
+      layers,
+      recordSize: leafStore.recordSize(multiToken),
+      multiToken,
+      leafCount: globalIndex,
+      batchSize: Number(batchSize)
+    },
+    totalAmount,
+    tokenTotals: multiToken ? tokenTotals : null,
+    duplicates: duplicates.summary(),
+    rejections: stats.rejections,
+    rowErrors: stats.rowErrors
   };
 }
 
@@ -194,123 +582,380 @@ async function processCsvFilesIntoBatches(csvFiles, batchSize, batchDir) {
  * @param {number} batchIndex 批次索引
  * @param {string} batchDir 批次数据保存目录
  * @param {Array} batchRoots 用于收集批次根哈希的数组
+ * @param {Object} pool 批次哈希线程池（已绑定叶子编码）
  */
-async function processBatch(records, batchIndex, batchDir, batchRoots) {
+async function processBatch(records, batchIndex, batchDir, batchRoots, pool) {
   const startTime = performance.now();
   console.log(`处理第 ${batchIndex + 1} 批数据，共 ${records.length} 条记录`);
   
-  const leaves = [];
-  
-  // 创建叶节点
-  for (const record of records) {
-    const leaf = hashToken(record.index, record.address, record.amount);
-    leaves.push(leaf);
-  }
-  
-  // 构建批次Merkle树
-  const merkleTree = new MerkleTree(leaves, keccak256, { sortPairs: true });
-  const rootHash = merkleTree.getHexRoot();
+  // 构建批次Merkle树（多线程时各批次并行构建，完成顺序不固定）
+  const rootHash = await pool.buildBatchRoot(records);
   
   const elapsedTime = ((performance.now() - startTime) / 1000).toFixed(2);
   console.log(`批次 ${batchIndex + 1} 的Merkle根: ${rootHash} (耗时: ${elapsedTime}秒)`);
   
-  // 保存批次根
-  batchRoots.push(rootHash);
+  // 按批次索引保存批次根
+  batchRoots[batchIndex] = rootHash;
   
   // 保存批次数据
-  const batchData = {
-    batchIndex,
-    root: rootHash,
-    recordCount: records.length,
-    records: records
+  merkle.writeBatch(batchDir, batchIndex, records, rootHash);
+}
+
+/**
+ * 计算构建吞吐（读取输入、合并重复地址、哈希叶子及构建批次树的整体速度）
+ * 只作为返回值和日志输出，不写入merkle_data.json，多线程与单线程的输出文件保持一致
+ * @param {number} leaves 叶子数
+ * @param {number} batches 批次数
+ * @param {number} threads 线程数
+ * @param {number} elapsedMs 耗时（毫秒）
+ * @returns {Object} { threads, leaves, batches, seconds, leavesPerSecond, batchesPerSecond }
+ */
+function measureThroughput(leaves, batches, threads, elapsedMs) {
+  const seconds = Math.max(elapsedMs, 1) / 1000;
+  return {
+    threads,
+    leaves,
+    batches,
+    seconds: Number(seconds.toFixed(3)),
+    leavesPerSecond: Math.round(leaves / seconds),
+    batchesPerSecond: Number((batches / seconds).toFixed(2))
+  };
+}
+
+/**
+ * 校验叶子编码参数
+ * @param {number|string} leafVersion 叶子编码版本（1或2）
+ * @param {number|string|null} chainId 链ID
+ * @param {string|null} distributor 分发合约地址
+ * @returns {Object|null} v2时为 { version: 2, chainId, distributor }，v1时为null
+ */
+function resolveLeafEncoding(leafVersion, chainId, distributor) {
+  const version = Number(leafVersion);
+  if (version === 1) {
+    return null;
+  }
+  if (version !== 2) {
+    throw new Error(`无效的叶子编码版本: ${leafVersion}`);
+  }
+  if (chainId === null || chainId === undefined || !/^\d+$/.test(String(chainId))) {
+    throw new Error('v2叶子编码需要指定chainId');
+  }
+  if (!distributor || !ethers.isAddress(distributor)) {
+    throw new Error('v2叶子编码需要指定分发合约地址distributor');
+  }
+  return { version: 2, chainId: Number(chainId), distributor: ethers.getAddress(distributor) };
+}
+
+/**
+ * 计算构建指纹：输入CSV、上一期累计金额、积分策略、构建参数及代码版本的哈希
+ * 相同的指纹保证得到相同的Merkle树；按地址或列排序时文件名和文件顺序不影响结果，只记录文件内容的哈希
+ * （input排序或first重复地址策略下文件名决定结果，同时记录文件名）
+ * @param {Object} options 选项
+ * @param {Array} options.csvFiles CSV文件列表
+ * @param {string|null} options.previousFile 上一期的cumulative.json（累计模式）
+ * @param {Object} options.policy 积分策略（loadScoringPolicy的结果）
+ * @param {Object} options.params 影响叶子的构建参数
+ * @returns {Promise<Object>} { fingerprint, inputs, previousCumulative, scoringPolicy, code, params }
+ */
+async function computeBuildInfo({ csvFiles, previousFile = null, policy, params }) {
+  const inputs = [];
+  for (const csvFile of csvFiles) {
+    inputs.push({ file: path.basename(csvFile), size: fs.statSync(csvFile).size, sha256: await hashFile(csvFile) });
+  }
+  inputs.sort((a, b) => (a.file < b.file ? -1 : a.file > b.file ? 1 : 0));
+  
+  const rootDir = path.join(__dirname, '..');
+  const sourceHash = crypto.createHash('sha256');
+  for (const source of BUILD_SOURCES) {
+    sourceHash.update(`${source}:${await hashFile(path.join(rootDir, source))}\n`);
+  }
+  const code = {
+    version: JSON.parse(fs.readFileSync(path.join(rootDir, 'package.json'), 'utf8')).version,
+    sourceHash: sourceHash.digest('hex')
   };
   
-  fs.writeFileSync(
-    path.join(batchDir, `batch_${batchIndex}.json`),
-    JSON.stringify(batchData, null, 2)
-  );
+  const previousCumulative = previousFile ? await hashFile(previousFile) : null;
+  const inputDigest = params.order === 'input' || params.duplicates === 'first'
+    ? inputs.map(input => `${input.file}:${input.sha256}`)
+    : inputs.map(input => input.sha256).sort();
+  const fingerprint = crypto.createHash('sha256').update(JSON.stringify({
+    inputs: inputDigest,
+    previousCumulative,
+    scoringPolicy: policy.hash,
+    params,
+    code
+  })).digest('hex');
+  
+  return { fingerprint, inputs, previousCumulative, scoringPolicy: policy.hash, code, params };
 }
 
 /**
  * 批量构建Merkle树
  * @param {number} batchSize 每批处理的记录数
+ * @param {string} csvDir 输入CSV目录（默认: ../cleaned-results）
+ * @param {string} outputDir 输出目录（默认: ../merkle-data）
+ * @param {number|null} round 空投轮次（MultiRoundDistributor的roundId），指定时输出到 <outputDir>/round_<round>
+ * @param {Object} options 选项
+ * @param {boolean} options.cumulative 累计模式（CumulativeMerkleDistributor），叶子为 (account, cumulativeAmount)
+ * @param {string|null} options.previousCumulative 上一期的cumulative.json或其所在目录，本期金额在其基础上累加
+ * @param {number} options.leafVersion 叶子编码版本，2为绑定chainId和分发合约地址的双重哈希（需同时指定chainId和distributor）
+ * @param {number|string|null} options.chainId v2叶子编码的链ID
+ * @param {string|null} options.distributor v2叶子编码的MerkleDistributor地址
+ * @param {string} options.order 记录排序方式：address（默认）、input（文件名排序后的文件顺序和行顺序）或CSV列名
+ * @param {string} options.duplicates 重复地址合并策略：sum（默认，金额相加）、max、first（文件名排序后最先出现的一条）或error
+ * @param {string} options.store 叶子存储格式：json（默认，批次文件和address_map.json）或binary（流式构建的leaves.bin和top_layers.bin）
+ * @param {number} options.sortChunkSize 二进制存储外部排序时每个有序段的记录数，决定构建时的内存上限
+ * @param {number} options.threads 构建批次树的线程数（默认: CPU核数），为1时在主线程中构建，结果与多线程完全一致
  */
-async function buildMerkleTree(batchSize = 100) {
+async function buildMerkleTree(...args) {
+  // 参数无效或构建失败时同样结束计时
   console.time('构建完成');
-  const outputDir = path.join(__dirname, '../merkle-data');
-  const batchDir = path.join(outputDir, 'batches');
+  try {
+    return await runBuild(...args);
+  } finally {
+    console.timeEnd('构建完成');
+  }
+}
+
+// buildMerkleTree的实现，参数同上
+async function runBuild(
+  batchSize = 100,
+  csvDir = path.join(__dirname, '../cleaned-results'),
+  outputDir = path.join(__dirname, '../merkle-data'),
+  round = null,
+  {
+    cumulative = false,
+    previousCumulative = null,
+    leafVersion = 1,
+    chainId = null,
+    distributor = null,
+    order = DEFAULT_ORDER,
+    duplicates = duplicatesLib.DEFAULT_DUPLICATE_POLICY,
+    store = 'json',
+    sortChunkSize = leafStore.DEFAULT_SORT_CHUNK_SIZE,
+    threads = hashPool.defaultThreadCount()
+  } = {}
+) {
+  if (typeof order !== 'string' || !order.trim()) {
+    throw new Error(`无效的排序方式: ${order}`);
+  }
+  duplicatesLib.resolveDuplicatePolicy(duplicates);
+  const leafEncoding = resolveLeafEncoding(leafVersion, chainId, distributor);
+  if (leafEncoding && cumulative) {
+    throw new Error('累计模式不支持v2叶子编码');
+  }
+  if (!STORE_FORMATS.includes(store)) {
+    throw new Error(`无效的叶子存储格式: ${store}，可用格式: ${STORE_FORMATS.join(', ')}`);
+  }
+  const binaryStore = store === 'binary';
+  if (binaryStore && cumulative) {
+    throw new Error('二进制存储不支持累计模式，请使用json存储');
+  }
+  if (binaryStore && order !== DEFAULT_ORDER) {
+    throw new Error(`二进制存储的叶子文件按地址排序，不支持排序方式 ${order}`);
+  }
+  if (!Number.isInteger(Number(sortChunkSize)) || Number(sortChunkSize) < 1) {
+    throw new Error(`无效的排序段大小: ${sortChunkSize}`);
+  }
+  threads = hashPool.resolveThreadCount(threads);
+  
+  const baseDir = outputDir;
+  if (round !== null) {
+    outputDir = path.join(baseDir, `round_${round}`);
+    console.log(`空投轮次: ${round}，输出目录: ${outputDir}`);
+  }
+  const batchDir = path.join(outputDir, merkle.BATCH_DIR);
   
   // 确保输出目录存在
   if (!fs.existsSync(outputDir)) {
     fs.mkdirSync(outputDir, { recursive: true });
   }
   
-  if (!fs.existsSync(batchDir)) {
+  if (!binaryStore && !fs.existsSync(batchDir)) {
     fs.mkdirSync(batchDir, { recursive: true });
   }
 
-  // 用户CSV模式：读取/csv目录下的所有CSV文件
-  console.log('读取/csv目录下的所有CSV文件...');
-  const csvDir = path.join(__dirname, '../cleaned-results');
+  // 用户CSV模式：读取输入目录下的所有CSV文件
+  console.log(`读取 ${csvDir} 目录下的所有CSV文件...`);
   const csvFiles = getAllCsvFiles(csvDir);
   
   if (csvFiles.length === 0) {
-    console.error('错误: 未找到CSV文件。请确保在/csv目录下有CSV文件');
+    console.error(`错误: 未找到CSV文件。请确保输入目录 ${csvDir} 下有CSV文件`);
     return null;
   }
   
   console.log(`找到 ${csvFiles.length} 个CSV文件: ${csvFiles.join(', ')}`);
   
+  const policy = loadScoringPolicy();
+  const { allocation } = policy;
+  console.log(`分配公式: ${allocation.formula}${allocation.budget ? `，预算总额: ${allocation.budget}` : ''}`);
+  
   // 直接处理CSV文件到批次，避免一次性加载所有数据到内存
   console.log(`开始处理CSV文件，每批次最多 ${batchSize} 条记录`);
-  const result = await processCsvFilesIntoBatches(csvFiles, batchSize, batchDir);
+  if (leafEncoding) {
+    console.log(`叶子编码: v2，chainId ${leafEncoding.chainId}，分发合约 ${leafEncoding.distributor}`);
+  }
+  const previous = cumulative ? loadCumulativeFile(previousCumulative) : null;
+  const epoch = cumulative ? previous.epoch + 1 : null;
+  if (cumulative) {
+    console.log(`累计模式: 第 ${epoch} 期${previousCumulative ? `，在 ${previousCumulative} 的基础上累加` : ''}`);
+  }
+  
+  // 构建指纹，verify-build按其中的参数重新构建
+  const build = await computeBuildInfo({
+    csvFiles,
+    previousFile: previous && previous.filePath ? previous.filePath : null,
+    policy,
+    params: {
+      batchSize: Number(batchSize),
+      order,
+      duplicates,
+      store,
+      round,
+      cumulative,
+      leafVersion: leafEncoding ? 2 : 1,
+      chainId: leafEncoding ? leafEncoding.chainId : null,
+      distributor: leafEncoding ? leafEncoding.distributor : null
+    }
+  });
+  console.log(`记录排序: ${order}，重复地址策略: ${duplicates}，叶子存储: ${store}，构建指纹: ${build.fingerprint}`);
+  
+  // 批次树在线程池中并行构建，批次根按批次索引保存，结果与单线程一致
+  console.log(`构建线程数: ${threads}`);
+  const pool = hashPool.createHashPool(threads, leafEncoding);
+  const processStart = performance.now();
+  let result;
+  try {
+    if (binaryStore) {
+      result = await processCsvFilesIntoStore(csvFiles, batchSize, outputDir, allocation, leafEncoding, duplicates, Number(sortChunkSize), pool);
+    } else if (cumulative) {
+      result = await processCumulativeIntoBatches(csvFiles, batchSize, batchDir, allocation, previous, order, duplicates, pool);
+    } else {
+      result = await processCsvFilesIntoBatches(csvFiles, batchSize, batchDir, allocation, leafEncoding, order, duplicates, pool);
+    }
+  } finally {
+    await pool.close();
+  }
+  const throughput = measureThroughput(
+    binaryStore ? result.store.leafCount : Object.keys(result.addressMap).length,
+    result.batchCount,
+    threads,
+    performance.now() - processStart
+  );
   
   const batchRoots = result.batchRoots;
   const addressMap = result.addressMap;
   const totalRecords = result.totalRecords;
   const batchCount = result.batchCount;
+  const totalAmount = result.totalAmount;
+  const tokenTotals = result.tokenTotals;
+  // 分发资产：native表示原生ETH，多代币Merkle树只能分发ERC20
+  const asset = allocation.asset || 'erc20';
+  const decimals = allocation.decimals ?? allocationLib.DEFAULT_DECIMALS;
+  if (tokenTotals && asset === 'native') {
+    throw new Error('多代币Merkle树不支持allocation.asset为native');
+  }
+  if (cumulative && asset === 'native') {
+    throw new Error('累计模式不支持allocation.asset为native');
+  }
 
   console.log(`处理完成，共 ${totalRecords} 条记录，分为 ${batchCount} 个批次`);
+  console.log(`构建吞吐: ${throughput.leavesPerSecond} 叶子/秒，${throughput.batchesPerSecond} 批次/秒（${throughput.threads} 个线程，耗时 ${throughput.seconds}秒）`);
+  
+  // 重复地址报告：列出每个重复地址的所有出现位置和合并后的金额，没有重复时删除旧报告
+  // 二进制存储在构建时已逐行写入duplicates.ndjson，这里只有计数；同时删除另一种格式的旧报告
+  const duplicateReport = binaryStore
+    ? result.duplicates
+    : duplicatesLib.buildDuplicateReport(duplicates, result.duplicates);
+  const duplicateReportPath = path.join(outputDir, binaryStore ? DUPLICATE_STREAM_FILE : DUPLICATE_REPORT_FILE);
+  fs.rmSync(path.join(outputDir, binaryStore ? DUPLICATE_REPORT_FILE : DUPLICATE_STREAM_FILE), { force: true });
+  if (duplicateReport.duplicateKeys > 0) {
+    if (!binaryStore) {
+      fs.writeFileSync(duplicateReportPath, JSON.stringify(duplicateReport, null, 2));
+    }
+    console.warn(`发现 ${duplicateReport.duplicateKeys} 个重复地址（其中 ${duplicateReport.conflicts} 个金额不一致），已按 ${duplicates} 策略合并 ${duplicateReport.mergedRows} 条记录，详见: ${duplicateReportPath}`);
+  } else if (fs.existsSync(duplicateReportPath)) {
+    fs.unlinkSync(duplicateReportPath);
+  }
 
-  // 构建顶层Merkle树
-  console.log(`构建顶层Merkle树，组合 ${batchCount} 个批次根...`);
-  const topTree = new MerkleTree(batchRoots, keccak256, { sortPairs: true });
-  const merkleRoot = topTree.getHexRoot();
+  // 被拒绝地址报告：格式无效或校验和错误的地址及其所在文件和行号，没有被拒绝的地址时删除旧报告
+  const rejections = result.rejections;
+  rejections.log();
+  const rejectedReportPath = path.join(outputDir, REJECTED_REPORT_FILE);
+  if (rejections.write(rejectedReportPath)) {
+    console.warn(`被拒绝的地址详见: ${rejectedReportPath}`);
+  }
+  // 无法解析、缺少地址或分数无效而跳过的行，逐行明细已在读取时输出
+  const { rowErrors } = result;
+  if (rowErrors.length > 0) {
+    console.warn(`共跳过 ${rowErrors.length} 行格式不正确的记录，例如 ${rowErrors.slice(0, 5).map(csv.formatRowError).join('; ')}`);
+  }
+  console.log(`空投总额: ${ethers.formatUnits(totalAmount, decimals)} (${totalAmount} wei)`);
+
+  // 构建顶层Merkle树（二进制存储已从磁盘逐层构建）
+  const topTree = binaryStore ? null : merkle.buildTree(batchRoots);
+  if (topTree) {
+    console.log(`构建顶层Merkle树，组合 ${batchCount} 个批次根...`);
+  }
+  const merkleRoot = binaryStore ? result.root : topTree.getHexRoot();
   
   console.log(`最终Merkle根: ${merkleRoot}`);
 
+  // 批次记录及批次根到顶层根的证明：json存储读取批次文件，二进制存储读取叶子文件和顶层节点文件
+  const readExampleBatch = (batchIndex) => {
+    if (binaryStore) {
+      return {
+        records: leafStore.readRecords(outputDir, result.store, batchIndex * Number(batchSize), Number(batchSize)),
+        rootProof: leafStore.readRootProof(outputDir, result.store, batchIndex).proof
+      };
+    }
+    const batchData = merkle.readBatch(outputDir, batchIndex);
+    return { records: batchData.records, rootProof: merkle.getProof(topTree, batchData.root) };
+  };
+
   // 生成示例证明
   console.log(`生成示例证明...`);
   const proofExamples = {};
-  // 选择前10个地址生成示例证明
-  const addresses = Object.keys(addressMap).slice(0, Math.min(10, Object.keys(addressMap).length));
+  // 选择前10个叶子生成示例证明
+  const exampleLeaves = binaryStore
+    ? Array.from({ length: Math.min(10, result.store.leafCount) }, (_, i) => ({
+      batchIndex: Math.floor(i / Number(batchSize)),
+      localIndex: i % Number(batchSize)
+    }))
+    : Object.keys(addressMap).slice(0, 10).map(key => addressMap[key]);
   
-  for (const address of addresses) {
+  for (const { batchIndex, localIndex } of exampleLeaves) {
+    let address = `批次 ${batchIndex} 第 ${localIndex} 条`;
     try {
-      const { batchIndex } = addressMap[address];
-      const batchDataPath = path.join(batchDir, `batch_${batchIndex}.json`);
-      const batchData = JSON.parse(fs.readFileSync(batchDataPath));
+      const { records, rootProof } = readExampleBatch(batchIndex);
       
       // 找到地址对应的记录
-      const record = batchData.records.find(r => r.address.toLowerCase() === address.toLowerCase());
+      const record = records[localIndex];
       if (!record) continue;
+      address = duplicatesLib.duplicateKey(record);
       
       // 重建批次的Merkle树
-      const leaves = batchData.records.map(r => 
-        hashToken(r.index, r.address, r.amount)
-      );
+      const batchTree = merkle.buildBatchTree(records, leafEncoding);
       
-      const batchTree = new MerkleTree(leaves, keccak256, { sortPairs: true });
+      // 获取批次内证明及批次根到顶层根的证明
+      const leaf = merkle.hashRecord(record, leafEncoding);
+      const proof = merkle.getProof(batchTree, leaf);
+      const combinedProof = [...proof, ...rootProof];
       
-      // 获取证明
-      const leaf = hashToken(record.index, record.address, record.amount);
-      const proof = batchTree.getHexProof(leaf);
+      // 组合证明必须能从叶子直接验证到顶层根
+      if (!merkle.verifyProof(combinedProof, leaf, merkleRoot)) {
+        throw new Error(`地址 ${address} 的组合证明无法验证到顶层根`);
+      }
       
       proofExamples[address] = {
         index: record.index,
+        batchIndex,
+        ...(record.token ? { token: record.token } : {}),
         amount: record.amount,
         proof,
-        amountInEther: ethers.formatUnits(record.amount, 18)
+        rootProof,
+        combinedProof,
+        amountInEther: ethers.formatUnits(record.amount, decimals)
       };
     } catch (err) {
       console.error(`为地址 ${address} 生成证明时发生错误:`, err);
@@ -319,36 +964,216 @@ async function buildMerkleTree(batchSize = 100) {
 
   // 保存Merkle根和示例证明
   const outputData = {
+    ...(round !== null ? { round } : {}),
     root: merkleRoot,
     totalRecords,
     batchSize,
     batchCount,
+    // 所有叶子金额之和，即分发合约需要注入的代币数量
+    totalAmount: totalAmount.toString(),
+    // 代币精度，证明中的amountInEther和部署脚本的金额按此换算
+    decimals,
+    ...(tokenTotals ? {} : { asset }),
+    // 多代币模式：叶子为 (index, account, token, amount)，按代币记录分配总额
+    ...(tokenTotals ? { leafFormat: merkle.LEAF_FORMATS.MULTI_TOKEN, tokenTotals } : {}),
+    // 累计模式：叶子为 (account, cumulativeAmount)，totalAmount为累计总额，epochAmount为本期新增金额
+    ...(cumulative ? { leafFormat: merkle.LEAF_FORMATS.CUMULATIVE, epoch, epochAmount: result.epochAmount.toString() } : {}),
+    // v2叶子编码：叶子绑定链ID和分发合约地址，合约需调用setLeafVersion(2)
+    ...(leafEncoding ? { leafVersion: 2, chainId: leafEncoding.chainId, distributor: leafEncoding.distributor } : {}),
+    allocation: {
+      formula: allocation.formula,
+      budget: allocation.budget ?? null
+    },
+    scoringPolicy: {
+      version: policy.version,
+      hash: policy.hash
+    },
+    // 重复地址合并情况，明细见duplicates.json（二进制存储为duplicates.ndjson）
+    duplicates: {
+      policy: duplicates,
+      duplicateKeys: duplicateReport.duplicateKeys,
+      mergedRows: duplicateReport.mergedRows,
+      conflicts: duplicateReport.conflicts
+    },
+    // 被拒绝的地址数，明细见rejected_addresses.json
+    rejectedAddresses: rejections.rejected.length,
+    // 格式不正确被跳过的行数
+    rowErrors: rowErrors.length,
+    // 构建指纹及重新构建所需的参数，不包含时间等每次构建都会变化的内容
+    build,
+    // json存储：按批次索引排列的批次根，用于生成批次根到顶层根的证明
+    // 二进制存储：叶子文件和顶层节点文件的布局，批次根为top_layers.bin的第0层
+    ...(binaryStore ? { store: result.store } : { batchRoots }),
     examples: proofExamples
   };
 
-  const outputPath = path.join(outputDir, 'merkle_data.json');
+  const outputPath = path.join(outputDir, merkle.MERKLE_DATA_FILE);
   fs.writeFileSync(outputPath, JSON.stringify(outputData, null, 2));
   console.log(`Merkle数据已保存至: ${outputPath}`);
   
-  // 保存地址映射信息，方便后续查询
-  const addressMapPath = path.join(outputDir, 'address_map.json');
-  fs.writeFileSync(addressMapPath, JSON.stringify(addressMap, null, 2));
+  // 保存地址映射信息，方便后续查询；二进制存储按地址排序的leaves.bin即为证明索引
+  // 删除另一种存储格式的旧文件，避免查询时读到上一次构建的数据
+  const addressMapPath = path.join(outputDir, merkle.ADDRESS_MAP_FILE);
+  if (binaryStore) {
+    fs.rmSync(addressMapPath, { force: true });
+    fs.rmSync(batchDir, { recursive: true, force: true });
+  } else {
+    fs.writeFileSync(addressMapPath, JSON.stringify(addressMap, null, 2));
+    fs.rmSync(path.join(outputDir, leafStore.LEAF_STORE_FILE), { force: true });
+    fs.rmSync(path.join(outputDir, leafStore.TOP_LAYERS_FILE), { force: true });
+  }
   
-  console.timeEnd('构建完成');
+  // 累计模式：保存各地址的累计金额，作为下一期的输入
+  if (cumulative) {
+    const cumulativePath = path.join(outputDir, 'cumulative.json');
+    const totals = {};
+    for (const address of [...result.totals.keys()].sort()) {
+      totals[address] = result.totals.get(address).toString();
+    }
+    fs.writeFileSync(cumulativePath, JSON.stringify({ epoch, root: merkleRoot, totalAmount: totalAmount.toString(), totals }, null, 2));
+    console.log(`累计金额已保存至: ${cumulativePath}`);
+  }
   
-  return { merkleRoot, outputPath, addressMap };
+  if (round !== null) {
+    updateRoundIndex(baseDir, round, {
+      dir: path.basename(outputDir),
+      root: merkleRoot,
+      asset,
+      totalAmount: totalAmount.toString(),
+      totalRecords
+    });
+  }
+  
+  return {
+    merkleRoot,
+    outputPath,
+    outputDir,
+    addressMap,
+    totalAmount,
+    tokenTotals,
+    asset,
+    epoch,
+    fingerprint: build.fingerprint,
+    duplicates: duplicateReport,
+    rejections: rejections.summary(),
+    rowErrors,
+    throughput
+  };
+}
+
+/**
+ * 按merkle_data.json中记录的构建参数从输入重新构建Merkle树，核对重建的根与已发布的根是否一致
+ * 供审计方独立复现已发布的根；没有build字段的旧数据按input排序重新构建
+ * @param {string} merkleDir 已发布的Merkle数据目录（多轮空投为对应的round_<round>目录）
+ * @param {Object} options 选项
+ * @param {string} options.csvDir 输入CSV目录（默认: ../cleaned-results）
+ * @param {string|null} options.previousCumulative 累计模式下上一期的cumulative.json或其所在目录
+ * @param {string|null} options.expectedRoot 已发布的根（默认: merkle_data.json中的root）
+ * @returns {Promise<Object>} { ok, expectedRoot, rebuiltRoot, fingerprint, differences }
+ */
+async function verifyBuild(merkleDir, { csvDir, previousCumulative = null, expectedRoot = null } = {}) {
+  const merkleData = merkle.readMerkleData(merkleDir);
+  const recorded = merkleData.build || null;
+  const params = recorded ? recorded.params : {
+    batchSize: merkleData.batchSize,
+    order: 'input',
+    duplicates: duplicatesLib.DEFAULT_DUPLICATE_POLICY,
+    round: merkleData.round ?? null,
+    cumulative: merkleData.leafFormat === merkle.LEAF_FORMATS.CUMULATIVE,
+    leafVersion: merkleData.leafVersion || 1,
+    chainId: merkleData.chainId ?? null,
+    distributor: merkleData.distributor ?? null
+  };
+  if (params.cumulative && merkleData.epoch > 1 && !previousCumulative) {
+    throw new Error(`第 ${merkleData.epoch} 期的累计Merkle树需要指定上一期的cumulative.json`);
+  }
+  expectedRoot = expectedRoot || merkleData.root;
+  
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'verify-build-'));
+  try {
+    const result = await buildMerkleTree(params.batchSize, csvDir, workDir, params.round, {
+      cumulative: params.cumulative,
+      previousCumulative,
+      leafVersion: params.leafVersion,
+      chainId: params.chainId,
+      distributor: params.distributor,
+      order: params.order,
+      duplicates: params.duplicates ?? duplicatesLib.DEFAULT_DUPLICATE_POLICY,
+      store: params.store ?? 'json'
+    });
+    if (!result) {
+      throw new Error(`未能从 ${csvDir} 重新构建Merkle树`);
+    }
+    const rebuilt = merkle.readMerkleData(result.outputDir).build;
+    
+    const differences = [];
+    if (expectedRoot !== merkleData.root) {
+      differences.push(`merkle_data.json中的根 ${merkleData.root} 与已发布的根 ${expectedRoot} 不一致`);
+    }
+    if (result.merkleRoot !== expectedRoot) {
+      differences.push(`重建的根 ${result.merkleRoot} 与已发布的根 ${expectedRoot} 不一致`);
+    }
+    if (recorded) {
+      const rebuiltHashes = new Set(rebuilt.inputs.map(input => input.sha256));
+      const recordedHashes = new Set(recorded.inputs.map(input => input.sha256));
+      for (const input of recorded.inputs.filter(input => !rebuiltHashes.has(input.sha256))) {
+        differences.push(`输入文件 ${input.file} 缺失或内容不同`);
+      }
+      for (const input of rebuilt.inputs.filter(input => !recordedHashes.has(input.sha256))) {
+        differences.push(`多出或修改过的输入文件 ${input.file}`);
+      }
+      if (rebuilt.previousCumulative !== recorded.previousCumulative) {
+        differences.push('上一期的cumulative.json内容不同');
+      }
+      if (rebuilt.scoringPolicy !== recorded.scoringPolicy) {
+        differences.push(`积分策略哈希不同: 构建时 ${recorded.scoringPolicy}，当前 ${rebuilt.scoringPolicy}`);
+      }
+      if (rebuilt.code.sourceHash !== recorded.code.sourceHash) {
+        differences.push(`代码版本不同: 构建时 ${recorded.code.version} (${recorded.code.sourceHash})，当前 ${rebuilt.code.version} (${rebuilt.code.sourceHash})`);
+      }
+    }
+    
+    return {
+      ok: result.merkleRoot === expectedRoot,
+      expectedRoot,
+      rebuiltRoot: result.merkleRoot,
+      fingerprint: {
+        recorded: recorded ? recorded.fingerprint : null,
+        rebuilt: rebuilt.fingerprint,
+        match: !!recorded && recorded.fingerprint === rebuilt.fingerprint
+      },
+      differences
+    };
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * 更新轮次索引文件 <baseDir>/rounds.json，记录每一轮的目录、根和总额
+ * @param {string} baseDir 轮次目录的上级目录
+ * @param {number} round 空投轮次
+ * @param {object} info 该轮信息
+ */
+function updateRoundIndex(baseDir, round, info) {
+  const indexPath = path.join(baseDir, 'rounds.json');
+  const rounds = fs.existsSync(indexPath) ? JSON.parse(fs.readFileSync(indexPath, 'utf8')) : {};
+  rounds[round] = { ...info, generatedAt: new Date().toISOString() };
+  fs.writeFileSync(indexPath, JSON.stringify(rounds, null, 2));
+  console.log(`轮次索引已更新: ${indexPath}`);
 }
 
 /**
  * 验证Merkle证明
  * @param {string} merkleRoot Merkle根
  * @param {object} proofData 证明数据
+ * @param {Object|null} leafEncoding v2叶子编码，为null时使用v1编码
  */
-function verifyProof(merkleRoot, proofData) {
-  const { index, address, amount, proof } = proofData;
+function verifyProof(merkleRoot, proofData, leafEncoding = null) {
+  const { address, proof } = proofData;
   
-  const leaf = hashToken(index, address, amount);
-  const isValid = MerkleTree.verify(proof, leaf, merkleRoot, keccak256, { sortPairs: true });
+  const leaf = merkle.hashRecord(proofData, leafEncoding);
+  const isValid = merkle.verifyProof(proof, leaf, merkleRoot);
   
   console.log(`地址 ${address} 的证明验证结果: ${isValid ? '有效' : '无效'}`);
   return isValid;
@@ -368,30 +1193,137 @@ function logMemoryUsage() {
   console.log(`内存使用: ${messages.join(', ')}`);
 }
 
+/**
+ * 从命令行参数中取出 --name [value] 形式的选项，剩余的为位置参数
+ * @param {Array<string>} args 命令行参数（会被修改）
+ * @param {string} name 选项名
+ * @returns {string|boolean|undefined} 选项值；只有选项名时为true，未指定时为undefined
+ */
+function takeOption(args, name) {
+  const position = args.indexOf(name);
+  if (position === -1) {
+    return undefined;
+  }
+  const next = args[position + 1];
+  const hasValue = next !== undefined && !next.startsWith('--');
+  args.splice(position, hasValue ? 2 : 1);
+  return hasValue ? next : true;
+}
+
 // 主函数 - 处理命令行参数
 async function main() {
   const args = process.argv.slice(2);
+  
+  // --cumulative [previous]：累计模式，可选参数为上一期的cumulative.json或其所在目录
+  const cumulativeOption = takeOption(args, '--cumulative');
+  const cumulative = cumulativeOption !== undefined;
+  const previousCumulative = typeof cumulativeOption === 'string' ? cumulativeOption : null;
+  // --leaf-version 2 --chain-id <id> --distributor <address>：v2叶子编码
+  const leafVersion = takeOption(args, '--leaf-version') ?? 1;
+  const chainId = takeOption(args, '--chain-id') ?? null;
+  const distributor = takeOption(args, '--distributor') ?? null;
+  // --order address|input|<列名>：记录排序方式
+  const order = takeOption(args, '--order') ?? DEFAULT_ORDER;
+  // --duplicates sum|max|first|error：重复地址合并策略
+  const duplicates = takeOption(args, '--duplicates') ?? duplicatesLib.DEFAULT_DUPLICATE_POLICY;
+  // --store json|binary --sort-chunk <n>：叶子存储格式及外部排序每段的记录数
+  const store = takeOption(args, '--store') ?? 'json';
+  const sortChunkSize = takeOption(args, '--sort-chunk') ?? leafStore.DEFAULT_SORT_CHUNK_SIZE;
+  // --threads <n>：构建批次树的线程数，默认为CPU核数
+  const threads = takeOption(args, '--threads') ?? hashPool.defaultThreadCount();
+  
+  // verify-build <merkle_dir> [input_dir] [--cumulative previous] [--root 0x...]：重新构建并核对根
+  if (args[0] === 'verify-build') {
+    const expectedRoot = takeOption(args, '--root') ?? null;
+    try {
+      const report = await verifyBuild(args[1] || path.join(__dirname, '../merkle-data'), {
+        csvDir: args[2],
+        previousCumulative,
+        expectedRoot
+      });
+      console.log(`
+已发布的根: ${report.expectedRoot}
+重建的根:   ${report.rebuiltRoot}
+构建指纹:   ${report.fingerprint.recorded || '(未记录)'} → ${report.fingerprint.rebuilt}${report.fingerprint.match ? ' (一致)' : ''}`);
+      report.differences.forEach(difference => console.log(`  - ${difference}`));
+      console.log(report.ok ? '✓ 验证通过，重建的根与已发布的根一致' : '✗ 验证失败，重建的根与已发布的根不一致');
+      if (!report.ok) {
+        process.exitCode = 1;
+      }
+    } catch (error) {
+      console.error('验证构建时发生错误:', error);
+      process.exitCode = 1;
+    }
+    return;
+  }
+  
   const batchSize = parseInt(args[0] || '100');
+  const csvDir = args[1];
+  const outputDir = args[2];
+  const round = args[3] !== undefined ? parseInt(args[3]) : null;
   
   console.log(`
 使用说明:
-  - 构建Merkle树: node generate_merkle_tree.js [batch_size]
+  - 构建Merkle树: node generate_merkle_tree.js [batch_size] [input_dir] [output_dir] [round]
+  - 累计模式: node generate_merkle_tree.js [batch_size] [input_dir] [output_dir] --cumulative [previous]
+  - v2叶子编码: node generate_merkle_tree.js [batch_size] [input_dir] [output_dir] --leaf-version 2 --chain-id <id> --distributor <address>
+  - 指定记录排序: node generate_merkle_tree.js [batch_size] [input_dir] [output_dir] --order address|input|<列名>
+  - 重复地址策略: node generate_merkle_tree.js [batch_size] [input_dir] [output_dir] --duplicates sum|max|first|error
+  - 流式构建: node generate_merkle_tree.js [batch_size] [input_dir] [output_dir] --store binary [--sort-chunk n]
+  - 指定线程数: node generate_merkle_tree.js [batch_size] [input_dir] [output_dir] --threads <n>
+  - 验证构建: node generate_merkle_tree.js verify-build <merkle_dir> [input_dir] [--cumulative previous] [--root 0x...]
   
   批次大小默认为100条记录
+  输入目录默认为 ../cleaned-results，输出目录默认为 ../merkle-data
+  指定round时输出到 <output_dir>/round_<round>，并更新 <output_dir>/rounds.json
+  累计模式把本期金额加到上一期的cumulative.json（或其所在目录）上，叶子为 (account, cumulativeAmount)，
+  输出目录中的cumulative.json作为下一期的输入
+  v2叶子编码为 keccak256(keccak256(abi.encode(chainId, distributor, index, account, amount)))，
+  证明只在指定链上的指定分发合约有效，部署后需调用setLeafVersion(2)
+  记录默认按地址排序，文件名和文件顺序不影响索引和根；input按文件名排序后的文件顺序和行顺序分配索引；
+  指定列名时按该列排序。merkle_data.json的build字段记录构建指纹（输入、积分策略、参数及代码版本的哈希），
+  verify-build按其中的参数重新构建，重建的根与已发布的根不一致时以非零退出码结束
+  同一地址（多代币模式下为同一地址和代币）在所有输入中出现多次时合并为一个叶子：sum金额相加（默认），
+  max取最大金额，first取文件名排序后最先出现的一条，error直接报错；重复明细写入输出目录的duplicates.json（二进制存储为duplicates.ndjson）
+  --store binary流式构建百万级叶子：外部排序（每段sort-chunk条记录，默认200000）后逐批次构建，叶子写入按地址排序的
+  leaves.bin（兼作证明索引，二分查找），批次根及上层节点写入top_layers.bin，不生成批次文件和address_map.json；
+  只支持按地址排序，不支持预算模式和累计模式
+  批次树默认在CPU核数个worker线程中并行构建，--threads 1在主线程中构建；输出与线程数无关，完成后输出构建吞吐
   
-  执行前请确保CSV文件已放置在/csv目录下
-  CSV文件格式要求：地址在第2列，分数在第9列
+  执行前请确保CSV文件已放置在输入目录（默认 ../cleaned-results）下
+  CSV文件格式要求：按表头读取列，必须包含address列和total_score（或score）列，列的顺序不限；
+  表头包含token列时生成多代币Merkle树
   `);
 
+  // 启用内存使用量日志，每30秒输出一次内存使用情况；出错时同样清除，否则进程不会退出，流水线会一直等待
+  const memoryInterval = setInterval(logMemoryUsage, 30000);
   try {
-    // 启用内存使用量日志
-    const memoryInterval = setInterval(logMemoryUsage, 30000); // 每30秒输出一次内存使用情况
+    if (round !== null && (!Number.isInteger(round) || round < 0)) {
+      throw new Error(`无效的轮次: ${args[3]}`);
+    }
     
-    await buildMerkleTree(batchSize);
+    const result = await buildMerkleTree(batchSize, csvDir, outputDir, round, {
+      cumulative,
+      previousCumulative,
+      leafVersion,
+      chainId,
+      distributor,
+      order,
+      duplicates,
+      store,
+      sortChunkSize,
+      threads
+    });
     
-    clearInterval(memoryInterval);
+    // 未生成Merkle树时以非零退出码结束，便于流水线识别失败
+    if (!result) {
+      process.exitCode = 1;
+    }
   } catch (error) {
     console.error('发生错误:', error);
+    process.exitCode = 1;
+  } finally {
+    clearInterval(memoryInterval);
   }
 }
 
@@ -402,8 +1334,13 @@ if (require.main === module) {
 
 module.exports = {
   buildMerkleTree,
+  verifyBuild,
+  computeBuildInfo,
   verifyProof,
-  hashToken,
+  // 叶子哈希已移至lib/merkle，保留旧的导出名以兼容现有调用方
+  hashToken: merkle.hashLeaf,
+  hashTokenV2: merkle.hashLeafV2,
+  hashRecord: merkle.hashRecord,
   logMemoryUsage,
   calculateAmount
 }; 
\ No newline at end of file
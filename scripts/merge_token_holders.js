@@ -1,15 +1,17 @@
 // 合并代币持有者CSV文件脚本
-// 功能：合并多个代币持有者CSV文件，排除非真人地址，聚合积分（取前4个最高积分）
+// 功能：合并多个代币持有者CSV文件，排除非真人地址，聚合积分（取前N个最高积分，N由积分策略决定）
 const fs = require('fs');
 const path = require('path');
 const { parse } = require('csv-parse');
 const { stringify } = require('csv-stringify/sync');
 const { performance } = require('perf_hooks');
+const { loadScoringPolicy } = require('../lib/scoring-policy');
+const { createRejectionReport } = require('../lib/address');
 
 // 配置参数
 const CONFIG = {
-  // 最大积分聚合数量（取前4个最高积分）
-  MAX_SCORE_COUNT: 4,
+  // 最大积分聚合数量（取前N个最高积分，来自积分策略文件的holderAggregation）
+  MAX_SCORE_COUNT: loadScoringPolicy().holderAggregation.maxScoreCount,
   // 进度报告间隔
   PROGRESS_INTERVAL: 1000,
   // 批处理大小
@@ -67,11 +69,12 @@ function extractTokenSymbol(fileName) {
 }
 
 /**
- * 读取单个CSV文件
+ * 读取单个CSV文件，持有者地址规范化为小写，无效地址的记录被跳过并记录到报告
  * @param {string} filePath CSV文件路径
+ * @param {Object} rejections 被拒绝地址报告（lib/address的createRejectionReport）
  * @returns {Promise<Array>} 解析后的记录数组
  */
-async function readCSVFile(filePath) {
+async function readCSVFile(filePath, rejections = createRejectionReport('merge_token_holders')) {
   const records = [];
   const fileName = path.basename(filePath);
   const tokenSymbol = extractTokenSymbol(fileName);
@@ -121,8 +124,8 @@ async function readCSVFile(filePath) {
       }
       
       // 检查地址格式
-      const address = record.owner_address.toLowerCase().trim();
-      if (!address.startsWith('0x') || address.length !== 42) {
+      const address = rejections.normalize(record.owner_address, { file: fileName, line: i + 1 });
+      if (!address) {
         continue;
       }
       
@@ -160,7 +163,7 @@ async function readCSVFile(filePath) {
 }
 
 /**
- * 聚合地址数据 - 每个地址取前4个最高积分
+ * 聚合地址数据 - 每个地址取前MAX_SCORE_COUNT个最高积分
  * @param {Array} allRecords 所有记录
  * @returns {Array} 聚合后的记录
  */
@@ -190,7 +193,7 @@ function aggregateAddressData(allRecords) {
   for (const [address, records] of addressGroups) {
     processedCount++;
     
-    // 按value_score降序排列，取前4个
+    // 按value_score降序排列，取前MAX_SCORE_COUNT个
     const sortedRecords = records
       .sort((a, b) => b.value_score - a.value_score)
       .slice(0, CONFIG.MAX_SCORE_COUNT);
@@ -348,7 +351,7 @@ function writeResultsToCSV(results, outputPath, stats) {
     const headers = [
       'owner_address',           // 持有者地址
       'owner_address_label',     // 地址标签
-      'total_score',             // 总积分（前4个最高积分之和）
+      'total_score',             // 总积分（前N个最高积分之和）
       'total_usd_value',         // 总USD价值
       'score_count',             // 参与计算的积分数量
       'token_symbols',           // 代币符号列表
@@ -676,6 +679,9 @@ async function main() {
     
     console.log(`需要处理 ${remainingFiles.length} 个文件 (已处理 ${processedFiles.length} 个文件)`);
     
+    // 本次运行读取的文件中的无效地址（从中间结果恢复的文件不重复统计）
+    const rejections = createRejectionReport('merge_token_holders');
+    
     // 分批处理文件
     for (let i = 0; i < remainingFiles.length; i++) {
       const csvFile = remainingFiles[i];
@@ -684,7 +690,7 @@ async function main() {
       console.log(`[${csvFiles.indexOf(csvFile) + 1}/${csvFiles.length}] 处理文件: ${fileName}`);
       
       try {
-        const records = await readCSVFile(csvFile);
+        const records = await readCSVFile(csvFile, rejections);
         
         // 避免使用展开运算符导致调用栈溢出，改用循环添加或concat方法
         if (records.length > 100000) {
@@ -734,6 +740,8 @@ async function main() {
     // 写入统计报告
     const outputDir = path.dirname(outputPath);
     writeStatsReport(stats, outputDir);
+    rejections.log();
+    rejections.write(path.join(outputDir, 'rejected_addresses.json'));
     
     // 清理临时文件
     cleanupIntermediateFiles(tempDir);
@@ -787,7 +795,7 @@ async function cli() {
 功能:
   1. 合并多个代币持有者CSV文件
   2. 排除非真人地址（交易所、协议合约、多签钱包等）
-  3. 聚合地址积分（每个地址取前4个最高积分）
+  3. 聚合地址积分（每个地址取前${CONFIG.MAX_SCORE_COUNT}个最高积分）
   4. 生成统计报告
 
 示例:
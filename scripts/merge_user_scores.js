@@ -2,6 +2,7 @@ const fs = require('fs');
 const path = require('path');
 const { parse } = require('csv-parse/sync');
 const { stringify } = require('csv-stringify/sync');
+const { createRejectionReport } = require('../lib/address');
 
 /**
  * 合并user_scores.csv中的积分和标签到所有CSV文件
@@ -27,11 +28,12 @@ async function mergeUserScores() {
     
     console.log(`已读取用户积分数据，共 ${userScores.length} 条记录`);
     
-    // 创建地址到积分和标签的映射
+    // 创建地址到积分和标签的映射，键为规范化后的地址，无效地址记录到报告
+    const rejections = createRejectionReport('merge_user_scores');
     const addressMap = new Map();
-    for (const row of userScores) {
+    for (const [i, row] of userScores.entries()) {
       // 假设user_scores.csv中有address、score和user_label列
-      const address = row.address?.toLowerCase();
+      const address = rejections.normalize(row.address, { file: 'user_scores.csv', line: i + 2 });
       if (address) {
         addressMap.set(address, {
           score: parseFloat(row.score) || 0, // 确保是数字
@@ -99,8 +101,8 @@ async function mergeUserScores() {
             row.push('');
           }
           
-          // 获取地址并转为小写
-          const address = row[addressColumnIndex]?.toLowerCase();
+          // 获取规范化地址，无效地址不合并积分，原样保留由生成Merkle树时拒绝
+          const address = rejections.normalize(row[addressColumnIndex], { file: fileName, line: i + 1 });
           if (address && addressMap.has(address)) {
             const userData = addressMap.get(address);
             
@@ -141,11 +143,16 @@ async function mergeUserScores() {
 处理文件数: ${csvFiles.length}
 用户积分记录数: ${userScores.length}
 有效地址映射: ${addressMap.size}
+被拒绝地址数: ${rejections.rejected.length}
 输出目录: ${outputDir}
 说明: 已将csv目录中文件的total_score列与user_scores.csv中的score列相加
     `;
     fs.writeFileSync(summaryPath, summary);
     
+    // 被拒绝地址报告，没有被拒绝的地址时删除旧报告
+    rejections.log();
+    rejections.write(path.join(outputDir, '_rejected_addresses.json'));
+    
     console.log('✅ 数据合并完成!');
     console.log(`合并后的CSV文件已保存到: ${outputDir}`);
     
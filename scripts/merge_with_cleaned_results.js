@@ -5,9 +5,13 @@ const path = require('path');
 const { parse } = require('csv-parse');
 const { stringify } = require('csv-stringify/sync');
 const { performance } = require('perf_hooks');
+const { loadScoringPolicy } = require('../lib/scoring-policy');
+const { normalizeAddress, createRejectionReport } = require('../lib/address');
 
 // 配置参数
 const CONFIG = {
+  // 合并后总积分上限（来自积分策略文件的mergedScoreCap）
+  SCORE_CAP: loadScoringPolicy().mergedScoreCap,
   // 每个输出文件的最大记录数
   MAX_RECORDS_PER_FILE: 500000,
   // 进度报告间隔
@@ -74,11 +78,12 @@ async function readCSVFile(filePath, skipComments = false) {
 }
 
 /**
- * 读取所有cleaned-results文件
+ * 读取所有cleaned-results文件，地址规范化为小写，无效地址的记录被跳过并记录到报告
  * @param {string} cleanedDir cleaned-results目录路径
+ * @param {Object} rejections 被拒绝地址报告（lib/address的createRejectionReport）
  * @returns {Promise<Array>} 所有记录的数组
  */
-async function readAllCleanedFiles(cleanedDir) {
+async function readAllCleanedFiles(cleanedDir, rejections = createRejectionReport('merge_with_cleaned_results')) {
   console.log('开始读取cleaned-results文件...');
   const cleanedFiles = fs.readdirSync(cleanedDir)
     .filter(file => file.startsWith('cleaned_') && file.endsWith('.csv'))
@@ -94,15 +99,16 @@ async function readAllCleanedFiles(cleanedDir) {
     console.log(`[${i + 1}/${cleanedFiles.length}] 处理文件: ${file}`);
     
     try {
-      const records = await readCSVFile(filePath);
-      
-      // 处理BOM和特殊字符
-      records.forEach(record => {
-        if (record.address) {
-          record.address = record.address.replace(/^\\uFEFF/, '').toLowerCase().trim();
-          // 确保total_score是数字
-          record.total_score = parseInt(record.total_score) || 0;
+      // 规范化地址（去掉BOM、空白并校验EIP-55），表头为第1行
+      const records = (await readCSVFile(filePath)).filter((record, index) => {
+        const address = rejections.normalize(record.address, { file, line: index + 2 });
+        if (!address) {
+          return false;
         }
+        record.address = address;
+        // 确保total_score是数字
+        record.total_score = parseInt(record.total_score) || 0;
+        return true;
       });
       
       // 分批添加记录以避免内存问题
@@ -133,11 +139,12 @@ async function readAllCleanedFiles(cleanedDir) {
 }
 
 /**
- * 读取所有merge-owners文件
+ * 读取所有merge-owners文件，地址规范化为小写，无效地址的记录被跳过并记录到报告
  * @param {string} mergeDir merge-owners目录路径
+ * @param {Object} rejections 被拒绝地址报告（lib/address的createRejectionReport）
  * @returns {Promise<Array>} 所有记录的数组
  */
-async function readAllMergeFiles(mergeDir) {
+async function readAllMergeFiles(mergeDir, rejections = createRejectionReport('merge_with_cleaned_results')) {
   console.log('开始读取merge-owners文件...');
   const mergeFiles = fs.readdirSync(mergeDir)
     .filter(file => file.includes('merged_token_holders_part') && file.endsWith('.csv'))
@@ -155,14 +162,12 @@ async function readAllMergeFiles(mergeDir) {
     try {
       const records = await readCSVFile(filePath, true); // 跳过注释行
       
-      // 过滤和处理记录
-      const validRecords = records.filter(record => {
-        return record.owner_address && 
-               record.owner_address.startsWith('0x') && 
-               record.owner_address.length === 42 &&
-               record.total_score;
+      // 过滤和处理记录，注释行已跳过，行号仅供参考
+      const validRecords = records.filter((record, index) => {
+        record.owner_address = rejections.normalize(record.owner_address, { file, line: index + 2 });
+        return record.owner_address && record.total_score;
       }).map(record => ({
-        owner_address: record.owner_address.toLowerCase().trim(),
+        owner_address: record.owner_address,
         total_score: parseInt(record.total_score) || 0,
         // 保留其他有用信息用于调试
         token_count: record.token_count || 0,
@@ -211,10 +216,13 @@ function mergeData(cleanedRecords, mergeRecords) {
   const cleanedMap = new Map();
   let processedCleaned = 0;
   
+  // 以规范化后的地址为键，大小写不同的同一地址视为同一个
   cleanedRecords.forEach(record => {
-    if (record.address) {
-      cleanedMap.set(record.address, {
+    const address = normalizeAddress(record.address);
+    if (address) {
+      cleanedMap.set(address, {
         ...record,
+        address,
         originalIndex: processedCleaned
       });
       processedCleaned++;
@@ -235,15 +243,18 @@ function mergeData(cleanedRecords, mergeRecords) {
   let processedMerge = 0;
   
   mergeRecords.forEach(record => {
-    const address = record.owner_address;
+    const address = normalizeAddress(record.owner_address);
+    if (!address) {
+      return;
+    }
     
     if (cleanedMap.has(address)) {
       // 地址已存在，需要累加积分
       const existingRecord = cleanedMap.get(address);
       const newTotalScore = (existingRecord.total_score || 0) + (record.total_score || 0);
       
-      // 更新记录，设置上限为24
-      existingRecord.total_score = Math.min(newTotalScore, 24);
+      // 更新记录，设置积分上限
+      existingRecord.total_score = Math.min(newTotalScore, CONFIG.SCORE_CAP);
       existingRecord.merged = true; // 标记为已合并
       existingRecord.merge_info = {
         original_score: existingRecord.total_score - record.total_score,
@@ -258,7 +269,7 @@ function mergeData(cleanedRecords, mergeRecords) {
       // 新地址，添加到新地址列表
       newAddresses.push({
         address: address,
-        total_score: Math.min(record.total_score, 24), // 设置上限为24
+        total_score: Math.min(record.total_score, CONFIG.SCORE_CAP), // 设置积分上限
         // 从第一个cleaned记录复制结构，设置默认值
         is_sender: 0,
         is_receiver: 0,
@@ -274,7 +285,7 @@ function mergeData(cleanedRecords, mergeRecords) {
         merged: false, // 标记为新增地址
         merge_info: {
           original_score: 0,
-          added_score: Math.min(record.total_score, 24), // 设置上限为24
+          added_score: Math.min(record.total_score, CONFIG.SCORE_CAP), // 设置积分上限
           token_count: record.token_count,
           score_count: record.score_count
         }
@@ -435,6 +446,7 @@ function generateMergeReport(stats, outputDir) {
     '## 数据源统计',
     `- 原始cleaned-results记录数: ${stats.originalCleanedCount.toLocaleString()}`,
     `- 原始merge-owners记录数: ${stats.originalMergeCount.toLocaleString()}`,
+    `- 被拒绝的无效地址数: ${(stats.rejectedCount || 0).toLocaleString()}（明细见rejected_addresses.json）`,
     '',
     '## 合并结果统计', 
     `- 积分更新地址数: ${stats.scoreUpdatedCount.toLocaleString()}`,
@@ -489,9 +501,11 @@ async function main() {
     
     logMemoryUsage();
     
-    // 读取所有数据
-    const cleanedRecords = await readAllCleanedFiles(cleanedDir);
-    const mergeRecords = await readAllMergeFiles(mergeDir);
+    // 读取所有数据，两个来源的无效地址记录到同一个报告
+    const rejections = createRejectionReport('merge_with_cleaned_results');
+    const cleanedRecords = await readAllCleanedFiles(cleanedDir, rejections);
+    const mergeRecords = await readAllMergeFiles(mergeDir, rejections);
+    rejections.log();
     
     console.log('数据读取完成！');
     logMemoryUsage();
@@ -503,7 +517,9 @@ async function main() {
     logMemoryUsage();
     
     // 写入结果文件
+    stats.rejectedCount = rejections.rejected.length;
     const files = writeResultsToFiles(results, outputDir, stats);
+    rejections.write(path.join(outputDir, 'rejected_addresses.json'));
     
     // 生成统计报告
     generateMergeReport(stats, outputDir);
@@ -0,0 +1,100 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("hardhat");
+const { readAllocationTotal } = require("./deploy");
+require("dotenv").config();
+
+// npx hardhat run scripts/open_round.js --network arbitrum
+// 配置参数（hardhat run不支持自定义命令行参数，通过环境变量传入）
+const CONFIG = {
+  // 代币合约地址（部署新的多轮分发合约时使用）
+  AIRDROP_TOKEN: process.env.AIRDROP_TOKEN,
+  // 已部署的多轮分发合约地址，未设置时部署新合约
+  MULTI_ROUND_DISTRIBUTOR: process.env.MULTI_ROUND_DISTRIBUTOR,
+  // 该轮的Merkle数据目录（generate_merkle_tree.js指定round时的输出目录）
+  MERKLE_DIR: process.env.MERKLE_DIR,
+  // 领取窗口（unix时间戳，秒），ROUND_END未设置时不设截止时间
+  ROUND_START: process.env.ROUND_START || "0",
+  ROUND_END: process.env.ROUND_END || "0"
+};
+
+/**
+ * 读取某一轮的Merkle数据
+ * @param {string} merkleDir 该轮的Merkle数据目录
+ * @returns {Object} { round, root, total, decimals }
+ */
+function readRoundData(merkleDir) {
+  const merkleData = JSON.parse(fs.readFileSync(path.join(merkleDir, "merkle_data.json"), "utf8"));
+  if (merkleData.round === undefined) {
+    throw new Error(`${merkleDir} 不是轮次目录，请使用 generate_merkle_tree.js 的round参数生成`);
+  }
+  const { root, total, asset, decimals } = readAllocationTotal(merkleDir);
+  if (asset === "native") {
+    throw new Error(`${merkleDir} 的分发资产为原生ETH，MultiRoundDistributor只支持ERC20代币`);
+  }
+  return { round: merkleData.round, root, total, decimals };
+}
+
+/**
+ * 用某一轮的Merkle数据在多轮分发合约上开启新一轮
+ * 链上下一轮的roundId必须与目录中的round一致，避免证明与轮次错配
+ * @param {Object} distributor 已连接所有者的多轮分发合约
+ * @param {Object} token 已连接所有者的代币合约
+ * @param {Object} roundData readRoundData的结果
+ * @param {Object} window 领取窗口 { start, end }
+ * @returns {Promise<number>} 新一轮的roundId
+ */
+async function openRound(distributor, token, roundData, { start = 0n, end = 0n } = {}) {
+  const nextRoundId = await distributor.roundCount();
+  if (nextRoundId !== BigInt(roundData.round)) {
+    throw new Error(`链上下一轮为 ${nextRoundId}，与Merkle数据的轮次 ${roundData.round} 不一致`);
+  }
+
+  const distributorAddress = await distributor.getAddress();
+  await (await token.approve(distributorAddress, roundData.total)).wait();
+  const tx = await distributor.openRound(roundData.root, roundData.total, start, end);
+  await tx.wait();
+
+  console.log(`✓ 已开启第 ${nextRoundId} 轮，Merkle根: ${roundData.root}，资金: ${ethers.formatUnits(roundData.total, roundData.decimals)}`);
+  return Number(nextRoundId);
+}
+
+async function main() {
+  if (!CONFIG.MERKLE_DIR) {
+    throw new Error("请通过环境变量MERKLE_DIR指定该轮的Merkle数据目录");
+  }
+  const [owner] = await ethers.getSigners();
+  const roundData = readRoundData(CONFIG.MERKLE_DIR);
+  console.log(`轮次: ${roundData.round}，Merkle根: ${roundData.root}，分配总额: ${ethers.formatUnits(roundData.total, roundData.decimals)}`);
+
+  let distributor;
+  if (CONFIG.MULTI_ROUND_DISTRIBUTOR) {
+    distributor = await ethers.getContractAt("MultiRoundDistributor", CONFIG.MULTI_ROUND_DISTRIBUTOR, owner);
+  } else {
+    if (!CONFIG.AIRDROP_TOKEN) {
+      throw new Error("请通过环境变量AIRDROP_TOKEN指定代币合约地址，或通过MULTI_ROUND_DISTRIBUTOR指定已部署的合约");
+    }
+    const Distributor = await ethers.getContractFactory("MultiRoundDistributor");
+    distributor = await Distributor.deploy(CONFIG.AIRDROP_TOKEN);
+    await distributor.waitForDeployment();
+    console.log("MultiRoundDistributor 已部署:", await distributor.getAddress());
+  }
+
+  const token = await ethers.getContractAt("@openzeppelin/contracts/token/ERC20/IERC20.sol:IERC20", await distributor.token(), owner);
+  await openRound(distributor, token, roundData, {
+    start: BigInt(CONFIG.ROUND_START),
+    end: BigInt(CONFIG.ROUND_END)
+  });
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error(err);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  readRoundData,
+  openRound
+};
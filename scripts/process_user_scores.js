@@ -3,20 +3,19 @@ const fs = require('fs');
 const path = require('path');
 const { parse } = require('csv-parse');
 const { stringify } = require('csv-stringify/sync');
+const { loadScoringPolicy } = require('../lib/scoring-policy');
+const { createRejectionReport } = require('../lib/address');
 
 // 配置路径
 const DEFI_POSITIONS_DIR = path.join(__dirname, '../defi-positions');
 const FILTERED_DIR = path.join(DEFI_POSITIONS_DIR, 'filtered');
 const OUTPUT_FILE = path.join(__dirname, '../csv/user_scores.csv');
+const REJECTED_FILE = path.join(path.dirname(OUTPUT_FILE), 'user_scores_rejected_addresses.json');
 
-// 积分计算规则
-const SCORE_RULES = [
-  { threshold: 1000000, score: 12, label: 'Whale' },
-  { threshold: 100000, score: 6, label: 'Large Holder' },
-  { threshold: 1000, score: 3, label: 'Medium Holder' },
-  { threshold: 100, score: 2, label: 'Small Holder' },
-  { threshold: 20, score: 1, label: 'Tiny Holder' }
-];
+// 积分计算规则，来自积分策略文件的defiPositions
+const { tiers: SCORE_RULES, minTotalValue: MIN_TOTAL_VALUE } = loadScoringPolicy().defiPositions;
+// 最高档位（策略中按threshold从高到低排列）
+const TOP_TIER = SCORE_RULES[0];
 
 /**
  * 计算持仓积分
@@ -38,15 +37,16 @@ function calculateScore(totalValue) {
 /**
  * 处理单个CSV文件
  * @param {string} filePath CSV文件路径
- * @returns {Promise<Object>} 处理结果和筛选后的记录
+ * @param {Object} rejections 被拒绝地址报告（lib/address的createRejectionReport），无效地址的记录不保留
+ * @returns {Promise<Object>} 处理结果和筛选后的记录，记录的address为规范化地址
  */
-async function processDefiPositionsFile(filePath) {
+async function processDefiPositionsFile(filePath, rejections = createRejectionReport('process_user_scores')) {
   console.log(`处理文件: ${filePath}`);
   
   const results = {
     total: 0,
     filtered: 0,
-    whales: 0
+    topTier: 0
   };
   
   const records = [];
@@ -62,24 +62,30 @@ async function processDefiPositionsFile(filePath) {
     for await (const record of parser) {
       results.total++;
       
+      const address = rejections.normalize(record.address, { file: path.basename(filePath), line: results.total + 1 });
+      if (!address) {
+        continue;
+      }
+      
       // 确保totalValue是数字
       const totalValue = parseFloat(record.totalValue || 0);
       
-      // 筛选出totalValue大于20的记录
-      if (totalValue > 20) {
+      // 筛选出totalValue大于最低价值的记录
+      if (totalValue > MIN_TOTAL_VALUE) {
         results.filtered++;
         
         // 计算积分和标签
         const { score, label } = calculateScore(totalValue);
         
-        // 如果是巨鲸，记录数量
-        if (label === 'Whale') {
-          results.whales++;
+        // 如果属于最高档位，记录数量
+        if (label === TOP_TIER.label) {
+          results.topTier++;
         }
         
         // 添加新的字段
         records.push({
           ...record,
+          address,
           score,
           user_label: label
         });
@@ -93,7 +99,7 @@ async function processDefiPositionsFile(filePath) {
       results: {
         total: results.total,
         filtered: 0,
-        whales: 0
+        topTier: 0
       },
       records: []
     };
@@ -126,29 +132,30 @@ async function processUserData() {
     
     console.log(`找到 ${csvFiles.length} 个CSV文件需要处理`);
     
-    // 用于存储所有用户数据的映射
+    // 用于存储所有用户数据的映射（按规范化地址）
     const userDataMap = new Map();
+    const rejections = createRejectionReport('process_user_scores');
     
     // 总结果统计
     const totalResults = {
       files: csvFiles.length,
       totalRecords: 0,
       filteredRecords: 0,
-      whales: 0,
+      topTier: 0,
       errors: 0
     };
     
     // 处理每个CSV文件
     for (const file of csvFiles) {
       const filePath = path.join(DEFI_POSITIONS_DIR, file);
-      const { results, records } = await processDefiPositionsFile(filePath);
+      const { results, records } = await processDefiPositionsFile(filePath, rejections);
       
       // 累计结果
       totalResults.totalRecords += results.total;
       totalResults.filteredRecords += results.filtered;
-      totalResults.whales += results.whales;
+      totalResults.topTier += results.topTier;
       
-      console.log(`文件 ${file} 共 ${results.total} 条记录，筛选出 ${results.filtered} 条记录，包含 ${results.whales} 个巨鲸地址`);
+      console.log(`文件 ${file} 共 ${results.total} 条记录，筛选出 ${results.filtered} 条记录，包含 ${results.topTier} 个${TOP_TIER.label}地址`);
       
       // 将符合条件的记录添加到用户数据映射中
       for (const record of records) {
@@ -201,27 +208,27 @@ async function processUserData() {
       columns: ['address', 'totalValue', 'score', 'user_label', 'usdt', 'usdc', 'weth', 'wbtc']
     });
     fs.writeFileSync(OUTPUT_FILE, csv);
+    rejections.log();
+    rejections.write(REJECTED_FILE);
     
-    // 统计数据
-    const whaleCount = sortedUserData.filter(user => user.user_label === 'Whale').length;
-    const largeHolderCount = sortedUserData.filter(user => user.user_label === 'Large Holder').length;
-    const mediumHolderCount = sortedUserData.filter(user => user.user_label === 'Medium Holder').length;
-    const smallHolderCount = sortedUserData.filter(user => user.user_label === 'Small Holder').length;
-    const tinyHolderCount = sortedUserData.filter(user => user.user_label === 'Tiny Holder').length;
+    // 按积分策略的档位统计用户数
+    const labelCounts = new Map(SCORE_RULES.map(rule => [rule.label, 0]));
+    for (const user of sortedUserData) {
+      labelCounts.set(user.user_label, (labelCounts.get(user.user_label) || 0) + 1);
+    }
     
     // 输出总结果
     console.log('\n==========================================');
     console.log('处理完成! 总结:');
     console.log(`处理文件数: ${totalResults.files}`);
     console.log(`总记录数: ${totalResults.totalRecords}`);
-    console.log(`符合条件记录数(>20美元): ${totalResults.filteredRecords}`);
+    console.log(`符合条件记录数(>${MIN_TOTAL_VALUE}美元): ${totalResults.filteredRecords}`);
     console.log(`去重后的用户数: ${sortedUserData.length}`);
     console.log('\n用户分布统计:');
-    console.log(`巨鲸地址(>100万美元): ${whaleCount} 个，占比 ${(whaleCount / sortedUserData.length * 100).toFixed(2)}%`);
-    console.log(`大户(>10万美元): ${largeHolderCount} 个，占比 ${(largeHolderCount / sortedUserData.length * 100).toFixed(2)}%`);
-    console.log(`中户(>1000美元): ${mediumHolderCount} 个，占比 ${(mediumHolderCount / sortedUserData.length * 100).toFixed(2)}%`);
-    console.log(`小户(>100美元): ${smallHolderCount} 个，占比 ${(smallHolderCount / sortedUserData.length * 100).toFixed(2)}%`);
-    console.log(`极小户(>20美元): ${tinyHolderCount} 个，占比 ${(tinyHolderCount / sortedUserData.length * 100).toFixed(2)}%`);
+    for (const rule of SCORE_RULES) {
+      const count = labelCounts.get(rule.label);
+      console.log(`${rule.label}(>=${rule.threshold}美元): ${count} 个，占比 ${(count / sortedUserData.length * 100).toFixed(2)}%`);
+    }
     console.log(`\n用户积分表已保存至: ${OUTPUT_FILE}`);
     console.log('==========================================');
     
@@ -237,5 +244,6 @@ if (require.main === module) {
 
 module.exports = {
   processUserData,
+  processDefiPositionsFile,
   calculateScore
 }; 
\ No newline at end of file
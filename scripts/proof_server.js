@@ -0,0 +1,302 @@
+const http = require('http');
+const path = require('path');
+const { ethers } = require('ethers');
+const merkle = require('../lib/merkle');
+const { parseAddress, normalizeAddress, REJECT_REASONS } = require('../lib/address');
+const { readJsonBody, sendJson } = require('../lib/http');
+const { getMerkleProof, getTokenProofs, getBatchProofs } = require('./generate_merkle_proof');
+require('dotenv').config();
+
+// node scripts/proof_server.js
+// 配置参数（通过环境变量传入）
+const CONFIG = {
+  // Merkle数据目录（generate_merkle_tree.js的输出目录）
+  MERKLE_DIR: process.env.MERKLE_DIR || path.join(__dirname, '../merkle-data'),
+  // HTTP服务端口
+  PORT: parseInt(process.env.PROOF_SERVER_PORT || '3002'),
+  // 查询领取状态使用的RPC节点，未设置时不返回claimed字段
+  RPC_URL: process.env.PROOF_SERVER_RPC_URL,
+  // 分发合约地址，未设置时使用v2 Merkle数据中记录的distributor
+  DISTRIBUTOR_ADDRESS: process.env.DISTRIBUTOR_ADDRESS,
+  // 允许跨域访问的前端来源
+  CORS_ORIGIN: process.env.PROOF_SERVER_CORS_ORIGIN || '*',
+  // POST /proofs每次最多查询的地址数
+  MAX_BATCH_ADDRESSES: parseInt(process.env.PROOF_SERVER_MAX_BATCH || '100'),
+  // 请求体大小上限（字节）
+  MAX_BODY_SIZE: 64 * 1024
+};
+
+// 查询领取状态所需的合约接口，MerkleDistributor与MultiTokenDistributor按index查询，
+// MultiRoundDistributor按 (roundId, index) 查询，CumulativeMerkleDistributor按账户查询累计已领取金额
+const CLAIM_STATUS_ABI = [
+  'function isClaimed(uint256 index) view returns (bool)',
+  'function isClaimed(uint256 roundId, uint256 index) view returns (bool)',
+  'function cumulativeClaimed(address account) view returns (uint256)'
+];
+
+/**
+ * 创建领取状态查询函数
+ * @param {Object} options 选项
+ * @param {Object} options.provider ethers Provider（如JsonRpcProvider或Hardhat网络的provider）
+ * @param {string} options.distributor 分发合约地址
+ * @param {number|null} options.round 多轮分发合约的轮次（merkle_data.json中的round），普通分发合约为null
+ * @returns {Function} async (proofData) => { claimed, claimedAmount? }
+ */
+function createClaimChecker({ provider, distributor, round = null }) {
+  const contract = new ethers.Contract(distributor, CLAIM_STATUS_ABI, provider);
+
+  return async (proofData) => {
+    // 累计模式：累计已领取金额达到证明中的累计金额即为已领取
+    if (proofData.index === undefined) {
+      const claimedAmount = await contract.cumulativeClaimed(proofData.address);
+      return { claimed: claimedAmount >= BigInt(proofData.amount), claimedAmount: claimedAmount.toString() };
+    }
+    const claimed = round !== null && round !== undefined
+      ? await contract['isClaimed(uint256,uint256)'](round, proofData.index)
+      : await contract['isClaimed(uint256)'](proofData.index);
+    return { claimed };
+  };
+}
+
+/**
+ * 创建证明查询服务，批次树由lib/merkle按Merkle根缓存在内存中
+ * @param {Object} options 选项
+ * @param {string} options.merkleDir Merkle数据目录
+ * @param {Function|null} options.claimChecker createClaimChecker的返回值，为null时不查询领取状态
+ * @returns {Object} { getProof, getProofs, getEligibility, getStats }
+ */
+function createProofService({ merkleDir = CONFIG.MERKLE_DIR, claimChecker = null } = {}) {
+  const startedAt = new Date();
+  const counters = { proof: 0, proofs: 0, eligibility: 0, served: 0, notFound: 0, claimStatusErrors: 0 };
+
+  // 附加领取状态，RPC查询失败时claimed为null，不影响证明的返回
+  async function withClaimStatus(proofData) {
+    if (!claimChecker) return proofData;
+    try {
+      Object.assign(proofData, await claimChecker(proofData));
+    } catch (error) {
+      counters.claimStatusErrors++;
+      Object.assign(proofData, { claimed: null, claimStatusError: error.shortMessage || error.message });
+    }
+    return proofData;
+  }
+
+  // 多代币Merkle树未指定代币时返回该地址所有代币的证明
+  async function lookup(address, token) {
+    const { merkleData } = merkle.loadTopTree(merkleDir);
+    if (merkleData.tokenTotals && !token) {
+      const result = await getTokenProofs(address, merkleDir, { quiet: true });
+      if (!result) return null;
+      for (const proofData of result.proofs) {
+        await withClaimStatus(proofData);
+      }
+      return result;
+    }
+
+    const proofData = await getMerkleProof(address, merkleDir, token, { quiet: true });
+    return proofData && withClaimStatus(proofData);
+  }
+
+  /**
+   * 查询单个地址的证明
+   * @param {string} address 地址
+   * @param {string|null} token 代币地址（仅多代币Merkle树）
+   * @returns {Promise<Object|null>} 证明数据，多代币Merkle树未指定代币时为 { address, proofs, callData }
+   */
+  async function getProof(address, token = null) {
+    counters.proof++;
+    const result = await lookup(address, token);
+    if (!result) {
+      counters.notFound++;
+      return null;
+    }
+    counters.served += result.proofs ? result.proofs.length : 1;
+    return result;
+  }
+
+  /**
+   * 批量查询证明
+   * @param {Array<string>} addresses 地址数组（多代币Merkle树可使用 地址:代币）
+   * @returns {Promise<Object>} { proofs: 地址到证明的映射, missing: 不在空投列表中的地址 }
+   */
+  async function getProofs(addresses) {
+    counters.proofs++;
+    const proofs = await getBatchProofs(addresses, merkleDir, { quiet: true });
+    for (const proofData of Object.values(proofs)) {
+      await withClaimStatus(proofData);
+    }
+    const missing = addresses.filter(address => !proofs[address]);
+    counters.served += Object.keys(proofs).length;
+    counters.notFound += missing.length;
+    return { proofs, missing };
+  }
+
+  /**
+   * 查询地址是否在空投列表中及分配金额，不返回证明
+   * @param {string} address 地址
+   * @returns {Promise<Object>} { address, eligible, asset, allocations }
+   */
+  async function getEligibility(address) {
+    counters.eligibility++;
+    const result = await lookup(address, null);
+    if (!result) {
+      return { address: ethers.getAddress(address), eligible: false, allocations: [] };
+    }
+
+    const allocations = (result.proofs || [result]).map(proofData => ({
+      index: proofData.index,
+      ...(proofData.token ? { token: proofData.token } : {}),
+      amount: proofData.amount,
+      amountInEther: proofData.amountInEther,
+      ...(proofData.claimed !== undefined ? { claimed: proofData.claimed } : {}),
+      ...(proofData.claimedAmount !== undefined ? { claimedAmount: proofData.claimedAmount } : {})
+    }));
+    return { address: ethers.getAddress(address), eligible: true, asset: merkle.loadTopTree(merkleDir).asset, allocations };
+  }
+
+  /**
+   * 服务及Merkle数据统计
+   * @returns {Object} Merkle数据概要、请求计数和缓存状态
+   */
+  function getStats() {
+    const { root, asset, merkleData } = merkle.loadTopTree(merkleDir);
+    return {
+      root,
+      asset,
+      leafFormat: merkleData.leafFormat || merkle.LEAF_FORMATS.DEFAULT,
+      ...(merkleData.round !== undefined ? { round: merkleData.round } : {}),
+      ...(merkleData.epoch !== undefined ? { epoch: merkleData.epoch } : {}),
+      totalRecords: merkleData.totalRecords,
+      totalAmount: merkleData.totalAmount,
+      batchCount: merkleData.batchCount,
+      claimStatus: !!claimChecker,
+      requests: { ...counters },
+      cache: merkle.cacheStats(),
+      startedAt: startedAt.toISOString(),
+      uptimeSeconds: Math.floor((Date.now() - startedAt.getTime()) / 1000)
+    };
+  }
+
+  return { getProof, getProofs, getEligibility, getStats };
+}
+
+// 地址或 地址:代币 格式的查询键，地址按lib/address校验（大小写混合时必须通过EIP-55校验）
+function isValidKey(key) {
+  if (typeof key !== 'string') return false;
+  const [account, token, ...rest] = key.split(':');
+  return rest.length === 0 && normalizeAddress(account) !== null && (token === undefined || normalizeAddress(token) !== null);
+}
+
+/**
+ * 创建证明HTTP服务
+ * GET  /proof/:address[?token=0x...] → 证明及领取交易call data
+ * POST /proofs { addresses: [...] }   → { proofs, missing }
+ * GET  /eligibility/:address          → 是否在空投列表中及分配金额
+ * GET  /stats                         → Merkle数据概要、请求计数和缓存状态
+ * @param {Object} service createProofService的返回值
+ * @param {Object} options 选项
+ * @param {string} options.corsOrigin 允许跨域访问的来源
+ * @param {number} options.maxBatchAddresses POST /proofs每次最多查询的地址数
+ * @returns {Object} http.Server
+ */
+function createServer(service, { corsOrigin = CONFIG.CORS_ORIGIN, maxBatchAddresses = CONFIG.MAX_BATCH_ADDRESSES } = {}) {
+  const corsHeaders = {
+    'Access-Control-Allow-Origin': corsOrigin,
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type'
+  };
+  const send = (res, statusCode, data) => sendJson(res, statusCode, data, corsHeaders);
+
+  return http.createServer(async (req, res) => {
+    try {
+      const url = new URL(req.url, 'http://localhost');
+
+      if (req.method === 'OPTIONS') {
+        res.writeHead(204, corsHeaders);
+        return res.end();
+      }
+
+      if (req.method === 'GET' && url.pathname === '/stats') {
+        return send(res, 200, service.getStats());
+      }
+
+      if (req.method === 'POST' && url.pathname === '/proofs') {
+        const { addresses } = await readJsonBody(req, CONFIG.MAX_BODY_SIZE);
+        if (!Array.isArray(addresses) || addresses.length === 0) {
+          return send(res, 400, { error: 'addresses必须是非空数组' });
+        }
+        if (addresses.length > maxBatchAddresses) {
+          return send(res, 400, { error: `每次最多查询 ${maxBatchAddresses} 个地址` });
+        }
+        const invalid = addresses.filter(address => !isValidKey(address));
+        if (invalid.length > 0) {
+          return send(res, 400, { error: `无效地址: ${invalid.join(', ')}` });
+        }
+        return send(res, 200, await service.getProofs(addresses));
+      }
+
+      const match = url.pathname.match(/^\/(proof|eligibility)\/([^/]+)$/);
+      if (req.method === 'GET' && match) {
+        const [, route, address] = match;
+        const token = url.searchParams.get('token');
+        const invalid = [address, token].find(value => value && !parseAddress(value).address);
+        if (invalid) {
+          return send(res, 400, { error: `无效地址: ${invalid}（${REJECT_REASONS[parseAddress(invalid).reason]}）` });
+        }
+
+        if (route === 'eligibility') {
+          return send(res, 200, await service.getEligibility(address));
+        }
+        const proof = await service.getProof(address, token);
+        return proof ? send(res, 200, proof) : send(res, 404, { error: `地址 ${address} 不在空投列表中` });
+      }
+
+      send(res, 404, { error: 'Not Found' });
+    } catch (error) {
+      send(res, 500, { error: error.message });
+    }
+  });
+}
+
+async function main() {
+  const { merkleData } = merkle.loadTopTree(CONFIG.MERKLE_DIR);
+
+  let claimChecker = null;
+  const distributor = CONFIG.DISTRIBUTOR_ADDRESS || merkleData.distributor;
+  if (CONFIG.RPC_URL) {
+    if (!distributor) {
+      throw new Error('设置了PROOF_SERVER_RPC_URL时需要通过DISTRIBUTOR_ADDRESS指定分发合约地址');
+    }
+    const provider = new ethers.JsonRpcProvider(CONFIG.RPC_URL);
+    claimChecker = createClaimChecker({ provider, distributor, round: merkleData.round });
+  }
+
+  const service = createProofService({ merkleDir: CONFIG.MERKLE_DIR, claimChecker });
+  const server = createServer(service);
+
+  const shutdown = () => {
+    console.log('正在停止证明服务...');
+    server.close(() => process.exit(0));
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+
+  server.listen(CONFIG.PORT, () => {
+    console.log(`证明服务已启动: http://localhost:${CONFIG.PORT}`);
+    console.log(`Merkle数据目录: ${CONFIG.MERKLE_DIR}，Merkle根: ${merkleData.root}`);
+    console.log(claimChecker ? `领取状态: ${CONFIG.RPC_URL}，分发合约: ${distributor}` : '未设置PROOF_SERVER_RPC_URL，不查询领取状态');
+  });
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error(err);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  createClaimChecker,
+  createProofService,
+  createServer
+};
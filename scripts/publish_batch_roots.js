@@ -0,0 +1,357 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("hardhat");
+const merkle = require("../lib/merkle");
+const leafStore = require("../lib/leaf-store");
+require("dotenv").config();
+
+// npx hardhat run scripts/publish_batch_roots.js --network arbitrum
+// 配置参数（hardhat run不支持自定义命令行参数，通过环境变量传入）
+const CONFIG = {
+  // 分发合约地址
+  DISTRIBUTOR_ADDRESS: process.env.DISTRIBUTOR_ADDRESS,
+  // Merkle数据目录（包含batches/batch_N.json，二进制存储为top_layers.bin）
+  MERKLE_DIR: process.env.MERKLE_DIR || path.join(__dirname, "../merkle-data"),
+  // 回执日志路径（默认: <MERKLE_DIR>/batch_root_receipts.json）
+  RECEIPTS_PATH: process.env.RECEIPTS_PATH,
+  // 单笔addBatchRoots交易的gas上限，按gas估算结果决定每笔交易包含的批次数
+  MAX_GAS_PER_TX: BigInt(process.env.MAX_GAS_PER_TX || "3000000"),
+  // 同时等待确认的交易数量
+  MAX_IN_FLIGHT: parseInt(process.env.MAX_IN_FLIGHT || "4"),
+  // gasLimit在估算值基础上增加的百分比
+  GAS_BUFFER_PERCENT: 20n
+};
+
+/**
+ * 按批次索引读取所有批次根
+ * @param {string} merkleDir Merkle数据目录
+ * @returns {Array<Object>} [{ batchIndex, root }]
+ */
+function readBatchRoots(merkleDir) {
+  // 二进制存储的批次根为top_layers.bin的第0层
+  const merkleDataPath = path.join(merkleDir, merkle.MERKLE_DATA_FILE);
+  const { store } = fs.existsSync(merkleDataPath) ? merkle.readMerkleData(merkleDir) : {};
+  if (store && store.format === "binary") {
+    return leafStore.readBatchRoots(merkleDir, store).map((root, batchIndex) => ({ batchIndex, root }));
+  }
+
+  const batchDir = path.join(merkleDir, "batches");
+  if (!fs.existsSync(batchDir)) {
+    throw new Error(`批次目录不存在: ${batchDir}，请先运行 generate_merkle_tree.js`);
+  }
+
+  const batches = fs.readdirSync(batchDir)
+    .map(file => file.match(/^batch_(\d+)\.json$/))
+    .filter(Boolean)
+    .map(match => {
+      const data = JSON.parse(fs.readFileSync(path.join(batchDir, match[0]), "utf8"));
+      const batchIndex = parseInt(match[1]);
+      if (data.batchIndex !== batchIndex) {
+        throw new Error(`批次文件 ${match[0]} 中的batchIndex (${data.batchIndex}) 与文件名不一致`);
+      }
+      return { batchIndex, root: data.root };
+    })
+    .sort((a, b) => a.batchIndex - b.batchIndex);
+
+  // 批次索引必须连续，避免漏发
+  batches.forEach((batch, i) => {
+    if (batch.batchIndex !== i) {
+      throw new Error(`缺少批次文件 batch_${i}.json`);
+    }
+  });
+
+  return batches;
+}
+
+/**
+ * 读取回执日志（用于中断后恢复）
+ * @param {string} receiptsPath 日志路径
+ * @param {Object} context 当前网络和合约信息
+ * @returns {Object} 回执日志
+ */
+function loadReceipts(receiptsPath, context) {
+  if (fs.existsSync(receiptsPath)) {
+    const receipts = JSON.parse(fs.readFileSync(receiptsPath, "utf8"));
+    if (receipts.distributor.toLowerCase() !== context.distributor.toLowerCase() ||
+        receipts.chainId !== context.chainId) {
+      throw new Error(`回执日志 ${receiptsPath} 属于其他网络或合约 (${receipts.chainId}/${receipts.distributor})`);
+    }
+    return receipts;
+  }
+  return { ...context, batches: {}, transactions: [] };
+}
+
+/**
+ * 保存回执日志（每次发送和确认后立即保存）
+ * @param {string} receiptsPath 日志路径
+ * @param {Object} receipts 回执日志
+ */
+function saveReceipts(receiptsPath, receipts) {
+  const dir = path.dirname(receiptsPath);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  receipts.updatedAt = new Date().toISOString();
+  fs.writeFileSync(receiptsPath, JSON.stringify(receipts, null, 2));
+}
+
+/**
+ * 检查上次运行中未确认的交易
+ * @param {Object} provider 以太坊provider
+ * @param {Object} receipts 回执日志
+ */
+async function reconcilePending(provider, receipts) {
+  for (const tx of receipts.transactions.filter(t => t.status === "pending")) {
+    const receipt = await provider.getTransactionReceipt(tx.txHash);
+    if (!receipt) {
+      // 交易未上链（被替换或丢弃），对应批次会在链上检查时重新发送
+      tx.status = "dropped";
+      console.log(`交易 ${tx.txHash} 未上链，标记为dropped`);
+      continue;
+    }
+    recordReceipt(receipts, tx, receipt);
+    console.log(`交易 ${tx.txHash} 已确认 (区块 ${receipt.blockNumber})`);
+  }
+}
+
+/**
+ * 将交易回执写入日志
+ * @param {Object} receipts 回执日志
+ * @param {Object} tx 日志中的交易记录
+ * @param {Object} receipt 交易回执
+ */
+function recordReceipt(receipts, tx, receipt) {
+  tx.status = receipt.status === 1 ? "confirmed" : "failed";
+  tx.blockNumber = receipt.blockNumber;
+  tx.gasUsed = receipt.gasUsed.toString();
+
+  if (tx.status === "confirmed") {
+    for (const batchIndex of tx.batchIndices) {
+      receipts.batches[batchIndex] = {
+        ...receipts.batches[batchIndex],
+        txHash: tx.txHash,
+        blockNumber: receipt.blockNumber,
+        status: "confirmed"
+      };
+    }
+  }
+}
+
+/**
+ * 查询链上已设置的批次根，返回仍需发布的批次
+ * @param {Object} distributor 分发合约
+ * @param {Array<Object>} batches 所有批次
+ * @param {Object} receipts 回执日志
+ * @returns {Promise<Array<Object>>} 需要发布的批次
+ */
+async function findUnpublished(distributor, batches, receipts) {
+  const unpublished = [];
+
+  for (const batch of batches) {
+    const onChainRoot = await distributor.batchRoots(batch.batchIndex);
+
+    if (onChainRoot === ethers.ZeroHash) {
+      unpublished.push(batch);
+      continue;
+    }
+
+    // addBatchRoots会静默跳过已存在的索引，根不一致时必须人工处理
+    if (onChainRoot !== batch.root) {
+      throw new Error(`批次 ${batch.batchIndex} 的链上根 ${onChainRoot} 与本地根 ${batch.root} 不一致`);
+    }
+
+    const logged = receipts.batches[batch.batchIndex];
+    if (!logged || logged.status !== "confirmed") {
+      receipts.batches[batch.batchIndex] = { root: batch.root, txHash: null, status: "already-set" };
+    }
+  }
+
+  return unpublished;
+}
+
+/**
+ * 根据gas估算把待发布批次切分为多笔交易
+ * @param {Object} distributor 分发合约
+ * @param {Array<Object>} batches 待发布批次
+ * @param {BigInt} maxGasPerTx 单笔交易gas上限
+ * @returns {Promise<Array<Object>>} [{ batches, gasEstimate }]
+ */
+async function planChunks(distributor, batches, maxGasPerTx) {
+  const estimate = (chunk) => distributor.addBatchRoots.estimateGas(
+    chunk.map(b => b.batchIndex),
+    chunk.map(b => b.root)
+  );
+
+  // 用1个和2个批次的估算值推算固定开销和每个批次的边际开销
+  const single = await estimate(batches.slice(0, 1));
+  if (single > maxGasPerTx) {
+    throw new Error(`单个批次的gas估算 ${single} 已超过上限 ${maxGasPerTx}`);
+  }
+  let perBatch = batches.length > 1 ? await estimate(batches.slice(0, 2)) - single : single;
+  if (perBatch <= 0n) perBatch = single;
+  const baseCost = single - perBatch;
+  let chunkSize = Math.max(1, Number((maxGasPerTx - baseCost) / perBatch));
+
+  const chunks = [];
+  let offset = 0;
+  while (offset < batches.length) {
+    let chunk = batches.slice(offset, offset + chunkSize);
+    let gasEstimate = await estimate(chunk);
+
+    // 推算值偏大时按比例缩小，直到估算值不超过上限
+    while (gasEstimate > maxGasPerTx && chunk.length > 1) {
+      const size = Math.max(1, Math.floor(chunk.length * Number(maxGasPerTx) / Number(gasEstimate)) - 1);
+      chunk = chunk.slice(0, size);
+      gasEstimate = await estimate(chunk);
+    }
+
+    chunks.push({ batches: chunk, gasEstimate });
+    chunkSize = chunk.length;
+    offset += chunk.length;
+  }
+
+  return chunks;
+}
+
+/**
+ * 将所有批次根发布到分发合约
+ * @param {Object} options 选项
+ * @param {string} options.distributorAddress 分发合约地址
+ * @param {string} options.merkleDir Merkle数据目录
+ * @param {string} options.receiptsPath 回执日志路径
+ * @param {BigInt} options.maxGasPerTx 单笔交易gas上限
+ * @param {number} options.maxInFlight 同时等待确认的交易数量
+ * @param {Object} options.signer 发送交易的账户（默认: 第一个账户）
+ * @returns {Promise<Object>} 回执日志
+ */
+async function publishBatchRoots(options = {}) {
+  const {
+    distributorAddress = CONFIG.DISTRIBUTOR_ADDRESS,
+    merkleDir = CONFIG.MERKLE_DIR,
+    maxGasPerTx = CONFIG.MAX_GAS_PER_TX,
+    maxInFlight = CONFIG.MAX_IN_FLIGHT
+  } = options;
+  const receiptsPath = options.receiptsPath || CONFIG.RECEIPTS_PATH || path.join(merkleDir, "batch_root_receipts.json");
+
+  if (!distributorAddress) {
+    throw new Error("请通过环境变量DISTRIBUTOR_ADDRESS指定分发合约地址");
+  }
+
+  const signer = options.signer || (await ethers.getSigners())[0];
+  const provider = signer.provider;
+  const distributor = await ethers.getContractAt("MerkleDistributor", distributorAddress, signer);
+  const { chainId } = await provider.getNetwork();
+
+  const owner = await distributor.owner();
+  if (owner.toLowerCase() !== signer.address.toLowerCase()) {
+    throw new Error(`发送账户 ${signer.address} 不是分发合约所有者 ${owner}`);
+  }
+
+  const batches = readBatchRoots(merkleDir);
+  console.log(`读取到 ${batches.length} 个批次根`);
+
+  const receipts = loadReceipts(receiptsPath, {
+    distributor: distributorAddress,
+    chainId: chainId.toString()
+  });
+
+  // 先确认上次运行遗留的交易，再以链上状态为准计算待发布批次
+  await reconcilePending(provider, receipts);
+  const unpublished = await findUnpublished(distributor, batches, receipts);
+  saveReceipts(receiptsPath, receipts);
+
+  console.log(`链上已存在 ${batches.length - unpublished.length} 个批次根，待发布 ${unpublished.length} 个`);
+  if (unpublished.length === 0) {
+    return receipts;
+  }
+
+  const chunks = await planChunks(distributor, unpublished, maxGasPerTx);
+  console.log(`按每笔交易gas上限 ${maxGasPerTx} 切分为 ${chunks.length} 笔交易`);
+
+  // 手动管理nonce，允许多笔交易同时等待确认
+  let nonce = await provider.getTransactionCount(signer.address, "pending");
+  const inFlight = [];
+  let failure = null;
+
+  const waitOldest = async () => {
+    const { tx, response } = inFlight.shift();
+    try {
+      const receipt = await response.wait();
+      recordReceipt(receipts, tx, receipt);
+      console.log(`✓ 交易 ${tx.txHash} 已确认，批次 ${tx.batchIndices[0]}-${tx.batchIndices[tx.batchIndices.length - 1]}，gasUsed: ${receipt.gasUsed}`);
+    } catch (error) {
+      tx.status = "failed";
+      failure = failure || error;
+      console.error(`✗ 交易 ${tx.txHash} 失败:`, error.shortMessage || error.message);
+    }
+    saveReceipts(receiptsPath, receipts);
+  };
+
+  for (const chunk of chunks) {
+    if (failure) break;
+
+    const indices = chunk.batches.map(b => b.batchIndex);
+    const roots = chunk.batches.map(b => b.root);
+    const gasLimit = chunk.gasEstimate * (100n + CONFIG.GAS_BUFFER_PERCENT) / 100n;
+
+    let response;
+    try {
+      response = await distributor.addBatchRoots(indices, roots, { nonce, gasLimit });
+    } catch (error) {
+      failure = error;
+      console.error(`发送批次 ${indices[0]}-${indices[indices.length - 1]} 失败:`, error.shortMessage || error.message);
+      break;
+    }
+
+    const tx = {
+      txHash: response.hash,
+      nonce,
+      batchIndices: indices,
+      gasEstimate: chunk.gasEstimate.toString(),
+      status: "pending",
+      sentAt: new Date().toISOString()
+    };
+    receipts.transactions.push(tx);
+    for (const batch of chunk.batches) {
+      receipts.batches[batch.batchIndex] = { root: batch.root, txHash: response.hash, status: "pending" };
+    }
+    saveReceipts(receiptsPath, receipts);
+    console.log(`已发送交易 ${response.hash} (nonce ${nonce})，包含 ${indices.length} 个批次根`);
+
+    nonce++;
+    inFlight.push({ tx, response });
+    if (inFlight.length >= maxInFlight) {
+      await waitOldest();
+    }
+  }
+
+  while (inFlight.length > 0) {
+    await waitOldest();
+  }
+
+  if (failure) {
+    throw new Error(`批次根发布中断，重新运行即可从未发布的批次继续: ${failure.shortMessage || failure.message}`);
+  }
+
+  console.log(`链上已验证批次数: ${await distributor.verifiedBatchCount()}`);
+  return receipts;
+}
+
+async function main() {
+  const receipts = await publishBatchRoots();
+  const receiptsPath = CONFIG.RECEIPTS_PATH || path.join(CONFIG.MERKLE_DIR, "batch_root_receipts.json");
+  console.log(`🎉 所有批次根已发布，共 ${Object.keys(receipts.batches).length} 个，回执日志: ${receiptsPath}`);
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error(err);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  readBatchRoots,
+  planChunks,
+  publishBatchRoots
+};
@@ -0,0 +1,96 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("hardhat");
+const { readAllocationTotal } = require("./deploy");
+require("dotenv").config();
+
+// npx hardhat run scripts/publish_epoch.js --network arbitrum
+// 配置参数（hardhat run不支持自定义命令行参数，通过环境变量传入）
+const CONFIG = {
+  // 代币合约地址（部署新的累计分发合约时使用）
+  AIRDROP_TOKEN: process.env.AIRDROP_TOKEN,
+  // 已部署的累计分发合约地址，未设置时部署新合约
+  CUMULATIVE_DISTRIBUTOR: process.env.CUMULATIVE_DISTRIBUTOR,
+  // 本期的Merkle数据目录（generate_merkle_tree.js --cumulative的输出目录）
+  MERKLE_DIR: process.env.MERKLE_DIR
+};
+
+/**
+ * 读取某一期的累计Merkle数据
+ * @param {string} merkleDir 本期的Merkle数据目录
+ * @returns {Object} { epoch, root, total, epochAmount, decimals }
+ */
+function readEpochData(merkleDir) {
+  const { root, total, decimals } = readAllocationTotal(merkleDir, { cumulative: true });
+  const merkleData = JSON.parse(fs.readFileSync(path.join(merkleDir, "merkle_data.json"), "utf8"));
+  return { epoch: merkleData.epoch, root, total, epochAmount: BigInt(merkleData.epochAmount), decimals };
+}
+
+/**
+ * 在累计分发合约上发布新一期的Merkle根
+ * 链上下一期必须与Merkle数据的期数一致；发布前补足资金，使合约余额不少于累计总额减去已领取总额
+ * @param {Object} distributor 已连接所有者的累计分发合约
+ * @param {Object} token 已连接所有者的代币合约
+ * @param {Object} epochData readEpochData的结果
+ * @returns {Promise<Object>} { epoch, funded }
+ */
+async function publishEpoch(distributor, token, epochData) {
+  const nextEpoch = (await distributor.epoch()) + 1n;
+  if (nextEpoch !== BigInt(epochData.epoch)) {
+    throw new Error(`链上下一期为 ${nextEpoch}，与Merkle数据的期数 ${epochData.epoch} 不一致`);
+  }
+
+  const distributorAddress = await distributor.getAddress();
+  const [totalClaimed, balance] = await Promise.all([
+    distributor.totalClaimed(),
+    token.balanceOf(distributorAddress)
+  ]);
+  const required = epochData.total - totalClaimed;
+  const funded = required > balance ? required - balance : 0n;
+  if (funded > 0n) {
+    await (await token.transfer(distributorAddress, funded)).wait();
+    console.log(`已转入 ${ethers.formatUnits(funded, epochData.decimals)} 代币`);
+  }
+
+  await (await distributor.setMerkleRoot(epochData.root)).wait();
+  console.log(`✓ 已发布第 ${nextEpoch} 期，Merkle根: ${epochData.root}`);
+  return { epoch: Number(nextEpoch), funded };
+}
+
+async function main() {
+  if (!CONFIG.MERKLE_DIR) {
+    throw new Error("请通过环境变量MERKLE_DIR指定本期的Merkle数据目录");
+  }
+  const [owner] = await ethers.getSigners();
+  const epochData = readEpochData(CONFIG.MERKLE_DIR);
+  console.log(`期数: ${epochData.epoch}，Merkle根: ${epochData.root}`);
+  console.log(`累计总额: ${ethers.formatUnits(epochData.total, epochData.decimals)}，本期新增: ${ethers.formatUnits(epochData.epochAmount, epochData.decimals)}`);
+
+  let distributor;
+  if (CONFIG.CUMULATIVE_DISTRIBUTOR) {
+    distributor = await ethers.getContractAt("CumulativeMerkleDistributor", CONFIG.CUMULATIVE_DISTRIBUTOR, owner);
+  } else {
+    if (!CONFIG.AIRDROP_TOKEN) {
+      throw new Error("请通过环境变量AIRDROP_TOKEN指定代币合约地址，或通过CUMULATIVE_DISTRIBUTOR指定已部署的合约");
+    }
+    const Distributor = await ethers.getContractFactory("CumulativeMerkleDistributor");
+    distributor = await Distributor.deploy(CONFIG.AIRDROP_TOKEN);
+    await distributor.waitForDeployment();
+    console.log("CumulativeMerkleDistributor 已部署:", await distributor.getAddress());
+  }
+
+  const token = await ethers.getContractAt("@openzeppelin/contracts/token/ERC20/IERC20.sol:IERC20", await distributor.token(), owner);
+  await publishEpoch(distributor, token, epochData);
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error(err);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  readEpochData,
+  publishEpoch
+};
@@ -0,0 +1,341 @@
+const http = require("http");
+const { ethers } = require("hardhat");
+const { buildDomain, buildClaimTypedData: buildTypedData } = require("../lib/claim-typed-data");
+const { readJsonBody, sendJson } = require("../lib/http");
+require("dotenv").config();
+
+// npx hardhat run scripts/relayer.js --network arbitrum
+// 配置参数（hardhat run不支持自定义命令行参数，通过环境变量传入）
+const CONFIG = {
+  // 分发合约地址
+  DISTRIBUTOR_ADDRESS: process.env.DISTRIBUTOR_ADDRESS,
+  // HTTP服务端口
+  PORT: parseInt(process.env.RELAYER_PORT || "3001"),
+  // 每笔multicall交易包含的最大领取数
+  BATCH_SIZE: parseInt(process.env.RELAYER_BATCH_SIZE || "20"),
+  // 定时提交间隔（毫秒），队列达到BATCH_SIZE时立即提交
+  FLUSH_INTERVAL_MS: parseInt(process.env.RELAYER_FLUSH_INTERVAL_MS || "30000"),
+  // 请求体大小上限（字节）
+  MAX_BODY_SIZE: 64 * 1024
+};
+
+/**
+ * 构造账户需要签名的EIP-712数据（domain从合约读取，nonce为账户当前nonce）
+ * @param {Object} distributor 分发合约
+ * @param {Object} claim 领取信息 { index, account, amount, deadline }
+ * @returns {Promise<Object>} { domain, types, primaryType, message }
+ */
+async function buildClaimTypedData(distributor, { index, account, amount, deadline }) {
+  const [domainInfo, nonce] = await Promise.all([
+    distributor.eip712Domain(),
+    distributor.nonces(account)
+  ]);
+  const [, , , chainId, verifyingContract] = domainInfo;
+
+  return buildTypedData(buildDomain(chainId, verifyingContract), { index, account, amount, nonce, deadline });
+}
+
+/**
+ * 解析非负整数字段（数字或十进制字符串）
+ * @param {*} value 字段值
+ * @param {string} name 字段名
+ * @returns {BigInt} 解析结果
+ */
+function parseUint(value, name) {
+  if (value === undefined || value === null) {
+    throw new Error(`缺少${name}`);
+  }
+  const valid = typeof value === "number" ? Number.isSafeInteger(value) && value >= 0 : typeof value === "string" && /^\d+$/.test(value);
+  if (!valid) {
+    throw new Error(`${name}必须是非负整数: ${value}`);
+  }
+  return BigInt(value);
+}
+
+/**
+ * 校验并规范化待签名的领取信息
+ * @param {Object} body 请求数据 { index, account, amount, deadline }
+ * @returns {Object} { index, account, amount, deadline }
+ */
+function normalizeClaimRequest(body) {
+  const { index, account, amount, deadline } = body || {};
+  const parsed = {
+    index: parseUint(index, "index"),
+    amount: parseUint(amount, "amount"),
+    deadline: parseUint(deadline, "deadline")
+  };
+  if (!ethers.isAddress(account)) {
+    throw new Error(`无效地址: ${account}`);
+  }
+  return { ...parsed, account: ethers.getAddress(account) };
+}
+
+/**
+ * 校验并规范化提交的签名领取
+ * @param {Object} body 请求数据 { index, account, amount, proof, deadline, signature }
+ * @returns {Object} 规范化后的领取
+ */
+function normalizeClaim(body) {
+  const { index, account, amount, deadline } = normalizeClaimRequest(body);
+  const { proof, signature } = body;
+  if (!Array.isArray(proof) || !proof.every(p => ethers.isHexString(p, 32))) {
+    throw new Error("proof必须是bytes32数组");
+  }
+  if (!ethers.isHexString(signature)) {
+    throw new Error("signature必须是十六进制字符串");
+  }
+
+  return { index, account, amount, proof, deadline, signature };
+}
+
+/**
+ * 创建中继器：接收签名领取放入队列，按批通过multicall提交
+ * @param {Object} options 选项
+ * @param {Object} options.distributor 已连接中继账户的分发合约
+ * @param {number} options.batchSize 每笔交易包含的最大领取数
+ * @returns {Object} { submit, flush, getStatus, pendingCount }
+ */
+function createRelayer({ distributor, batchSize = CONFIG.BATCH_SIZE }) {
+  const queue = [];
+  // 所有领取的状态，按index记录
+  const claims = new Map();
+  let flushing = null;
+
+  // 已预留（模拟执行中）或等待提交的领取状态
+  const isPending = (status) => status.status === "pending" || status.status === "queued";
+
+  const callArgs = (claim) => [claim.index, claim.account, claim.amount, claim.proof, claim.deadline, claim.signature];
+
+  // 模拟执行，返回失败原因（成功时为null）
+  const simulate = async (claim) => {
+    try {
+      await distributor.claimBySig.staticCall(...callArgs(claim));
+      return null;
+    } catch (error) {
+      return error.reason || error.shortMessage || error.message;
+    }
+  };
+
+  /**
+   * 提交签名领取，模拟执行失败时直接拒绝
+   * 模拟执行前先以pending状态预留index，避免并发提交的相同index或同一账户的领取同时通过检查
+   * @param {Object} body 请求数据
+   * @returns {Promise<Object>} 领取状态
+   */
+  async function submit(body) {
+    const claim = normalizeClaim(body);
+    const key = claim.index.toString();
+
+    const existing = claims.get(key);
+    if (existing && (isPending(existing) || existing.status === "submitted")) {
+      throw new Error(`index ${key} 已在队列中`);
+    }
+    if ([...claims.values()].some(status => status.account === claim.account && isPending(status))) {
+      // 同一账户的下一个签名依赖前一个领取消耗的nonce
+      throw new Error(`账户 ${claim.account} 已有待提交的领取`);
+    }
+
+    const status = { index: key, account: claim.account, status: "pending" };
+    claims.set(key, status);
+
+    const reason = await simulate(claim);
+    if (claims.get(key) !== status || status.status !== "pending") {
+      throw new Error(`index ${key} 已在队列中`);
+    }
+    if (reason) {
+      // 释放预留，恢复之前的状态
+      if (existing) {
+        claims.set(key, existing);
+      } else {
+        claims.delete(key);
+      }
+      throw new Error(`领取无法执行: ${reason}`);
+    }
+
+    queue.push(claim);
+    Object.assign(status, { status: "queued", queuedAt: new Date().toISOString() });
+    return status;
+  }
+
+  async function flushOnce() {
+    const results = [];
+    // 所在批次回滚但单独仍可执行的领取，下次提交时重试
+    const retry = [];
+
+    while (queue.length > 0) {
+      const batch = queue.splice(0, batchSize);
+
+      // 排队期间可能已被直接领取或签名过期，提交前重新模拟，剔除无法执行的领取
+      const ready = [];
+      for (const claim of batch) {
+        const reason = await simulate(claim);
+        const status = claims.get(claim.index.toString());
+        if (reason) {
+          Object.assign(status, { status: "rejected", reason });
+        } else {
+          ready.push(claim);
+        }
+      }
+      if (ready.length === 0) continue;
+
+      const calls = ready.map(claim => distributor.interface.encodeFunctionData("claimBySig", callArgs(claim)));
+      const statuses = ready.map(claim => claims.get(claim.index.toString()));
+
+      try {
+        const response = await distributor.multicall(calls);
+        statuses.forEach(status => Object.assign(status, { status: "submitted", txHash: response.hash }));
+        const receipt = await response.wait();
+        statuses.forEach(status => Object.assign(status, { status: "confirmed", blockNumber: receipt.blockNumber }));
+        console.log(`✓ 已提交 ${ready.length} 个签名领取，交易 ${response.hash}，gasUsed: ${receipt.gasUsed}`);
+        results.push({ txHash: response.hash, count: ready.length });
+      } catch (error) {
+        const reason = error.reason || error.shortMessage || error.message;
+        console.error(`✗ 提交 ${ready.length} 个签名领取失败:`, reason);
+
+        // multicall整体回滚，逐个重新模拟：仍可执行的重新排队，其余标记为拒绝
+        for (const claim of ready) {
+          const status = claims.get(claim.index.toString());
+          const claimReason = await simulate(claim);
+          if (claimReason) {
+            Object.assign(status, { status: "rejected", reason: claimReason });
+          } else {
+            delete status.txHash;
+            Object.assign(status, { status: "queued", reason });
+            retry.push(claim);
+          }
+        }
+      }
+    }
+
+    queue.unshift(...retry);
+    if (retry.length > 0) {
+      console.log(`${retry.length} 个签名领取重新排队，下次提交时重试`);
+    }
+    return results;
+  }
+
+  /**
+   * 提交队列中的所有领取（并发调用时等待正在进行的提交）
+   * @returns {Promise<Array<Object>>} 已发送的交易 [{ txHash, count }]
+   */
+  async function flush() {
+    while (flushing) {
+      await flushing;
+    }
+    flushing = flushOnce();
+    try {
+      return await flushing;
+    } finally {
+      flushing = null;
+    }
+  }
+
+  return {
+    submit,
+    flush,
+    getStatus: (index) => claims.get(index.toString()) || null,
+    pendingCount: () => queue.length
+  };
+}
+
+/**
+ * 创建中继HTTP服务
+ * POST /typed-data  { index, account, amount, deadline } → 待签名的EIP-712数据
+ * POST /claims      { index, account, amount, proof, deadline, signature } → 加入队列
+ * GET  /claims/:index → 领取状态
+ * @param {Object} relayer createRelayer的返回值
+ * @param {Object} distributor 分发合约
+ * @param {Object} options 选项
+ * @param {number} options.batchSize 队列达到该数量时立即提交
+ * @returns {Object} http.Server
+ */
+function createServer(relayer, distributor, { batchSize = CONFIG.BATCH_SIZE } = {}) {
+  return http.createServer(async (req, res) => {
+    try {
+      const url = new URL(req.url, "http://localhost");
+
+      if (req.method === "POST" && url.pathname === "/typed-data") {
+        const body = await readJsonBody(req, CONFIG.MAX_BODY_SIZE);
+        let request;
+        try {
+          request = normalizeClaimRequest(body);
+        } catch (error) {
+          return sendJson(res, 400, { error: error.message });
+        }
+        return sendJson(res, 200, await buildClaimTypedData(distributor, request));
+      }
+
+      if (req.method === "POST" && url.pathname === "/claims") {
+        const body = await readJsonBody(req, CONFIG.MAX_BODY_SIZE);
+        let status;
+        try {
+          status = await relayer.submit(body);
+        } catch (error) {
+          return sendJson(res, 400, { error: error.message });
+        }
+        if (relayer.pendingCount() >= batchSize) {
+          relayer.flush().catch(error => console.error("提交失败:", error.message));
+        }
+        return sendJson(res, 202, status);
+      }
+
+      const match = url.pathname.match(/^\/claims\/(\d+)$/);
+      if (req.method === "GET" && match) {
+        const status = relayer.getStatus(match[1]);
+        return status ? sendJson(res, 200, status) : sendJson(res, 404, { error: `未找到index ${match[1]}` });
+      }
+
+      sendJson(res, 404, { error: "Not Found" });
+    } catch (error) {
+      sendJson(res, 500, { error: error.message });
+    }
+  });
+}
+
+async function main() {
+  if (!CONFIG.DISTRIBUTOR_ADDRESS) {
+    throw new Error("请通过环境变量DISTRIBUTOR_ADDRESS指定分发合约地址");
+  }
+
+  const [signer] = await ethers.getSigners();
+  const distributor = await ethers.getContractAt("MerkleDistributor", CONFIG.DISTRIBUTOR_ADDRESS, signer);
+  const relayer = createRelayer({ distributor });
+  const server = createServer(relayer, distributor);
+
+  const timer = setInterval(() => {
+    if (relayer.pendingCount() > 0) {
+      relayer.flush().catch(error => console.error("提交失败:", error.message));
+    }
+  }, CONFIG.FLUSH_INTERVAL_MS);
+
+  const shutdown = async () => {
+    console.log("正在停止中继服务，提交剩余队列...");
+    clearInterval(timer);
+    server.close();
+    await relayer.flush();
+    process.exit(0);
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+
+  server.listen(CONFIG.PORT, () => {
+    console.log(`中继服务已启动: http://localhost:${CONFIG.PORT}`);
+    console.log(`中继账户: ${signer.address}，分发合约: ${CONFIG.DISTRIBUTOR_ADDRESS}`);
+    console.log(`每批最多 ${CONFIG.BATCH_SIZE} 个领取，每 ${CONFIG.FLUSH_INTERVAL_MS / 1000} 秒提交一次`);
+  });
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error(err);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  buildClaimTypedData,
+  normalizeClaimRequest,
+  normalizeClaim,
+  createRelayer,
+  createServer
+};
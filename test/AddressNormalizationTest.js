@@ -0,0 +1,153 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+const merkle = require("../lib/merkle");
+const addressLib = require("../lib/address");
+const { buildMerkleTree } = require("../scripts/generate_merkle_tree");
+const { getMerkleProof } = require("../scripts/generate_merkle_proof");
+const { processDefiPositionsFile } = require("../scripts/process_user_scores");
+const { quietly, writeCsvDir: writeCsvFiles } = require("./helpers");
+
+describe("地址规范化与校验测试", function () {
+  let users;
+  let workDir;
+  let csvDir;
+  let count = 0;
+
+  // 翻转校验和地址中第一个字母的大小写，得到校验和错误的地址
+  function breakChecksum(address) {
+    const i = address.slice(2).search(/[a-fA-F]/) + 2;
+    const char = address[i];
+    const flipped = char === char.toLowerCase() ? char.toUpperCase() : char.toLowerCase();
+    return address.slice(0, i) + flipped + address.slice(i + 1);
+  }
+
+  // 写入新的CSV目录，files为 文件名 => [[地址, 分数], ...]
+  function writeCsvDir(files) {
+    csvDir = writeCsvFiles(path.join(workDir, `csv-${count++}`), files);
+  }
+
+  const build = (outputDir = path.join(workDir, `merkle-${count++}`)) =>
+    quietly(() => buildMerkleTree(2, csvDir, outputDir));
+
+  before(async function () {
+    users = (await ethers.getSigners()).slice(1, 4);
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), "address-normalization-"));
+  });
+
+  after(function () {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  beforeEach(function () {
+    merkle.clearCache();
+  });
+
+  it("地址规范化为小写，大小写混合时校验EIP-55校验和", function () {
+    const address = users[0].address;
+    const lower = address.toLowerCase();
+
+    expect(addressLib.parseAddress(address)).to.deep.equal({ address: lower, reason: null });
+    expect(addressLib.normalizeAddress(lower)).to.equal(lower);
+    expect(addressLib.normalizeAddress(`0x${lower.slice(2).toUpperCase()}`)).to.equal(lower);
+    expect(addressLib.normalizeAddress(`\uFEFF "${address}" `)).to.equal(lower);
+
+    expect(addressLib.parseAddress(breakChecksum(address))).to.deep.equal({ address: null, reason: "checksum" });
+    expect(addressLib.parseAddress("0x1234").reason).to.equal("format");
+    expect(addressLib.parseAddress(lower.slice(2)).reason).to.equal("format");
+    expect(addressLib.parseAddress("  ").reason).to.equal("empty");
+    expect(addressLib.parseAddress(undefined).reason).to.equal("empty");
+
+    expect(addressLib.toChecksumAddress(lower)).to.equal(address);
+    expect(() => addressLib.toChecksumAddress(breakChecksum(address))).to.throw("EIP-55校验和不正确");
+    expect(addressLib.isSameAddress(address, lower)).to.equal(true);
+    expect(addressLib.isSameAddress(address, users[1].address)).to.equal(false);
+    expect(addressLib.isSameAddress("0x1234", "0x1234")).to.equal(false);
+  });
+
+  it("被拒绝地址报告按原因统计，没有被拒绝的地址时删除旧报告", function () {
+    const report = addressLib.createRejectionReport("test");
+    expect(report.normalize(users[0].address, { file: "a.csv", line: 2 })).to.equal(users[0].address.toLowerCase());
+    expect(report.normalize("abc", { file: "a.csv", line: 3 })).to.equal(null);
+    expect(report.normalize(breakChecksum(users[1].address), { file: "b.csv", line: 2 })).to.equal(null);
+    expect(report.normalize("", { file: "b.csv", line: 3 })).to.equal(null);
+    expect(report.summary()).to.deep.equal({ source: "test", total: 3, byReason: { format: 1, checksum: 1, empty: 1 } });
+
+    const reportPath = path.join(workDir, "rejected.json");
+    expect(report.write(reportPath)).to.equal(true);
+    const written = JSON.parse(fs.readFileSync(reportPath, "utf8"));
+    expect(written.rejected[1]).to.include({ reason: "checksum", file: "b.csv", line: 2 });
+
+    expect(addressLib.createRejectionReport("test").write(reportPath)).to.equal(false);
+    expect(fs.existsSync(reportPath)).to.equal(false);
+  });
+
+  it("构建时大小写不同的同一地址合并为一个叶子，无效地址写入报告", async function () {
+    const [a, b, c] = users.map(user => user.address);
+    writeCsvDir({
+      "a.csv": [[a.toLowerCase(), 1], [breakChecksum(b), 2], [c, 3], ["0xnothex", 1]],
+      "b.csv": [[a, 2], [`0x${b.slice(2).toUpperCase()}`, 4]]
+    });
+    const outputDir = path.join(workDir, `merkle-${count++}`);
+    const result = await build(outputDir);
+
+    expect(Object.keys(result.addressMap)).to.have.members([a, b, c].map(address => address.toLowerCase()));
+    expect(result.duplicates.duplicateKeys).to.equal(1);
+    expect(result.rejections).to.deep.equal({ source: "generate_merkle_tree", total: 2, byReason: { checksum: 1, format: 1 } });
+
+    // 叶子记录写入校验和形式，与CSV中的大小写无关
+    const records = Array.from({ length: merkle.readMerkleData(outputDir).batchCount }, (_, i) => merkle.readBatch(outputDir, i).records).flat();
+    expect(records.map(record => record.address)).to.have.members([a, b, c]);
+
+    const merkleData = merkle.readMerkleData(outputDir);
+    expect(merkleData.rejectedAddresses).to.equal(2);
+    const report = JSON.parse(fs.readFileSync(path.join(outputDir, "rejected_addresses.json"), "utf8"));
+    expect(report.rejected.map(entry => [entry.value, entry.reason, entry.file, entry.line])).to.deep.equal([
+      [breakChecksum(b), "checksum", "a.csv", 3],
+      ["0xnothex", "format", "a.csv", 5]
+    ]);
+
+    // 输入修正后重新构建，删除旧报告
+    writeCsvDir({ "a.csv": [[a, 1], [b, 2], [c, 3]] });
+    merkle.clearCache();
+    expect((await build(outputDir)).rejections.total).to.equal(0);
+    expect(fs.existsSync(path.join(outputDir, "rejected_addresses.json"))).to.equal(false);
+    expect(merkle.readMerkleData(outputDir).rejectedAddresses).to.equal(0);
+  });
+
+  it("证明查询接受任意大小写的有效地址，拒绝校验和错误的地址", async function () {
+    const address = users[0].address;
+    writeCsvDir({ "a.csv": [[address, 2], [users[1].address, 1]] });
+    const { outputDir } = await build();
+
+    const proof = await quietly(() => getMerkleProof(address, outputDir));
+    expect(proof.address).to.equal(address);
+    expect(await quietly(() => getMerkleProof(address.toLowerCase(), outputDir))).to.deep.equal(proof);
+    expect(await quietly(() => getMerkleProof(` 0x${address.slice(2).toUpperCase()}`, outputDir))).to.deep.equal(proof);
+    expect(await quietly(() => getMerkleProof(breakChecksum(address), outputDir))).to.equal(null);
+    expect(await quietly(() => getMerkleProof("0x1234", outputDir))).to.equal(null);
+  });
+
+  it("DeFi持仓记录的地址规范化后输出，无效地址写入报告", async function () {
+    const filePath = path.join(workDir, `defi_positions_${count++}.csv`);
+    fs.writeFileSync(filePath, [
+      "address,totalValue",
+      `${users[0].address},5000`,
+      `${breakChecksum(users[1].address)},5000`,
+      "0x1234,5000",
+      `${users[2].address.toLowerCase()},10`
+    ].join("\n"));
+
+    const rejections = addressLib.createRejectionReport("process_user_scores");
+    const { results, records } = await quietly(() => processDefiPositionsFile(filePath, rejections));
+    expect(results).to.include({ total: 4, filtered: 1 });
+    expect(records.map(record => record.address)).to.deep.equal([users[0].address.toLowerCase()]);
+    expect(rejections.summary().byReason).to.deep.equal({ checksum: 1, format: 1 });
+    expect(rejections.rejected.map(({ file, line }) => [file, line])).to.deep.equal([
+      [path.basename(filePath), 3],
+      [path.basename(filePath), 4]
+    ]);
+  });
+});
@@ -0,0 +1,77 @@
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+const { calculateAmount, getBudget, scaleToBudget } = require("../lib/allocation");
+
+describe("空投金额分配测试", function () {
+  describe("换算公式", function () {
+    it("exponential公式应与原有1.3^(score-1)结果一致", function () {
+      const allocation = { formula: "exponential", base: 1.3, offset: 1, precision: 6, decimals: 18 };
+      expect(calculateAmount(1, allocation)).to.equal(ethers.parseUnits("1", 18));
+      expect(calculateAmount(3, allocation)).to.equal(ethers.parseUnits("1.69", 18));
+    });
+
+    it("各公式应按配置计算金额", function () {
+      expect(calculateAmount(4, { formula: "linear", multiplier: 10, intercept: 5 }))
+        .to.equal(ethers.parseUnits("45", 18));
+      expect(calculateAmount(16, { formula: "sqrt", multiplier: 2 }))
+        .to.equal(ethers.parseUnits("8", 18));
+      expect(calculateAmount(Math.E - 1, { formula: "logarithmic", multiplier: 100 }))
+        .to.equal(ethers.parseUnits("100", 18));
+
+      const tiered = {
+        formula: "tiered",
+        tiers: [{ minScore: 1, amount: 10 }, { minScore: 5, amount: 50 }, { minScore: 10, amount: 200 }]
+      };
+      expect(calculateAmount(0.5, tiered)).to.equal(0n);
+      expect(calculateAmount(7, tiered)).to.equal(ethers.parseUnits("50", 18));
+      expect(calculateAmount(24, tiered)).to.equal(ethers.parseUnits("200", 18));
+    });
+
+    it("得分不大于0时金额为0，未知公式应报错", function () {
+      expect(calculateAmount(0, { formula: "linear" })).to.equal(0n);
+      expect(calculateAmount(-2, { formula: "exponential" })).to.equal(0n);
+      expect(() => calculateAmount(1, { formula: "unknown" })).to.throw("未知的分配公式");
+    });
+  });
+
+  describe("预算模式", function () {
+    it("缩放后的金额总和应恰好等于预算", function () {
+      const weights = [1n, 1n, 1n];
+      const budget = getBudget({ budget: "100", decimals: 0 });
+      const amounts = scaleToBudget(weights, budget);
+
+      // 100/3 = 33 余 1，零头给索引最小的地址
+      expect(amounts).to.deep.equal([34n, 33n, 33n]);
+      expect(amounts.reduce((sum, a) => sum + a, 0n)).to.equal(budget);
+    });
+
+    it("零头应优先分配给余数最大的地址", function () {
+      // 预算10按权重1:2:4分配: 1.43, 2.86, 5.71 -> 向下取整后剩余1个单位，给余数最大的索引1
+      const amounts = scaleToBudget([1n, 2n, 4n], 10n);
+      expect(amounts).to.deep.equal([1n, 3n, 6n]);
+    });
+
+    it("大规模分配结果应确定且总和精确", function () {
+      const allocation = { formula: "exponential", base: 1.3, offset: 1, budget: "1000000" };
+      const weights = Array.from({ length: 500 }, (_, i) => calculateAmount((i % 24) + 1, allocation));
+      const budget = getBudget(allocation);
+
+      const first = scaleToBudget(weights, budget);
+      const second = scaleToBudget(weights, budget);
+      expect(first).to.deep.equal(second);
+      expect(first.reduce((sum, a) => sum + a, 0n)).to.equal(ethers.parseUnits("1000000", 18));
+
+      // 权重相同的地址金额最多相差1个最小单位
+      const diff = first[0] - first[24];
+      expect(diff >= -1n && diff <= 1n).to.equal(true);
+    });
+
+    it("权重为0的地址不分配零头，全部为0时应报错", function () {
+      const amounts = scaleToBudget([0n, 3n, 0n, 3n, 3n], 10n);
+      expect(amounts[0]).to.equal(0n);
+      expect(amounts[2]).to.equal(0n);
+      expect(amounts.reduce((sum, a) => sum + a, 0n)).to.equal(10n);
+      expect(() => scaleToBudget([0n, 0n], 10n)).to.throw("权重均为0");
+    });
+  });
+});
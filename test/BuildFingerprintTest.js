@@ -0,0 +1,130 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+const merkle = require("../lib/merkle");
+const { buildMerkleTree, verifyBuild } = require("../scripts/generate_merkle_tree");
+const { quietly, writeCsvDir: writeCsvFiles } = require("./helpers");
+
+describe("可复现构建测试", function () {
+  let users;
+  let workDir;
+  let count = 0;
+
+  // 写入CSV目录，files为 文件名 => [[rank, 用户下标, 分数], ...]
+  function writeCsvDir(files) {
+    const rowsByFile = Object.fromEntries(Object.entries(files).map(([name, rows]) =>
+      [name, rows.map(([rank, i, score]) => [users[i].address, score, null, { rank }])]));
+    return writeCsvFiles(path.join(workDir, `csv-${count++}`), rowsByFile);
+  }
+
+  const build = (csvDir, options = {}) =>
+    quietly(() => buildMerkleTree(2, csvDir, path.join(workDir, `merkle-${count++}`), null, options));
+
+  before(async function () {
+    users = (await ethers.getSigners()).slice(1, 7);
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), "build-fingerprint-"));
+  });
+
+  after(function () {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  beforeEach(function () {
+    merkle.clearCache();
+  });
+
+  it("重命名或调整文件和行的顺序不应改变根，重命名不应改变构建指纹", async function () {
+    const first = await build(writeCsvDir({
+      "a.csv": [[3, 0, 1], [1, 1, 2], [5, 2, 3]],
+      "b.csv": [[2, 3, 4], [6, 4, 5], [4, 5, 6]]
+    }));
+    const renamed = await build(writeCsvDir({
+      "z.csv": [[3, 0, 1], [1, 1, 2], [5, 2, 3]],
+      "y.csv": [[2, 3, 4], [6, 4, 5], [4, 5, 6]]
+    }));
+    expect(renamed.merkleRoot).to.equal(first.merkleRoot);
+    expect(renamed.fingerprint).to.equal(first.fingerprint);
+
+    // 行顺序改变了文件内容，指纹随之改变，但根不变
+    const reordered = await build(writeCsvDir({
+      "a.csv": [[4, 5, 6], [5, 2, 3], [1, 1, 2]],
+      "b.csv": [[2, 3, 4], [6, 4, 5], [3, 0, 1]]
+    }));
+    expect(reordered.merkleRoot).to.equal(first.merkleRoot);
+    expect(reordered.fingerprint).to.not.equal(first.fingerprint);
+
+    // 全局索引按地址排序分配
+    const sorted = users.map(u => u.address.toLowerCase()).sort();
+    const merkleData = merkle.readMerkleData(first.outputDir);
+    const addressMap = merkle.readAddressMap(first.outputDir);
+    sorted.forEach((address, i) => expect(addressMap[address].index).to.equal(i));
+    expect(merkleData.build.params.order).to.equal("address");
+    expect(merkleData.build.inputs.map(input => input.file)).to.deep.equal(["a.csv", "b.csv"]);
+  });
+
+  it("input排序按文件名和行顺序分配索引，也可以按指定列排序", async function () {
+    const csvDir = writeCsvDir({
+      "b.csv": [[2, 3, 4], [6, 4, 5], [4, 5, 6]],
+      "a.csv": [[3, 0, 1], [1, 1, 2], [5, 2, 3]]
+    });
+
+    const input = await build(csvDir, { order: "input" });
+    users.forEach((user, i) => expect(input.addressMap[user.address.toLowerCase()].index).to.equal(i));
+
+    // rank列的值为数字时按数值排序
+    const ranked = await build(csvDir, { order: "rank" });
+    const ranks = [3, 1, 5, 2, 6, 4];
+    users.forEach((user, i) => expect(ranked.addressMap[user.address.toLowerCase()].index).to.equal(ranks[i] - 1));
+    expect(ranked.fingerprint).to.not.equal(input.fingerprint);
+
+    await expect(build(csvDir, { order: "missing" })).to.be.rejectedWith("缺少排序列 missing");
+  });
+
+  it("verify-build应从输入重新构建并核对已发布的根", async function () {
+    const csvDir = writeCsvDir({ "users.csv": [[1, 0, 1], [2, 1, 2], [3, 2, 3], [4, 3, 4]] });
+    const published = await build(csvDir, { order: "input" });
+
+    const report = await quietly(() => verifyBuild(published.outputDir, { csvDir }));
+    expect(report.ok).to.equal(true);
+    expect(report.rebuiltRoot).to.equal(published.merkleRoot);
+    expect(report.fingerprint).to.deep.equal({ recorded: published.fingerprint, rebuilt: published.fingerprint, match: true });
+    expect(report.differences).to.be.empty;
+
+    // 指定的根与重建的根不一致
+    const wrongRoot = await quietly(() => verifyBuild(published.outputDir, { csvDir, expectedRoot: ethers.ZeroHash }));
+    expect(wrongRoot.ok).to.equal(false);
+    expect(wrongRoot.differences).to.have.lengthOf(2);
+  });
+
+  it("输入被修改时verify-build应报告差异", async function () {
+    const csvDir = writeCsvDir({ "users.csv": [[1, 0, 1], [2, 1, 2], [3, 2, 3]] });
+    const published = await build(csvDir);
+
+    const lines = fs.readFileSync(path.join(csvDir, "users.csv"), "utf8").split("\n");
+    lines[2] = lines[2].replace(",,,,,,,2,", ",,,,,,,5,");
+    fs.writeFileSync(path.join(csvDir, "users.csv"), lines.join("\n"));
+
+    const report = await quietly(() => verifyBuild(published.outputDir, { csvDir }));
+    expect(report.ok).to.equal(false);
+    expect(report.rebuiltRoot).to.not.equal(published.merkleRoot);
+    expect(report.fingerprint.match).to.equal(false);
+    expect(report.differences).to.include("输入文件 users.csv 缺失或内容不同");
+    expect(report.differences).to.include("多出或修改过的输入文件 users.csv");
+  });
+
+  it("没有构建指纹的旧数据按input排序重新构建", async function () {
+    const csvDir = writeCsvDir({ "users.csv": [[1, 2, 3], [2, 0, 1], [3, 1, 2]] });
+    const published = await build(csvDir, { order: "input" });
+    const dataPath = path.join(published.outputDir, merkle.MERKLE_DATA_FILE);
+    const merkleData = JSON.parse(fs.readFileSync(dataPath, "utf8"));
+    delete merkleData.build;
+    fs.writeFileSync(dataPath, JSON.stringify(merkleData, null, 2));
+
+    const report = await quietly(() => verifyBuild(published.outputDir, { csvDir }));
+    expect(report.ok).to.equal(true);
+    expect(report.fingerprint.recorded).to.equal(null);
+    expect(report.fingerprint.match).to.equal(false);
+  });
+});
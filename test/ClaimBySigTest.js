@@ -0,0 +1,239 @@
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+const { time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { hashLeaf, buildTree } = require("../lib/merkle");
+const { buildClaimTypedData, createRelayer, createServer } = require("../scripts/relayer");
+const { quietly } = require("./helpers");
+
+describe("EIP-712签名领取与中继测试", function () {
+  const units = (value) => ethers.parseUnits(value, 18);
+
+  let token;
+  let distributor;
+  let owner, relayerAccount, users;
+  let airdropList;
+  let merkleTree;
+
+  // 账户签名领取，返回可提交给中继的数据
+  async function signClaim(entry, signer, deadline) {
+    const typedData = await buildClaimTypedData(distributor, { ...entry, deadline });
+    const signature = await signer.signTypedData(typedData.domain, typedData.types, typedData.message);
+    return {
+      index: entry.index,
+      account: entry.account,
+      amount: entry.amount.toString(),
+      proof: merkleTree.getHexProof(hashLeaf(entry.index, entry.account, entry.amount)),
+      deadline,
+      signature
+    };
+  }
+
+  beforeEach(async function () {
+    const signers = await ethers.getSigners();
+    [owner, relayerAccount] = signers;
+    users = signers.slice(2, 7);
+
+    airdropList = users.map((user, index) => ({ index, account: user.address, amount: units(`${100 * (index + 1)}`) }));
+    merkleTree = buildTree(airdropList.map(e => hashLeaf(e.index, e.account, e.amount)));
+
+    const Token = await ethers.getContractFactory("AirdropToken");
+    token = await Token.deploy("空投代币", "ADT", units("1000000"), units("10000000"));
+    const Distributor = await ethers.getContractFactory("MerkleDistributor");
+    distributor = await Distributor.deploy(await token.getAddress(), merkleTree.getHexRoot());
+    await token.transfer(await distributor.getAddress(), units("1500"));
+  });
+
+  describe("claimBySig", function () {
+    it("中继者可凭账户签名代为领取，代币转给账户", async function () {
+      const deadline = (await time.latest()) + 3600;
+      const signed = await signClaim(airdropList[0], users[0], deadline);
+
+      await expect(
+        distributor.connect(relayerAccount).claimBySig(signed.index, signed.account, signed.amount, signed.proof, deadline, signed.signature)
+      ).to.emit(distributor, "Claimed").withArgs(0, users[0].address, airdropList[0].amount);
+
+      expect(await token.balanceOf(users[0].address)).to.equal(airdropList[0].amount);
+      expect(await distributor.nonces(users[0].address)).to.equal(1);
+    });
+
+    it("过期或非本人的签名应被拒绝", async function () {
+      const deadline = (await time.latest()) + 3600;
+
+      const byOther = await signClaim(airdropList[0], users[1], deadline);
+      await expect(
+        distributor.claimBySig(byOther.index, byOther.account, byOther.amount, byOther.proof, deadline, byOther.signature)
+      ).to.be.revertedWith("MerkleDistributor: Invalid signature");
+
+      const signed = await signClaim(airdropList[0], users[0], deadline);
+      await time.increaseTo(deadline + 1);
+      await expect(
+        distributor.claimBySig(signed.index, signed.account, signed.amount, signed.proof, deadline, signed.signature)
+      ).to.be.revertedWith("MerkleDistributor: Signature expired");
+    });
+
+    it("签名不能用于其他金额", async function () {
+      const deadline = (await time.latest()) + 3600;
+      const signed = await signClaim(airdropList[0], users[0], deadline);
+      await expect(
+        distributor.claimBySig(signed.index, signed.account, units("1000"), signed.proof, deadline, signed.signature)
+      ).to.be.revertedWith("MerkleDistributor: Invalid signature");
+    });
+  });
+
+  describe("中继器", function () {
+    it("应按批通过multicall提交队列中的签名领取", async function () {
+      const relayer = createRelayer({ distributor: distributor.connect(relayerAccount), batchSize: 2 });
+      const deadline = (await time.latest()) + 3600;
+
+      for (let i = 0; i < 5; i++) {
+        const status = await relayer.submit(await signClaim(airdropList[i], users[i], deadline));
+        expect(status.status).to.equal("queued");
+      }
+      expect(relayer.pendingCount()).to.equal(5);
+
+      const originalLog = console.log;
+      console.log = () => {};
+      let results;
+      try {
+        results = await relayer.flush();
+      } finally {
+        console.log = originalLog;
+      }
+
+      expect(results.map(r => r.count)).to.deep.equal([2, 2, 1]);
+      for (let i = 0; i < 5; i++) {
+        expect(await token.balanceOf(users[i].address)).to.equal(airdropList[i].amount);
+        expect(relayer.getStatus(i).status).to.equal("confirmed");
+      }
+    });
+
+    it("无效签名直接拒绝，排队期间已领取的在提交前剔除", async function () {
+      const relayer = createRelayer({ distributor: distributor.connect(relayerAccount) });
+      const deadline = (await time.latest()) + 3600;
+
+      const forged = await signClaim(airdropList[0], users[1], deadline);
+      await expect(relayer.submit(forged)).to.be.rejectedWith("Invalid signature");
+
+      await relayer.submit(await signClaim(airdropList[0], users[0], deadline));
+      await relayer.submit(await signClaim(airdropList[1], users[1], deadline));
+      await expect(relayer.submit(await signClaim(airdropList[1], users[1], deadline)))
+        .to.be.rejectedWith("已在队列中");
+
+      // 用户自己直接领取了index 0
+      const proof = merkleTree.getHexProof(hashLeaf(0, users[0].address, airdropList[0].amount));
+      await distributor.connect(users[0]).claim(0, users[0].address, airdropList[0].amount, proof);
+
+      const originalLog = console.log;
+      console.log = () => {};
+      try {
+        await relayer.flush();
+      } finally {
+        console.log = originalLog;
+      }
+
+      expect(relayer.getStatus(0).status).to.equal("rejected");
+      expect(relayer.getStatus(1).status).to.equal("confirmed");
+      expect(await token.balanceOf(users[1].address)).to.equal(airdropList[1].amount);
+    });
+
+    it("模拟执行期间预留index，并发提交的相同领取只接受一个", async function () {
+      const relayer = createRelayer({ distributor: distributor.connect(relayerAccount) });
+      const deadline = (await time.latest()) + 3600;
+      const signed = await signClaim(airdropList[0], users[0], deadline);
+
+      const results = await Promise.allSettled([relayer.submit(signed), relayer.submit(signed)]);
+      expect(results.map(r => r.status)).to.deep.equal(["fulfilled", "rejected"]);
+      expect(results[1].reason.message).to.include("已在队列中");
+      expect(relayer.pendingCount()).to.equal(1);
+
+      // 模拟执行失败时释放预留，之后可重新提交
+      const forged = await signClaim(airdropList[1], users[0], deadline);
+      await expect(relayer.submit(forged)).to.be.rejectedWith("Invalid signature");
+      expect(relayer.getStatus(1)).to.equal(null);
+      await relayer.submit(await signClaim(airdropList[1], users[1], deadline));
+      expect(relayer.getStatus(1).status).to.equal("queued");
+    });
+
+    it("multicall回滚时逐个重新模拟，仍可执行的领取重新排队", async function () {
+      const relayerDistributor = distributor.connect(relayerAccount);
+      // 提交前用户自己直接领取了index 0，使整批multicall回滚
+      const directClaim = async () => {
+        const proof = merkleTree.getHexProof(hashLeaf(0, users[0].address, airdropList[0].amount));
+        await distributor.connect(users[0]).claim(0, users[0].address, airdropList[0].amount, proof);
+      };
+      let claimedDirectly = false;
+      const relayer = createRelayer({
+        distributor: {
+          interface: relayerDistributor.interface,
+          claimBySig: relayerDistributor.claimBySig,
+          multicall: async (calls) => {
+            if (!claimedDirectly) {
+              claimedDirectly = true;
+              await directClaim();
+            }
+            return relayerDistributor.multicall(calls);
+          }
+        }
+      });
+      const deadline = (await time.latest()) + 3600;
+      await relayer.submit(await signClaim(airdropList[0], users[0], deadline));
+      await relayer.submit(await signClaim(airdropList[1], users[1], deadline));
+
+      const originalError = console.error;
+      console.error = () => {};
+      try {
+        expect(await quietly(() => relayer.flush())).to.deep.equal([]);
+      } finally {
+        console.error = originalError;
+      }
+      expect(relayer.getStatus(0)).to.include({ status: "rejected" });
+      expect(relayer.getStatus(1)).to.include({ status: "queued" });
+      expect(relayer.pendingCount()).to.equal(1);
+
+      const results = await quietly(() => relayer.flush());
+      expect(results.map(r => r.count)).to.deep.equal([1]);
+      expect(relayer.getStatus(1).status).to.equal("confirmed");
+      expect(await token.balanceOf(users[1].address)).to.equal(airdropList[1].amount);
+    });
+
+    it("HTTP接口应返回待签名数据并接收签名领取", async function () {
+      const relayer = createRelayer({ distributor: distributor.connect(relayerAccount) });
+      const server = createServer(relayer, distributor);
+      await new Promise(resolve => server.listen(0, resolve));
+      const baseUrl = `http://127.0.0.1:${server.address().port}`;
+      const post = (pathname, body) => fetch(`${baseUrl}${pathname}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body)
+      });
+
+      try {
+        const entry = airdropList[2];
+        const deadline = (await time.latest()) + 3600;
+        const typedRes = await post("/typed-data", { index: entry.index, account: entry.account, amount: entry.amount.toString(), deadline });
+        const typedData = await typedRes.json();
+        expect(typedData.message.nonce).to.equal("0");
+
+        // 缺少或无效的数字字段返回400
+        for (const body of [{ account: entry.account, amount: "1", deadline }, { index: 1, account: entry.account, amount: "1.5", deadline }]) {
+          const invalidRes = await post("/typed-data", body);
+          expect(invalidRes.status).to.equal(400);
+        }
+        expect((await (await post("/typed-data", { index: 1, account: entry.account, amount: "1" })).json()).error).to.equal("缺少deadline");
+
+        const signature = await users[2].signTypedData(typedData.domain, typedData.types, typedData.message);
+        const proof = merkleTree.getHexProof(hashLeaf(entry.index, entry.account, entry.amount));
+        const claimRes = await post("/claims", { index: 2, account: entry.account, amount: entry.amount.toString(), proof, deadline, signature });
+        expect(claimRes.status).to.equal(202);
+
+        const badRes = await post("/claims", { index: 3, account: "0x1234", amount: "1", proof: [], deadline, signature });
+        expect(badRes.status).to.equal(400);
+
+        const statusRes = await fetch(`${baseUrl}/claims/2`);
+        expect((await statusRes.json()).status).to.equal("queued");
+      } finally {
+        server.close();
+      }
+    });
+  });
+});
@@ -0,0 +1,118 @@
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+const { time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { hashLeaf, buildTree } = require("../lib/merkle");
+const { buildSignaturePayload } = require("../scripts/generate_merkle_proof");
+
+describe("指定接收地址领取测试", function () {
+  const units = (value) => ethers.parseUnits(value, 18);
+
+  let token;
+  let distributor;
+  let wallet;
+  let owner, user, coldWallet, walletOwner, relayerAccount;
+  let airdropList;
+  let merkleTree;
+
+  // 构造与getMerkleProof结果相同结构的证明数据
+  function proofDataFor(entry) {
+    return {
+      index: entry.index,
+      address: entry.account,
+      amount: entry.amount.toString(),
+      combinedProof: merkleTree.getHexProof(hashLeaf(entry.index, entry.account, entry.amount))
+    };
+  }
+
+  async function payloadFor(entry, recipient) {
+    const { chainId } = await ethers.provider.getNetwork();
+    return buildSignaturePayload(proofDataFor(entry), {
+      distributor: await distributor.getAddress(),
+      chainId,
+      recipient,
+      nonce: await distributor.nonces(entry.account),
+      deadline: (await time.latest()) + 3600
+    });
+  }
+
+  async function sign(signer, payload) {
+    const { domain, types, message } = payload.typedData;
+    return signer.signTypedData(domain, types, message);
+  }
+
+  beforeEach(async function () {
+    [owner, user, coldWallet, walletOwner, relayerAccount] = await ethers.getSigners();
+
+    const Wallet = await ethers.getContractFactory("MockERC1271Wallet");
+    wallet = await Wallet.deploy(walletOwner.address);
+
+    airdropList = [
+      { index: 0, account: user.address, amount: units("100") },
+      { index: 1, account: await wallet.getAddress(), amount: units("200") }
+    ];
+    merkleTree = buildTree(airdropList.map(e => hashLeaf(e.index, e.account, e.amount)));
+
+    const Token = await ethers.getContractFactory("AirdropToken");
+    token = await Token.deploy("空投代币", "ADT", units("1000000"), units("10000000"));
+    const Distributor = await ethers.getContractFactory("MerkleDistributor");
+    distributor = await Distributor.deploy(await token.getAddress(), merkleTree.getHexRoot());
+    await token.transfer(await distributor.getAddress(), units("300"));
+  });
+
+  it("EOA签名后任何人都可以把代币领取到指定接收地址", async function () {
+    const payload = await payloadFor(airdropList[0], coldWallet.address);
+    expect(payload.method).to.equal("claimTo");
+    const signature = await sign(user, payload);
+
+    await expect(distributor.connect(relayerAccount).claimTo(...payload.args, signature))
+      .to.emit(distributor, "ClaimedTo").withArgs(0, user.address, coldWallet.address, units("100"));
+
+    expect(await token.balanceOf(coldWallet.address)).to.equal(units("100"));
+    expect(await token.balanceOf(user.address)).to.equal(0);
+    expect(await distributor.isClaimed(0)).to.be.true;
+  });
+
+  it("合约钱包通过ERC-1271签名授权", async function () {
+    const payload = await payloadFor(airdropList[1], coldWallet.address);
+    const signature = await sign(walletOwner, payload);
+
+    await distributor.claimTo(...payload.args, signature);
+    expect(await token.balanceOf(coldWallet.address)).to.equal(units("200"));
+  });
+
+  it("签名不能改用其他接收地址，非账户签名应被拒绝", async function () {
+    const payload = await payloadFor(airdropList[0], coldWallet.address);
+    const signature = await sign(user, payload);
+
+    const redirected = [...payload.args];
+    redirected[3] = relayerAccount.address;
+    await expect(distributor.claimTo(...redirected, signature))
+      .to.be.revertedWith("MerkleDistributor: Invalid signature");
+
+    const forged = await sign(relayerAccount, payload);
+    await expect(distributor.claimTo(...payload.args, forged))
+      .to.be.revertedWith("MerkleDistributor: Invalid signature");
+
+    const walletPayload = await payloadFor(airdropList[1], coldWallet.address);
+    await expect(distributor.claimTo(...walletPayload.args, await sign(user, walletPayload)))
+      .to.be.revertedWith("MerkleDistributor: Invalid signature");
+  });
+
+  it("未指定接收地址时生成claimBySig数据", async function () {
+    const payload = await payloadFor(airdropList[1]);
+    expect(payload.method).to.equal("claimBySig");
+    expect(payload.typedData.primaryType).to.equal("Claim");
+
+    await distributor.claimBySig(...payload.args, await sign(walletOwner, payload));
+    expect(await token.balanceOf(await wallet.getAddress())).to.equal(units("200"));
+  });
+
+  it("零地址不能作为接收地址", async function () {
+    const payload = await payloadFor(airdropList[0], coldWallet.address);
+    const signature = await sign(user, payload);
+    const args = [...payload.args];
+    args[3] = ethers.ZeroAddress;
+    await expect(distributor.claimTo(...args, signature))
+      .to.be.revertedWith("MerkleDistributor: Invalid recipient");
+  });
+});
@@ -0,0 +1,170 @@
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+const { time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { hashLeaf, buildTree } = require("../lib/merkle");
+
+describe("领取窗口与剩余代币回收测试", function () {
+  const DAY = 24 * 60 * 60;
+  let token;
+  let distributor;
+  let owner, addr1, addr2, treasury;
+  let airdropList;
+  let merkleTree;
+  let start, end;
+
+  function claim(entry, signer = owner) {
+    const proof = merkleTree.getHexProof(hashLeaf(entry.index, entry.account, entry.amount));
+    return distributor.connect(signer).claim(entry.index, entry.account, entry.amount, proof);
+  }
+
+  beforeEach(async function () {
+    [owner, addr1, addr2, treasury] = await ethers.getSigners();
+
+    airdropList = [
+      { index: 0, account: addr1.address, amount: ethers.parseUnits("100", 18) },
+      { index: 1, account: addr2.address, amount: ethers.parseUnits("200", 18) }
+    ];
+    merkleTree = buildTree(airdropList.map(e => hashLeaf(e.index, e.account, e.amount)));
+
+    const Token = await ethers.getContractFactory("AirdropToken");
+    token = await Token.deploy("空投代币", "ADT", ethers.parseUnits("1000000", 18), ethers.parseUnits("10000000", 18));
+    const Distributor = await ethers.getContractFactory("MerkleDistributor");
+    distributor = await Distributor.deploy(await token.getAddress(), merkleTree.getHexRoot());
+    await token.transfer(await distributor.getAddress(), ethers.parseUnits("300", 18));
+
+    // 一天后开始，持续七天
+    start = (await time.latest()) + DAY;
+    end = start + 7 * DAY;
+    await expect(distributor.setClaimWindow(start, end))
+      .to.emit(distributor, "ClaimWindowUpdated").withArgs(start, end);
+    await distributor.setTreasury(treasury.address);
+  });
+
+  describe("领取窗口", function () {
+    it("开始前不能领取，开始时刻即可领取", async function () {
+      await time.setNextBlockTimestamp(start - 1);
+      await expect(claim(airdropList[0])).to.be.revertedWith("MerkleDistributor: Claim not started");
+
+      await time.setNextBlockTimestamp(start);
+      await expect(claim(airdropList[0])).to.emit(distributor, "Claimed");
+    });
+
+    it("截止前最后一秒可以领取，截止时刻起不能领取", async function () {
+      await time.setNextBlockTimestamp(end - 1);
+      await expect(claim(airdropList[0])).to.emit(distributor, "Claimed");
+
+      await time.setNextBlockTimestamp(end);
+      await expect(claim(airdropList[1])).to.be.revertedWith("MerkleDistributor: Claim ended");
+    });
+
+    it("组合证明领取同样受窗口限制", async function () {
+      const entry = airdropList[0];
+      const proof = merkleTree.getHexProof(hashLeaf(entry.index, entry.account, entry.amount));
+      await expect(
+        distributor.claimWithBatchProof(entry.index, entry.account, entry.amount, proof, [])
+      ).to.be.revertedWith("MerkleDistributor: Claim not started");
+    });
+
+    it("领取开始后不能推迟开始时间或缩短截止时间", async function () {
+      await time.increaseTo(start + DAY);
+
+      await expect(distributor.setClaimWindow(start + 2 * DAY, end))
+        .to.be.revertedWith("MerkleDistributor: Claim already started");
+      await expect(distributor.setClaimWindow(start, end - 1))
+        .to.be.revertedWith("MerkleDistributor: Cannot shorten claim window");
+
+      // 延长截止时间是允许的
+      await distributor.setClaimWindow(start, end + DAY);
+      expect(await distributor.claimEnd()).to.equal(end + DAY);
+    });
+
+    it("截止后不能再修改窗口，无效窗口应被拒绝", async function () {
+      await expect(distributor.setClaimWindow(end, start))
+        .to.be.revertedWith("MerkleDistributor: Invalid claim window");
+
+      await expect(distributor.setClaimWindow(0, await time.latest()))
+        .to.be.revertedWith("MerkleDistributor: End in the past");
+
+      await time.increaseTo(end);
+      await expect(distributor.setClaimWindow(start, end + DAY))
+        .to.be.revertedWith("MerkleDistributor: Claim ended");
+    });
+
+    it("未设置窗口时领取已开放，已有领取后首次设置窗口不能推迟开始时间", async function () {
+      const Distributor = await ethers.getContractFactory("MerkleDistributor");
+      distributor = await Distributor.deploy(await token.getAddress(), merkleTree.getHexRoot());
+      await token.transfer(await distributor.getAddress(), ethers.parseUnits("300", 18));
+
+      // 未设置窗口时sweep和rescueTokens都不可用
+      await expect(distributor.sweep()).to.be.revertedWith("MerkleDistributor: Claim not ended");
+      await expect(distributor.rescueTokens(owner.address, 1))
+        .to.be.revertedWith("MerkleDistributor: Claim window active");
+
+      expect(await distributor.hasClaims()).to.equal(false);
+      await claim(airdropList[0]);
+      expect(await distributor.hasClaims()).to.equal(true);
+
+      const future = (await time.latest()) + DAY;
+      await expect(distributor.setClaimWindow(future, future + DAY))
+        .to.be.revertedWith("MerkleDistributor: Claim already started");
+
+      // 不推迟开始时间时仍可设置截止时间
+      await distributor.setClaimWindow(0, future + DAY);
+      expect(await distributor.claimEnd()).to.equal(future + DAY);
+    });
+
+    it("只有所有者可以设置窗口和treasury", async function () {
+      await expect(distributor.connect(addr1).setClaimWindow(0, 0)).to.be.reverted;
+      await expect(distributor.connect(addr1).setTreasury(addr1.address)).to.be.reverted;
+      await expect(distributor.setTreasury(ethers.ZeroAddress))
+        .to.be.revertedWith("MerkleDistributor: Invalid treasury");
+    });
+  });
+
+  describe("sweep", function () {
+    it("截止前不能回收", async function () {
+      await time.setNextBlockTimestamp(end - 1);
+      await expect(distributor.sweep()).to.be.revertedWith("MerkleDistributor: Claim not ended");
+    });
+
+    it("截止后将剩余代币转入treasury", async function () {
+      await time.increaseTo(start);
+      await claim(airdropList[0]);
+
+      await time.setNextBlockTimestamp(end);
+      const remainder = ethers.parseUnits("200", 18);
+      await expect(distributor.sweep())
+        .to.emit(distributor, "Swept").withArgs(treasury.address, remainder);
+
+      expect(await token.balanceOf(treasury.address)).to.equal(remainder);
+      expect(await token.balanceOf(await distributor.getAddress())).to.equal(0);
+    });
+
+    it("未设置截止时间时不能回收", async function () {
+      const Distributor = await ethers.getContractFactory("MerkleDistributor");
+      const openEnded = await Distributor.deploy(await token.getAddress(), merkleTree.getHexRoot());
+      await openEnded.setTreasury(treasury.address);
+      await expect(openEnded.sweep()).to.be.revertedWith("MerkleDistributor: Claim not ended");
+    });
+
+    it("只有所有者可以回收", async function () {
+      await time.increaseTo(end);
+      await expect(distributor.connect(addr1).sweep()).to.be.reverted;
+    });
+  });
+
+  describe("rescueTokens", function () {
+    it("领取窗口内不能提取，开始前和截止后可以", async function () {
+      const amount = ethers.parseUnits("10", 18);
+      await distributor.rescueTokens(owner.address, amount);
+
+      await time.increaseTo(start);
+      await expect(distributor.rescueTokens(owner.address, amount))
+        .to.be.revertedWith("MerkleDistributor: Claim window active");
+
+      await time.increaseTo(end);
+      await distributor.rescueTokens(owner.address, amount);
+      expect(await token.balanceOf(await distributor.getAddress())).to.equal(ethers.parseUnits("280", 18));
+    });
+  });
+});
@@ -0,0 +1,133 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+const merkle = require("../lib/merkle");
+const csv = require("../lib/csv");
+const { buildMerkleTree } = require("../scripts/generate_merkle_tree");
+const { quietly } = require("./helpers");
+
+describe("CSV读取测试", function () {
+  let users;
+  let workDir;
+  let count = 0;
+
+  function writeFile(name, content) {
+    const filePath = path.join(workDir, `${count++}-${name}`);
+    fs.writeFileSync(filePath, content);
+    return filePath;
+  }
+
+  async function readAll(filePath, schema) {
+    const rows = [];
+    const errors = [];
+    for await (const row of csv.readCsv(filePath, schema, { onRowError: error => errors.push(error) })) {
+      rows.push(row);
+    }
+    return { rows, errors };
+  }
+
+  before(async function () {
+    users = (await ethers.getSigners()).slice(1, 4);
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), "csv-reader-"));
+  });
+
+  after(function () {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  it("识别分隔符，忽略引号中的分隔符", function () {
+    expect(csv.detectDelimiter("id,address,total_score")).to.equal(",");
+    expect(csv.detectDelimiter("id\taddress\ttotal_score")).to.equal("\t");
+    expect(csv.detectDelimiter("id;address;total_score")).to.equal(";");
+    expect(csv.detectDelimiter("\"a,b,c\";address;score")).to.equal(";");
+    expect(csv.detectDelimiter("address")).to.equal(",");
+  });
+
+  it("按表头名称读取列，引号中的逗号不拆分字段，行号与文件一致", async function () {
+    const filePath = writeFile("users.csv", [
+      "\uFEFFlabel,Total_Score,ADDRESS",
+      "\"DEX, Bridge\",3,0xaaa",
+      "",
+      "\"多行\n标签\",2.5,0xbbb",
+      "plain,1,0xccc"
+    ].join("\r\n"));
+    const { rows, errors } = await readAll(filePath, csv.SCHEMAS.merkleInput);
+
+    expect(errors).to.be.empty;
+    expect(rows.map(row => row.values)).to.deep.equal([
+      { address: "0xaaa", score: 3 },
+      { address: "0xbbb", score: 2.5 },
+      { address: "0xccc", score: 1 }
+    ]);
+    expect(rows[0].row).to.deep.equal({ label: "DEX, Bridge", Total_Score: "3", ADDRESS: "0xaaa" });
+    expect(rows.map(row => row.line)).to.deep.equal([2, 5, 6]);
+    expect(rows[0].file).to.equal(path.basename(filePath));
+  });
+
+  it("缺少必需值、分数不是数字和无法解析的行作为行错误报告", async function () {
+    const filePath = writeFile("errors.tsv", [
+      "address\ttotal_score",
+      "0xaaa\t1",
+      "\t2",
+      "0xbbb\tabc",
+      "0xccc",
+      "0xddd\t4",
+      "\"0xeee\t5"
+    ].join("\n"));
+    const { rows, errors } = await readAll(filePath, csv.SCHEMAS.merkleInput);
+    const file = path.basename(filePath);
+
+    expect(rows.map(row => row.values.address)).to.deep.equal(["0xaaa", "0xddd"]);
+    expect(errors.slice(0, 3)).to.deep.equal([
+      { file, line: 3, column: "address", message: "值为空" },
+      { file, line: 4, column: "total_score", message: "不是数字: abc" },
+      { file, line: 5, column: "total_score", message: "缺少该列" }
+    ]);
+    expect(errors[3]).to.include({ file, line: 7 });
+    expect(errors[3].message).to.match(/^无法解析/);
+    expect(csv.formatRowError(errors[1])).to.equal(`${file}:4 total_score: 不是数字: abc`);
+  });
+
+  it("缺少schema中的必需列时报错，表头不规范的快照文件按位置读取", async function () {
+    const filePath = writeFile("missing.csv", "id,wallet,points\n1,0xaaa,3\n");
+    await expect(readAll(filePath, csv.SCHEMAS.merkleInput))
+      .to.be.rejectedWith("缺少generate_merkle_tree阶段的必需列: address, total_score或score（表头: id, wallet, points）");
+
+    const snapshot = writeFile("snapshot.csv", "wallet,first_seen\n0xaaa,2024\n");
+    const { rows } = await readAll(snapshot, csv.SCHEMAS.islandSnapshot);
+    expect(rows.map(row => row.values.address)).to.deep.equal(["0xaaa"]);
+
+    await expect(readAll(writeFile("empty.csv", ""), csv.SCHEMAS.merkleInput)).to.be.rejectedWith("没有表头");
+  });
+
+  it("构建Merkle树时按表头读取地址和分数，跳过的行记录到构建结果", async function () {
+    merkle.clearCache();
+    const csvDir = path.join(workDir, `csv-${count++}`);
+    fs.mkdirSync(csvDir);
+    // 列顺序与默认格式不同，标签中含逗号，分号分隔
+    fs.writeFileSync(path.join(csvDir, "a.csv"), [
+      "total_score;label;address",
+      `2;"Whale; OG";${users[0].address}`,
+      `abc;x;${users[1].address}`,
+      `1;;${users[2].address}`
+    ].join("\n"));
+    fs.writeFileSync(path.join(csvDir, "b.csv"), [
+      "id,address,label,total_score",
+      `1,${users[1].address},"DEX, Bridge",3`
+    ].join("\n"));
+
+    const outputDir = path.join(workDir, `merkle-${count++}`);
+    const result = await quietly(() => buildMerkleTree(2, csvDir, outputDir));
+
+    expect(Object.keys(result.addressMap)).to.have.members(users.map(user => user.address.toLowerCase()));
+    expect(result.rowErrors).to.deep.equal([{ file: "a.csv", line: 3, column: "total_score", message: "不是数字: abc" }]);
+    const merkleData = merkle.readMerkleData(outputDir);
+    expect(merkleData.rowErrors).to.equal(1);
+    expect(merkleData.totalRecords).to.equal(4);
+
+    const { batchIndex, localIndex } = result.addressMap[users[1].address.toLowerCase()];
+    expect(merkle.readBatch(outputDir, batchIndex).records[localIndex].amount).to.equal(ethers.parseUnits("1.69", 18).toString());
+  });
+});
@@ -0,0 +1,118 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+const { buildMerkleTree } = require("../scripts/generate_merkle_tree");
+const { getMerkleProof } = require("../scripts/generate_merkle_proof");
+const { readAllocationTotal } = require("../scripts/deploy");
+const { readEpochData, publishEpoch } = require("../scripts/publish_epoch");
+const { quietly, writeCsvDir } = require("./helpers");
+
+describe("累计金额空投分发测试", function () {
+  let token;
+  let distributor;
+  let users;
+  let workDir;
+
+  const epochDir = (epoch) => path.join(workDir, `epoch_${epoch}`);
+  const proofFor = (user, epoch) => quietly(() => getMerkleProof(user.address, epochDir(epoch)));
+  const claim = (proof) => distributor.claim(proof.address, proof.amount, proof.combinedProof);
+
+  // 生成一期的CSV，并在上一期累计金额的基础上构建Merkle树
+  async function buildEpoch(epoch, rows) {
+    const csvDir = writeCsvDir(path.join(workDir, `csv_${epoch}`), {
+      "users.csv": rows.map(([user, score]) => [user.address, score])
+    });
+
+    const previousCumulative = epoch > 1 ? epochDir(epoch - 1) : null;
+    return quietly(() => buildMerkleTree(2, csvDir, epochDir(epoch), null, { cumulative: true, previousCumulative }));
+  }
+
+  before(async function () {
+    const signers = await ethers.getSigners();
+    users = signers.slice(2, 6);
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), "cumulative-"));
+
+    // 第2期：users[0]没有新奖励，users[1]出现两次，users[3]首次获得奖励
+    await buildEpoch(1, [[users[0], 1], [users[1], 2], [users[2], 3]]);
+    await buildEpoch(2, [[users[1], 1], [users[1], 2], [users[2], 1], [users[3], 4]]);
+  });
+
+  after(function () {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  beforeEach(async function () {
+    const Token = await ethers.getContractFactory("AirdropToken");
+    token = await Token.deploy("空投代币", "ADT", ethers.parseUnits("1000000", 18), ethers.parseUnits("10000000", 18));
+    const Distributor = await ethers.getContractFactory("CumulativeMerkleDistributor");
+    distributor = await Distributor.deploy(await token.getAddress());
+  });
+
+  it("累计模式应在上一期的基础上累加本期金额", async function () {
+    const first = JSON.parse(fs.readFileSync(path.join(epochDir(1), "cumulative.json"), "utf8"));
+    const second = JSON.parse(fs.readFileSync(path.join(epochDir(2), "cumulative.json"), "utf8"));
+    const key = (user) => user.address.toLowerCase();
+    const units = (amount) => ethers.parseUnits(amount, 18);
+
+    expect(second.epoch).to.equal(2);
+    expect(second.totals[key(users[0])]).to.equal(first.totals[key(users[0])]);
+    expect(BigInt(second.totals[key(users[1])])).to.equal(BigInt(first.totals[key(users[1])]) + units("1") + units("1.3"));
+    expect(BigInt(second.totals[key(users[3])])).to.equal(units("2.197"));
+
+    const merkleData = JSON.parse(fs.readFileSync(path.join(epochDir(2), "merkle_data.json"), "utf8"));
+    expect(merkleData.leafFormat).to.equal("account,cumulativeAmount");
+    expect(merkleData.totalAmount).to.equal(second.totalAmount);
+    expect(BigInt(merkleData.epochAmount)).to.equal(BigInt(second.totalAmount) - BigInt(first.totalAmount));
+
+    const proof = await proofFor(users[1], 2);
+    expect(proof.index).to.be.undefined;
+    expect(BigInt(proof.epochAmount)).to.equal(units("2.3"));
+  });
+
+  it("每期只领取累计金额与已领取金额的差额", async function () {
+    await quietly(() => publishEpoch(distributor, token, readEpochData(epochDir(1))));
+    const first = await proofFor(users[1], 1);
+    await expect(claim(first))
+      .to.emit(distributor, "Claimed").withArgs(users[1].address, first.amount, first.amount);
+
+    // 第2期只需补足新增部分
+    const epochData = readEpochData(epochDir(2));
+    const { funded } = await quietly(() => publishEpoch(distributor, token, epochData));
+    expect(funded).to.equal(epochData.epochAmount);
+
+    // 旧证明在新根下无效
+    await expect(claim(first)).to.be.revertedWith("CumulativeMerkleDistributor: Invalid proof");
+
+    const second = await proofFor(users[1], 2);
+    const delta = BigInt(second.amount) - BigInt(first.amount);
+    await expect(claim(second))
+      .to.emit(distributor, "Claimed").withArgs(users[1].address, delta, second.amount);
+    expect(await token.balanceOf(users[1].address)).to.equal(second.amount);
+    await expect(claim(second)).to.be.revertedWith("CumulativeMerkleDistributor: Nothing to claim");
+
+    // 第1期未领取的地址直接领取累计金额
+    const skipped = await proofFor(users[0], 2);
+    await users[0].sendTransaction({ to: await distributor.getAddress(), data: skipped.callData.claimWithBatchProof });
+    expect(await token.balanceOf(users[0].address)).to.equal(skipped.amount);
+    expect(await distributor.totalClaimed()).to.equal(BigInt(second.amount) + BigInt(skipped.amount));
+  });
+
+  it("链上下一期与Merkle数据的期数不一致时拒绝发布", async function () {
+    await expect(quietly(() => publishEpoch(distributor, token, readEpochData(epochDir(2)))))
+      .to.be.rejectedWith("与Merkle数据的期数 2 不一致");
+  });
+
+  it("累计模式Merkle树不能用于MerkleDistributor", function () {
+    expect(() => readAllocationTotal(epochDir(1))).to.throw("只能用于CumulativeMerkleDistributor");
+    expect(readAllocationTotal(epochDir(1), { cumulative: true }).total)
+      .to.equal(readEpochData(epochDir(1)).total);
+  });
+
+  it("只有所有者可以发布Merkle根", async function () {
+    await expect(distributor.connect(users[0]).setMerkleRoot(ethers.id("root"))).to.be.reverted;
+    await expect(distributor.setMerkleRoot(ethers.ZeroHash))
+      .to.be.revertedWith("CumulativeMerkleDistributor: Invalid merkle root");
+  });
+});
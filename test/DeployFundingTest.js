@@ -0,0 +1,198 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+const { hashLeaf, buildTree } = require("../lib/merkle");
+const {
+  readAllocationTotal,
+  planFunding,
+  resolveVestingSchedule,
+  inspectFunding,
+  checkExistingDistributor,
+  executeFunding
+} = require("../scripts/deploy");
+
+describe("分发合约注资测试", function () {
+  const units = (value) => ethers.parseUnits(value, 18);
+
+  describe("planFunding", function () {
+    it("只补足分发合约余额与分配总额的差额", function () {
+      const plan = planFunding({
+        required: units("1000"),
+        distributorBalance: units("400"),
+        deployerBalance: units("5000"),
+        canMint: true,
+        mintable: units("100000")
+      });
+      expect(plan.shortfall).to.equal(units("600"));
+      expect(plan.transfer).to.equal(units("600"));
+      expect(plan.mint).to.equal(0n);
+      expect(plan.problems).to.be.empty;
+    });
+
+    it("部署者余额不足时用铸造补足剩余部分", function () {
+      const plan = planFunding({
+        required: units("1000"),
+        distributorBalance: 0n,
+        deployerBalance: units("300"),
+        canMint: true,
+        mintable: units("100000")
+      });
+      expect(plan.transfer).to.equal(units("300"));
+      expect(plan.mint).to.equal(units("700"));
+      expect(plan.problems).to.be.empty;
+    });
+
+    it("无法足额注资或已超额时应报告问题", function () {
+      const noMinter = planFunding({
+        required: units("1000"),
+        distributorBalance: 0n,
+        deployerBalance: units("300"),
+        canMint: false,
+        mintable: units("100000")
+      });
+      expect(noMinter.problems[0]).to.include("资金不足");
+
+      const capReached = planFunding({
+        required: units("1000"),
+        distributorBalance: 0n,
+        deployerBalance: units("300"),
+        canMint: true,
+        mintable: units("200")
+      });
+      expect(capReached.mint).to.equal(units("200"));
+      expect(capReached.problems[0]).to.include("资金不足");
+
+      const surplus = planFunding({
+        required: units("1000"),
+        distributorBalance: units("1200"),
+        deployerBalance: 0n,
+        canMint: false,
+        mintable: 0n
+      });
+      expect(surplus.transfer).to.equal(0n);
+      expect(surplus.problems[0]).to.include("超出分配总额");
+    });
+  });
+
+  describe("链上注资", function () {
+    it("应转账并铸造至分发合约余额恰好等于分配总额", async function () {
+      const [deployer] = await ethers.getSigners();
+      const Token = await ethers.getContractFactory("AirdropToken");
+      const token = await Token.deploy("空投代币", "ADT", units("500"), units("10000"));
+      const Distributor = await ethers.getContractFactory("MerkleDistributor");
+      const distributor = await Distributor.deploy(await token.getAddress(), ethers.ZeroHash);
+      const distributorAddress = await distributor.getAddress();
+
+      // 已有部分余额，只需补足差额
+      await token.transfer(distributorAddress, units("100"));
+
+      const required = units("1234.5");
+      const plan = await inspectFunding(token, deployer.address, distributorAddress, required);
+      expect(plan.transfer).to.equal(units("400"));
+      expect(plan.mint).to.equal(units("734.5"));
+
+      await executeFunding(token, distributorAddress, plan);
+      expect(await token.balanceOf(distributorAddress)).to.equal(required);
+      expect(await token.balanceOf(deployer.address)).to.equal(0n);
+    });
+
+    it("已部署的分发合约已有领取时不再补足资金，Merkle根不一致时报告问题", async function () {
+      const [deployer, user] = await ethers.getSigners();
+      const amount = units("100");
+      const tree = buildTree([hashLeaf(0, user.address, amount), hashLeaf(1, deployer.address, amount)]);
+      const allocation = { root: tree.getHexRoot(), total: units("200"), leafEncoding: null };
+
+      const Token = await ethers.getContractFactory("AirdropToken");
+      const token = await Token.deploy("空投代币", "ADT", units("1000"), units("10000"));
+      const Distributor = await ethers.getContractFactory("MerkleDistributor");
+      const distributor = await Distributor.deploy(await token.getAddress(), allocation.root);
+      const distributorAddress = await distributor.getAddress();
+      await token.transfer(distributorAddress, allocation.total);
+
+      // 领取前余额足额，没有问题
+      let plan = await inspectFunding(token, deployer.address, distributorAddress, allocation.total);
+      expect(await checkExistingDistributor(distributor, allocation, plan)).to.deep.equal([]);
+
+      // 领取后按分配总额计算会差出已领取的金额，不能重复注资
+      await distributor.claim(0, user.address, amount, tree.getHexProof(hashLeaf(0, user.address, amount)));
+      plan = await inspectFunding(token, deployer.address, distributorAddress, allocation.total);
+      expect(plan.transfer).to.equal(amount);
+      const problems = await checkExistingDistributor(distributor, allocation, plan);
+      expect(problems).to.have.length(1);
+      expect(problems[0]).to.include("分发合约已有领取");
+      expect(plan).to.include({ shortfall: 0n, transfer: 0n, mint: 0n });
+
+      // 链上的根与merkle_data.json不一致
+      const otherRoot = buildTree([hashLeaf(0, user.address, 1)]).getHexRoot();
+      expect(await checkExistingDistributor(distributor, { ...allocation, root: otherRoot }, plan))
+        .to.include(`分发合约的Merkle根 ${allocation.root} 与merkle_data.json中的根 ${otherRoot} 不一致`);
+      expect(await checkExistingDistributor(distributor, { ...allocation, leafEncoding: {} }, plan))
+        .to.include("分发合约的叶子编码版本 1 与merkle_data.json (v2) 不一致");
+    });
+  });
+
+  describe("readAllocationTotal", function () {
+    let workDir;
+
+    beforeEach(function () {
+      workDir = fs.mkdtempSync(path.join(os.tmpdir(), "deploy-funding-"));
+      fs.mkdirSync(path.join(workDir, "batches"));
+      const batches = [["100", "250"], ["50"]];
+      batches.forEach((amounts, batchIndex) => {
+        fs.writeFileSync(
+          path.join(workDir, "batches", `batch_${batchIndex}.json`),
+          JSON.stringify({ batchIndex, records: amounts.map(amount => ({ amount })) })
+        );
+      });
+    });
+
+    afterEach(function () {
+      fs.rmSync(workDir, { recursive: true, force: true });
+    });
+
+    it("应汇总所有批次的叶子金额并校验totalAmount", function () {
+      const writeMerkleData = (totalAmount) => fs.writeFileSync(
+        path.join(workDir, "merkle_data.json"),
+        JSON.stringify({ root: ethers.ZeroHash, batchCount: 2, totalAmount })
+      );
+
+      writeMerkleData("400");
+      expect(readAllocationTotal(workDir).total).to.equal(400n);
+
+      writeMerkleData("401");
+      expect(() => readAllocationTotal(workDir)).to.throw("不一致");
+    });
+
+    it("应返回merkle_data.json记录的代币精度，旧数据按18位处理", function () {
+      const merkleDataPath = path.join(workDir, "merkle_data.json");
+      fs.writeFileSync(merkleDataPath, JSON.stringify({ root: ethers.ZeroHash, batchCount: 2, totalAmount: "400" }));
+      expect(readAllocationTotal(workDir).decimals).to.equal(18);
+
+      fs.writeFileSync(merkleDataPath, JSON.stringify({ root: ethers.ZeroHash, batchCount: 2, totalAmount: "400", decimals: 6 }));
+      expect(readAllocationTotal(workDir).decimals).to.equal(6);
+    });
+  });
+
+  describe("resolveVestingSchedule", function () {
+    it("开始时间依次取VESTING_START、CLAIM_START和当前区块时间", function () {
+      const config = { VESTING_THRESHOLD: "100", VESTING_CLIFF: "0", VESTING_DURATION: "3600" };
+      expect(resolveVestingSchedule({ ...config, VESTING_START: "2000", CLAIM_START: "1000" }, 500).start).to.equal(2000n);
+      expect(resolveVestingSchedule({ ...config, CLAIM_START: "1000" }, 500).start).to.equal(1000n);
+      expect(resolveVestingSchedule(config, 500)).to.deep.equal({ threshold: units("100"), start: 500n, cliff: 0n, duration: 3600n });
+      expect(resolveVestingSchedule({ VESTING_CLIFF: "0" }, 500)).to.equal(null);
+    });
+
+    it("VESTING_THRESHOLD按代币精度换算", function () {
+      const config = { VESTING_THRESHOLD: "100", VESTING_DURATION: "3600" };
+      expect(resolveVestingSchedule(config, 500, 6).threshold).to.equal(ethers.parseUnits("100", 6));
+    });
+
+    it("部署前拒绝合约不接受的计划", function () {
+      expect(() => resolveVestingSchedule({ VESTING_START: "0", VESTING_DURATION: "3600" }, 500)).to.throw("线性释放开始时间不能为0");
+      expect(() => resolveVestingSchedule({ VESTING_CLIFF: "7200", VESTING_DURATION: "3600" }, 500))
+        .to.throw("VESTING_CLIFF 7200 不能超过VESTING_DURATION 3600");
+    });
+  });
+});
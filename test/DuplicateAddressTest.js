@@ -0,0 +1,135 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+const merkle = require("../lib/merkle");
+const { buildMerkleTree } = require("../scripts/generate_merkle_tree");
+const { getMerkleProof } = require("../scripts/generate_merkle_proof");
+const { quietly, writeCsvDir: writeCsvFiles } = require("./helpers");
+
+describe("重复地址合并测试", function () {
+  let users;
+  let token;
+  let workDir;
+  let csvDir;
+  let count = 0;
+
+  // 写入CSV目录，files为 文件名 => [[用户下标, 分数, 代币?], ...]
+  function writeCsvDir(files) {
+    const rowsByFile = Object.fromEntries(Object.entries(files).map(([name, rows]) =>
+      [name, rows.map(([i, score, rowToken]) => [users[i].address, score, rowToken])]));
+    csvDir = writeCsvFiles(path.join(workDir, `csv-${count++}`), rowsByFile);
+  }
+
+  const build = (options = {}) =>
+    quietly(() => buildMerkleTree(2, csvDir, path.join(workDir, `merkle-${count++}`), null, options));
+
+  const amountOf = (result, user, tokenAddress = null) => {
+    const key = user.address.toLowerCase() + (tokenAddress ? `:${tokenAddress.toLowerCase()}` : "");
+    const { batchIndex, localIndex } = result.addressMap[key];
+    return BigInt(merkle.readBatch(result.outputDir, batchIndex).records[localIndex].amount);
+  };
+
+  before(async function () {
+    users = (await ethers.getSigners()).slice(1, 5);
+    token = ethers.Wallet.createRandom().address;
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), "duplicate-address-"));
+  });
+
+  after(function () {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  beforeEach(function () {
+    merkle.clearCache();
+    // users[1]在两个文件中出现（分数不同），users[2]在同一文件中重复出现两次（分数相同）
+    writeCsvDir({
+      "a.csv": [[0, 1], [1, 3], [2, 2], [2, 2]],
+      "b.csv": [[1, 2], [3, 1]]
+    });
+  });
+
+  it("重复地址默认合并为一个叶子，金额相加，证明可直接领取", async function () {
+    const result = await build();
+    expect(Object.keys(result.addressMap)).to.have.lengthOf(4);
+    expect(amountOf(result, users[1])).to.equal(ethers.parseUnits("1.69", 18) + ethers.parseUnits("1.3", 18));
+    expect(amountOf(result, users[2])).to.equal(ethers.parseUnits("2.6", 18));
+
+    const merkleData = merkle.readMerkleData(result.outputDir);
+    expect(merkleData.totalRecords).to.equal(6);
+    expect(merkleData.duplicates).to.deep.equal({ policy: "sum", duplicateKeys: 2, mergedRows: 2, conflicts: 1 });
+
+    // 合并后每个地址只有一个位置，getMerkleProof返回的证明包含全部金额
+    const proof = await quietly(() => getMerkleProof(users[1].address, result.outputDir));
+    const Token = await ethers.getContractFactory("AirdropToken");
+    const airdropToken = await Token.deploy("空投代币", "ADT", ethers.parseUnits("1000000", 18), ethers.parseUnits("10000000", 18));
+    const Distributor = await ethers.getContractFactory("MerkleDistributor");
+    const distributor = await Distributor.deploy(await airdropToken.getAddress(), result.merkleRoot);
+    await airdropToken.transfer(await distributor.getAddress(), ethers.parseUnits("100", 18));
+    await distributor.claim(proof.index, proof.address, proof.amount, proof.combinedProof);
+    expect(await airdropToken.balanceOf(users[1].address)).to.equal(amountOf(result, users[1]));
+  });
+
+  it("重复地址报告应列出每次出现的位置和金额", async function () {
+    const result = await build();
+    const report = JSON.parse(fs.readFileSync(path.join(result.outputDir, "duplicates.json"), "utf8"));
+    expect(report).to.include({ policy: "sum", duplicateKeys: 2, mergedRows: 2, conflicts: 1 });
+
+    const conflict = report.duplicates.find(d => d.key === users[1].address.toLowerCase());
+    expect(conflict.conflict).to.equal(true);
+    expect(conflict.amount).to.equal(amountOf(result, users[1]).toString());
+    expect(conflict.occurrences.map(o => [o.file, o.line, o.score])).to.deep.equal([["a.csv", 3, 3], ["b.csv", 2, 2]]);
+
+    const repeated = report.duplicates.find(d => d.key === users[2].address.toLowerCase());
+    expect(repeated.conflict).to.equal(false);
+    expect(repeated.occurrences.map(o => o.line)).to.deep.equal([4, 5]);
+
+    // 没有重复地址时重新构建会删除旧报告
+    writeCsvDir({ "a.csv": [[0, 1], [1, 2]] });
+    const clean = await quietly(() => buildMerkleTree(2, csvDir, result.outputDir));
+    expect(clean.duplicates.duplicateKeys).to.equal(0);
+    expect(fs.existsSync(path.join(result.outputDir, "duplicates.json"))).to.equal(false);
+  });
+
+  it("max取最大金额，first取文件名排序后最先出现的一条", async function () {
+    const max = await build({ duplicates: "max" });
+    expect(amountOf(max, users[1])).to.equal(ethers.parseUnits("1.69", 18));
+    expect(amountOf(max, users[2])).to.equal(ethers.parseUnits("1.3", 18));
+
+    const first = await build({ duplicates: "first" });
+    expect(amountOf(first, users[1])).to.equal(ethers.parseUnits("1.69", 18));
+
+    // 文件名顺序改变后，first保留的记录随之改变
+    writeCsvDir({
+      "b.csv": [[0, 1], [1, 3], [2, 2], [2, 2]],
+      "a.csv": [[1, 2], [3, 1]]
+    });
+    const renamed = await build({ duplicates: "first" });
+    expect(amountOf(renamed, users[1])).to.equal(ethers.parseUnits("1.3", 18));
+    expect(renamed.fingerprint).to.not.equal(first.fingerprint);
+  });
+
+  it("error策略遇到重复地址时应报错，无效策略应被拒绝", async function () {
+    await expect(build({ duplicates: "error" })).to.be.rejectedWith(
+      `发现 2 个重复地址（重复地址策略为error）: ${users[1].address.toLowerCase()} (a.csv:3, b.csv:2)`
+    );
+    await expect(build({ duplicates: "latest" })).to.be.rejectedWith("未知的重复地址策略: latest");
+
+    writeCsvDir({ "a.csv": [[0, 1], [1, 2]] });
+    const result = await build({ duplicates: "error" });
+    expect(Object.keys(result.addressMap)).to.have.lengthOf(2);
+  });
+
+  it("多代币模式下同一地址的不同代币不视为重复", async function () {
+    writeCsvDir({
+      "a.csv": [[0, 1, token], [0, 2, users[3].address]],
+      "b.csv": [[0, 3, token]]
+    });
+    const result = await build();
+    expect(Object.keys(result.addressMap)).to.have.lengthOf(2);
+    expect(amountOf(result, users[0], token)).to.equal(ethers.parseUnits("1", 18) + ethers.parseUnits("1.69", 18));
+    expect(amountOf(result, users[0], users[3].address)).to.equal(ethers.parseUnits("1.3", 18));
+    expect(result.duplicates.duplicates.map(d => d.key)).to.deep.equal([`${users[0].address.toLowerCase()}:${token.toLowerCase()}`]);
+  });
+});
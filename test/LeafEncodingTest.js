@@ -0,0 +1,153 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+const { time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { buildMerkleTree } = require("../scripts/generate_merkle_tree");
+const { hashRecord } = require("../lib/merkle");
+const { getMerkleProof, buildSignaturePayload } = require("../scripts/generate_merkle_proof");
+const { readAllocationTotal, checkLeafEncoding } = require("../scripts/deploy");
+const { quietly, writeCsvDir } = require("./helpers");
+
+describe("v2叶子编码测试", function () {
+  let token;
+  let distributor;
+  let distributorAddress;
+  let chainId;
+  let users;
+  let workDir;
+  let csvDir;
+  let merkleDir;
+
+  const proofFor = (user) => quietly(() => getMerkleProof(user.address, merkleDir));
+
+  async function deployDistributor(root) {
+    const Distributor = await ethers.getContractFactory("MerkleDistributor");
+    const deployed = await Distributor.deploy(await token.getAddress(), root);
+    await token.transfer(await deployed.getAddress(), ethers.parseUnits("1000", 18));
+    return deployed;
+  }
+
+  before(async function () {
+    const signers = await ethers.getSigners();
+    users = signers.slice(2, 7);
+    chainId = (await ethers.provider.getNetwork()).chainId;
+
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), "leaf-v2-"));
+    csvDir = path.join(workDir, "csv");
+    merkleDir = path.join(workDir, "merkle-data");
+    writeCsvDir(csvDir, { "users.csv": users.map((user, i) => [user.address, i + 1]) });
+  });
+
+  after(function () {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  beforeEach(async function () {
+    const Token = await ethers.getContractFactory("AirdropToken");
+    token = await Token.deploy("空投代币", "ADT", ethers.parseUnits("1000000", 18), ethers.parseUnits("10000000", 18));
+
+    // 先部署分发合约，再用其地址生成v2 Merkle树并设置根
+    distributor = await deployDistributor(ethers.ZeroHash);
+    distributorAddress = await distributor.getAddress();
+    const { merkleRoot } = await quietly(() => buildMerkleTree(2, csvDir, merkleDir, null, {
+      leafVersion: 2,
+      chainId,
+      distributor: distributorAddress
+    }));
+    await distributor.setMerkleRoot(merkleRoot);
+    await expect(distributor.setLeafVersion(2)).to.emit(distributor, "LeafVersionUpdated").withArgs(2);
+  });
+
+  it("JS与合约计算的v2叶子哈希一致", async function () {
+    const record = { index: 7, address: users[0].address, amount: ethers.parseUnits("1.3", 18).toString() };
+    const leafEncoding = { version: 2, chainId, distributor: distributorAddress };
+
+    const jsLeaf = "0x" + hashRecord(record, leafEncoding).toString("hex");
+    expect(await distributor.leafHash(record.index, record.address, record.amount)).to.equal(jsLeaf);
+
+    // 链ID或合约地址不同时叶子不同
+    const otherChain = "0x" + hashRecord(record, { ...leafEncoding, chainId: 1 }).toString("hex");
+    const otherDistributor = "0x" + hashRecord(record, { ...leafEncoding, distributor: users[1].address }).toString("hex");
+    expect(otherChain).to.not.equal(jsLeaf);
+    expect(otherDistributor).to.not.equal(jsLeaf);
+
+    // v1叶子与合约v1编码一致
+    await distributor.setLeafVersion(1);
+    const v1Leaf = "0x" + hashRecord(record).toString("hex");
+    expect(await distributor.leafHash(record.index, record.address, record.amount)).to.equal(v1Leaf);
+    expect(v1Leaf).to.equal(ethers.solidityPackedKeccak256(["uint256", "address", "uint256"], [record.index, record.address, record.amount]));
+  });
+
+  it("v2证明可以通过各种方式领取", async function () {
+    const merkleData = JSON.parse(fs.readFileSync(path.join(merkleDir, "merkle_data.json"), "utf8"));
+    expect(merkleData.leafVersion).to.equal(2);
+    expect(merkleData.distributor).to.equal(distributorAddress);
+
+    const first = await proofFor(users[0]);
+    expect(first.leafVersion).to.equal(2);
+    await expect(distributor.claim(first.index, first.address, first.amount, first.combinedProof))
+      .to.emit(distributor, "Claimed").withArgs(first.index, users[0].address, first.amount);
+
+    const second = await proofFor(users[3]);
+    await users[3].sendTransaction({ to: distributorAddress, data: second.callData.claimWithBatchProof });
+    expect(await token.balanceOf(users[3].address)).to.equal(second.amount);
+
+    // 签名领取使用证明中绑定的链ID和合约地址
+    const third = await proofFor(users[4]);
+    const payload = buildSignaturePayload(third, {
+      nonce: await distributor.nonces(users[4].address),
+      deadline: (await time.latest()) + 3600
+    });
+    expect(payload.typedData.domain.verifyingContract).to.equal(distributorAddress);
+    const { domain, types, message } = payload.typedData;
+    const signature = await users[4].signTypedData(domain, types, message);
+    await distributor[payload.method](...payload.args, signature);
+    expect(await token.balanceOf(users[4].address)).to.equal(third.amount);
+
+    expect(() => buildSignaturePayload(third, { distributor: users[0].address, chainId }))
+      .to.throw("v2证明只能用于链");
+  });
+
+  it("v2证明不能在其他部署上重放，也不能按v1编码领取", async function () {
+    const proof = await proofFor(users[1]);
+    const replica = await deployDistributor(proof.root);
+    await replica.setLeafVersion(2);
+
+    await expect(replica.claim(proof.index, proof.address, proof.amount, proof.combinedProof))
+      .to.be.revertedWith("MerkleDistributor: Invalid proof");
+
+    await distributor.setLeafVersion(1);
+    await expect(distributor.claim(proof.index, proof.address, proof.amount, proof.combinedProof))
+      .to.be.revertedWith("MerkleDistributor: Invalid proof");
+  });
+
+  it("已有领取后不能修改叶子编码版本", async function () {
+    const proof = await proofFor(users[2]);
+    await distributor.claim(proof.index, proof.address, proof.amount, proof.combinedProof);
+
+    await expect(distributor.setLeafVersion(1)).to.be.revertedWith("MerkleDistributor: Leaf version locked after claims");
+    await expect(distributor.setLeafVersion(2)).to.be.revertedWith("MerkleDistributor: Leaf version locked after claims");
+    expect(await distributor.leafVersion()).to.equal(2);
+  });
+
+  it("部署检查应拒绝链ID或合约地址不一致的v2 Merkle数据", function () {
+    const { leafEncoding } = readAllocationTotal(merkleDir);
+    expect(leafEncoding).to.deep.equal({ chainId: Number(chainId), distributor: distributorAddress });
+
+    expect(checkLeafEncoding(leafEncoding, chainId, distributorAddress)).to.be.empty;
+    expect(checkLeafEncoding(leafEncoding, 1n, distributorAddress)).to.have.lengthOf(1);
+    expect(checkLeafEncoding(leafEncoding, chainId, users[0].address)[0]).to.include("请使用该地址重新生成Merkle树");
+  });
+
+  it("无效的叶子编码参数应被拒绝", async function () {
+    await expect(distributor.setLeafVersion(3)).to.be.revertedWith("MerkleDistributor: Invalid leaf version");
+    await expect(distributor.connect(users[0]).setLeafVersion(1)).to.be.reverted;
+
+    await expect(quietly(() => buildMerkleTree(2, csvDir, merkleDir, null, { leafVersion: 2, chainId })))
+      .to.be.rejectedWith("v2叶子编码需要指定分发合约地址distributor");
+    await expect(quietly(() => buildMerkleTree(2, csvDir, merkleDir, null, { leafVersion: 3 })))
+      .to.be.rejectedWith("无效的叶子编码版本");
+  });
+});
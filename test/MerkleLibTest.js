@@ -0,0 +1,169 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+const { MerkleTree } = require("merkletreejs");
+const keccak256 = require("keccak256");
+const merkle = require("../lib/merkle");
+const { buildMerkleTree } = require("../scripts/generate_merkle_tree");
+const { getMerkleProof } = require("../scripts/generate_merkle_proof");
+const { quietly, writeCsvDir } = require("./helpers");
+
+// 独立于工具库的参考实现，用于校验hashLeaf和buildTree
+function hashToken(index, account, amount) {
+  return Buffer.from(
+    ethers.solidityPackedKeccak256(
+      ["uint256", "address", "uint256"],
+      [index, account, amount]
+    ).slice(2),
+    "hex"
+  );
+}
+
+describe("Merkle工具库测试", function () {
+  let users;
+  let workDir;
+  let csvDir;
+  let merkleDir;
+
+  function writeCsv(scores) {
+    writeCsvDir(csvDir, { "users.csv": users.map((user, i) => [user.address, scores[i]]) });
+  }
+
+  before(async function () {
+    users = (await ethers.getSigners()).slice(1, 6);
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), "merkle-lib-"));
+    csvDir = path.join(workDir, "csv");
+    merkleDir = path.join(workDir, "merkle-data");
+  });
+
+  after(function () {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  beforeEach(async function () {
+    merkle.clearCache();
+    writeCsv([1, 2, 3, 4, 5]);
+    await quietly(() => buildMerkleTree(2, csvDir, merkleDir));
+  });
+
+  it("各种叶子哈希应与合约编码一致", async function () {
+    const [account, token] = [users[0].address, users[1].address];
+    const amount = ethers.parseUnits("1.3", 18);
+    const hex = (leaf) => "0x" + leaf.toString("hex");
+
+    const Distributor = await ethers.getContractFactory("MerkleDistributor");
+    const distributor = await Distributor.deploy(token, ethers.ZeroHash);
+    expect(await distributor.leafHash(3, account, amount)).to.equal(hex(merkle.hashLeaf(3, account, amount)));
+
+    const leafEncoding = { version: 2, chainId: (await ethers.provider.getNetwork()).chainId, distributor: await distributor.getAddress() };
+    await distributor.setLeafVersion(2);
+    expect(await distributor.leafHash(3, account, amount)).to.equal(hex(merkle.hashLeafV2(3, account, amount, leafEncoding)));
+
+    expect(hex(merkle.hashTokenLeaf(3, account, token, amount)))
+      .to.equal(ethers.solidityPackedKeccak256(["uint256", "address", "address", "uint256"], [3, account, token, amount]));
+    expect(hex(merkle.hashCumulativeLeaf(account, amount)))
+      .to.equal(ethers.solidityPackedKeccak256(["address", "uint256"], [account, amount]));
+
+    // hashRecord按记录字段选择叶子格式
+    const record = { index: 3, address: account, amount: amount.toString() };
+    expect(merkle.hashRecord(record)).to.deep.equal(merkle.hashLeaf(3, account, amount));
+    expect(merkle.hashRecord(record, leafEncoding)).to.deep.equal(merkle.hashLeafV2(3, account, amount, leafEncoding));
+    expect(merkle.hashRecord({ ...record, token })).to.deep.equal(merkle.hashTokenLeaf(3, account, token, amount));
+    expect(merkle.hashRecord({ address: account, amount: amount.toString() })).to.deep.equal(merkle.hashCumulativeLeaf(account, amount));
+    expect(() => merkle.hashRecord({ ...record, token }, leafEncoding)).to.throw("v2叶子编码只支持");
+  });
+
+  it("叶子哈希、根和证明应与参考实现一致", function () {
+    const airdropList = users.map((user, i) => ({ index: i, account: user.address, amount: ethers.parseUnits(String(i + 1), 18) }));
+    const referenceLeaves = airdropList.map(({ index, account, amount }) => hashToken(index, account, amount));
+    const leaves = airdropList.map(({ index, account, amount }) => merkle.hashLeaf(index, account, amount));
+    expect(leaves).to.deep.equal(referenceLeaves);
+
+    const referenceTree = new MerkleTree(referenceLeaves, keccak256, { sortPairs: true });
+    const tree = merkle.buildTree(leaves);
+    expect(tree.getHexRoot()).to.equal(referenceTree.getHexRoot());
+    for (const leaf of leaves) {
+      expect(merkle.getProof(tree, leaf)).to.deep.equal(referenceTree.getHexProof(leaf));
+    }
+
+    // 生成的批次树与参考实现按相同记录构建的树一致
+    const batchData = merkle.readBatch(merkleDir, 0);
+    const batchLeaves = batchData.records.map(({ index, address, amount }) => hashToken(index, address, amount));
+    expect(new MerkleTree(batchLeaves, keccak256, { sortPairs: true }).getHexRoot()).to.equal(batchData.root);
+  });
+
+  it("批次文件格式应可读写并重建出相同的根", function () {
+    const merkleData = merkle.readMerkleData(merkleDir);
+    const addressMap = merkle.readAddressMap(merkleDir);
+    expect(merkleData.batchCount).to.equal(3);
+    expect(merkle.leafEncodingOf(merkleData)).to.be.null;
+
+    const { batchIndex, localIndex } = addressMap[users[2].address.toLowerCase()];
+    const batchData = merkle.readBatch(merkleDir, batchIndex);
+    expect(batchData.records[localIndex].address).to.equal(users[2].address);
+
+    const tree = merkle.buildBatchTree(batchData.records);
+    expect(tree.getHexRoot()).to.equal(batchData.root);
+    expect(merkle.buildTree(merkleData.batchRoots).getHexRoot()).to.equal(merkleData.root);
+
+    // 写入的批次文件可被readBatch读回
+    const records = batchData.records.slice(0, 1);
+    const root = merkle.buildBatchTree(records).getHexRoot();
+    const batchDir = path.join(workDir, "copy");
+    fs.mkdirSync(path.join(batchDir, merkle.BATCH_DIR), { recursive: true });
+    merkle.writeBatch(path.join(batchDir, merkle.BATCH_DIR), 0, records, root);
+    expect(merkle.readBatch(batchDir, 0)).to.deep.equal({ batchIndex: 0, root, recordCount: 1, records });
+  });
+
+  it("证明应可验证到顶层根并在合约上领取", async function () {
+    const { root, tree: topTree } = merkle.loadTopTree(merkleDir);
+    const { batchIndex, localIndex } = merkle.readAddressMap(merkleDir)[users[4].address.toLowerCase()];
+    const { batchData, tree } = merkle.loadBatchTree(merkleDir, batchIndex);
+    const record = batchData.records[localIndex];
+
+    const leaf = merkle.hashRecord(record);
+    const combinedProof = [...merkle.getProof(tree, leaf), ...merkle.getProof(topTree, batchData.root)];
+    expect(merkle.verifyProof(combinedProof, leaf, root)).to.be.true;
+    expect(merkle.verifyProof(combinedProof, merkle.hashLeaf(record.index, record.address, 1), root)).to.be.false;
+
+    const Token = await ethers.getContractFactory("AirdropToken");
+    const token = await Token.deploy("空投代币", "ADT", ethers.parseUnits("1000000", 18), ethers.parseUnits("10000000", 18));
+    const Distributor = await ethers.getContractFactory("MerkleDistributor");
+    const distributor = await Distributor.deploy(await token.getAddress(), root);
+    await token.transfer(await distributor.getAddress(), ethers.parseUnits("100", 18));
+
+    await distributor.claim(record.index, record.address, record.amount, combinedProof);
+    expect(await token.balanceOf(users[4].address)).to.equal(record.amount);
+  });
+
+  it("同一批次的树应被缓存，Merkle树重新生成后失效", async function () {
+    const first = merkle.loadBatchTree(merkleDir, 1);
+    expect(merkle.loadBatchTree(merkleDir, 1)).to.equal(first);
+    expect(merkle.loadTopTree(merkleDir)).to.equal(merkle.loadTopTree(merkleDir));
+
+    // 证明脚本复用缓存的批次树
+    const proof = await quietly(() => getMerkleProof(users[2].address, merkleDir));
+    expect(proof.batchIndex).to.equal(1);
+    expect(merkle.loadBatchTree(merkleDir, 1)).to.equal(first);
+
+    // 金额变化后顶层根改变，缓存的批次树不再使用
+    writeCsv([5, 4, 3, 2, 1]);
+    await quietly(() => buildMerkleTree(2, csvDir, merkleDir));
+    const rebuilt = merkle.loadBatchTree(merkleDir, 1);
+    expect(rebuilt).to.not.equal(first);
+    expect(rebuilt.tree.getHexRoot()).to.not.equal(first.tree.getHexRoot());
+    const updated = await quietly(() => getMerkleProof(users[2].address, merkleDir));
+    expect(updated.root).to.equal(merkle.readMerkleData(merkleDir).root);
+  });
+
+  it("批次文件被篡改时应拒绝加载", function () {
+    const batchPath = merkle.batchFilePath(merkleDir, 0);
+    const batchData = JSON.parse(fs.readFileSync(batchPath, "utf8"));
+    batchData.records[0].amount = "1";
+    fs.writeFileSync(batchPath, JSON.stringify(batchData));
+
+    expect(() => merkle.loadBatchTree(merkleDir, 0)).to.throw("与批次文件中的根");
+  });
+});
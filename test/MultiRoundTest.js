@@ -0,0 +1,143 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+const { time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { buildMerkleTree } = require("../scripts/generate_merkle_tree");
+const { getMerkleProof } = require("../scripts/generate_merkle_proof");
+const { readRoundData, openRound } = require("../scripts/open_round");
+const { quietly, writeCsvDir } = require("./helpers");
+
+describe("多轮空投分发测试", function () {
+  const DAY = 24 * 60 * 60;
+  let token;
+  let distributor;
+  let owner, treasury, users;
+  let workDir;
+  let merkleDir;
+
+  // 生成一轮的CSV并构建round-tagged的Merkle数据
+  async function buildRound(round, roundUsers, scoreOffset) {
+    const csvDir = writeCsvDir(path.join(workDir, `csv_${round}`), {
+      "users.csv": roundUsers.map((user, i) => [user.address, i + scoreOffset])
+    });
+    return quietly(() => buildMerkleTree(2, csvDir, merkleDir, round));
+  }
+
+  const roundDir = (round) => path.join(merkleDir, `round_${round}`);
+  const proofFor = (user, round) => quietly(() => getMerkleProof(user.address, roundDir(round)));
+
+  before(async function () {
+    const signers = await ethers.getSigners();
+    [owner, treasury] = signers;
+    users = signers.slice(2, 7);
+
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), "multi-round-"));
+    merkleDir = path.join(workDir, "merkle-data");
+
+    // 两轮使用部分相同的地址，索引都从0开始
+    await buildRound(0, users.slice(0, 3), 1);
+    await buildRound(1, users.slice(1, 5), 3);
+  });
+
+  after(function () {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  beforeEach(async function () {
+    const Token = await ethers.getContractFactory("AirdropToken");
+    token = await Token.deploy("空投代币", "ADT", ethers.parseUnits("1000000", 18), ethers.parseUnits("10000000", 18));
+    const Distributor = await ethers.getContractFactory("MultiRoundDistributor");
+    distributor = await Distributor.deploy(await token.getAddress());
+  });
+
+  it("应输出round-tagged目录和轮次索引", function () {
+    const rounds = JSON.parse(fs.readFileSync(path.join(merkleDir, "rounds.json"), "utf8"));
+    expect(Object.keys(rounds)).to.deep.equal(["0", "1"]);
+    expect(rounds[1].dir).to.equal("round_1");
+
+    const roundData = readRoundData(roundDir(1));
+    expect(roundData.round).to.equal(1);
+    expect(roundData.root).to.equal(rounds[1].root);
+    expect(roundData.total.toString()).to.equal(rounds[1].totalAmount);
+  });
+
+  it("各轮的根和领取记录相互独立", async function () {
+    await quietly(() => openRound(distributor, token, readRoundData(roundDir(0))));
+    await quietly(() => openRound(distributor, token, readRoundData(roundDir(1))));
+    expect(await distributor.roundCount()).to.equal(2);
+
+    // users[1]在两轮中都有分配，且两轮的索引可能相同
+    const first = await proofFor(users[1], 0);
+    const second = await proofFor(users[1], 1);
+
+    await expect(distributor.claim(0, first.index, first.address, first.amount, first.combinedProof))
+      .to.emit(distributor, "Claimed").withArgs(0, first.index, users[1].address, first.amount);
+    expect(await distributor.isClaimed(0, first.index)).to.be.true;
+    expect(await distributor.isClaimed(1, first.index)).to.be.false;
+
+    // 证明不能用于其他轮
+    await expect(distributor.claim(1, first.index, first.address, first.amount, first.combinedProof))
+      .to.be.revertedWith("MultiRoundDistributor: Invalid proof");
+
+    await distributor.claimWithBatchProof(1, second.index, second.address, second.amount, second.proof, second.rootProof);
+    expect(await token.balanceOf(users[1].address)).to.equal(BigInt(first.amount) + BigInt(second.amount));
+
+    // 同一轮不能重复领取
+    await expect(distributor.claim(0, first.index, first.address, first.amount, first.combinedProof))
+      .to.be.revertedWith("MultiRoundDistributor: Drop already claimed");
+  });
+
+  it("链上下一轮与目录轮次不一致时拒绝开启", async function () {
+    await expect(quietly(() => openRound(distributor, token, readRoundData(roundDir(1)))))
+      .to.be.rejectedWith("与Merkle数据的轮次 1 不一致");
+  });
+
+  it("领取不能超过该轮资金", async function () {
+    const roundData = readRoundData(roundDir(0));
+    const proof = await proofFor(users[2], 0);
+    await token.approve(await distributor.getAddress(), 1n);
+    await distributor.openRound(roundData.root, 1n, 0, 0);
+
+    await expect(distributor.claim(0, proof.index, proof.address, proof.amount, proof.combinedProof))
+      .to.be.revertedWith("MultiRoundDistributor: Round funding exceeded");
+  });
+
+  it("各轮有独立的领取窗口，截止后只回收该轮剩余资金", async function () {
+    const start = (await time.latest()) + DAY;
+    const end = start + 7 * DAY;
+    const round0 = readRoundData(roundDir(0));
+    const round1 = readRoundData(roundDir(1));
+    await quietly(() => openRound(distributor, token, round0, { start, end }));
+    await quietly(() => openRound(distributor, token, round1));
+    await distributor.setTreasury(treasury.address);
+
+    const proof = await proofFor(users[0], 0);
+    await expect(distributor.claim(0, proof.index, proof.address, proof.amount, proof.combinedProof))
+      .to.be.revertedWith("MultiRoundDistributor: Round not started");
+
+    await time.increaseTo(start);
+    await distributor.claim(0, proof.index, proof.address, proof.amount, proof.combinedProof);
+
+    await expect(distributor.sweepRound(0)).to.be.revertedWith("MultiRoundDistributor: Round not ended");
+    await expect(distributor.extendRound(0, end - 1)).to.be.revertedWith("MultiRoundDistributor: Cannot shorten round");
+    await distributor.extendRound(0, end + DAY);
+
+    await time.increaseTo(end + DAY);
+    const remainder = round0.total - BigInt(proof.amount);
+    await expect(distributor.sweepRound(0))
+      .to.emit(distributor, "RoundSwept").withArgs(0, treasury.address, remainder);
+    await expect(distributor.sweepRound(0)).to.be.revertedWith("MultiRoundDistributor: Round already swept");
+
+    // 未截止的第1轮资金不受影响
+    expect(await token.balanceOf(await distributor.getAddress())).to.equal(round1.total);
+    await expect(distributor.sweepRound(1)).to.be.revertedWith("MultiRoundDistributor: Round not ended");
+  });
+
+  it("只有所有者可以开启轮次", async function () {
+    await expect(distributor.connect(users[0]).openRound(ethers.ZeroHash, 0, 0, 0)).to.be.reverted;
+    await expect(distributor.openRound(ethers.ZeroHash, 0, 0, 0))
+      .to.be.revertedWith("MultiRoundDistributor: Invalid merkle root");
+  });
+});
@@ -0,0 +1,137 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+const { time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { buildMerkleTree } = require("../scripts/generate_merkle_tree");
+const { getMerkleProof, getTokenProofs } = require("../scripts/generate_merkle_proof");
+const { quietly, writeCsvDir } = require("./helpers");
+
+describe("多代币空投分发测试", function () {
+  let projectToken, partnerToken;
+  let distributor;
+  let owner, treasury, users;
+  let workDir;
+  let merkleDir;
+  let merkleData;
+
+  before(async function () {
+    const signers = await ethers.getSigners();
+    [owner, treasury] = signers;
+    users = signers.slice(2, 6);
+
+    const Token = await ethers.getContractFactory("AirdropToken");
+    projectToken = await Token.deploy("空投代币", "ADT", ethers.parseUnits("1000000", 18), ethers.parseUnits("10000000", 18));
+    partnerToken = await Token.deploy("合作方代币", "PTN", ethers.parseUnits("1000000", 18), ethers.parseUnits("10000000", 18));
+
+    // 生成带token列的CSV：所有用户获得项目代币，前两个用户额外获得合作方代币
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), "multi-token-"));
+    const csvDir = path.join(workDir, "csv");
+    merkleDir = path.join(workDir, "merkle-data");
+    writeCsvDir(csvDir, {
+      "users.csv": [
+        ...users.map((user, i) => [user.address, i + 1, projectToken.target]),
+        ...users.slice(0, 2).map((user, i) => [user.address, i + 5, partnerToken.target])
+      ]
+    });
+
+    await quietly(() => buildMerkleTree(2, csvDir, merkleDir));
+    merkleData = JSON.parse(fs.readFileSync(path.join(merkleDir, "merkle_data.json"), "utf8"));
+  });
+
+  after(function () {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  beforeEach(async function () {
+    const tokens = Object.keys(merkleData.tokenTotals);
+    const Distributor = await ethers.getContractFactory("MultiTokenDistributor");
+    distributor = await Distributor.deploy(merkleData.root, tokens, tokens.map(t => merkleData.tokenTotals[t]));
+
+    const distributorAddress = await distributor.getAddress();
+    await projectToken.transfer(distributorAddress, merkleData.tokenTotals[projectToken.target]);
+    await partnerToken.transfer(distributorAddress, merkleData.tokenTotals[partnerToken.target]);
+  });
+
+  it("应按代币记录分配总额，叶子包含token", function () {
+    expect(merkleData.leafFormat).to.equal("index,account,token,amount");
+    expect(Object.keys(merkleData.tokenTotals)).to.have.members([projectToken.target, partnerToken.target]);
+
+    const total = Object.values(merkleData.tokenTotals).reduce((sum, amount) => sum + BigInt(amount), 0n);
+    expect(total.toString()).to.equal(merkleData.totalAmount);
+  });
+
+  it("可以按代币单独领取", async function () {
+    const proof = await quietly(() => getMerkleProof(users[0].address, merkleDir, partnerToken.target));
+    expect(proof.token).to.equal(partnerToken.target);
+
+    await expect(distributor.claim(proof.index, proof.address, proof.token, proof.amount, proof.combinedProof))
+      .to.emit(distributor, "Claimed").withArgs(proof.index, users[0].address, partnerToken.target, proof.amount);
+    expect(await partnerToken.balanceOf(users[0].address)).to.equal(proof.amount);
+    expect(await projectToken.balanceOf(users[0].address)).to.equal(0);
+
+    // 证明不能用于其他代币
+    const other = await quietly(() => getMerkleProof(users[1].address, merkleDir, partnerToken.target));
+    await expect(distributor.claim(other.index, other.address, projectToken.target, other.amount, other.combinedProof))
+      .to.be.revertedWith("MultiTokenDistributor: Invalid proof");
+  });
+
+  it("claimMultiple在一笔交易中领取多种代币", async function () {
+    const result = await quietly(() => getTokenProofs(users[1].address, merkleDir));
+    expect(result.proofs).to.have.lengthOf(2);
+
+    await users[1].sendTransaction({ to: await distributor.getAddress(), data: result.callData.claimMultiple });
+
+    for (const proof of result.proofs) {
+      const token = proof.token === projectToken.target ? projectToken : partnerToken;
+      expect(await token.balanceOf(users[1].address)).to.equal(proof.amount);
+      expect(await distributor.isClaimed(proof.index)).to.be.true;
+    }
+  });
+
+  it("rescueTokens只能提取超出该代币未领取分配的部分", async function () {
+    const distributorAddress = await distributor.getAddress();
+    await expect(distributor.rescueTokens(partnerToken.target, owner.address, 1))
+      .to.be.revertedWith("MultiTokenDistributor: Amount exceeds surplus");
+
+    // 多转入的部分可以提取，且不影响另一种代币
+    await partnerToken.transfer(distributorAddress, 100);
+    await distributor.rescueTokens(partnerToken.target, owner.address, 100);
+    await expect(distributor.rescueTokens(projectToken.target, owner.address, 100))
+      .to.be.revertedWith("MultiTokenDistributor: Amount exceeds surplus");
+
+    expect(await distributor.outstanding(partnerToken.target)).to.equal(merkleData.tokenTotals[partnerToken.target]);
+  });
+
+  it("领取不能超过该代币的分配总额", async function () {
+    // 合作方代币的分配总额故意设置为1 wei
+    const Distributor = await ethers.getContractFactory("MultiTokenDistributor");
+    const underfunded = await Distributor.deploy(merkleData.root, [partnerToken.target], [1]);
+    await partnerToken.transfer(await underfunded.getAddress(), merkleData.tokenTotals[partnerToken.target]);
+
+    const proof = await quietly(() => getMerkleProof(users[0].address, merkleDir, partnerToken.target));
+    await expect(underfunded.claim(proof.index, proof.address, proof.token, proof.amount, proof.combinedProof))
+      .to.be.revertedWith("MultiTokenDistributor: Allocation exceeded");
+  });
+
+  it("截止后按代币分别回收", async function () {
+    const end = (await time.latest()) + 3600;
+    await distributor.setClaimEnd(end);
+    await distributor.setTreasury(treasury.address);
+
+    const proof = await quietly(() => getMerkleProof(users[0].address, merkleDir, projectToken.target));
+    await distributor.claim(proof.index, proof.address, proof.token, proof.amount, proof.combinedProof);
+
+    await expect(distributor.sweep(projectToken.target)).to.be.revertedWith("MultiTokenDistributor: Claim not ended");
+    await time.increaseTo(end);
+    await expect(distributor.claim(proof.index, proof.address, proof.token, proof.amount, proof.combinedProof))
+      .to.be.revertedWith("MultiTokenDistributor: Claim ended");
+
+    const remaining = BigInt(merkleData.tokenTotals[projectToken.target]) - BigInt(proof.amount);
+    await expect(distributor.sweep(projectToken.target))
+      .to.emit(distributor, "Swept").withArgs(projectToken.target, treasury.address, remaining);
+    expect(await partnerToken.balanceOf(await distributor.getAddress()))
+      .to.equal(merkleData.tokenTotals[partnerToken.target]);
+  });
+});
@@ -0,0 +1,146 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+const { time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { buildMerkleTree } = require("../scripts/generate_merkle_tree");
+const { getMerkleProof } = require("../scripts/generate_merkle_proof");
+const { readAllocationTotal, inspectNativeFunding, executeNativeFunding } = require("../scripts/deploy");
+const { DEFAULT_POLICY_PATH } = require("../lib/scoring-policy");
+const { quietly, writeCsvDir } = require("./helpers");
+
+describe("原生ETH分发测试", function () {
+  let distributor;
+  let distributorAddress;
+  let rejecter;
+  let owner, treasury, users;
+  let workDir;
+  let merkleDir;
+  let allocation;
+
+  const proofFor = (address) => quietly(() => getMerkleProof(address, merkleDir));
+  const claim = (proof) => distributor.claim(proof.index, proof.address, proof.amount, proof.combinedProof);
+
+  before(async function () {
+    const signers = await ethers.getSigners();
+    [owner, treasury] = signers;
+    users = signers.slice(2, 5);
+
+    const Rejecter = await ethers.getContractFactory("MockEtherRejecter");
+    rejecter = await Rejecter.deploy();
+
+    // 使用allocation.asset为native的积分策略生成Merkle树，其中一个领取地址是拒绝接收ETH的合约
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), "native-eth-"));
+    const csvDir = path.join(workDir, "csv");
+    merkleDir = path.join(workDir, "merkle-data");
+
+    const policy = JSON.parse(fs.readFileSync(DEFAULT_POLICY_PATH, "utf8"));
+    policy.allocation.asset = "native";
+    const policyPath = path.join(workDir, "scoring-policy.json");
+    fs.writeFileSync(policyPath, JSON.stringify(policy, null, 2));
+
+    writeCsvDir(csvDir, {
+      "users.csv": [...users.map(user => user.address), rejecter.target].map((address, i) => [address, i + 1])
+    });
+
+    const originalPolicy = process.env.SCORING_POLICY;
+    process.env.SCORING_POLICY = policyPath;
+    try {
+      await quietly(() => buildMerkleTree(2, csvDir, merkleDir));
+    } finally {
+      if (originalPolicy === undefined) {
+        delete process.env.SCORING_POLICY;
+      } else {
+        process.env.SCORING_POLICY = originalPolicy;
+      }
+    }
+    allocation = readAllocationTotal(merkleDir);
+  });
+
+  after(function () {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  beforeEach(async function () {
+    const Distributor = await ethers.getContractFactory("MerkleDistributor");
+    distributor = await Distributor.deploy(ethers.ZeroAddress, allocation.root);
+    distributorAddress = await distributor.getAddress();
+
+    const plan = await inspectNativeFunding(ethers.provider, owner.address, distributorAddress, allocation.total);
+    await quietly(() => executeNativeFunding(owner, distributorAddress, plan));
+  });
+
+  it("Merkle数据和证明应标明分发资产为原生ETH", async function () {
+    expect(allocation.asset).to.equal("native");
+    const proof = await proofFor(users[0].address);
+    expect(proof.asset).to.equal("native");
+    expect(await ethers.provider.getBalance(distributorAddress)).to.equal(allocation.total);
+  });
+
+  it("领取时直接转入ETH", async function () {
+    const proof = await proofFor(users[1].address);
+    await expect(claim(proof)).to.changeEtherBalances([users[1], distributor], [proof.amount, -BigInt(proof.amount)]);
+    await expect(claim(proof)).to.be.revertedWith("MerkleDistributor: Drop already claimed");
+  });
+
+  it("接收方拒绝ETH时记为待提取，由接收方自行withdraw", async function () {
+    const proof = await proofFor(rejecter.target);
+    await expect(claim(proof))
+      .to.emit(distributor, "PaymentDeferred").withArgs(rejecter.target, proof.amount)
+      .and.to.emit(distributor, "Claimed");
+    expect(await distributor.pendingWithdrawals(rejecter.target)).to.equal(proof.amount);
+    expect(await distributor.totalPendingWithdrawals()).to.equal(proof.amount);
+
+    // 仍拒绝接收时提取回滚，可以改为提取到其他地址
+    await expect(rejecter.withdrawFrom(distributorAddress, rejecter.target))
+      .to.be.revertedWith("MerkleDistributor: Transfer failed");
+    await expect(rejecter.withdrawFrom(distributorAddress, users[0].address))
+      .to.changeEtherBalance(users[0], proof.amount);
+    expect(await distributor.totalPendingWithdrawals()).to.equal(0);
+
+    await expect(rejecter.withdrawFrom(distributorAddress, users[0].address))
+      .to.be.revertedWith("MerkleDistributor: Nothing to withdraw");
+  });
+
+  it("截止后回收不包括待提取的ETH", async function () {
+    const end = (await time.latest()) + 3600;
+    await distributor.setClaimWindow(0, end);
+    await distributor.setTreasury(treasury.address);
+
+    const proof = await proofFor(rejecter.target);
+    await claim(proof);
+
+    await time.increaseTo(end);
+    const remaining = allocation.total - BigInt(proof.amount);
+    await expect(distributor.sweep())
+      .to.emit(distributor, "Swept").withArgs(treasury.address, remaining);
+    expect(await ethers.provider.getBalance(distributorAddress)).to.equal(proof.amount);
+    await expect(distributor.rescueTokens(owner.address, 1))
+      .to.be.revertedWith("MerkleDistributor: Amount locked for vesting or withdrawals");
+
+    // 截止后仍可提取
+    await rejecter.setAccepting(true);
+    await expect(rejecter.withdrawFrom(distributorAddress, rejecter.target))
+      .to.emit(distributor, "Withdrawn").withArgs(rejecter.target, rejecter.target, proof.amount);
+  });
+
+  it("ERC20模式的分发合约拒绝接收ETH", async function () {
+    const Token = await ethers.getContractFactory("AirdropToken");
+    const token = await Token.deploy("空投代币", "ADT", ethers.parseUnits("1000000", 18), ethers.parseUnits("10000000", 18));
+    const Distributor = await ethers.getContractFactory("MerkleDistributor");
+    const erc20Distributor = await Distributor.deploy(await token.getAddress(), allocation.root);
+
+    await expect(owner.sendTransaction({ to: await erc20Distributor.getAddress(), value: 1n }))
+      .to.be.revertedWith("MerkleDistributor: Not native mode");
+  });
+
+  it("注资检查应为部署者保留gas费用", async function () {
+    const balance = await ethers.provider.getBalance(owner.address);
+    const reserve = ethers.parseEther("1");
+    const plan = await inspectNativeFunding(ethers.provider, owner.address, null, balance, reserve);
+    expect(plan.transfer).to.equal(balance - reserve);
+    expect(plan.mint).to.equal(0n);
+    expect(plan.problems).to.have.lengthOf(1);
+  });
+});
@@ -0,0 +1,95 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+const merkle = require("../lib/merkle");
+const { createHashPool } = require("../lib/hash-pool");
+const { buildMerkleTree } = require("../scripts/generate_merkle_tree");
+const { quietly, writeCsvDir } = require("./helpers");
+
+describe("多线程构建测试", function () {
+  let workDir;
+  let csvDir;
+  let count = 0;
+
+  const randomAddress = () => ethers.getAddress(ethers.hexlify(ethers.randomBytes(20)));
+
+  const build = (options = {}) =>
+    quietly(() => buildMerkleTree(3, csvDir, path.join(workDir, `merkle-${count++}`), null, options));
+
+  // 目录中所有文件的相对路径 => 内容
+  function readTree(dir) {
+    const files = {};
+    const walk = (current) => {
+      for (const name of fs.readdirSync(current).sort()) {
+        const fullPath = path.join(current, name);
+        if (fs.statSync(fullPath).isDirectory()) {
+          walk(fullPath);
+        } else {
+          files[path.relative(dir, fullPath)] = fs.readFileSync(fullPath);
+        }
+      }
+    };
+    walk(dir);
+    return files;
+  }
+
+  function expectIdenticalOutput(single, parallel) {
+    const singleFiles = readTree(single.outputDir);
+    const parallelFiles = readTree(parallel.outputDir);
+    expect(Object.keys(parallelFiles)).to.deep.equal(Object.keys(singleFiles));
+    for (const file of Object.keys(singleFiles)) {
+      expect(parallelFiles[file].equals(singleFiles[file]), file).to.equal(true);
+    }
+    expect(parallel.merkleRoot).to.equal(single.merkleRoot);
+  }
+
+  before(function () {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), "parallel-build-"));
+    // 25个地址分为9个批次（最后一批不满）
+    csvDir = writeCsvDir(path.join(workDir, "csv"), {
+      "users.csv": Array.from({ length: 25 }, (_, i) => [randomAddress(), (i % 6) + 1])
+    });
+  });
+
+  after(function () {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  beforeEach(function () {
+    merkle.clearCache();
+  });
+
+  it("多线程构建的输出文件应与单线程逐字节一致，并报告吞吐", async function () {
+    const single = await build({ threads: 1 });
+    const parallel = await build({ threads: 3 });
+    expectIdenticalOutput(single, parallel);
+
+    expect(parallel.throughput).to.include({ threads: 3, leaves: 25, batches: 9 });
+    expect(parallel.throughput.leavesPerSecond).to.be.greaterThan(0);
+    expect(single.throughput.threads).to.equal(1);
+    expect(merkle.readMerkleData(parallel.outputDir)).to.not.have.property("throughput");
+  });
+
+  it("v2叶子编码、累计模式和二进制存储的多线程输出应与单线程一致", async function () {
+    const v2 = { leafVersion: 2, chainId: 31337, distributor: randomAddress() };
+    expectIdenticalOutput(await build({ ...v2, threads: 1 }), await build({ ...v2, threads: 2 }));
+    expectIdenticalOutput(await build({ cumulative: true, threads: 1 }), await build({ cumulative: true, threads: 2 }));
+    expectIdenticalOutput(await build({ store: "binary", threads: 1 }), await build({ store: "binary", threads: 4 }));
+  });
+
+  it("worker中构建失败时应返回错误，无效线程数应被拒绝", async function () {
+    const pool = createHashPool(2, { version: 2, chainId: 1, distributor: randomAddress() });
+    try {
+      const record = { index: 0, address: randomAddress(), token: randomAddress(), amount: "1" };
+      await expect(pool.buildBatchRoot([record])).to.be.rejectedWith("v2叶子编码只支持");
+      const valid = { index: 0, address: randomAddress(), amount: "1" };
+      expect(await pool.buildBatchRoot([valid])).to.match(/^0x[0-9a-f]{64}$/);
+    } finally {
+      await pool.close();
+    }
+
+    await expect(build({ threads: 0 })).to.be.rejectedWith("无效的线程数: 0");
+  });
+});
@@ -0,0 +1,130 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const { spawnSync } = require("child_process");
+const { expect } = require("chai");
+const pipeline = require("../lib/pipeline");
+const { DEFAULT_POLICY_PATH } = require("../lib/scoring-policy");
+const { selectStages } = require("../scripts/airdrop");
+const { quietly } = require("./helpers");
+
+describe("流水线测试", function () {
+  let workDir;
+  let configPath;
+  let definitions;
+  let count = 0;
+
+  const sha256 = (filePath) => crypto.createHash("sha256").update(fs.readFileSync(filePath)).digest("hex");
+  const file = (name) => path.join(workDir, name);
+
+  // 测试用阶段：把输入文件转为大写写入输出文件，或以指定退出码结束
+  const stage = (name, script, input, output, extra = {}) => ({
+    name,
+    description: `测试阶段${name}`,
+    script: file(script),
+    args: () => [input, output],
+    inputs: () => [input],
+    outputs: () => [output],
+    ...extra
+  });
+
+  const run = (options) => quietly(() => pipeline.runPipeline(pipeline.loadPipelineConfig(configPath), { definitions, ...options }));
+
+  beforeEach(function () {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), `pipeline-${count++}-`));
+    fs.writeFileSync(file("upper.js"), [
+      "const fs = require(\"fs\");",
+      "const [input, output] = process.argv.slice(2);",
+      "fs.writeFileSync(output, fs.readFileSync(input, \"utf8\").toUpperCase());"
+    ].join("\n"));
+    fs.writeFileSync(file("fail.js"), "process.exit(3);");
+    fs.writeFileSync(file("input.txt"), "airdrop");
+    configPath = file("pipeline.config.json");
+    fs.writeFileSync(configPath, JSON.stringify({
+      manifest: "runs/manifest.json",
+      paths: { scoringPolicy: DEFAULT_POLICY_PATH, finalDir: "final", merkleDir: "merkle" }
+    }));
+    definitions = [
+      stage("a", "upper.js", file("input.txt"), file("a.txt")),
+      stage("b", "upper.js", file("a.txt"), file("b.txt")),
+      stage("c", "fail.js", file("b.txt"), file("c.txt"), { skip: () => "未配置c" })
+    ];
+  });
+
+  afterEach(function () {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  it("按顺序执行阶段，清单记录命令、输入输出的sha256及运行记录", async function () {
+    const result = await run();
+    expect(result.stages).to.deep.equal({ a: "completed", b: "completed", c: "skipped" });
+    expect(fs.readFileSync(file("b.txt"), "utf8")).to.equal("AIRDROP");
+
+    const manifest = pipeline.loadManifest(file("runs/manifest.json"));
+    const a = manifest.stages.a;
+    expect(a.status).to.equal("completed");
+    expect(a.exitCode).to.equal(0);
+    expect(a.command).to.deep.equal([process.execPath, file("upper.js"), file("input.txt"), file("a.txt")]);
+    expect(a.env.SCORING_POLICY).to.equal(DEFAULT_POLICY_PATH);
+    expect(a.inputs[0].files).to.deep.equal([{ file: "input.txt", size: 7, sha256: sha256(file("input.txt")) }]);
+    expect(a.outputs[0].files[0].sha256).to.equal(sha256(file("a.txt")));
+    expect(a.inputHash).to.equal(pipeline.computeInputHash(a.inputs, a.command, a.env));
+    expect(manifest.stages.c).to.equal(undefined);
+
+    expect(manifest.runs).to.have.length(1);
+    expect(manifest.runs[0]).to.include({ status: "completed", resume: false });
+    expect(manifest.runs[0].scoringPolicy.hash).to.match(/^[0-9a-f]{64}$/);
+  });
+
+  it("--resume复用输入和输出都未变化的阶段，输入变化时重新执行该阶段及其下游阶段", async function () {
+    await run();
+    expect((await run({ resume: true })).stages).to.deep.equal({ a: "reused", b: "reused", c: "skipped" });
+
+    // 输出被修改的阶段重新执行
+    fs.writeFileSync(file("b.txt"), "tampered");
+    expect((await run({ resume: true })).stages).to.deep.equal({ a: "reused", b: "completed", c: "skipped" });
+    expect(fs.readFileSync(file("b.txt"), "utf8")).to.equal("AIRDROP");
+
+    // 上游输入变化时下游阶段也重新执行
+    fs.writeFileSync(file("input.txt"), "merkle");
+    expect((await run({ resume: true })).stages).to.deep.equal({ a: "completed", b: "completed", c: "skipped" });
+    expect(fs.readFileSync(file("b.txt"), "utf8")).to.equal("MERKLE");
+
+    // 不指定--resume时全部重新执行
+    expect((await run()).stages).to.deep.equal({ a: "completed", b: "completed", c: "skipped" });
+    expect(pipeline.loadManifest(file("runs/manifest.json")).runs).to.have.length(5);
+  });
+
+  it("阶段以非零退出码结束时流水线失败，清单记录失败的阶段", async function () {
+    definitions[2] = stage("c", "fail.js", file("b.txt"), file("c.txt"));
+    await expect(run()).to.be.rejectedWith("阶段 c 执行失败: 退出码 3");
+
+    const manifest = pipeline.loadManifest(file("runs/manifest.json"));
+    expect(manifest.stages.c).to.include({ status: "failed", exitCode: 3 });
+    expect(manifest.stages.b.status).to.equal("completed");
+    expect(manifest.runs[0]).to.include({ status: "failed", error: "阶段 c 执行失败: 退出码 3" });
+
+    // 缺少输入时不执行阶段
+    fs.rmSync(file("input.txt"));
+    await expect(run({ stages: ["a"] })).to.be.rejectedWith(`阶段 a 缺少输入: ${file("input.txt")}`);
+    await expect(run({ stages: ["x"] })).to.be.rejectedWith("未知阶段: x，可用阶段: a, b, c");
+  });
+
+  it("命令行按--from/--to选择阶段，阶段失败时以非零退出码结束", function () {
+    expect(selectStages("cross-check", "tree")).to.deep.equal(["cross-check", "merge-cleaned", "sybil", "tree"]);
+    expect(selectStages(undefined, "liquidity")).to.deep.equal(["holders", "liquidity"]);
+    expect(() => selectStages("tree", "holders")).to.throw("起始阶段 tree 位于结束阶段 holders 之后");
+
+    // 输入目录中没有CSV文件时tree阶段失败，命令行以非零退出码结束而不是一直等待
+    fs.mkdirSync(file("final"));
+    const result = spawnSync(process.execPath, [path.join(__dirname, "../scripts/airdrop.js"), "tree", "--config", configPath], {
+      encoding: "utf8",
+      timeout: 120000
+    });
+    expect(result.signal).to.equal(null);
+    expect(result.status).to.equal(1);
+    expect(result.stderr).to.include("阶段 tree 执行失败: 退出码 1");
+    expect(pipeline.loadManifest(file("runs/manifest.json")).stages.tree.status).to.equal("failed");
+  });
+});
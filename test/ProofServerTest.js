@@ -0,0 +1,170 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+const merkle = require("../lib/merkle");
+const { buildMerkleTree } = require("../scripts/generate_merkle_tree");
+const { createClaimChecker, createProofService, createServer } = require("../scripts/proof_server");
+
+describe("证明HTTP服务测试", function () {
+  let token;
+  let distributor;
+  let users;
+  let outsider;
+  let workDir;
+  let merkleDir;
+  let server;
+  let baseUrl;
+
+  const get = (pathname) => fetch(`${baseUrl}${pathname}`);
+  const post = (pathname, body) => fetch(`${baseUrl}${pathname}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body)
+  });
+
+  before(async function () {
+    const signers = await ethers.getSigners();
+    users = signers.slice(1, 6);
+    outsider = signers[7];
+
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), "proof-server-"));
+    const csvDir = path.join(workDir, "csv");
+    merkleDir = path.join(workDir, "merkle-data");
+    fs.mkdirSync(csvDir);
+    const rows = ["id,address,c3,c4,c5,c6,c7,c8,total_score"];
+    users.forEach((user, i) => rows.push(`${i},${user.address},,,,,,,${i + 1}`));
+    fs.writeFileSync(path.join(csvDir, "users.csv"), rows.join("\n"));
+
+    const originalLog = console.log;
+    console.log = () => {};
+    try {
+      await buildMerkleTree(2, csvDir, merkleDir);
+    } finally {
+      console.log = originalLog;
+    }
+  });
+
+  after(function () {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  beforeEach(async function () {
+    merkle.clearCache();
+    const Token = await ethers.getContractFactory("AirdropToken");
+    token = await Token.deploy("空投代币", "ADT", ethers.parseUnits("1000000", 18), ethers.parseUnits("10000000", 18));
+    const Distributor = await ethers.getContractFactory("MerkleDistributor");
+    distributor = await Distributor.deploy(await token.getAddress(), merkle.readMerkleData(merkleDir).root);
+    await token.transfer(await distributor.getAddress(), ethers.parseUnits("100", 18));
+
+    // 领取状态通过Hardhat网络的RPC provider查询
+    const claimChecker = createClaimChecker({ provider: ethers.provider, distributor: await distributor.getAddress() });
+    server = createServer(createProofService({ merkleDir, claimChecker }), { maxBatchAddresses: 3 });
+    await new Promise(resolve => server.listen(0, resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(function () {
+    server.close();
+  });
+
+  it("GET /proof应返回证明并反映链上领取状态", async function () {
+    const res = await get(`/proof/${users[2].address}`);
+    expect(res.status).to.equal(200);
+    expect(res.headers.get("access-control-allow-origin")).to.equal("*");
+    const proof = await res.json();
+    expect(proof.address).to.equal(users[2].address);
+    expect(proof.claimed).to.equal(false);
+
+    await users[2].sendTransaction({ to: await distributor.getAddress(), data: proof.callData.claimWithBatchProof });
+    expect(await token.balanceOf(users[2].address)).to.equal(proof.amount);
+
+    const after = await (await get(`/proof/${users[2].address.toLowerCase()}`)).json();
+    expect(after.claimed).to.equal(true);
+  });
+
+  it("不在列表中或无效的地址应返回404或400", async function () {
+    expect((await get(`/proof/${outsider.address}`)).status).to.equal(404);
+    expect((await get("/proof/0x1234")).status).to.equal(400);
+    expect((await get(`/proof/${users[0].address}?token=abc`)).status).to.equal(400);
+    expect((await get("/unknown")).status).to.equal(404);
+  });
+
+  it("POST /proofs应批量返回证明及不在列表中的地址", async function () {
+    const addresses = [users[0].address, users[4].address, outsider.address];
+    const res = await post("/proofs", { addresses });
+    expect(res.status).to.equal(200);
+    const { proofs, missing } = await res.json();
+    expect(Object.keys(proofs)).to.deep.equal([users[0].address, users[4].address]);
+    expect(missing).to.deep.equal([outsider.address]);
+    expect(proofs[users[4].address].claimed).to.equal(false);
+
+    // 组合证明可以直接领取
+    const proof = proofs[users[0].address];
+    await distributor.claim(proof.index, proof.address, proof.amount, proof.combinedProof);
+    expect(await token.balanceOf(users[0].address)).to.equal(proof.amount);
+
+    expect((await post("/proofs", { addresses: users.slice(0, 4).map(u => u.address) })).status).to.equal(400);
+    expect((await post("/proofs", { addresses: ["0x1234"] })).status).to.equal(400);
+    expect((await post("/proofs", {})).status).to.equal(400);
+  });
+
+  it("GET /eligibility应返回分配金额而不返回证明", async function () {
+    const eligible = await (await get(`/eligibility/${users[1].address.toLowerCase()}`)).json();
+    expect(eligible).to.deep.equal({
+      address: users[1].address,
+      eligible: true,
+      asset: "erc20",
+      allocations: [{ index: 1, amount: ethers.parseUnits("1.3", 18).toString(), amountInEther: "1.3", claimed: false }]
+    });
+
+    const ineligible = await (await get(`/eligibility/${outsider.address}`)).json();
+    expect(ineligible).to.deep.equal({ address: outsider.address, eligible: false, allocations: [] });
+  });
+
+  it("GET /stats应返回Merkle数据概要、请求计数和缓存状态", async function () {
+    // 同一批次的两个地址
+    const addressMap = merkle.readAddressMap(merkleDir);
+    const sameBatch = Object.keys(addressMap).filter(address => addressMap[address].batchIndex === 0);
+    await get(`/proof/${sameBatch[0]}`);
+    await get(`/proof/${sameBatch[1]}`);
+    await get(`/proof/${outsider.address}`);
+
+    const stats = await (await get("/stats")).json();
+    const merkleData = merkle.readMerkleData(merkleDir);
+    expect(stats.root).to.equal(merkleData.root);
+    expect(stats.totalRecords).to.equal(5);
+    expect(stats.batchCount).to.equal(3);
+    expect(stats.claimStatus).to.equal(true);
+    expect(stats.requests).to.include({ proof: 3, served: 2, notFound: 1 });
+    // 两个地址共用一棵缓存的批次树
+    expect(stats.cache.batchTrees).to.equal(1);
+  });
+
+  it("领取状态查询失败时仍返回证明", async function () {
+    const claimChecker = createClaimChecker({ provider: ethers.provider, distributor: outsider.address });
+    const service = createProofService({ merkleDir, claimChecker });
+
+    const proof = await service.getProof(users[3].address);
+    expect(proof.combinedProof).to.not.be.empty;
+    expect(proof.claimed).to.equal(null);
+    expect(proof.claimStatusError).to.be.a("string");
+    expect(service.getStats().requests.claimStatusErrors).to.equal(1);
+  });
+
+  it("累计分发合约按累计已领取金额判断领取状态", async function () {
+    const Cumulative = await ethers.getContractFactory("CumulativeMerkleDistributor");
+    const cumulative = await Cumulative.deploy(await token.getAddress());
+    const leaf = merkle.hashCumulativeLeaf(users[0].address, 100n);
+    await cumulative.setMerkleRoot("0x" + leaf.toString("hex"));
+    await token.transfer(await cumulative.getAddress(), 100n);
+
+    const checker = createClaimChecker({ provider: ethers.provider, distributor: await cumulative.getAddress() });
+    const proofData = { address: users[0].address, amount: "100" };
+    expect(await checker(proofData)).to.deep.equal({ claimed: false, claimedAmount: "0" });
+
+    await cumulative.claim(users[0].address, 100n, []);
+    expect(await checker(proofData)).to.deep.equal({ claimed: true, claimedAmount: "100" });
+  });
+});
@@ -0,0 +1,104 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+const { publishBatchRoots } = require("../scripts/publish_batch_roots");
+
+describe("批次根发布脚本测试", function () {
+  const batchCount = 12;
+  let distributor;
+  let owner, other;
+  let workDir;
+  let receiptsPath;
+  let roots;
+
+  before(async function () {
+    [owner, other] = await ethers.getSigners();
+
+    // 生成批次文件（只需要batchIndex和root字段）
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), "publish-batch-roots-"));
+    fs.mkdirSync(path.join(workDir, "batches"));
+    roots = Array.from({ length: batchCount }, (_, i) => ethers.keccak256(ethers.toUtf8Bytes(`batch-${i}`)));
+    roots.forEach((root, batchIndex) => {
+      fs.writeFileSync(
+        path.join(workDir, "batches", `batch_${batchIndex}.json`),
+        JSON.stringify({ batchIndex, root, recordCount: 0, records: [] })
+      );
+    });
+  });
+
+  after(function () {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  beforeEach(async function () {
+    const Token = await ethers.getContractFactory("AirdropToken");
+    const token = await Token.deploy("空投代币", "ADT", ethers.parseUnits("1000000", 18), ethers.parseUnits("10000000", 18));
+    const Distributor = await ethers.getContractFactory("MerkleDistributor");
+    distributor = await Distributor.deploy(await token.getAddress(), ethers.ZeroHash);
+    await distributor.waitForDeployment();
+
+    receiptsPath = path.join(workDir, `receipts_${Date.now()}.json`);
+  });
+
+  async function publish(options = {}) {
+    const originalLog = console.log;
+    console.log = () => {};
+    try {
+      return await publishBatchRoots({
+        distributorAddress: await distributor.getAddress(),
+        merkleDir: workDir,
+        receiptsPath,
+        signer: owner,
+        ...options
+      });
+    } finally {
+      console.log = originalLog;
+    }
+  }
+
+  it("应按gas上限分多笔交易发布所有批次根并记录回执", async function () {
+    // 单个批次约需5万gas，上限20万时每笔交易只能包含少数几个批次
+    const receipts = await publish({ maxGasPerTx: 200000n });
+
+    for (let i = 0; i < batchCount; i++) {
+      expect(await distributor.batchRoots(i)).to.equal(roots[i]);
+      expect(receipts.batches[i].status).to.equal("confirmed");
+      expect(receipts.batches[i].txHash).to.match(/^0x[0-9a-f]{64}$/);
+    }
+    expect(await distributor.verifiedBatchCount()).to.equal(batchCount);
+
+    expect(receipts.transactions.length).to.be.greaterThan(1);
+    for (const tx of receipts.transactions) {
+      expect(BigInt(tx.gasUsed)).to.be.lte(200000n);
+    }
+
+    // 回执日志已写入文件
+    const saved = JSON.parse(fs.readFileSync(receiptsPath, "utf8"));
+    expect(Object.keys(saved.batches)).to.have.lengthOf(batchCount);
+  });
+
+  it("应跳过链上已存在的批次根，重复运行不再发送交易", async function () {
+    await distributor.addBatchRoots([0, 1, 5], [roots[0], roots[1], roots[5]]);
+
+    const first = await publish();
+    expect(first.batches[0].status).to.equal("already-set");
+    expect(first.batches[5].status).to.equal("already-set");
+    expect(first.transactions.flatMap(t => t.batchIndices)).to.not.include(5);
+    expect(await distributor.verifiedBatchCount()).to.equal(batchCount);
+
+    const txCount = first.transactions.length;
+    const second = await publish();
+    expect(second.transactions).to.have.lengthOf(txCount);
+  });
+
+  it("链上批次根与本地不一致时应报错", async function () {
+    await distributor.addBatchRoot(3, ethers.keccak256(ethers.toUtf8Bytes("other")));
+    await expect(publish()).to.be.rejectedWith("批次 3 的链上根");
+  });
+
+  it("非合约所有者不能发布", async function () {
+    await expect(publish({ signer: other })).to.be.rejectedWith("不是分发合约所有者");
+  });
+});
@@ -0,0 +1,92 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const { expect } = require("chai");
+const { DEFAULT_POLICY_PATH, loadScoringPolicy, validateScoringPolicy } = require("../lib/scoring-policy");
+
+describe("积分策略测试", function () {
+  let workDir;
+  let count = 0;
+
+  const readDefaultPolicy = () => JSON.parse(fs.readFileSync(DEFAULT_POLICY_PATH, "utf8"));
+
+  // 写入策略文件，每次使用新文件名以避开按路径的缓存
+  function writePolicy(policy) {
+    const policyPath = path.join(workDir, `policy-${count++}.json`);
+    fs.writeFileSync(policyPath, typeof policy === "string" ? policy : JSON.stringify(policy, null, 2));
+    return policyPath;
+  }
+
+  before(function () {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), "scoring-policy-"));
+  });
+
+  after(function () {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  it("默认策略应通过校验", function () {
+    expect(validateScoringPolicy(readDefaultPolicy())).to.deep.equal([]);
+  });
+
+  it("不符合schema的策略应返回字段路径和错误", function () {
+    const policy = readDefaultPolicy();
+    delete policy.version;
+    policy.defiPositions.tiers[0].score = -1;
+    policy.unknown = true;
+    expect(validateScoringPolicy(policy)).to.have.members([
+      "/ must have required property 'version'",
+      "/ must NOT have additional properties",
+      "/defiPositions/tiers/0/score must be >= 0"
+    ]);
+
+    const badVersion = { ...readDefaultPolicy(), version: "v1" };
+    expect(validateScoringPolicy(badVersion)).to.deep.equal(["/version must match pattern \"^\\d+\\.\\d+\\.\\d+$\""]);
+  });
+
+  it("档位顺序错误或区间重叠时应返回错误", function () {
+    const policy = readDefaultPolicy();
+    // DeFi持仓分级必须按threshold递减
+    policy.defiPositions.tiers[1].threshold = 1000000;
+    // 代币价值分级区间重叠，且只有最后一档可以无上限
+    policy.tokenValueTiers[1].min = 499;
+    policy.tokenValueTiers[2].max = null;
+    // 分级分配表必须按minScore递增
+    policy.allocation = { ...policy.allocation, formula: "tiered", tiers: [{ minScore: 5, amount: 10 }, { minScore: 5, amount: 20 }] };
+
+    expect(validateScoringPolicy(policy)).to.deep.equal([
+      "/defiPositions/tiers/1 threshold必须小于上一档 (1000000)",
+      "/tokenValueTiers/1 与上一档区间重叠",
+      "/tokenValueTiers/2 只有最后一档的max可以为null",
+      "/allocation/tiers/1 minScore必须大于上一档 (5)"
+    ]);
+  });
+
+  it("加载策略时附带路径和文件内容的sha256，无上限档位转换为Infinity", function () {
+    const content = JSON.stringify(readDefaultPolicy(), null, 2);
+    const policyPath = writePolicy(content);
+    const policy = loadScoringPolicy(policyPath);
+
+    expect(policy.path).to.equal(policyPath);
+    expect(policy.hash).to.equal(crypto.createHash("sha256").update(content).digest("hex"));
+    expect(policy.tokenValueTiers[policy.tokenValueTiers.length - 1].max).to.equal(Infinity);
+    expect(loadScoringPolicy(policyPath)).to.equal(policy);
+
+    // 内容不同的文件哈希不同
+    const other = loadScoringPolicy(writePolicy({ ...readDefaultPolicy(), version: "1.0.1" }));
+    expect(other.hash).to.not.equal(policy.hash);
+    expect(loadScoringPolicy().hash).to.equal(loadScoringPolicy(DEFAULT_POLICY_PATH).hash);
+  });
+
+  it("策略文件不存在或校验失败时应报错", function () {
+    const missing = path.join(workDir, "missing.json");
+    expect(() => loadScoringPolicy(missing)).to.throw(`积分策略文件不存在: ${missing}`);
+
+    const policy = readDefaultPolicy();
+    policy.defiPositions.tiers.reverse();
+    const policyPath = writePolicy(policy);
+    expect(() => loadScoringPolicy(policyPath)).to.throw(`积分策略 ${policyPath} 校验失败`)
+      .with.property("message").that.includes("/defiPositions/tiers/1 threshold必须小于上一档 (20)");
+  });
+});
@@ -0,0 +1,128 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+const { buildMerkleTree } = require("../scripts/generate_merkle_tree");
+const { getMerkleProof, exportShardedProofs } = require("../scripts/generate_merkle_proof");
+const { DEFAULT_POLICY_PATH } = require("../lib/scoring-policy");
+const { quietly, writeCsvDir } = require("./helpers");
+
+describe("证明分片导出测试", function () {
+  let users;
+  let workDir;
+  let merkleDir;
+  let outputDir;
+
+  const readJson = (file) => JSON.parse(fs.readFileSync(file, "utf8"));
+
+  // 按index.json中的前缀长度找到地址所在的分片
+  function lookup(address) {
+    const index = readJson(path.join(outputDir, "index.json"));
+    const key = address.toLowerCase();
+    const shard = index.shards[key.slice(2, 2 + index.prefixLength)];
+    return shard ? readJson(path.join(outputDir, shard.file))[key] : undefined;
+  }
+
+  before(async function () {
+    users = (await ethers.getSigners()).slice(1, 8);
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), "sharded-export-"));
+    const csvDir = path.join(workDir, "csv");
+    merkleDir = path.join(workDir, "merkle-data");
+    outputDir = path.join(workDir, "site");
+    writeCsvDir(csvDir, { "users.csv": users.map((user, i) => [user.address, i + 1]) });
+    await quietly(() => buildMerkleTree(3, csvDir, merkleDir));
+  });
+
+  after(function () {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  it("索引应记录Merkle根，各分片只包含对应前缀的地址", async function () {
+    const result = await quietly(() => exportShardedProofs(outputDir, merkleDir));
+    expect(result.proofCount).to.equal(7);
+
+    const index = readJson(path.join(outputDir, "index.json"));
+    const merkleData = readJson(path.join(merkleDir, "merkle_data.json"));
+    expect(index.root).to.equal(merkleData.root);
+    expect(index.prefixLength).to.equal(2);
+    expect(index.keyFormat).to.equal("address");
+    expect(index.shardCount).to.equal(Object.keys(index.shards).length);
+
+    let total = 0;
+    for (const [prefix, shard] of Object.entries(index.shards)) {
+      const proofs = readJson(path.join(outputDir, shard.file));
+      expect(Object.keys(proofs)).to.have.lengthOf(shard.count);
+      expect(Object.keys(proofs).every(key => key.startsWith(`0x${prefix}`))).to.be.true;
+      total += shard.count;
+    }
+    expect(total).to.equal(7);
+
+    // 临时文件已全部清理
+    expect(fs.readdirSync(path.join(outputDir, "proofs")).every(name => name.endsWith(".json"))).to.be.true;
+  });
+
+  it("分片中的证明可以直接在合约上领取", async function () {
+    await quietly(() => exportShardedProofs(outputDir, merkleDir));
+    const index = readJson(path.join(outputDir, "index.json"));
+
+    const Token = await ethers.getContractFactory("AirdropToken");
+    const token = await Token.deploy("空投代币", "ADT", ethers.parseUnits("1000000", 18), ethers.parseUnits("10000000", 18));
+    const Distributor = await ethers.getContractFactory("MerkleDistributor");
+    const distributor = await Distributor.deploy(await token.getAddress(), index.root);
+    await token.transfer(await distributor.getAddress(), ethers.parseUnits("100", 18));
+
+    for (const user of [users[0], users[4], users[6]]) {
+      const proof = lookup(user.address);
+      await user.sendTransaction({ to: await distributor.getAddress(), data: proof.callData.claimWithBatchProof });
+      expect(await token.balanceOf(user.address)).to.equal(proof.amount);
+    }
+  });
+
+  it("重新导出时应清理旧分片，无效的前缀长度应被拒绝", async function () {
+    await quietly(() => exportShardedProofs(outputDir, merkleDir, { prefixLength: 3 }));
+    await quietly(() => exportShardedProofs(outputDir, merkleDir, { prefixLength: 1 }));
+
+    const index = readJson(path.join(outputDir, "index.json"));
+    const files = fs.readdirSync(path.join(outputDir, "proofs"));
+    expect(files.sort()).to.deep.equal(Object.keys(index.shards).map(prefix => `${prefix}.json`).sort());
+    expect(files.every(name => name.length === "0.json".length)).to.be.true;
+    expect(lookup(users[3].address).address).to.equal(users[3].address);
+
+    await expect(exportShardedProofs(outputDir, merkleDir, { prefixLength: 5 }))
+      .to.be.rejectedWith("无效的分片前缀长度");
+  });
+
+  it("amountInEther按积分策略的代币精度换算，精度记录在merkle_data.json和索引中", async function () {
+    const policy = JSON.parse(fs.readFileSync(DEFAULT_POLICY_PATH, "utf8"));
+    policy.allocation.decimals = 6;
+    const policyPath = path.join(workDir, "scoring-policy.json");
+    fs.writeFileSync(policyPath, JSON.stringify(policy, null, 2));
+    const csvDir = path.join(workDir, "csv-decimals");
+    const decimalsDir = path.join(workDir, "merkle-decimals");
+    writeCsvDir(csvDir, { "users.csv": [[users[0].address, 2]] });
+
+    const originalPolicy = process.env.SCORING_POLICY;
+    process.env.SCORING_POLICY = policyPath;
+    try {
+      await quietly(() => buildMerkleTree(3, csvDir, decimalsDir));
+    } finally {
+      if (originalPolicy === undefined) {
+        delete process.env.SCORING_POLICY;
+      } else {
+        process.env.SCORING_POLICY = originalPolicy;
+      }
+    }
+
+    expect(readJson(path.join(decimalsDir, "merkle_data.json")).decimals).to.equal(6);
+    const proof = await quietly(() => getMerkleProof(users[0].address, decimalsDir));
+    expect(proof.amount).to.equal(ethers.parseUnits("1.3", 6).toString());
+    expect(proof.amountInEther).to.equal("1.3");
+
+    const siteDir = path.join(workDir, "site-decimals");
+    await quietly(() => exportShardedProofs(siteDir, decimalsDir));
+    expect(readJson(path.join(siteDir, "index.json")).decimals).to.equal(6);
+    expect(readJson(path.join(siteDir, "proofs", `${users[0].address.toLowerCase().slice(2, 4)}.json`))[users[0].address.toLowerCase()].amountInEther)
+      .to.equal("1.3");
+  });
+});
@@ -0,0 +1,185 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+const merkle = require("../lib/merkle");
+const leafStore = require("../lib/leaf-store");
+const { buildMerkleTree } = require("../scripts/generate_merkle_tree");
+const { getMerkleProof, getTokenProofs, exportShardedProofs } = require("../scripts/generate_merkle_proof");
+const { readAllocationTotal } = require("../scripts/deploy");
+const { readBatchRoots } = require("../scripts/publish_batch_roots");
+const { quietly, writeCsvDir: writeCsvFiles } = require("./helpers");
+
+describe("流式构建与二进制叶子存储测试", function () {
+  let users;
+  let token;
+  let workDir;
+  let csvDir;
+  let count = 0;
+
+  const randomAddress = () => ethers.getAddress(ethers.hexlify(ethers.randomBytes(20)));
+
+  // 写入CSV目录，files为 文件名 => [[地址, 分数, 代币?], ...]
+  function writeCsvDir(files) {
+    csvDir = writeCsvFiles(path.join(workDir, `csv-${count++}`), files);
+  }
+
+  const build = (options = {}, outputDir = path.join(workDir, `merkle-${count++}`)) =>
+    quietly(() => buildMerkleTree(4, csvDir, outputDir, null, options));
+
+  before(async function () {
+    users = (await ethers.getSigners()).slice(1, 5);
+    token = randomAddress();
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), "streaming-build-"));
+  });
+
+  after(function () {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  beforeEach(function () {
+    merkle.clearCache();
+    // 34个地址分为9个批次（最后一批不满），users[1]在两个文件中重复出现
+    const others = Array.from({ length: 30 }, (_, i) => [randomAddress(), (i % 5) + 1]);
+    writeCsvDir({
+      "a.csv": [...others.slice(0, 15), [users[0].address, 1], [users[1].address, 3], [users[2].address, 2]],
+      "b.csv": [...others.slice(15), [users[1].address, 2], [users[3].address, 4]]
+    });
+  });
+
+  it("二进制存储的根、金额、重复地址报告和示例证明应与json存储一致", async function () {
+    const json = await build();
+    // 排序段大小为5时外部排序需要多路归并
+    const binary = await build({ store: "binary", sortChunkSize: 5 });
+
+    expect(binary.merkleRoot).to.equal(json.merkleRoot);
+    expect(binary.totalAmount).to.equal(json.totalAmount);
+    expect(binary.fingerprint).to.not.equal(json.fingerprint);
+    expect(binary.addressMap).to.equal(null);
+
+    // 二进制存储的重复地址逐行写入duplicates.ndjson，返回值和merkle_data.json中只有计数
+    const { duplicates: jsonDuplicates, ...counts } = json.duplicates;
+    expect(binary.duplicates).to.deep.equal(counts);
+    const lines = fs.readFileSync(path.join(binary.outputDir, "duplicates.ndjson"), "utf8").trim().split("\n");
+    expect(lines.map(line => JSON.parse(line))).to.deep.equal(jsonDuplicates);
+    expect(fs.existsSync(path.join(binary.outputDir, "duplicates.json"))).to.equal(false);
+
+    const jsonData = merkle.readMerkleData(json.outputDir);
+    const binaryData = merkle.readMerkleData(binary.outputDir);
+    expect(binaryData.batchCount).to.equal(9);
+    expect(binaryData.batchRoots).to.equal(undefined);
+    expect(binaryData.store).to.include({ format: "binary", multiToken: false, leafCount: 34, recordSize: 52, batchSize: 4 });
+    expect(binaryData.examples).to.deep.equal(jsonData.examples);
+    expect(binaryData.build.params.store).to.equal("binary");
+
+    // 不生成地址映射和批次文件，叶子文件为定长记录
+    expect(fs.existsSync(path.join(binary.outputDir, merkle.ADDRESS_MAP_FILE))).to.equal(false);
+    expect(fs.existsSync(path.join(binary.outputDir, merkle.BATCH_DIR))).to.equal(false);
+    expect(fs.statSync(path.join(binary.outputDir, leafStore.LEAF_STORE_FILE)).size).to.equal(34 * 52);
+    expect(fs.readdirSync(binary.outputDir).filter(name => name.startsWith(".build-"))).to.be.empty;
+
+    // 二分查找的位置与地址映射一致
+    for (const [key, location] of Object.entries(json.addressMap)) {
+      expect(merkle.findLeaf(binary.outputDir, key)).to.deep.equal(location);
+    }
+    expect(merkle.findLeaf(binary.outputDir, randomAddress().toLowerCase())).to.equal(null);
+    expect(merkle.findLeaf(binary.outputDir, "0x1234")).to.equal(null);
+  });
+
+  it("二进制存储的证明可直接领取，并支持部署、发布批次根和分片导出", async function () {
+    const json = await build();
+    const binary = await build({ store: "binary" });
+
+    const proof = await quietly(() => getMerkleProof(users[1].address, binary.outputDir));
+    const jsonProof = await quietly(() => getMerkleProof(users[1].address, json.outputDir));
+    expect(proof).to.deep.equal(jsonProof);
+    expect(await quietly(() => getMerkleProof(randomAddress(), binary.outputDir))).to.equal(null);
+
+    const Token = await ethers.getContractFactory("AirdropToken");
+    const airdropToken = await Token.deploy("空投代币", "ADT", ethers.parseUnits("1000000", 18), ethers.parseUnits("10000000", 18));
+    const Distributor = await ethers.getContractFactory("MerkleDistributor");
+    const distributor = await Distributor.deploy(await airdropToken.getAddress(), binary.merkleRoot);
+    await airdropToken.transfer(await distributor.getAddress(), binary.totalAmount);
+    await distributor.claim(proof.index, proof.address, proof.amount, proof.combinedProof);
+    expect(await airdropToken.balanceOf(users[1].address)).to.equal(BigInt(proof.amount));
+
+    // 两段证明：批次内证明和从top_layers.bin读取的批次根证明
+    const batchProof = await quietly(() => getMerkleProof(users[2].address, binary.outputDir));
+    await distributor.claimWithBatchProof(batchProof.index, batchProof.address, batchProof.amount, batchProof.proof, batchProof.rootProof);
+    expect(await airdropToken.balanceOf(users[2].address)).to.equal(BigInt(batchProof.amount));
+
+    // 部署脚本从leaves.bin核对总额，发布脚本从top_layers.bin读取批次根
+    expect(readAllocationTotal(binary.outputDir).total).to.equal(binary.totalAmount);
+    expect(readBatchRoots(binary.outputDir)).to.deep.equal(readBatchRoots(json.outputDir));
+
+    const shards = await quietly(() => exportShardedProofs(path.join(workDir, `shards-${count++}`), binary.outputDir));
+    expect(shards.proofCount).to.equal(34);
+  });
+
+  it("多代币模式下二进制存储与json存储的根和证明一致", async function () {
+    const partner = randomAddress();
+    writeCsvDir({
+      "a.csv": users.map((user, i) => [user.address, i + 1, token]),
+      "b.csv": [[users[0].address, 5, partner], [users[1].address, 6, partner], [users[0].address, 2, token]]
+    });
+    const json = await build();
+    const binary = await build({ store: "binary", sortChunkSize: 2 });
+    expect(binary.merkleRoot).to.equal(json.merkleRoot);
+    expect(binary.tokenTotals).to.deep.equal(json.tokenTotals);
+    expect(merkle.readMerkleData(binary.outputDir).store).to.include({ multiToken: true, recordSize: 72, leafCount: 6 });
+
+    const tokenProofs = await quietly(() => getTokenProofs(users[0].address, binary.outputDir));
+    expect(tokenProofs).to.deep.equal(await quietly(() => getTokenProofs(users[0].address, json.outputDir)));
+    expect(tokenProofs.proofs.map(p => p.token)).to.have.members([token, partner]);
+    expect(await quietly(() => getTokenProofs(randomAddress(), binary.outputDir))).to.equal(null);
+  });
+
+  it("切换存储格式时删除另一种格式的旧文件", async function () {
+    const outputDir = path.join(workDir, `merkle-${count++}`);
+    await build({}, outputDir);
+    const binary = await build({ store: "binary" }, outputDir);
+    expect(fs.existsSync(path.join(outputDir, merkle.ADDRESS_MAP_FILE))).to.equal(false);
+    expect(fs.existsSync(path.join(outputDir, merkle.BATCH_DIR))).to.equal(false);
+    expect((await quietly(() => getMerkleProof(users[2].address, outputDir))).root).to.equal(binary.merkleRoot);
+
+    expect(fs.existsSync(path.join(outputDir, "duplicates.json"))).to.equal(false);
+    expect(fs.existsSync(path.join(outputDir, "duplicates.ndjson"))).to.equal(true);
+
+    merkle.clearCache();
+    await build({}, outputDir);
+    expect(fs.existsSync(path.join(outputDir, leafStore.LEAF_STORE_FILE))).to.equal(false);
+    expect(fs.existsSync(path.join(outputDir, leafStore.TOP_LAYERS_FILE))).to.equal(false);
+    expect(fs.existsSync(path.join(outputDir, "duplicates.ndjson"))).to.equal(false);
+    expect(fs.existsSync(path.join(outputDir, "duplicates.json"))).to.equal(true);
+    expect(await quietly(() => getMerkleProof(users[2].address, outputDir))).to.not.equal(null);
+  });
+
+  it("二进制存储不支持的模式和无效参数应被拒绝", async function () {
+    await expect(build({ store: "ndjson" })).to.be.rejectedWith("无效的叶子存储格式: ndjson");
+    await expect(build({ store: "binary", cumulative: true })).to.be.rejectedWith("二进制存储不支持累计模式");
+    await expect(build({ store: "binary", order: "input" })).to.be.rejectedWith("不支持排序方式 input");
+    await expect(build({ store: "binary", sortChunkSize: 0 })).to.be.rejectedWith("无效的排序段大小");
+    await expect(build({ store: "binary", duplicates: "error" })).to.be.rejectedWith("发现 1 个重复地址");
+  });
+
+  it("从磁盘逐层构建的顶层树应与merkletreejs一致", function () {
+    const dir = fs.mkdtempSync(path.join(workDir, "layers-"));
+    for (let n = 1; n <= 17; n++) {
+      const roots = Array.from({ length: n }, () => ethers.hexlify(ethers.randomBytes(32)));
+      const filePath = path.join(dir, leafStore.TOP_LAYERS_FILE);
+      fs.writeFileSync(filePath, Buffer.concat(roots.map(root => Buffer.from(root.slice(2), "hex"))));
+
+      const { root, layers } = leafStore.buildTopLayers(filePath, n);
+      const tree = merkle.buildTree(roots);
+      expect(root).to.equal(tree.getHexRoot());
+
+      const store = { layersFile: leafStore.TOP_LAYERS_FILE, layers };
+      expect(leafStore.readTopRoot(dir, store)).to.equal(root);
+      expect(leafStore.readBatchRoots(dir, store)).to.deep.equal(roots);
+      roots.forEach((batchRoot, i) => {
+        expect(leafStore.readRootProof(dir, store, i)).to.deep.equal({ root: batchRoot, proof: tree.getHexProof(batchRoot, i) });
+      });
+    }
+  });
+});
@@ -0,0 +1,216 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const merkle = require("../lib/merkle");
+const { createRejectionReport } = require("../lib/address");
+const sybil = require("../lib/sybil");
+const { loadScoringPolicy, validateScoringPolicy } = require("../lib/scoring-policy");
+const { detectSybilClusters } = require("../scripts/detect_sybil_clusters");
+const { buildMerkleTree } = require("../scripts/generate_merkle_tree");
+const { quietly, writeCsvDir } = require("./helpers");
+
+describe("女巫集群检测测试", function () {
+  let workDir;
+  let count = 0;
+
+  // 生成确定的测试地址
+  const addr = (n) => `0x${n.toString(16).padStart(40, "0")}`;
+
+  function writeFile(name, content) {
+    const filePath = path.join(workDir, `${count++}-${name}`);
+    fs.writeFileSync(filePath, content);
+    return filePath;
+  }
+
+  function createGraph(candidates, policy, transfers) {
+    const graph = sybil.createFundingGraph(candidates, sybil.resolveSybilPolicy(policy));
+    transfers.forEach(([from, to, timestamp], i) => graph.addTransfer({ from, to, timestamp, hash: `0x${i}` }));
+    return graph.clusters();
+  }
+
+  before(function () {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), "sybil-"));
+  });
+
+  after(function () {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  it("读取CSV和NDJSON转账记录，解析时间并跳过零金额转账和无效行", async function () {
+    expect(sybil.parseTimestamp("1700000000")).to.equal(1700000000);
+    expect(sybil.parseTimestamp("1700000000123")).to.equal(1700000000);
+    expect(sybil.parseTimestamp("2023-11-14T22:13:20Z")).to.equal(1700000000);
+    expect(sybil.parseTimestamp("yesterday")).to.equal(null);
+
+    const csvPath = writeFile("transfers.csv", [
+      "hash,from_address,to_address,value,block_timestamp",
+      `0xa,${addr(1)},${addr(2)},100,1700000000`,
+      `0xb,${addr(1)},${addr(3)},0,1700000001`,
+      `0xc,${addr(1)},${addr(4)},5,soon`,
+      `0xd,${addr(1)},0x1234,5,1700000002`
+    ].join("\n"));
+    const ndjsonPath = writeFile("transfers.ndjson", [
+      JSON.stringify({ from: addr(2), to: addr(5), timestamp: "2023-11-14T22:13:20Z", tx_hash: "0xe" }),
+      "",
+      "{not json",
+      JSON.stringify({ from: addr(2), timestamp: 1700000000 })
+    ].join("\n"));
+
+    const errors = [];
+    const rejections = createRejectionReport("test");
+    const read = async (filePath) => {
+      const transfers = [];
+      for await (const transfer of sybil.readTransfers(filePath, { rejections, onRowError: error => errors.push(error) })) {
+        transfers.push(transfer);
+      }
+      return transfers;
+    };
+
+    const fromCsv = await read(csvPath);
+    expect(fromCsv.map(({ from, to, timestamp, hash, line }) => ({ from, to, timestamp, hash, line }))).to.deep.equal([
+      { from: addr(1), to: addr(2), timestamp: 1700000000, hash: "0xa", line: 2 }
+    ]);
+    const fromNdjson = await read(ndjsonPath);
+    expect(fromNdjson.map(({ from, to, timestamp, hash }) => ({ from, to, timestamp, hash }))).to.deep.equal([
+      { from: addr(2), to: addr(5), timestamp: 1700000000, hash: "0xe" }
+    ]);
+
+    expect(errors.map(({ file, line }) => [file, line])).to.deep.equal([
+      [path.basename(csvPath), 4],
+      [path.basename(ndjsonPath), 3],
+      [path.basename(ndjsonPath), 4]
+    ]);
+    expect(errors[0]).to.include({ column: "timestamp", message: "无法解析时间: soon" });
+    expect(errors[1].message).to.match(/^无法解析/);
+    expect(errors[2]).to.include({ column: "to或to_address", message: "缺少该字段" });
+    expect(rejections.summary().byReason).to.deep.equal({ format: 1 });
+
+    expect(sybil.listTransferFiles(workDir).map(file => path.basename(file)))
+      .to.include.members([path.basename(csvPath), path.basename(ndjsonPath)]);
+    expect(() => sybil.listTransferFiles(path.join(workDir, "missing"))).to.throw("转账记录不存在");
+  });
+
+  it("共同首个资金来源的地址归为集群，公共地址和之后的转入不作为首个资金来源", function () {
+    const funder = addr(100);
+    const exchange = addr(200);
+    const candidates = [1, 2, 3, 4, 5, 6].map(addr);
+    const { clusters, stats } = createGraph(candidates, { ignoredAddresses: [exchange] }, [
+      // 1-3由同一地址首次注资
+      [funder, addr(1), 1000],
+      [funder, addr(2), 1010],
+      [funder, addr(3), 5000],
+      // 4-5首次注资来自交易所，之后才收到funder的转账
+      [exchange, addr(4), 900],
+      [exchange, addr(5), 900],
+      [funder, addr(4), 2000],
+      [funder, addr(5), 2000],
+      // 6由候选地址1注资，只有两个地址，不足最低档位
+      [addr(1), addr(6), 3000]
+    ]);
+
+    expect(stats).to.include({ candidates: 6, funded: 6, sharedFunders: 1 });
+    expect(clusters).to.have.length(1);
+    const [cluster] = clusters;
+    expect(cluster).to.include({ id: "cluster-1", size: 3, action: "penalty", multiplier: 0.5 });
+    expect(cluster.members).to.deep.equal([1, 2, 3].map(addr));
+    expect(cluster.evidence.sharedFunders).to.have.length(1);
+    expect(cluster.evidence.sharedFunders[0]).to.include({ funder, funderIsCandidate: false });
+    expect(cluster.evidence.sharedFunders[0].examples[0]).to.deep.equal({ address: addr(1), funder, timestamp: 1000, hash: "0x0" });
+  });
+
+  it("多个时间窗口内同步转账的地址归为集群，热门合约的转账不参与判断，按规模选择处理方式", function () {
+    const router = addr(300);
+    const popular = addr(400);
+    const candidates = Array.from({ length: 12 }, (_, i) => addr(i + 1));
+    const transfers = [];
+    // 1-10在三个窗口内都向router转账
+    for (const window of [0, 5, 9]) {
+      for (let i = 1; i <= 10; i++) {
+        transfers.push([addr(i), router, window * 600 + i]);
+      }
+    }
+    // 11-12只在两个窗口内同步，不足minLockstepEvents
+    transfers.push([addr(11), router, 7200], [addr(12), router, 7201], [addr(11), router, 9000], [addr(12), router, 9001]);
+
+    const { clusters } = createGraph(candidates, {}, transfers);
+    expect(clusters).to.have.length(1);
+    expect(clusters[0]).to.include({ size: 10, action: "exclude" });
+    expect(clusters[0].evidence.lockstep.pairs).to.equal(45);
+    expect(clusters[0].evidence.lockstep.examples[0]).to.deep.include({ addresses: [addr(1), addr(2)], events: 3 });
+    expect(clusters[0].evidence.lockstep.examples[0].examples[0]).to.deep.equal({ direction: "out", counterparty: router, windowStart: 0 });
+
+    // 同一窗口内的地址数超过maxLockstepGroup时视为热门合约
+    const crowded = createGraph(candidates, { maxLockstepGroup: 9 }, transfers.map(([from, , timestamp]) => [from, popular, timestamp]));
+    expect(crowded.clusters).to.deep.equal([]);
+    expect(crowded.stats.crowdedEvents).to.equal(3);
+
+    expect(sybil.selectAction(sybil.DEFAULT_SYBIL_POLICY.actions, 2)).to.equal(null);
+    expect(sybil.selectAction(sybil.DEFAULT_SYBIL_POLICY.actions, 9).action).to.equal("penalty");
+  });
+
+  it("按集群降分或排除空投用户，写入集群报告，输出可直接生成Merkle树", async function () {
+    const funder = addr(100);
+    const inputDir = writeCsvDir(path.join(workDir, `input-${count++}`), {
+      "1.csv": [[addr(1), 3], [addr(2), 5], [addr(3), "abc"], [addr(4), 2]],
+      "2.csv": [[addr(3), 4], [addr(5), 1], [addr(6), 1]]
+    });
+    const transfersDir = path.join(workDir, `transfers-${count++}`);
+    fs.mkdirSync(transfersDir);
+    fs.writeFileSync(path.join(transfersDir, "a.csv"), [
+      "from,to,timestamp,hash",
+      ...[1, 2, 3].map(i => `${funder},${addr(i)},${1000 + i},0x${i}`),
+      `${addr(1)},${addr(4)},2000,0x4`,
+      `${addr(1)},${addr(5)},2001,0x5`,
+      `${addr(1)},${addr(6)},2002,0x6`
+    ].join("\n"));
+
+    const outputDir = path.join(workDir, `output-${count++}`);
+    fs.mkdirSync(outputDir);
+    fs.writeFileSync(path.join(outputDir, "stale.csv"), "address,total_score\n");
+    const scoringPolicy = {
+      ...loadScoringPolicy(),
+      sybil: { actions: [{ minSize: 3, action: "penalty", multiplier: 0.5 }, { minSize: 4, action: "exclude" }] }
+    };
+    const report = await quietly(() => detectSybilClusters(inputDir, transfersDir, outputDir, scoringPolicy));
+
+    // 1-3共同首个资金来源，4-6由候选地址1注资，两组共享地址1合并为一个集群
+    expect(report.clusters.map(({ id, size, action }) => ({ id, size, action }))).to.deep.equal([
+      { id: "cluster-1", size: 6, action: "exclude" }
+    ]);
+    expect(report.summary.records).to.deep.equal({ total: 6, kept: 0, flagged: 0, penalized: 0, excluded: 6 });
+    expect(report.inputs.rowErrors.count).to.equal(1);
+    expect(report.inputs.rowErrors.examples[0]).to.equal("1.csv:4 total_score: 不是数字: abc");
+    expect(fs.readdirSync(outputDir).sort()).to.deep.equal(["1.csv", "2.csv", "sybil_report.json"]);
+
+    // 只降分不排除时，输出保留其余列并标记集群编号
+    scoringPolicy.sybil = { actions: [{ minSize: 3, action: "penalty", multiplier: 0.5 }] };
+    await quietly(() => detectSybilClusters(inputDir, transfersDir, outputDir, scoringPolicy));
+    expect(fs.readFileSync(path.join(outputDir, "1.csv"), "utf8").trim().split("\n")).to.deep.equal([
+      "id,address,c3,c4,c5,c6,c7,c8,total_score,sybil_cluster",
+      `0,${addr(1)},,,,,,,1.5,cluster-1`,
+      `1,${addr(2)},,,,,,,2.5,cluster-1`,
+      `3,${addr(4)},,,,,,,1,cluster-1`
+    ]);
+    const written = JSON.parse(fs.readFileSync(path.join(outputDir, "sybil_report.json"), "utf8"));
+    expect(written.summary).to.deep.include({ clusters: 1, clusteredAddresses: 6, byAction: { penalty: 1 } });
+    expect(written.clusters[0].evidence.sharedFunders.map(({ funder: f, funderIsCandidate }) => [f, funderIsCandidate]))
+      .to.deep.equal([[addr(1), true], [funder, false]]);
+
+    merkle.clearCache();
+    const merkleDir = path.join(workDir, `merkle-${count++}`);
+    const result = await quietly(() => buildMerkleTree(2, outputDir, merkleDir));
+    expect(Object.keys(result.addressMap)).to.have.length(6);
+  });
+
+  it("积分策略中集群处理方式的minSize必须递增，penalty必须指定multiplier", function () {
+    const policy = JSON.parse(fs.readFileSync(path.join(__dirname, "../config/scoring-policy.json"), "utf8"));
+    expect(validateScoringPolicy(policy)).to.deep.equal([]);
+
+    policy.sybil.actions = [{ minSize: 3, action: "penalty" }];
+    expect(validateScoringPolicy(policy)).to.include("/sybil/actions/0 must have required property 'multiplier'");
+
+    policy.sybil.actions = [{ minSize: 5, action: "exclude" }, { minSize: 5, action: "flag" }];
+    expect(validateScoringPolicy(policy)).to.deep.equal(["/sybil/actions/1 minSize必须大于上一档 (5)"]);
+  });
+});
@@ -0,0 +1,122 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+const { buildMerkleTree } = require("../scripts/generate_merkle_tree");
+const { getMerkleProof } = require("../scripts/generate_merkle_proof");
+
+describe("两层Merkle树端到端测试", function () {
+  let token;
+  let distributor;
+  let signers;
+  let workDir;
+  let merkleDir;
+
+  before(async function () {
+    signers = (await ethers.getSigners()).slice(1, 8);
+
+    // 生成测试CSV：地址在第2列，分数在第9列
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), "two-level-proof-"));
+    const csvDir = path.join(workDir, "csv");
+    merkleDir = path.join(workDir, "merkle-data");
+    fs.mkdirSync(csvDir);
+
+    const rows = ["id,address,c3,c4,c5,c6,c7,c8,total_score"];
+    signers.forEach((signer, i) => {
+      rows.push(`${i},${signer.address},,,,,,,${i + 1}`);
+    });
+    fs.writeFileSync(path.join(csvDir, "users.csv"), rows.join("\n"));
+
+    // 每批3条记录，7个地址分为3个批次
+    const originalLog = console.log;
+    console.log = () => {};
+    try {
+      await buildMerkleTree(3, csvDir, merkleDir);
+    } finally {
+      console.log = originalLog;
+    }
+  });
+
+  after(function () {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  beforeEach(async function () {
+    const merkleData = JSON.parse(fs.readFileSync(path.join(merkleDir, "merkle_data.json"), "utf8"));
+
+    const Token = await ethers.getContractFactory("AirdropToken");
+    token = await Token.deploy("空投代币", "ADT", ethers.parseUnits("1000000", 18), ethers.parseUnits("10000000", 18));
+    await token.waitForDeployment();
+
+    // 只设置顶层根，不添加任何批次根
+    const Distributor = await ethers.getContractFactory("MerkleDistributor");
+    distributor = await Distributor.deploy(await token.getAddress(), merkleData.root);
+    await distributor.waitForDeployment();
+
+    await token.transfer(await distributor.getAddress(), BigInt(merkleData.totalAmount));
+  });
+
+  async function proofFor(signer) {
+    const originalLog = console.log;
+    console.log = () => {};
+    try {
+      return await getMerkleProof(signer.address, merkleDir);
+    } finally {
+      console.log = originalLog;
+    }
+  }
+
+  it("merkle_data.json应记录批次根且示例证明包含组合证明", function () {
+    const merkleData = JSON.parse(fs.readFileSync(path.join(merkleDir, "merkle_data.json"), "utf8"));
+    expect(merkleData.batchCount).to.equal(3);
+    expect(merkleData.batchRoots).to.have.lengthOf(3);
+
+    const example = Object.values(merkleData.examples)[0];
+    expect(example.combinedProof).to.deep.equal([...example.proof, ...example.rootProof]);
+  });
+
+  it("任意批次的地址都能使用claimWithBatchProof的call data领取", async function () {
+    for (const signer of [signers[0], signers[4], signers[6]]) {
+      const proof = await proofFor(signer);
+      expect(proof.rootProof.length).to.be.greaterThan(0);
+
+      await signer.sendTransaction({
+        to: await distributor.getAddress(),
+        data: proof.callData.claimWithBatchProof
+      });
+
+      expect(await token.balanceOf(signer.address)).to.equal(BigInt(proof.amount));
+      expect(await distributor.isClaimed(proof.index)).to.be.true;
+    }
+    expect(await distributor.verifiedBatchCount()).to.equal(0);
+  });
+
+  it("组合证明也可以直接用于claim", async function () {
+    const signer = signers[5];
+    const proof = await proofFor(signer);
+
+    await expect(
+      distributor.claim(proof.index, proof.address, proof.amount, proof.combinedProof)
+    ).to.emit(distributor, "Claimed").withArgs(proof.index, proof.address, BigInt(proof.amount));
+
+    await expect(
+      signer.sendTransaction({ to: await distributor.getAddress(), data: proof.callData.claimWithBatchProof })
+    ).to.be.revertedWith("MerkleDistributor: Drop already claimed");
+  });
+
+  it("批次根不在顶层树中时不能领取", async function () {
+    const proof = await proofFor(signers[1]);
+    const otherProof = await proofFor(signers[4]);
+
+    // 使用其他批次的顶层证明
+    await expect(
+      distributor.claimWithBatchProof(proof.index, proof.address, proof.amount, proof.proof, otherProof.rootProof)
+    ).to.be.revertedWith("MerkleDistributor: Invalid proof");
+
+    // 篡改金额
+    await expect(
+      distributor.claimWithBatchProof(proof.index, proof.address, BigInt(proof.amount) + 1n, proof.proof, proof.rootProof)
+    ).to.be.revertedWith("MerkleDistributor: Invalid proof");
+  });
+});
@@ -0,0 +1,122 @@
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+const { time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { hashLeaf, buildTree } = require("../lib/merkle");
+
+describe("大额分配线性释放测试", function () {
+  const DAY = 24 * 60 * 60;
+  const CLIFF = 30 * DAY;
+  const DURATION = 100 * DAY;
+  const units = (value) => ethers.parseUnits(value, 18);
+
+  let token;
+  let distributor;
+  let owner, whale, small, treasury;
+  let airdropList;
+  let merkleTree;
+  let start;
+
+  function claim(entry) {
+    const proof = merkleTree.getHexProof(hashLeaf(entry.index, entry.account, entry.amount));
+    return distributor.claim(entry.index, entry.account, entry.amount, proof);
+  }
+
+  beforeEach(async function () {
+    [owner, whale, small, treasury] = await ethers.getSigners();
+
+    airdropList = [
+      { index: 0, account: whale.address, amount: units("10000") },
+      { index: 1, account: small.address, amount: units("100") },
+      { index: 2, account: whale.address, amount: units("5000") }
+    ];
+    merkleTree = buildTree(airdropList.map(e => hashLeaf(e.index, e.account, e.amount)));
+
+    const Token = await ethers.getContractFactory("AirdropToken");
+    token = await Token.deploy("空投代币", "ADT", units("1000000"), units("10000000"));
+    const Distributor = await ethers.getContractFactory("MerkleDistributor");
+    distributor = await Distributor.deploy(await token.getAddress(), merkleTree.getHexRoot());
+    await token.transfer(await distributor.getAddress(), units("15100"));
+
+    start = (await time.latest()) + DAY;
+    await expect(distributor.setVestingSchedule(units("1000"), start, CLIFF, DURATION))
+      .to.emit(distributor, "VestingScheduleUpdated").withArgs(units("1000"), start, CLIFF, DURATION);
+  });
+
+  it("低于阈值的分配立即到账，达到阈值的分配只登记", async function () {
+    await claim(airdropList[1]);
+    expect(await token.balanceOf(small.address)).to.equal(units("100"));
+
+    await expect(claim(airdropList[0]))
+      .to.emit(distributor, "Claimed").withArgs(0, whale.address, units("10000"))
+      .and.to.emit(distributor, "VestingRegistered").withArgs(whale.address, units("10000"));
+    await claim(airdropList[2]);
+
+    expect(await token.balanceOf(whale.address)).to.equal(0);
+    expect(await distributor.vestingTotal(whale.address)).to.equal(units("15000"));
+    expect(await distributor.totalVesting()).to.equal(units("15000"));
+  });
+
+  it("cliff之前不释放，之后按时间线性释放，结束后全部释放", async function () {
+    await claim(airdropList[0]);
+
+    await time.increaseTo(start + CLIFF - 2);
+    expect(await distributor.vestedAmount(whale.address)).to.equal(0);
+    await time.setNextBlockTimestamp(start + CLIFF - 1);
+    await expect(distributor.release(whale.address)).to.be.revertedWith("MerkleDistributor: Nothing to release");
+
+    await time.increaseTo(start + CLIFF);
+    expect(await distributor.vestedAmount(whale.address)).to.equal(units("3000"));
+
+    // 任何人都可以为该地址提取，代币转给该地址
+    await time.setNextBlockTimestamp(start + DURATION / 2);
+    await expect(distributor.connect(small).release(whale.address))
+      .to.emit(distributor, "Released").withArgs(whale.address, units("5000"));
+    expect(await token.balanceOf(whale.address)).to.equal(units("5000"));
+    expect(await distributor.releasableAmount(whale.address)).to.equal(0);
+
+    await time.increaseTo(start + DURATION + DAY);
+    expect(await distributor.releasableAmount(whale.address)).to.equal(units("5000"));
+    await distributor.release(whale.address);
+    expect(await token.balanceOf(whale.address)).to.equal(units("10000"));
+  });
+
+  it("领取截止后仍可提取，sweep只回收未登记的剩余代币", async function () {
+    const end = start + 10 * DAY;
+    await distributor.setClaimWindow(0, end);
+    await distributor.setTreasury(treasury.address);
+    await claim(airdropList[0]);
+
+    await time.increaseTo(end);
+    await expect(claim(airdropList[2])).to.be.revertedWith("MerkleDistributor: Claim ended");
+
+    // 剩余 15100 - 10000 可回收，已登记的10000仍锁定
+    await expect(distributor.sweep())
+      .to.emit(distributor, "Swept").withArgs(treasury.address, units("5100"));
+    await expect(distributor.rescueTokens(owner.address, 1))
+      .to.be.revertedWith("MerkleDistributor: Amount locked for vesting or withdrawals");
+
+    await time.increaseTo(start + DURATION);
+    await distributor.release(whale.address);
+    expect(await token.balanceOf(whale.address)).to.equal(units("10000"));
+    expect(await token.balanceOf(await distributor.getAddress())).to.equal(0);
+  });
+
+  it("未启用时所有分配立即到账", async function () {
+    await distributor.setVestingSchedule(0, 0, 0, 0);
+    await claim(airdropList[0]);
+    expect(await token.balanceOf(whale.address)).to.equal(units("10000"));
+    expect(await distributor.totalVesting()).to.equal(0);
+  });
+
+  it("已有登记后不能修改计划，无效计划应被拒绝", async function () {
+    await expect(distributor.setVestingSchedule(0, start, DURATION + 1, DURATION))
+      .to.be.revertedWith("MerkleDistributor: Cliff exceeds duration");
+    await expect(distributor.setVestingSchedule(0, 0, 0, DURATION))
+      .to.be.revertedWith("MerkleDistributor: Invalid vesting start");
+    await expect(distributor.connect(whale).setVestingSchedule(0, 0, 0, 0)).to.be.reverted;
+
+    await claim(airdropList[0]);
+    await expect(distributor.setVestingSchedule(0, 0, 0, 0))
+      .to.be.revertedWith("MerkleDistributor: Vesting already in use");
+  });
+});
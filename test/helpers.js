@@ -0,0 +1,50 @@
+// 测试共用的辅助函数
+const fs = require("fs");
+const path = require("path");
+
+// 空投用户CSV的默认表头（与csv/目录中的文件一致）
+const CSV_HEADER = "id,address,c3,c4,c5,c6,c7,c8,total_score";
+
+/**
+ * 执行fn期间屏蔽console.log和console.warn，避免构建日志淹没测试输出
+ * @param {Function} fn 要执行的函数
+ * @returns {Promise<*>} fn的返回值
+ */
+async function quietly(fn) {
+  const originalLog = console.log;
+  const originalWarn = console.warn;
+  console.log = () => {};
+  console.warn = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = originalLog;
+    console.warn = originalWarn;
+  }
+}
+
+/**
+ * 写入空投用户CSV目录
+ * 每行为 [地址, 分数, 代币, 其他列]：任一行有代币时添加token列，其他列为 列名 => 值 的对象，表头取第一行的列名
+ * @param {string} csvDir 目录（不存在时创建）
+ * @param {Object} files 文件名 => 行列表
+ * @returns {string} csvDir
+ */
+function writeCsvDir(csvDir, files) {
+  fs.mkdirSync(csvDir, { recursive: true });
+  for (const [name, rows] of Object.entries(files)) {
+    const multiToken = rows.some(row => row[2]);
+    const extraColumns = Object.keys((rows[0] && rows[0][3]) || {});
+    const header = [CSV_HEADER, ...(multiToken ? ["token"] : []), ...extraColumns].join(",");
+    const lines = rows.map(([address, score, token, extra = {}], i) =>
+      [`${i},${address},,,,,,,${score}`, ...(multiToken ? [token] : []), ...extraColumns.map(column => extra[column])].join(","));
+    fs.writeFileSync(path.join(csvDir, name), [header, ...lines].join("\n"));
+  }
+  return csvDir;
+}
+
+module.exports = {
+  CSV_HEADER,
+  quietly,
+  writeCsvDir
+};